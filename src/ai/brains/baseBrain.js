@@ -31,18 +31,24 @@ export class BaseBrain {
     }
 
     /**
-     * Check if the monster has line-of-sight to a target
+     * React to a noise: go and investigate where it came from, as if the player was last seen there
+     * @param {Monster} monster - The monster instance
+     * @param {Object} noise - {x, y, strength} of the sound heard
+     */
+    onNoise(monster, noise) {
+        monster.lastKnownPlayerPos = { x: noise.x, y: noise.y };
+        monster.searchTurns = monster.maxSearchTurns;
+    }
+
+    /**
+     * Check if the monster has line-of-sight to a target (walls and pillars block it)
      * @param {Monster} monster - The monster instance
      * @param {World} world - The world instance
      * @param {Object} target - Target entity
      * @returns {boolean} - True if there's line of sight
      */
     hasLOS(monster, world, target) {
-        if (world && typeof world.hasLOS === 'function') {
-            return world.hasLOS(monster.x, monster.y, target.x, target.y);
-        }
-        // Fallback keeps current behavior (no LOS blocking) until provided.
-        return true;
+        return monster.hasLOS(world, target);
     }
 
     /**
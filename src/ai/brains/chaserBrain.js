@@ -221,7 +221,7 @@ export class ChaserBrain extends BaseBrain {
         }
         
         // Pick a random valid move
-        const randomMove = validMoves[Math.floor(Math.random() * validMoves.length)];
+        const randomMove = validMoves[Math.floor(ROT.RNG.getUniform() * validMoves.length)];
         
         // Move to the selected position
         monster.x = randomMove.x;
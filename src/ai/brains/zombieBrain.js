@@ -62,13 +62,23 @@ export class ZombieBrain extends BaseBrain {
         monster.lastKnownPlayerPos = null;
         
         // Zombies rarely wander - they mostly just stand still unless they sense something
-        if (Math.random() < 0.3) { // 30% chance to make a random move
+        if (ROT.RNG.getUniform() < 0.3) { // 30% chance to make a random move
             return this.shambleRandomly(monster, world);
         }
         
         return TurnResult.CONSUMED; // Just wait/groan
     }
 
+    /**
+     * Shamble toward a noise, losing interest as quickly as after losing sight of the player
+     * @param {Monster} monster - The monster instance
+     * @param {Object} noise - {x, y, strength} of the sound heard
+     */
+    onNoise(monster, noise) {
+        monster.lastKnownPlayerPos = { x: noise.x, y: noise.y };
+        monster.searchTurns = Math.max(1, Math.floor(monster.maxSearchTurns / 2));
+    }
+
     /**
      * Simple direct movement toward player (no pathfinding complexity)
      * @param {Monster} monster - The monster instance
@@ -229,7 +239,7 @@ export class ZombieBrain extends BaseBrain {
         }
         
         // Pick a random valid move
-        const randomMove = validMoves[Math.floor(Math.random() * validMoves.length)];
+        const randomMove = validMoves[Math.floor(ROT.RNG.getUniform() * validMoves.length)];
         
         // Move to the selected position
         monster.x = randomMove.x;
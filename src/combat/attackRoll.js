@@ -0,0 +1,98 @@
+/**
+ * Attack rolls shared by melee and ranged combat
+ * Every roll comes from ROT.RNG so fights replay identically under a fixed seed.
+ *
+ * A d100 roll is compared with the hit chance (attacker accuracy minus target
+ * evasion). Rolls at or under CRITICAL_CHANCE are critical hits, hits that only
+ * just made it (within GLANCING_BAND of the hit chance) are glancing blows, and
+ * anything above the hit chance misses.
+ * Rolls use effective stats (see Actor.getEffectiveStats), so equipment counts.
+ */
+
+// TUNABLE: Hit chance is always kept within these bounds (percent)
+export const MIN_HIT_CHANCE = 5;
+export const MAX_HIT_CHANCE = 95;
+
+// TUNABLE: Percent chance that a hit is critical, and how much it multiplies damage
+export const CRITICAL_CHANCE = 5;
+export const CRITICAL_MULTIPLIER = 2;
+
+// TUNABLE: Hits rolled this close to the hit chance only graze, for half damage
+export const GLANCING_BAND = 10;
+
+// TUNABLE: Rolled damage varies this much either side of the attacker's power
+export const DAMAGE_SPREAD = 1;
+
+export const AttackOutcome = {
+    MISS: 'miss',
+    GLANCING: 'glancing',
+    HIT: 'hit',
+    CRITICAL: 'critical'
+};
+
+// Stats as they count in combat: with equipment for actors, as-is for plain entities
+function combatStats(entity) {
+    return entity.getEffectiveStats ? entity.getEffectiveStats() : entity.stats;
+}
+
+/**
+ * Chance for an attacker to hit a target
+ * @param {Object} attacker - Attacking entity with stats
+ * @param {Object} target - Target entity with stats
+ * @param {number} [accuracyModifier=0] - Added to the attacker's accuracy (negative for penalties)
+ * @returns {number} - Percent chance between MIN_HIT_CHANCE and MAX_HIT_CHANCE
+ */
+export function getHitChance(attacker, target, accuracyModifier = 0) {
+    const chance = combatStats(attacker).accuracy + accuracyModifier - combatStats(target).evasion;
+    return Math.max(MIN_HIT_CHANCE, Math.min(MAX_HIT_CHANCE, chance));
+}
+
+/**
+ * Damage range of an attack before the target's defense is applied
+ * @param {Object} attacker - Attacking entity with stats
+ * @param {number} [bonusDamage=0] - Damage a weapon or projectile adds to the attacker's power
+ * @returns {Object} - {min, max}
+ */
+export function getDamageRange(attacker, bonusDamage = 0) {
+    const power = combatStats(attacker).pow + bonusDamage;
+    return { min: Math.max(1, power - DAMAGE_SPREAD), max: power + DAMAGE_SPREAD };
+}
+
+/**
+ * Roll an attack: whether it lands, how well, and for how much damage
+ * The damage roll is only made when the attack hits.
+ * @param {Object} attacker - Attacking entity with stats
+ * @param {Object} target - Target entity with stats
+ * @param {Object} [options]
+ * @param {number} [options.accuracyModifier=0] - Added to the attacker's accuracy
+ * @param {number} [options.bonusDamage=0] - Added to the attacker's power
+ * @returns {Object} - {outcome: AttackOutcome, damage, roll, hitChance}
+ */
+export function rollAttack(attacker, target, { accuracyModifier = 0, bonusDamage = 0 } = {}) {
+    const hitChance = getHitChance(attacker, target, accuracyModifier);
+    const roll = ROT.RNG.getUniformInt(1, 100);
+
+    if (roll > hitChance) {
+        return { outcome: AttackOutcome.MISS, damage: 0, roll, hitChance };
+    }
+
+    let outcome = AttackOutcome.HIT;
+    if (roll <= CRITICAL_CHANCE) {
+        outcome = AttackOutcome.CRITICAL;
+    } else if (roll > hitChance - GLANCING_BAND) {
+        outcome = AttackOutcome.GLANCING;
+    }
+
+    const { min, max } = getDamageRange(attacker, bonusDamage);
+    let damage = ROT.RNG.getUniformInt(min, max);
+    if (outcome === AttackOutcome.CRITICAL) {
+        damage *= CRITICAL_MULTIPLIER;
+    }
+    damage -= combatStats(target).def;
+    if (outcome === AttackOutcome.GLANCING) {
+        damage = Math.floor(damage / 2);
+    }
+
+    // Any attack that lands does at least 1 damage
+    return { outcome, damage: Math.max(1, damage), roll, hitChance };
+}
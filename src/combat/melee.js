@@ -1,5 +1,8 @@
 import * as logger from '../systems/logger.js';
 import { Events } from '../systems/eventBus.js';
+import { NOISE } from '../systems/noise.js';
+import { rollAttack, AttackOutcome } from './attackRoll.js';
+import { inflictOnHitEffects } from './statusEffects.js';
 
 /**
  * Determine if an attack is diagonal based on positions
@@ -13,41 +16,59 @@ function isDiagonalAttack(attacker, target) {
     return dx === 1 && dy === 1;
 }
 
+/**
+ * Combat log line for a melee attack
+ * @param {string} outcome - AttackOutcome of the roll
+ * @param {boolean} attackerIsPlayer - Whether the player is attacking
+ * @param {boolean} targetIsPlayer - Whether the player is attacked
+ * @param {boolean} isDiagonal - Whether the attack is diagonal
+ * @param {number} damage - Damage dealt
+ * @returns {string} - Log message
+ */
+function describeMelee(outcome, attackerIsPlayer, targetIsPlayer, isDiagonal, damage) {
+    let attack;
+    if (attackerIsPlayer) {
+        attack = `You ${isDiagonal ? 'slash diagonally at' : 'attack'}`;
+    } else {
+        attack = `The monster ${isDiagonal ? 'slashes diagonally at' : 'attacks'}`;
+    }
+    const victim = targetIsPlayer ? 'you' : 'the monster';
+
+    switch (outcome) {
+        case AttackOutcome.MISS:
+            return `${attack} ${victim} but ${attackerIsPlayer ? 'miss' : 'misses'}.`;
+        case AttackOutcome.GLANCING:
+            return `${attack} ${victim}, but the blow only glances off for ${damage} damage.`;
+        case AttackOutcome.CRITICAL:
+            return `Critical hit! ${attack} ${victim} for ${damage} damage!`;
+        default:
+            return `${attack} ${victim} for ${damage} damage!`;
+    }
+}
+
 /**
  * Resolve melee combat between attacker and target
+ * The attack is rolled with rollAttack: it can miss, glance off, hit or land a critical hit.
  * @param {Object} attacker - Attacking entity with stats and faction
  * @param {Object} target - Target entity with stats and faction  
  * @param {Object} world - World instance for services and messaging
- * @returns {Object} - Combat result with damage, log message, and death status
+ * @returns {Object} - Combat result with hit, outcome, damage, log message, and death status
  */
 export function resolveMelee(attacker, target, world) {
     // Determine attack type
     const isdiagonal = isDiagonalAttack(attacker, target);
     
-    // Calculate damage: attacker power - target defense
-    const baseDamage = attacker.stats.pow;
-    const defense = target.stats.def;
-    const damage = Math.max(1, baseDamage - defense); // Minimum 1 damage
+    // Roll to hit, then for damage (reduced by target defense)
+    const { outcome, damage } = rollAttack(attacker, target);
+    const hit = outcome !== AttackOutcome.MISS;
     
     // Apply damage to target
-    const died = target.stats.takeDamage(damage);
+    const died = hit ? target.stats.takeDamage(damage) : false;
     
     // Create log message
     const attackerIsPlayer = attacker.isPlayer();
     const targetIsPlayer = target.isPlayer();
-    
-    let logMessage;
-    const attackType = isdiagonal ? 'slash diagonally at' : 'attack';
-    
-    if (attackerIsPlayer) {
-        logMessage = `You ${attackType} the monster for ${damage} damage!`;
-    } else if (targetIsPlayer) {
-        const monsterAttackType = isdiagonal ? 'slashes diagonally at' : 'attacks';
-        logMessage = `The monster ${monsterAttackType} you for ${damage} damage!`;
-    } else {
-        const monsterAttackType = isdiagonal ? 'slashes diagonally at' : 'attacks';
-        logMessage = `The monster ${monsterAttackType} the monster for ${damage} damage!`;
-    }
+    let logMessage = describeMelee(outcome, attackerIsPlayer, targetIsPlayer, isdiagonal, damage);
     
     // Add death message if target died
     if (died) {
@@ -58,6 +79,15 @@ export function resolveMelee(attacker, target, world) {
         }
     }
     
+    // The fight can be heard around the target, even when the blow misses. The target
+    // itself knows where the blow came from, so it turns on the attacker instead.
+    if (world.makeNoise) {
+        world.makeNoise(target.x, target.y, NOISE.COMBAT, [attacker, target]);
+    }
+    if (!targetIsPlayer && target.hearNoise) {
+        target.hearNoise({ x: attacker.x, y: attacker.y, strength: NOISE.COMBAT });
+    }
+    
     // Emit message to UI (typed)
     if (world.messageBus) {
         world.messageBus.emit(Events.MESSAGE_TYPED, { text: logMessage, type: 'combat' });
@@ -68,14 +98,21 @@ export function resolveMelee(attacker, target, world) {
         }
     }
     
+    // Bites, claws and the like can leave effects behind (reported after the blow itself)
+    if (hit && !died) {
+        inflictOnHitEffects(attacker, target, world);
+    }
+    
     const attackerName = attackerIsPlayer ? 'Player' : 'Monster';
     const targetName = targetIsPlayer ? 'Player' : 'Monster';
     const attackTypeText = isdiagonal ? ' (diagonal)' : '';
-    logger.debug(`Combat: ${attackerName} hits ${targetName} for ${damage} damage${attackTypeText} (${target.stats.hp}/${target.stats.maxHp} HP remaining)`);
+    logger.debug(`Combat: ${attackerName} ${outcome} on ${targetName} for ${damage} damage${attackTypeText} (${target.stats.hp}/${target.stats.maxHp} HP remaining)`);
     
     return {
+        hit,
+        outcome,
         damage: damage,
         message: logMessage,
         targetDied: died
     };
-} 
\ No newline at end of file
+}
@@ -0,0 +1,139 @@
+import * as logger from '../systems/logger.js';
+import { Events } from '../systems/eventBus.js';
+import { NOISE } from '../systems/noise.js';
+import { getLinePoints } from '../systems/fov.js';
+import { isTilePassable, isTileTransparent } from '../tiles/tileTypes.js';
+import { rollAttack, AttackOutcome } from './attackRoll.js';
+
+// A living monster standing on a tile, if any
+function monsterAt(world, x, y) {
+    return (world.monsters || []).find(monster =>
+        monster.x === x && monster.y === y && monster.stats.isAlive()
+    ) || null;
+}
+
+/**
+ * Trace the flight of a projectile from the thrower toward a target tile
+ * The projectile stops at the first living monster in its path, before the first
+ * tile that blocks it (walls, pillars), or at the end of its range. It never comes
+ * to rest on a tile that cannot be walked on, such as water.
+ * A projectile that misses its monster flies on to the next tile along the line when it
+ * has the range and the tile is open (missLanding); otherwise it drops just short of it.
+ * @param {World} world - World instance (map and monsters)
+ * @param {Object} from - {x, y} of the thrower
+ * @param {Object} to - {x, y} aimed at
+ * @param {number} range - Maximum number of tiles the projectile flies
+ * @returns {Object} - {path, landing: {x, y}, target: Monster|null, distance, missLanding: {x, y}|null}
+ */
+export function traceProjectile(world, from, to, range) {
+    const path = [];
+    let landing = { x: from.x, y: from.y };
+    let previous = landing;
+
+    for (const point of getLinePoints(from.x, from.y, to.x, to.y).slice(0, range)) {
+        const tile = world.map[point.x] && world.map[point.x][point.y];
+        if (!tile || !isTileTransparent(tile)) {
+            break;
+        }
+        path.push(point);
+
+        const target = monsterAt(world, point.x, point.y);
+        if (target) {
+            const next = { x: 2 * point.x - previous.x, y: 2 * point.y - previous.y };
+            const nextTile = world.map[next.x] && world.map[next.x][next.y];
+            const fliesOn = path.length < range && nextTile && isTileTransparent(nextTile) &&
+                isTilePassable(nextTile) && !monsterAt(world, next.x, next.y);
+            return { path, landing: point, target, distance: path.length, missLanding: fliesOn ? next : landing };
+        }
+        if (isTilePassable(tile)) {
+            landing = point;
+        }
+        previous = point;
+    }
+
+    return { path, landing, target: null, distance: path.length, missLanding: null };
+}
+
+/**
+ * Accuracy lost by a projectile over distance
+ * A target in the next tile is as easy to hit as in melee; each further tile costs 8 points.
+ * @param {number} distance - Tiles flown before reaching the target
+ * @returns {number} - Accuracy penalty in percentage points
+ */
+export function getRangedAccuracyPenalty(distance) {
+    return 8 * Math.max(0, distance - 1);
+}
+
+/**
+ * Resolve a projectile reaching a target
+ * The attack is rolled with rollAttack, less accurate the further the projectile flew.
+ * @param {Object} attacker - Throwing entity with stats
+ * @param {Object} target - Target entity with stats
+ * @param {Object} world - World instance for services and messaging
+ * @param {Object} options
+ * @param {number} options.distance - Tiles flown before reaching the target
+ * @param {number} [options.bonusDamage=0] - Damage the projectile adds to the attacker's power
+ * @param {string} [options.projectile='dagger'] - Name used in the combat log
+ * @returns {Object} - Combat result with hit, outcome, damage, log message, and death status
+ */
+export function resolveRanged(attacker, target, world, { distance, bonusDamage = 0, projectile = 'dagger' }) {
+    const { outcome, damage } = rollAttack(attacker, target, {
+        accuracyModifier: -getRangedAccuracyPenalty(distance),
+        bonusDamage
+    });
+    const hit = outcome !== AttackOutcome.MISS;
+    const attackerIsPlayer = attacker.isPlayer();
+    const targetIsPlayer = target.isPlayer();
+    const owner = attackerIsPlayer ? 'Your' : "The monster's";
+    const victim = targetIsPlayer ? 'you' : 'the monster';
+
+    // Hit or miss, the target sees where the projectile came from and turns on the thrower
+    if (!targetIsPlayer && target.hearNoise) {
+        target.hearNoise({ x: attacker.x, y: attacker.y, strength: NOISE.COMBAT });
+    }
+
+    if (!hit) {
+        const logMessage = `${owner} ${projectile} misses ${victim}.`;
+        if (world.messageBus) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: logMessage, type: 'combat' });
+        }
+        logger.debug(`Ranged: ${projectile} missed at distance ${distance}`);
+        return { hit: false, outcome, damage: 0, message: logMessage, targetDied: false };
+    }
+
+    const died = target.stats.takeDamage(damage);
+
+    let logMessage;
+    if (outcome === AttackOutcome.CRITICAL) {
+        logMessage = `Critical hit! ${owner} ${projectile} strikes ${victim} for ${damage} damage!`;
+    } else if (outcome === AttackOutcome.GLANCING) {
+        logMessage = `${owner} ${projectile} grazes ${victim} for ${damage} damage.`;
+    } else {
+        logMessage = `${owner} ${projectile} hits ${victim} for ${damage} damage!`;
+    }
+    if (died) {
+        logMessage += targetIsPlayer ? ' You die!' : ' The monster dies!';
+    }
+
+    // A hit is as loud as a melee blow
+    if (world.makeNoise) {
+        world.makeNoise(target.x, target.y, NOISE.COMBAT, [attacker, target]);
+    }
+
+    if (world.messageBus) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: logMessage, type: 'combat' });
+        if (died && targetIsPlayer) {
+            world.messageBus.emit(Events.GAME_OVER);
+        }
+    }
+
+    logger.debug(`Ranged: ${projectile} ${outcome} for ${damage} damage at distance ${distance} (${target.stats.hp}/${target.stats.maxHp} HP remaining)`);
+
+    return {
+        hit: true,
+        outcome,
+        damage,
+        message: logMessage,
+        targetDied: died
+    };
+}
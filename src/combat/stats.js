@@ -2,11 +2,13 @@
  * Simple statistics class for combat system
  */
 export class Stats {
-    constructor(hp = 5, pow = 1, def = 0) {
+    constructor(hp = 5, pow = 1, def = 0, accuracy = 75, evasion = 0) {
         this.maxHp = hp;
         this.hp = hp;
         this.pow = pow; // Power/Attack strength
         this.def = def; // Defense
+        this.accuracy = accuracy; // Percent chance to hit an opponent with no evasion
+        this.evasion = evasion;   // Percentage points taken off opponents' chance to hit
     }
     
     /**
@@ -52,7 +54,9 @@ export class Stats {
             maxHp: this.maxHp,
             hp: this.hp,
             pow: this.pow,
-            def: this.def
+            def: this.def,
+            accuracy: this.accuracy,
+            evasion: this.evasion
         };
     }
     
@@ -65,5 +69,7 @@ export class Stats {
         if (data.hp !== undefined) this.hp = data.hp;
         if (data.pow !== undefined) this.pow = data.pow;
         if (data.def !== undefined) this.def = data.def;
+        if (data.accuracy !== undefined) this.accuracy = data.accuracy;
+        if (data.evasion !== undefined) this.evasion = data.evasion;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,245 @@
+import * as logger from '../systems/logger.js';
+import { Events } from '../systems/eventBus.js';
+
+/**
+ * Status effects - temporary conditions on actors
+ * Every Actor carries a StatusEffects component. The TurnEngine ticks it at the end
+ * of each turn the actor takes, and asks it whether the actor may act at all.
+ * Effects can hurt or heal every turn, change the actor's speed, stop it acting,
+ * or modify the actor's effective stats for as long as they last.
+ */
+
+/**
+ * Effect definitions keyed by id
+ * - state: word used in messages and the HUD ("You are poisoned!")
+ * - damage / heal: HP lost or gained at the end of each turn
+ * - lethal: false if the damage can never take the last hit point
+ * - speedMultiplier: applied to the actor's speed while the effect lasts
+ * - preventsAction: the actor loses its turns while the effect lasts
+ * - statModifiers: added to the actor's effective stats while the effect lasts (base Stats are left alone)
+ */
+export const STATUS_EFFECTS = {
+    poison: { state: 'poisoned', damage: 1, lethal: false },
+    bleed: { state: 'bleeding', damage: 1, lethal: true },
+    stun: { state: 'stunned', preventsAction: true },
+    slow: { state: 'slowed', speedMultiplier: 0.5 },
+    regeneration: { state: 'regenerating', heal: 1 },
+    rot: { state: 'rotting', statModifiers: { pow: -1, def: -1 } }
+};
+
+function sendMessage(world, text) {
+    if (world && world.messageBus) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'combat' });
+    }
+}
+
+function describe(actor, id, ended = false) {
+    const { state } = STATUS_EFFECTS[id];
+    if (actor.isPlayer()) {
+        return ended ? `You are no longer ${state}.` : `You are ${state}!`;
+    }
+    return ended ? `The monster is no longer ${state}.` : `The monster is ${state}!`;
+}
+
+export class StatusEffects {
+    constructor() {
+        this.effects = []; // [{id, turns}] in the order they were applied
+    }
+
+    /**
+     * Start an effect on an actor, or extend it if it is already active
+     * @param {Actor} actor - Actor the effect is on
+     * @param {string} id - Key in STATUS_EFFECTS
+     * @param {number} turns - How many of the actor's turns it lasts
+     * @param {World} [world=null] - World for messages
+     * @returns {boolean} - True if the effect was not active before
+     */
+    add(actor, id, turns, world = null) {
+        const definition = STATUS_EFFECTS[id];
+        if (!definition) {
+            logger.warn(`Unknown status effect: ${id}`);
+            return false;
+        }
+
+        const active = this.effects.find(effect => effect.id === id);
+        if (active) {
+            active.turns = Math.max(active.turns, turns);
+            return false;
+        }
+
+        this.effects.push({ id, turns });
+        sendMessage(world, describe(actor, id));
+        logger.debug(`Status: ${actor.constructor.name} gains ${id} for ${turns} turns`);
+        return true;
+    }
+
+    /**
+     * End an effect early
+     * @param {Actor} actor - Actor the effect is on
+     * @param {string} id - Key in STATUS_EFFECTS
+     * @param {World} [world=null] - World for messages
+     * @returns {boolean} - True if the effect was active
+     */
+    remove(actor, id, world = null) {
+        const index = this.effects.findIndex(effect => effect.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.effects.splice(index, 1);
+        sendMessage(world, describe(actor, id, true));
+        return true;
+    }
+
+    /**
+     * End every effect (e.g. when a new run starts), without messages
+     * @param {Actor} actor - Actor the effects are on
+     */
+    clear(actor) {
+        for (const { id } of [...this.effects]) {
+            this.remove(actor, id);
+        }
+    }
+
+    /**
+     * Check whether an effect is active
+     * @param {string} id - Key in STATUS_EFFECTS
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.effects.some(effect => effect.id === id);
+    }
+
+    /**
+     * Whether the actor may take its turn
+     * @returns {boolean} - False while an effect such as stun is active
+     */
+    canAct() {
+        return !this.effects.some(effect => STATUS_EFFECTS[effect.id].preventsAction);
+    }
+
+    /**
+     * Combined speed multiplier of the active effects
+     * @returns {number}
+     */
+    getSpeedMultiplier() {
+        return this.effects.reduce((multiplier, effect) => multiplier * (STATUS_EFFECTS[effect.id].speedMultiplier ?? 1), 1);
+    }
+
+    /**
+     * Add the stat modifiers of the active effects to a copy of an actor's stats
+     * A modified stat never drops below 0, however many effects stack on it.
+     * @param {Object} stats - Stat values to change in place (never the actor's base Stats)
+     * @returns {Object} - The same stats object
+     */
+    applyStatModifiers(stats) {
+        for (const effect of this.effects) {
+            for (const [stat, amount] of Object.entries(STATUS_EFFECTS[effect.id].statModifiers || {})) {
+                if (stat in stats) {
+                    stats[stat] = Math.max(0, stats[stat] + amount);
+                }
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Apply one turn of every active effect and count their durations down
+     * An actor killed by its effects is removed from the world (or ends the run).
+     * @param {Actor} actor - Actor the effects are on
+     * @param {World} [world=null] - World for messages and removing the dead
+     * @returns {boolean} - True if the effects killed the actor
+     */
+    tick(actor, world = null) {
+        const stats = actor.stats;
+        if (stats && !stats.isAlive()) {
+            return false;
+        }
+
+        for (const effect of [...this.effects]) {
+            const definition = STATUS_EFFECTS[effect.id];
+            if (stats && definition.heal) {
+                stats.heal(definition.heal);
+            }
+            if (stats && definition.damage) {
+                const damage = definition.lethal ? definition.damage : Math.min(definition.damage, stats.hp - 1);
+                if (damage > 0 && stats.takeDamage(damage)) {
+                    this._die(actor, effect.id, world);
+                    return true;
+                }
+            }
+
+            effect.turns--;
+            if (effect.turns <= 0) {
+                this.remove(actor, effect.id, world);
+            }
+        }
+        return false;
+    }
+
+    _die(actor, id, world) {
+        const { state } = STATUS_EFFECTS[id];
+        logger.debug(`Status: ${actor.constructor.name} dies while ${state}`);
+        if (actor.isPlayer()) {
+            sendMessage(world, `You die while ${state}!`);
+            if (world && world.messageBus) {
+                world.messageBus.emit(Events.GAME_OVER);
+            }
+        } else {
+            sendMessage(world, `The monster dies while ${state}!`);
+            if (world) {
+                world.kill(actor);
+                if (world.markDirty) {
+                    world.markDirty();
+                }
+            }
+        }
+    }
+
+    /**
+     * Active effects for display, e.g. in the HUD
+     * @returns {Array<Object>} - [{id, state, turns}]
+     */
+    getActive() {
+        return this.effects.map(({ id, turns }) => ({ id, state: STATUS_EFFECTS[id].state, turns }));
+    }
+
+    /**
+     * Serialize effects for save/load
+     * @returns {Array<Object>} - [{id, turns}]
+     */
+    serialize() {
+        return this.effects.map(({ id, turns }) => ({ id, turns }));
+    }
+
+    /**
+     * Restore effects from serialized data
+     * @param {Array<Object>} data - Serialized effects
+     */
+    deserialize(data) {
+        this.effects = (data || [])
+            .filter(effect => STATUS_EFFECTS[effect.id])
+            .map(({ id, turns }) => ({ id, turns }));
+    }
+}
+
+/**
+ * Roll the effects an attacker inflicts when it hits (e.g. a zombie bite causing rot)
+ * Rolls come from ROT.RNG so fights replay identically under a fixed seed.
+ * @param {Object} attacker - Attacking entity, optionally with onHitEffects [{effect, chance, turns}]
+ * @param {Object} target - Target entity with statusEffects
+ * @param {World} [world=null] - World for messages
+ * @returns {Array<string>} - Ids of the effects that took hold
+ */
+export function inflictOnHitEffects(attacker, target, world = null) {
+    const inflicted = [];
+    if (!target.statusEffects || !target.stats.isAlive()) {
+        return inflicted;
+    }
+    for (const { effect, chance, turns } of attacker.onHitEffects || []) {
+        if (ROT.RNG.getUniform() < chance) {
+            target.statusEffects.add(target, effect, turns, world);
+            inflicted.push(effect);
+        }
+    }
+    return inflicted;
+}
@@ -243,6 +243,62 @@ export function getAllWeirdnessModifiers() {
     return Object.values(WEIRDNESS_MODIFIERS).flat();
 }
 
+// Mechanical powers of artifacts, chosen from their procgen traits (see systems/artifactPowers.js)
+// - keywords: looked for in the power hint, then the weirdness hint; the first mechanic listed that matches wins
+// - hint: what the power does, in-world; the LLM's effect slot is asked to convey it
+// - passive: bonuses while the artifact is carried (visionRadius, or Stats modifiers)
+// - invoke: what invoking it does, then cooldown turns before it can be invoked again
+//   { effect, turns, radius } puts a status effect on hostile monsters that close,
+//   { selfEffect, turns } puts one on the player, { reveal: true } shows the chamber's layout
+export const ARTIFACT_MECHANICS = {
+    glow: {
+        label: "Glow",
+        keywords: ["light", "shows you", "reflect", "beacon"],
+        hint: "its glow lets you see further in the dark",
+        passive: { visionRadius: 1 }
+    },
+    ward: {
+        label: "Ward",
+        keywords: ["weight", "stills", "repels", "walls", "waiting"],
+        hint: "blows soften before they reach whoever carries it",
+        passive: { def: 1 }
+    },
+    lodestone: {
+        label: "Lodestone",
+        keywords: ["iron filings", "lines of force", "edges", "translates"],
+        hint: "its bearer's strikes are pulled true",
+        passive: { accuracy: 10 }
+    },
+    frost: {
+        label: "Frost Aura",
+        keywords: ["frost", "heat", "furnace", "cold"],
+        hint: "invoked, it breathes a cold that slows anything near",
+        invoke: { effect: "slow", turns: 6, radius: 2 },
+        cooldown: 25
+    },
+    tremor: {
+        label: "Tremor",
+        keywords: ["rock", "stone", "tolls", "hum", "molten"],
+        hint: "invoked, it makes the floor lurch beneath nearby foes",
+        invoke: { effect: "stun", turns: 2, radius: 1 },
+        cooldown: 30
+    },
+    cartography: {
+        label: "Cartography",
+        keywords: ["map", "schematic", "memory", "remembers", "echo"],
+        hint: "invoked, it lays the whole chamber out in your mind",
+        invoke: { reveal: true },
+        cooldown: 60
+    },
+    mending: {
+        label: "Mending",
+        keywords: ["breath", "drinks", "sleep", "becomes"],
+        hint: "invoked, it slowly knits its bearer's wounds",
+        invoke: { selfEffect: "regeneration", turns: 6 },
+        cooldown: 40
+    }
+};
+
 // Example artifact descriptions for LLM reference
 export const EXAMPLE_ARTIFACTS = {
     organic: {
@@ -0,0 +1,125 @@
+/** @typedef {{pow?:number,def?:number,accuracy?:number,evasion?:number}} StatModifiers */
+
+// Where equipment goes: one item per slot
+export const EQUIPMENT_SLOTS = {
+  weapon: { label: 'Wielded', verb: 'wield' },
+  shield: { label: 'Off hand', verb: 'ready' },
+  armor: { label: 'Worn', verb: 'put on' },
+};
+
+// How stat modifiers are named where players see them
+export const STAT_LABELS = { pow: 'power', def: 'defense', accuracy: 'accuracy', evasion: 'evasion' };
+
+export const EQUIPMENT = {
+  rusty_sword: {
+    title: 'Rusty Sword',
+    description: 'An old iron sword with patches of rust along its blade. Despite its weathered appearance, it still feels balanced in your hand.',
+    symbol: '/',
+    color: '#8B4513',
+    slot: 'weapon',
+    modifiers: { pow: 1 },
+  },
+  short_spear: {
+    title: 'Short Spear',
+    description: 'An ash-wood haft with a leaf-shaped head. Its reach makes every thrust a little surer.',
+    symbol: '/',
+    color: '#C2A36B',
+    slot: 'weapon',
+    modifiers: { pow: 1, accuracy: 5 },
+  },
+  war_axe: {
+    title: 'War Axe',
+    description: 'A heavy bearded axe. It bites deep when it lands, if it lands.',
+    symbol: '/',
+    color: '#A9A9A9',
+    slot: 'weapon',
+    modifiers: { pow: 2, accuracy: -10 },
+  },
+  knights_blade: {
+    title: "Knight's Blade",
+    description: 'A long, bright sword with a worn crest on the pommel. It is as quick as it is sharp.',
+    symbol: '/',
+    color: '#E0E0FF',
+    slot: 'weapon',
+    modifiers: { pow: 2, accuracy: 5 },
+  },
+  iron_shield: {
+    title: 'Iron Shield',
+    description: 'A sturdy iron shield with dents and scratches that tell stories of past battles.',
+    symbol: '[',
+    color: '#696969',
+    slot: 'shield',
+    modifiers: { def: 1 },
+  },
+  tower_shield: {
+    title: 'Tower Shield',
+    description: 'A shield nearly as tall as you are. Nothing gets past it, but you will not be dodging much.',
+    symbol: '[',
+    color: '#8FA3B8',
+    slot: 'shield',
+    modifiers: { def: 2, evasion: -10 },
+  },
+  leather_armor: {
+    title: 'Leather Armor',
+    description: 'A boiled-leather jerkin, stiff with age but still whole.',
+    symbol: ']',
+    color: '#A0522D',
+    slot: 'armor',
+    modifiers: { def: 1 },
+  },
+  chain_mail: {
+    title: 'Chain Mail',
+    description: 'A shirt of riveted iron rings. Heavy on the shoulders, kind to the ribs.',
+    symbol: ']',
+    color: '#B0B0B0',
+    slot: 'armor',
+    modifiers: { def: 2, evasion: -5 },
+  },
+};
+
+// Loot tables by depth: the deepest table whose minLevel has been reached is used
+export const LOOT_TABLES = [
+  {
+    minLevel: 1,
+    entries: [
+      { item: 'rusty_sword', weight: 3 },
+      { item: 'leather_armor', weight: 3 },
+      { item: 'iron_shield', weight: 2 },
+      { item: 'short_spear', weight: 2 },
+    ],
+  },
+  {
+    minLevel: 3,
+    entries: [
+      { item: 'short_spear', weight: 2 },
+      { item: 'iron_shield', weight: 2 },
+      { item: 'chain_mail', weight: 2 },
+      { item: 'war_axe', weight: 2 },
+      { item: 'tower_shield', weight: 1 },
+    ],
+  },
+  {
+    minLevel: 5,
+    entries: [
+      { item: 'chain_mail', weight: 2 },
+      { item: 'war_axe', weight: 2 },
+      { item: 'tower_shield', weight: 2 },
+      { item: 'knights_blade', weight: 1 },
+    ],
+  },
+];
+
+/**
+ * Loot table for a level
+ * @param {number} levelNumber - Level the loot is placed on
+ * @returns {Array<{item:string,weight:number}>}
+ */
+export function getLootTable(levelNumber) {
+  let table = LOOT_TABLES[0];
+  for (const candidate of LOOT_TABLES) {
+    if (levelNumber >= candidate.minLevel) {
+      table = candidate;
+    }
+  }
+  return table.entries;
+}
@@ -0,0 +1,147 @@
+/** @typedef {{heal?:number, effect?:string, turns?:number, cure?:boolean}} QuaffEffects */
+/** @typedef {{reveal?:boolean, identify?:boolean, effect?:string, turns?:number, radius?:number}} ReadEffects */
+
+// Carried items that are used up: stackable ones share one inventory entry with a quantity
+// - kind: 'potion', 'scroll' or 'key'
+// - unidentified: carried under a per-run appearance until used or identified (see systems/identification.js)
+// - quaff / read: what drinking or reading one does; effect/turns put a status effect on the player
+//   (on hostile monsters within radius, for scrolls)
+export const ITEMS = {
+  health_potion: {
+    title: 'Health Potion',
+    description: 'A small glass vial of vivid red liquid. Drinking it restores health.',
+    kind: 'potion',
+    symbol: '!',
+    color: '#FF0000',
+    stackable: true,
+    quaff: { heal: 5 },   // TUNABLE: HP restored per potion
+    shatters: true,       // breaks where it lands when thrown
+  },
+  potion_of_mending: {
+    title: 'Potion of Mending',
+    description: 'A slow tonic. Your wounds close over the next few turns.',
+    kind: 'potion',
+    unidentified: true,
+    symbol: '!',
+    stackable: true,
+    quaff: { effect: 'regeneration', turns: 10 },
+    shatters: true,
+  },
+  potion_of_venom: {
+    title: 'Potion of Venom',
+    description: 'Poison, bottled. It burns on the way down but cannot kill you.',
+    kind: 'potion',
+    unidentified: true,
+    symbol: '!',
+    stackable: true,
+    quaff: { effect: 'poison', turns: 6 },
+    shatters: true,
+  },
+  potion_of_lethargy: {
+    title: 'Potion of Lethargy',
+    description: 'A heavy syrup that makes your limbs feel like wet sand.',
+    kind: 'potion',
+    unidentified: true,
+    symbol: '!',
+    stackable: true,
+    quaff: { effect: 'slow', turns: 8 },
+    shatters: true,
+  },
+  potion_of_clarity: {
+    title: 'Potion of Clarity',
+    description: 'Clear and cold. It washes out every lingering ailment.',
+    kind: 'potion',
+    unidentified: true,
+    symbol: '!',
+    stackable: true,
+    quaff: { cure: true },
+    shatters: true,
+  },
+  scroll_of_mapping: {
+    title: 'Scroll of Mapping',
+    description: 'Reading it lays out the whole chamber in your mind.',
+    kind: 'scroll',
+    unidentified: true,
+    symbol: '?',
+    color: '#F5DEB3',
+    stackable: true,
+    read: { reveal: true },
+  },
+  scroll_of_identify: {
+    title: 'Scroll of Identify',
+    description: 'Reading it tells you what one of your unknown belongings really is.',
+    kind: 'scroll',
+    unidentified: true,
+    symbol: '?',
+    color: '#F5DEB3',
+    stackable: true,
+    read: { identify: true },
+  },
+  scroll_of_thunder: {
+    title: 'Scroll of Thunder',
+    description: 'Its words crack like thunder, stunning anything close by.',
+    kind: 'scroll',
+    unidentified: true,
+    symbol: '?',
+    color: '#F5DEB3',
+    stackable: true,
+    read: { effect: 'stun', turns: 3, radius: 3 },
+  },
+  silver_key: {
+    title: 'Silver Key',
+    description: 'An ornate silver key with intricate engravings. It will open a locked door, and stay in the lock.',
+    kind: 'key',
+    symbol: '-',
+    color: '#C0C0C0',
+    stackable: true,
+  },
+};
+
+// Potions and scrolls lying about the chambers (health potions are placed on their own)
+export const ITEM_LOOT = [
+  { item: 'potion_of_mending', weight: 3 },
+  { item: 'potion_of_venom', weight: 2 },
+  { item: 'potion_of_lethargy', weight: 2 },
+  { item: 'potion_of_clarity', weight: 2 },
+  { item: 'scroll_of_identify', weight: 3 },
+  { item: 'scroll_of_mapping', weight: 2 },
+  { item: 'scroll_of_thunder', weight: 2 },
+];
+
+// Appearances dealt out to unidentified items at the start of each run
+// - potion: a liquid and the color it is drawn in (there must be at least as many as unidentified potions)
+// - scroll: syllables the label is made from
+// - details: one of these ends the fallback description
+export const UNIDENTIFIED_APPEARANCES = {
+  potion: [
+    { liquid: 'murky violet', color: '#8A4FBF' },
+    { liquid: 'fizzing amber', color: '#FFB000' },
+    { liquid: 'cloudy white', color: '#E8E8E8' },
+    { liquid: 'oily black', color: '#7A7A7A' },
+    { liquid: 'glowing green', color: '#7CFC00' },
+    { liquid: 'smoky blue', color: '#6FA8DC' },
+    { liquid: 'speckled pink', color: '#FF8FB1' },
+    { liquid: 'bubbling orange', color: '#FF7F27' },
+  ],
+  scroll: ['zel', 'go', 'mer', 'ka', 'bu', 'tor', 'vex', 'ni', 'ul', 'tha', 'qor', 'shi', 'ra', 'dun'],
+  details: {
+    potion: [
+      'It sloshes a moment after you stop moving it.',
+      'The stopper is warm, though the glass is cold.',
+      'Something small settles at the bottom whenever you look away.',
+      'It smells faintly of struck flint.',
+      'The liquid climbs the glass toward your fingers.',
+      'Held to the light, it throws no shadow.',
+    ],
+    scroll: [
+      'The ink shifts when you try to read it head-on.',
+      'The parchment is bound with a knot nobody taught you.',
+      'It crackles like a fire that is not there.',
+      'The seal is pressed with a thumbprint that might be yours.',
+      'Its edges are singed, though it smells of rain.',
+    ],
+  },
+};
+
+// How things that are not ITEMS or EQUIPMENT (i.e. artifacts) look on the floor
+export const ARTIFACT_APPEARANCE = { symbol: '&', color: '#ff00ff' };
@@ -1,24 +1,28 @@
-/** @typedef {{hp:number,pow:number,def:number}} StatBlock */
+/** @typedef {{hp:number,pow:number,def:number,accuracy:number,evasion:number}} StatBlock */
 
 export const MONSTERS = {
   zombie: {
     name: 'Zombie',
     glyph: 'z',
     color: '#8fbf8f',
-    stats: { hp: 6, pow: 1, def: 0 },     // shambling, tanky-ish
+    stats: { hp: 6, pow: 1, def: 0, accuracy: 65, evasion: 0 },   // shambling, tanky-ish, easy to hit
     speed: 0.25,                          
     perception: 5,
+    xp: 4,                                 // awarded to the player for the kill
     ai: 'zombie',                          // brain key
     tags: ['undead', 'slow'],
+    onHit: [{ effect: 'rot', chance: 0.25, turns: 8 }],   // bites fester
   },
   chaser: {
     name: 'Chaser',
     glyph: 'm',
     color: '#c44',
-    stats: { hp: 3, pow: 1, def: 0 },
+    stats: { hp: 3, pow: 1, def: 0, accuracy: 75, evasion: 15 },
     speed: 1,
     perception: 6,
+    xp: 3,
     ai: 'chaser',
     tags: ['aggressive'],
+    onHit: [{ effect: 'bleed', chance: 0.15, turns: 3 }],
   },
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Hand-drawn set pieces stamped into generated chambers (see levels/prefabs.js)
+// - blueprint: rows of equal length, one character per tile; a space leaves the chamber's own tile
+// - legend: what each other character is
+//   - tile: key in TileTypes
+//   - spawn: 'storyObject' (at most one per prefab), 'monster' or 'item', on a passable tile
+//   - monster: key in MONSTERS (a monster from the level's spawn table if left out)
+//   - item: key in ITEMS
+//   - light: { type, radius } light source on the tile ('torch', 'lantern' or 'crystal')
+// - minLevel / maxLevel: levels the prefab can appear on (maxLevel may be left out)
+// - levelTypes: level type ids it can appear in (every type if left out)
+// - weight: how often it is picked over the other prefabs that fit the level
+// A prefab is only kept where every tile that was reachable stays reachable, and all of
+// its own floor can be walked to, so openings belong on its edges.
+export const PREFABS = {
+  flooded_shrine: {
+    title: 'flooded shrine',
+    minLevel: 2,
+    levelTypes: ['cave', 'pillaredHall'],
+    weight: 2,
+    blueprint: [
+      '###~~~~~###',
+      '#~~~~~~~~~#',
+      '#~~..*..~~#',
+      '.....S.....',
+      '#~~.....~~#',
+      '#~~~~~~~~~#',
+      '###~~~~~###',
+    ],
+    legend: {
+      '#': { tile: 'stone' },
+      '~': { tile: 'water' },
+      '.': { tile: 'moss' },
+      '*': { tile: 'moss', light: { type: 'crystal', radius: 4 } },
+      'S': { tile: 'moss', spawn: 'storyObject' },
+    },
+  },
+  torchlit_altar: {
+    title: 'torch-lit altar',
+    minLevel: 2,
+    levelTypes: ['basic', 'cave', 'pillaredHall'],   // dungeons already give the artifact a room of its own
+    weight: 2,
+    blueprint: [
+      '#########',
+      '#.t...t.#',
+      '#..#S#..#',
+      '#.......#',
+      '#.......#',
+      '####.####',
+    ],
+    legend: {
+      '#': { tile: 'stone' },
+      '.': { tile: 'cobblestone' },
+      't': { tile: 'cobblestone', light: { type: 'torch', radius: 3 } },
+      'S': { tile: 'cobblestone', spawn: 'storyObject' },
+    },
+  },
+  barrow: {
+    title: 'barrow',
+    minLevel: 3,
+    levelTypes: ['basic', 'cave', 'dungeon'],
+    weight: 1,
+    blueprint: [
+      ' ####### ',
+      '##..z..##',
+      '.....!..#',
+      '##..z..##',
+      ' ####### ',
+    ],
+    legend: {
+      '#': { tile: 'stone' },
+      '.': { tile: 'dirt' },
+      'z': { tile: 'dirt', spawn: 'monster', monster: 'zombie' },
+      '!': { tile: 'dirt', spawn: 'item', item: 'health_potion' },
+    },
+  },
+};
+
+// TUNABLE: Chance that a level gets a prefab (when one fits it)
+export const PREFAB_CHANCE = 0.5;
@@ -0,0 +1,51 @@
+// Traps hidden in the chamber floors (see entities/trap.js)
+// - minLevel: first level the trap can be placed on
+// - damage: HP lost when it goes off; effect/turns: status effect put on the player
+// - singleUse: spent once triggered, and then drawn as spentSymbol
+// - message: what the player sees when it goes off
+export const TRAPS = {
+  pressure_plate: {
+    title: 'pressure plate',
+    symbol: '^',
+    color: '#C0C0C0',
+    minLevel: 1,
+    weight: 3,
+    damage: 2,
+    effect: 'bleed',
+    turns: 3,
+    message: 'A pressure plate clicks underfoot and darts hiss out of the walls!',
+  },
+  spore_vent: {
+    title: 'spore vent',
+    symbol: '^',
+    color: '#9ACD32',
+    minLevel: 1,
+    weight: 2,
+    effect: 'poison',
+    turns: 5,
+    message: 'A vent in the floor coughs a cloud of spores into your face!',
+  },
+  collapsing_floor: {
+    title: 'collapsing floor',
+    symbol: '^',
+    color: '#A0522D',
+    spentSymbol: '_',
+    minLevel: 3,
+    weight: 2,
+    damage: 3,
+    effect: 'stun',
+    turns: 2,
+    singleUse: true,
+    message: 'The floor gives way and you tumble into a shallow pit!',
+  },
+};
+
+// TUNABLE: How many traps a level gets: 1 on level 1, one more every 2 levels, at most 5
+export const TRAP_COUNT = { base: 1, perLevels: 2, max: 5 };
+
+// TUNABLE: Searching (F) finds each hidden trap this close with this chance;
+// waiting a turn searches too, but only next to you and less thoroughly
+export const TRAP_SEARCH = {
+  search: { radius: 2, chance: 0.75 },
+  wait: { radius: 1, chance: 0.25 },
+};
@@ -1,3 +1,5 @@
+import { StatusEffects } from '../combat/statusEffects.js';
+
 /**
  * Turn result constants - returned by actor.act() to indicate if turn was consumed
  */
@@ -20,6 +22,7 @@ export class Actor {
         this.y = y;
         this.symbol = symbol;
         this.color = color;
+        this.statusEffects = new StatusEffects(); // Ticked by the TurnEngine after each turn
     }
 
     /**
@@ -41,6 +44,14 @@ export class Actor {
         return 1; // Normalized baseline speed
     }
 
+    /**
+     * Stats as they count in combat, including anything carried or worn
+     * @returns {Object} - Copy of the stat values with status effects applied; damage still goes to this.stats
+     */
+    getEffectiveStats() {
+        return this.statusEffects.applyStatModifiers({ ...this.stats });
+    }
+
     /**
      * Check if this actor is the player
      * @returns {boolean}
@@ -59,7 +70,8 @@ export class Actor {
             x: this.x,
             y: this.y,
             symbol: this.symbol,
-            color: this.color
+            color: this.color,
+            statusEffects: this.statusEffects.serialize()
         };
     }
 
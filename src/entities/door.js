@@ -1,4 +1,174 @@
-// DEPRECATED: This file is deprecated.
-// Door entity logic has been replaced by portals.
-// This file remains as a placeholder for future door implementation.
-// Please use portal.js for current portal logic.
\ No newline at end of file
+import { TileTypes } from '../tiles/tileTypes.js';
+import { findInventoryItem, removeFromInventory } from '../systems/gameState.js';
+import { refreshInventoryDisplay } from '../ui/overlays/inventory.js';
+import { Events } from '../systems/eventBus.js';
+import * as logger from '../systems/logger.js';
+
+// Doors block movement and sight until they are opened (O). The door entity keeps the
+// state ('closed', 'open' or 'locked'); the tile under it is swapped to match, so
+// passability and FOV need no special cases. Locked doors take a silver key, which
+// stays in the lock.
+
+// Item that unlocks locked doors (key in ITEMS)
+export const DOOR_KEY_ITEM = 'silver_key';
+
+// TUNABLE: Share of a dungeon's doorways whose door starts closed (the rest stand open)
+export const CLOSED_DOOR_CHANCE = 0.3;
+
+// Closed doors are drawn as a solid block so they are not mistaken for the portal ('+')
+const DOOR_APPEARANCE = {
+    closed: { symbol: '▮', color: '#A0522D' },
+    locked: { symbol: '▮', color: '#C0C0C0' },
+    open: { symbol: "'", color: '#A0522D' }
+};
+
+// Neighbours checked by open/close, in a fixed order so replays pick the same door
+const NEIGHBOURS = [
+    [0, -1], [0, 1], [-1, 0], [1, 0],
+    [-1, -1], [1, -1], [-1, 1], [1, 1]
+];
+
+/**
+ * Create a door and set the tile under it
+ * @param {Object} map - Level map
+ * @param {number} x
+ * @param {number} y
+ * @param {'closed'|'open'|'locked'} state
+ * @param {number} levelNumber - Level the door belongs to
+ * @param {number|string} index - Keeps ids stable across replays
+ * @returns {Object} door entity
+ */
+export function createDoor(map, x, y, state, levelNumber, index = 0) {
+    const door = {
+        id: `door_L${levelNumber}_${index}`,
+        type: 'door',
+        state,
+        x,
+        y,
+        pickedUp: false, // never picked up; kept so placement and rendering treat it like other objects
+        levelNumber
+    };
+    setDoorState(door, state, map);
+    return door;
+}
+
+/**
+ * Hang an open door in each doorway of a dungeon level
+ * They start open so the rest of placement sees every room as reachable; shutDoors
+ * closes some of them once everything is placed.
+ * @param {Object} map - Level map
+ * @param {Array<{x:number, y:number}>} doorways - Doorways from the dungeon generator
+ * @param {number} levelNumber - Level the doors belong to
+ * @returns {Array} door entities
+ */
+export function createDoorsInDoorways(map, doorways, levelNumber) {
+    return doorways.map(({ x, y }, i) => createDoor(map, x, y, 'open', levelNumber, i));
+}
+
+/**
+ * Close some of the open doors, at random
+ * @param {Array} doors - Door entities
+ * @param {Object} map - Level map
+ */
+export function shutDoors(doors, map) {
+    for (const door of doors) {
+        if (door.state === 'open' && ROT.RNG.getUniform() < CLOSED_DOOR_CHANCE) {
+            setDoorState(door, 'closed', map);
+        }
+    }
+}
+
+/**
+ * Change a door's state, updating its glyph and the tile under it
+ * @param {Object} door - Door entity
+ * @param {'closed'|'open'|'locked'} state
+ * @param {Object} map - Level map
+ */
+export function setDoorState(door, state, map) {
+    door.state = state;
+    door.symbol = DOOR_APPEARANCE[state].symbol;
+    door.color = DOOR_APPEARANCE[state].color;
+    map[door.x][door.y] = state === 'open' ? TileTypes.door_open : TileTypes.door_closed;
+}
+
+/**
+ * Door at a position, if any
+ * @param {Array} staticObjects
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object|null}
+ */
+export function getDoorAt(staticObjects, x, y) {
+    return staticObjects.find(obj => obj.type === 'door' && obj.x === x && obj.y === y) || null;
+}
+
+// The map changed under the player: line of sight and FOV have to be worked out again
+function refreshSight(world) {
+    world.clearLOSCache();
+    world.getCurrentLevelInstance()?.visibilitySystem?.invalidateCache();
+    world.recomputeFOV();
+    world.requestRedraw();
+}
+
+function say(world, text, type = 'system') {
+    world.messageBus.emit(Events.MESSAGE_TYPED, { text, type });
+}
+
+// Open a closed door, or unlock a locked one with a carried key
+function openDoor(door, world) {
+    if (door.state === 'locked') {
+        const key = findInventoryItem(DOOR_KEY_ITEM);
+        if (!key) {
+            say(world, 'The door is locked. You need a silver key.', 'warn');
+            return false;
+        }
+        removeFromInventory(key.id, 1);
+        refreshInventoryDisplay();
+        say(world, 'You unlock the door with the silver key.', 'loot');
+    } else {
+        say(world, 'You open the door.');
+    }
+    setDoorState(door, 'open', world.map);
+    logger.info(`Opened ${door.id} at (${door.x}, ${door.y})`);
+    refreshSight(world);
+    return true;
+}
+
+function closeDoor(door, world) {
+    const blocked = world.monsters.some(monster => monster.x === door.x && monster.y === door.y && monster.stats.isAlive()) ||
+        world.staticObjects.some(obj => obj !== door && obj.x === door.x && obj.y === door.y && !obj.pickedUp);
+    if (blocked) {
+        say(world, 'Something is in the way of the door.', 'warn');
+        return false;
+    }
+    setDoorState(door, 'closed', world.map);
+    logger.info(`Closed ${door.id} at (${door.x}, ${door.y})`);
+    say(world, 'You close the door.');
+    refreshSight(world);
+    return true;
+}
+
+/**
+ * Open (or unlock) a shut door next to the player; if there is none, close an open one
+ * @param {World} world - World with the player, map and static objects
+ * @returns {boolean} - True if a door was opened or closed
+ */
+export function openOrCloseAdjacentDoor(world) {
+    const { x, y } = world.player;
+    const adjacent = NEIGHBOURS
+        .map(([dx, dy]) => getDoorAt(world.staticObjects, x + dx, y + dy))
+        .filter(Boolean);
+
+    // A door that will give (closed, or locked with the key at hand) goes before one that won't
+    const hasKey = !!findInventoryItem(DOOR_KEY_ITEM);
+    const shut = adjacent.find(door => door.state === 'closed' || (door.state === 'locked' && hasKey)) ||
+        adjacent.find(door => door.state === 'locked');
+    if (shut) {
+        return openDoor(shut, world);
+    }
+    if (adjacent.length > 0) {
+        return closeDoor(adjacent[0], world);
+    }
+    say(world, 'There is no door next to you.', 'warn');
+    return false;
+}
@@ -0,0 +1,126 @@
+import { findFreeTile, pickupEntityWithTileRestore } from './placement.js';
+import { EQUIPMENT, getLootTable } from '../content/equipment.js';
+import { addToInventory } from '../systems/gameState.js';
+import { refreshInventoryDisplay } from '../ui/overlays/inventory.js';
+import { Events } from '../systems/eventBus.js';
+import * as logger from '../systems/logger.js';
+
+// TUNABLE: How many pieces of equipment to spawn per level
+export const EQUIPMENT_PER_LEVEL = 1;
+
+// Weapons and armor lying on the floor; picked up into the inventory and equipped from there
+
+/**
+ * Pick an item from a weighted loot table
+ * @param {Array<{item:string,weight:number}>} lootTable
+ * @returns {string} - Item id (key in EQUIPMENT)
+ */
+export function selectFromLootTable(lootTable) {
+    const totalWeight = lootTable.reduce((sum, entry) => sum + entry.weight, 0);
+    let random = ROT.RNG.getUniform() * totalWeight;
+
+    for (const entry of lootTable) {
+        random -= entry.weight;
+        if (random <= 0) {
+            return entry.item;
+        }
+    }
+    return lootTable[0].item;
+}
+
+/**
+ * Create equipment from the level's loot table, placed on free tiles
+ * @param {Object} map
+ * @param {number} MAP_WIDTH
+ * @param {number} MAP_HEIGHT
+ * @param {Object} player
+ * @param {Array} existingEntities - Entities to avoid when placing
+ * @param {number} count - How many to create
+ * @param {number} levelNumber - Level the equipment belongs to (picks the loot table, keeps ids stable)
+ * @returns {Array} equipment entities
+ */
+export function createEquipment(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities = [], count = EQUIPMENT_PER_LEVEL, levelNumber = 1) {
+    const items = [];
+    const lootTable = getLootTable(levelNumber);
+
+    for (let i = 0; i < count; i++) {
+        try {
+            const itemId = selectFromLootTable(lootTable);
+            const { x, y } = findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, [...existingEntities, ...items]);
+            items.push(createEquipmentItem(map, itemId, x, y, levelNumber, `${itemId}_L${levelNumber}_${i}`));
+        } catch (error) {
+            logger.error(`Failed to create equipment: ${error.message}`, error);
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Create a single piece of equipment lying at a position
+ * @param {Object} map - Level map (the tile underneath is kept for when it is picked up)
+ * @param {string} itemId - Key in EQUIPMENT
+ * @param {number} x
+ * @param {number} y
+ * @param {number} levelNumber - Level it lies on
+ * @param {string} id - Id of the equipment entity
+ * @returns {Object} equipment entity
+ */
+export function createEquipmentItem(map, itemId, x, y, levelNumber, id) {
+    const definition = EQUIPMENT[itemId];
+    return {
+        id,
+        type: 'equipment',
+        itemId,
+        title: definition.title,
+        description: definition.description,
+        symbol: definition.symbol,
+        color: definition.color,
+        x,
+        y,
+        pickedUp: false,
+        levelNumber,
+        underTile: JSON.parse(JSON.stringify(map[x][y]))
+    };
+}
+
+/**
+ * Show interaction hint when standing on equipment
+ */
+export function checkEquipmentInteraction(x, y, staticObjects, messageBus = null) {
+    const item = staticObjects.find(obj => obj.type === 'equipment' && obj.x === x && obj.y === y && !obj.pickedUp);
+    if (item && messageBus) {
+        messageBus.emit(Events.MESSAGE_TYPED, { text: `A ${item.title} lies here. Press 'G' to pick it up.`, type: 'system' });
+    }
+    return item || null;
+}
+
+/**
+ * Pick up the equipment at the given position into the inventory
+ * @returns {boolean} - True if something was picked up
+ */
+export function tryPickupEquipment(x, y, staticObjects, map, world = null) {
+    const item = staticObjects.find(obj => obj.type === 'equipment' && obj.x === x && obj.y === y && !obj.pickedUp);
+    if (!item) {
+        return false;
+    }
+
+    item.pickedUp = true;
+    pickupEntityWithTileRestore(map, item.x, item.y, item.underTile);
+    addToInventory({
+        id: item.id,
+        type: 'equipment',
+        itemId: item.itemId,
+        title: item.title,
+        description: item.description,
+        levelNumber: item.levelNumber
+    });
+    logger.info(`Picked up ${item.title}`);
+
+    if (world && world.messageBus) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You pick up the ${item.title}. Open the inventory (I) to equip it.`, type: 'loot' });
+        world.requestRedraw();
+    }
+    refreshInventoryDisplay();
+    return true;
+}
@@ -1,12 +1,12 @@
 import { findFreeTile, pickupEntityWithTileRestore } from './placement.js';
+import { ITEMS } from '../content/items.js';
+import { addToInventory } from '../systems/gameState.js';
+import { refreshInventoryDisplay } from '../ui/overlays/inventory.js';
 import { Events } from '../systems/eventBus.js';
 import * as logger from '../systems/logger.js';
 
-// TUNABLE: How much HP a single health potion restores
-// Increase/decrease to change the potency of health potions
-export const HEALTH_POTION_HEAL_AMOUNT = 5;
-
-// Simple health potion entity and helpers
+// Health potions lying on the floor; picked up into the inventory and drunk from there
+// (how much they heal is set in ITEMS.health_potion)
 
 /**
  * Create one or more health potions placed on free tiles
@@ -16,9 +16,10 @@ export const HEALTH_POTION_HEAL_AMOUNT = 5;
  * @param {Object} player
  * @param {Array} existingEntities - Entities to avoid when placing
  * @param {number} count - How many to create
+ * @param {number} levelNumber - Level the potions belong to (keeps ids stable across replays)
  * @returns {Array} health potion entities
  */
-export function createHealthPotions(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities = [], count = 1) {
+export function createHealthPotions(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities = [], count = 1, levelNumber = 1) {
     const potions = [];
 
     for (let i = 0; i < count; i++) {
@@ -27,16 +28,16 @@ export function createHealthPotions(map, MAP_WIDTH, MAP_HEIGHT, player, existing
             const underTile = JSON.parse(JSON.stringify(map[x][y]));
 
             potions.push({
-                id: `health_potion_${Date.now()}_${i}`,
+                id: `health_potion_L${levelNumber}_${i}`,
                 type: 'health_potion',
-                title: 'Health Potion',
-                description: 'A small glass vial of vivid red liquid. Drinking it restores health.',
-                symbol: '!',
-                color: '#FF0000',
+                title: ITEMS.health_potion.title,
+                description: ITEMS.health_potion.description,
+                symbol: ITEMS.health_potion.symbol,
+                color: ITEMS.health_potion.color,
                 x,
                 y,
                 pickedUp: false,
-                levelNumber: 1,
+                levelNumber,
                 underTile
             });
         } catch (error) {
@@ -51,9 +52,9 @@ export function createHealthPotions(map, MAP_WIDTH, MAP_HEIGHT, player, existing
  * Show interaction hint when standing on a potion
  */
 export function checkHealthPotionInteraction(x, y, potions, messageBus = null) {
-    const potion = potions.find(p => p.x === x && p.y === y && !p.pickedUp);
+    const potion = potions.find(p => p.type === 'health_potion' && p.x === x && p.y === y && !p.pickedUp);
     if (potion) {
-        const message = "You see a health potion. Press 'G' to drink it.";
+        const message = "You see a health potion. Press 'G' to pick it up.";
         if (messageBus) {
             messageBus.emit(Events.MESSAGE_TYPED, { text: message, type: 'system' });
         } else {
@@ -65,36 +66,28 @@ export function checkHealthPotionInteraction(x, y, potions, messageBus = null) {
 }
 
 /**
- * Try to pick up/drink a potion at the given position. Heals the player immediately.
+ * Try to pick up a potion at the given position into the inventory, to drink when it's needed
+ * @returns {boolean} - True if a potion was picked up
  */
-export function tryPickupHealthPotion(x, y, potions, map, MAP_WIDTH, MAP_HEIGHT, player, world = null) {
-    const potion = potions.find(p => p.x === x && p.y === y && !p.pickedUp);
+export function tryPickupHealthPotion(x, y, potions, map, world = null) {
+    const potion = potions.find(p => p.type === 'health_potion' && p.x === x && p.y === y && !p.pickedUp);
     if (!potion) return false;
 
-    try {
-        potion.pickedUp = true;
-        pickupEntityWithTileRestore(map, potion.x, potion.y, potion.underTile);
-
-        const before = player?.stats?.hp ?? 0;
-        if (player && player.stats && typeof player.stats.heal === 'function') {
-            player.stats.heal(HEALTH_POTION_HEAL_AMOUNT);
-        }
-        const after = player?.stats?.hp ?? before;
-
-        logger.info(`Drank health potion (+${after - before} HP)`);
+    potion.pickedUp = true;
+    pickupEntityWithTileRestore(map, potion.x, potion.y, potion.underTile);
+    const stack = addToInventory({
+        type: 'consumable',
+        itemId: 'health_potion',
+        title: potion.title,
+        description: potion.description,
+        levelNumber: potion.levelNumber
+    });
+    logger.info(`Picked up health potion (${stack.quantity} carried)`);
 
-        if (world && world.messageBus) {
-            const healed = after - before;
-            const msg = healed > 0 ? `You drink the potion and recover ${healed} HP.` : 'You drink the potion, but feel no different.';
-            world.messageBus.emit(Events.MESSAGE_TYPED, { text: msg, type: healed > 0 ? 'loot' : 'system' });
-            world.requestRedraw();
-        }
-
-        return true;
-    } catch (error) {
-        logger.error(`Failed to drink health potion: ${error.message}`, error);
-        return false;
+    if (world && world.messageBus) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You pick up a health potion (${stack.quantity} carried).`, type: 'loot' });
+        world.requestRedraw();
     }
+    refreshInventoryDisplay();
+    return true;
 }
-
-
@@ -0,0 +1,264 @@
+import { ITEMS, ITEM_LOOT, ARTIFACT_APPEARANCE } from '../content/items.js';
+import { EQUIPMENT, STAT_LABELS } from '../content/equipment.js';
+import { ARTIFACT_MECHANICS } from '../content/artifacts.js';
+import { addToInventory, getCarriedNames } from '../systems/gameState.js';
+import { ensureIdentificationTable, isIdentified, getAppearanceColor, identifyItemKind, findUnidentifiedCarried } from '../systems/identification.js';
+import { afflictNearbyFoes } from '../systems/artifactPowers.js';
+import { findFreeTile } from './placement.js';
+import { selectFromLootTable } from './equipment.js';
+import { refreshInventoryDisplay } from '../ui/overlays/inventory.js';
+import { Events } from '../systems/eventBus.js';
+import * as logger from '../systems/logger.js';
+
+// TUNABLE: How many potions and scrolls (besides health potions) to spawn per level
+export const ITEMS_PER_LEVEL = 2;
+
+// Carried items: what using them does, and how they lie on the floor once dropped or thrown
+
+/**
+ * How a carried item looks on the floor
+ * @param {Object} item - Inventory item
+ * @returns {Object} - {symbol, color}
+ */
+export function getItemAppearance(item) {
+    const definition = ITEMS[item.itemId] || EQUIPMENT[item.itemId];
+    return definition
+        ? { symbol: definition.symbol, color: getAppearanceColor(item) || definition.color }
+        : ARTIFACT_APPEARANCE;
+}
+
+/**
+ * Whether an item can be drunk
+ * @param {Object} item - Inventory item
+ * @returns {boolean}
+ */
+export function isQuaffable(item) {
+    return !!ITEMS[item.itemId]?.quaff;
+}
+
+/**
+ * Whether an item can be read
+ * @param {Object} item - Inventory item
+ * @returns {boolean}
+ */
+export function isReadable(item) {
+    return !!ITEMS[item.itemId]?.read;
+}
+
+/**
+ * Drink an item and apply its effects to the player
+ * The caller takes the item out of the inventory and identifies it.
+ * @param {Object} item - Inventory item (a quaffable ITEMS entry)
+ * @param {Player} player - Player drinking it
+ * @param {World} [world=null] - World for messages
+ * @returns {boolean} - False if the item can't be drunk
+ */
+export function quaffItem(item, player, world = null) {
+    const effects = ITEMS[item.itemId]?.quaff;
+    if (!effects) {
+        return false;
+    }
+
+    let healed = 0;
+    if (effects.heal) {
+        const before = player.stats.hp;
+        player.stats.heal(effects.heal);
+        healed = player.stats.hp - before;
+    }
+    logger.info(`Drank ${item.title} (+${healed} HP)`);
+
+    // Effects that announce themselves (status effects, cures) follow the drinking message
+    const ailments = effects.cure ? player.statusEffects.effects.map(effect => effect.id) : [];
+    const noticeable = effects.effect || ailments.length > 0;
+    if (world && world.messageBus) {
+        let text = `You drink the ${item.title.toLowerCase()}, but feel no different.`;
+        if (healed > 0) {
+            text = `You drink the ${item.title.toLowerCase()} and recover ${healed} HP.`;
+        } else if (noticeable) {
+            text = `You drink the ${item.title.toLowerCase()}.`;
+        }
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: healed > 0 ? 'loot' : 'system' });
+    }
+    if (effects.effect) {
+        player.statusEffects.add(player, effects.effect, effects.turns, world);
+    }
+    for (const id of ailments) {
+        player.statusEffects.remove(player, id, world);
+    }
+    return true;
+}
+
+/**
+ * Read an item and apply its effects
+ * The caller takes the item out of the inventory and identifies it.
+ * @param {Object} item - Inventory item (a readable ITEMS entry)
+ * @param {Player} player - Player reading it
+ * @param {World} world - World for monsters, the current level and messages
+ * @returns {boolean} - False if the item can't be read
+ */
+export function readItem(item, player, world) {
+    const effects = ITEMS[item.itemId]?.read;
+    if (!effects) {
+        return false;
+    }
+    const say = (text, type = 'system') => world.messageBus.emit(Events.MESSAGE_TYPED, { text, type });
+    say(`You read the ${item.title}.`);
+    logger.info(`Read ${item.title}`);
+
+    if (effects.reveal) {
+        world.getCurrentLevelInstance()?.revealLayout(world.MAP_WIDTH, world.MAP_HEIGHT);
+        say("The chamber's layout settles into your mind.", 'loot');
+    }
+    if (effects.identify) {
+        // Reading a scroll identifies it anyway, so it looks for something else
+        const itemId = findUnidentifiedCarried(item.itemId);
+        if (itemId) {
+            identifyItemKind(itemId, world);
+        } else {
+            say('You already know everything you carry.');
+        }
+    }
+    if (effects.effect) {
+        afflictNearbyFoes(player, world, effects.effect, effects.turns, effects.radius);
+    }
+    return true;
+}
+
+/**
+ * Describe a carried item for the examine command
+ * @param {Object} item - Inventory item
+ * @returns {string}
+ */
+export function describeItem(item) {
+    let text = `${item.title || 'Mysterious Artifact'}: ${item.description}`;
+    const modifiers = EQUIPMENT[item.itemId]?.modifiers;
+    if (modifiers) {
+        const parts = Object.entries(modifiers).map(([stat, amount]) => `${amount > 0 ? '+' : ''}${amount} ${STAT_LABELS[stat] || stat}`);
+        text += ` (${parts.join(', ')})`;
+    }
+    const mechanic = ARTIFACT_MECHANICS[item.mechanic];
+    if (mechanic) {
+        text += ` ${mechanic.hint.charAt(0).toUpperCase()}${mechanic.hint.slice(1)}.`;
+    }
+    if (!isIdentified(item)) {
+        text += ' You have not identified it yet.';
+    }
+    if (item.quantity > 1) {
+        text += ` You carry ${item.quantity}.`;
+    }
+    return text;
+}
+
+/**
+ * Create a floor object for an item that was dropped or thrown
+ * @param {Object} item - Inventory item (as taken from the inventory, with its quantity)
+ * @param {number} x - Where it lies
+ * @param {number} y - Where it lies
+ * @param {number} levelNumber - Level it lies on
+ * @param {number} turn - Turn it was dropped on (keeps ids stable across replays)
+ * @returns {Object} - Static object entity carrying the inventory item
+ */
+export function createDroppedItem(item, x, y, levelNumber, turn) {
+    return createFloorItem(item, x, y, levelNumber, `dropped_${item.id}_L${levelNumber}_T${turn}`);
+}
+
+/**
+ * Create a floor object for an item, picked up like a dropped one
+ * @param {Object} item - Inventory item, with its quantity
+ * @param {number} x - Where it lies
+ * @param {number} y - Where it lies
+ * @param {number} levelNumber - Level it lies on
+ * @param {string} id - Id of the floor object
+ * @returns {Object} - Static object entity carrying the inventory item
+ */
+function createFloorItem(item, x, y, levelNumber, id) {
+    const { symbol, color } = getItemAppearance(item);
+    return {
+        id,
+        type: 'dropped_item',
+        item: { ...item },
+        ...getCarriedNames(item),
+        symbol,
+        color,
+        x,
+        y,
+        pickedUp: false,
+        levelNumber
+    };
+}
+
+/**
+ * Create a floor object for a single fresh item from ITEMS
+ * @param {string} itemId - Key in ITEMS
+ * @param {number} x - Where it lies
+ * @param {number} y - Where it lies
+ * @param {number} levelNumber - Level it lies on
+ * @param {string} id - Id of the item (the floor object's id is made from it)
+ * @returns {Object} - Static object entity carrying the item
+ */
+export function createItemOnFloor(itemId, x, y, levelNumber, id) {
+    const { title, description } = ITEMS[itemId];
+    const item = { id, type: 'consumable', itemId, title, description, quantity: 1, levelNumber };
+    return createFloorItem(item, x, y, levelNumber, `item_${id}`);
+}
+
+/**
+ * Create potions and scrolls from ITEM_LOOT, placed on free tiles
+ * @param {Object} map
+ * @param {number} MAP_WIDTH
+ * @param {number} MAP_HEIGHT
+ * @param {Object} player
+ * @param {Array} existingEntities - Entities to avoid when placing
+ * @param {number} count - How many to create
+ * @param {number} levelNumber - Level the items belong to (keeps ids stable across replays)
+ * @returns {Array} floor item entities
+ */
+export function createFloorItems(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities = [], count = ITEMS_PER_LEVEL, levelNumber = 1) {
+    // Unidentified items are named after the appearances dealt for the run
+    ensureIdentificationTable();
+    const items = [];
+
+    for (let i = 0; i < count; i++) {
+        try {
+            const itemId = selectFromLootTable(ITEM_LOOT);
+            const { x, y } = findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, [...existingEntities, ...items]);
+            items.push(createItemOnFloor(itemId, x, y, levelNumber, `${itemId}_L${levelNumber}_${i}`));
+        } catch (error) {
+            logger.error(`Failed to create floor item: ${error.message}`, error);
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Show interaction hint when standing on dropped items
+ */
+export function checkDroppedItemInteraction(x, y, staticObjects, messageBus = null) {
+    const dropped = staticObjects.find(obj => obj.type === 'dropped_item' && obj.x === x && obj.y === y && !obj.pickedUp);
+    if (dropped && messageBus) {
+        const { title } = getCarriedNames(dropped.item);
+        messageBus.emit(Events.MESSAGE_TYPED, { text: `The ${title} lies here. Press 'G' to pick it up.`, type: 'system' });
+    }
+    return dropped || null;
+}
+
+/**
+ * Pick up every dropped item at the given position back into the inventory
+ * @returns {number} - Number of floor objects picked up
+ */
+export function tryPickupDroppedItems(x, y, staticObjects, world = null) {
+    const droppedItems = staticObjects.filter(obj => obj.type === 'dropped_item' && obj.x === x && obj.y === y && !obj.pickedUp);
+    for (const dropped of droppedItems) {
+        dropped.pickedUp = true;
+        const { title } = addToInventory(dropped.item);
+        logger.info(`Picked up ${title}`);
+        if (world && world.messageBus) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You pick up the ${title}.`, type: 'loot' });
+        }
+    }
+    if (droppedItems.length > 0) {
+        refreshInventoryDisplay();
+    }
+    return droppedItems.length;
+}
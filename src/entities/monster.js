@@ -13,6 +13,7 @@ export class Monster extends Actor {
         this.name = 'Monster';
         this.speed = 1.0;
         this.tags = [];
+        this.onHitEffects = []; // [{effect, chance, turns}] inflicted when its attacks land
         
         // Combat stats (defaults, usually overridden by factory)
         this.stats = new Stats(3, 1, 0); // HP=3, Power=1, Defense=0
@@ -40,16 +41,14 @@ export class Monster extends Actor {
     }
     
     /**
-     * Determine if we have line-of-sight to a target. Prefer a world-provided
-     * implementation. If none exists, fall back to "assume yes" so this
-     * method is non-breaking until LOS is implemented in the world.
+     * Determine if we have line-of-sight to a target, as traced by the world
+     * A monster without a world (e.g. not yet placed) sees nothing.
      */
     hasLOS(world, target) {
-        if (world && typeof world.hasLOS === 'function') {
-            return world.hasLOS(this.x, this.y, target.x, target.y);
+        if (!world) {
+            return false;
         }
-        // Fallback keeps current behavior (no LOS blocking) until provided.
-        return true;
+        return world.hasLOS(this.x, this.y, target.x, target.y);
     }
 
     /**
@@ -72,7 +71,15 @@ export class Monster extends Actor {
         return result;
     }
     
-
+    /**
+     * Hear a noise that reached this monster's tile (see World.makeNoise)
+     * @param {Object} noise - {x, y, strength} where the sound came from and how loud it still was
+     */
+    hearNoise(noise) {
+        if (this.brain && this.stats.isAlive()) {
+            this.brain.onNoise(this, noise);
+        }
+    }
     
     /**
      * Check if the monster can move to a specific position
@@ -109,7 +116,7 @@ export class Monster extends Actor {
      * @returns {number} - The monster's speed
      */
     getSpeed() {
-        return this.speed;
+        return this.speed * this.statusEffects.getSpeedMultiplier();
     }
     
     /**
@@ -145,6 +152,8 @@ export class Monster extends Actor {
             faction: this.faction,
             speed: this.speed,
             tags: [...this.tags],
+            onHitEffects: this.onHitEffects.map(onHit => ({ ...onHit })),
+            statusEffects: this.statusEffects.serialize(),
             brainType: this.brain ? this.brain.name : 'base',
             perceptionRadius: this.perceptionRadius,
             isChasing: this.isChasing,
@@ -173,11 +182,15 @@ export class Monster extends Actor {
         if (data.faction !== undefined) this.faction = data.faction;
         if (data.speed !== undefined) this.speed = data.speed;
         if (data.tags !== undefined) this.tags = [...data.tags];
+        if (data.onHitEffects !== undefined) this.onHitEffects = data.onHitEffects.map(onHit => ({ ...onHit }));
         
         // Restore combat stats
         if (data.stats) {
             this.stats.deserialize(data.stats);
         }
+        if (data.statusEffects !== undefined) {
+            this.statusEffects.deserialize(data.statusEffects);
+        }
         
         // Restore brain
         if (data.brainType) {
@@ -30,11 +30,13 @@ export class MonsterFactory {
         // Apply template properties
         monster.typeId = typeId;
         monster.name = template.name;
-        monster.stats = new Stats(template.stats.hp, template.stats.pow, template.stats.def);
+        const { hp, pow, def, accuracy, evasion } = template.stats;
+        monster.stats = new Stats(hp, pow, def, accuracy, evasion);
         monster.faction = Faction.ENEMY; // All monsters are enemies for now
         monster.perceptionRadius = template.perception;
         monster.speed = template.speed;
         monster.tags = [...(template.tags || [])];
+        monster.onHitEffects = (template.onHit || []).map(onHit => ({ ...onHit }));
         
         // Create and assign the AI brain
         monster.brain = createBrain(template.ai);
@@ -56,7 +58,7 @@ export class MonsterFactory {
      */
     static createRandom(x, y) {
         const types = Object.keys(MONSTERS);
-        const randomType = types[Math.floor(Math.random() * types.length)];
+        const randomType = types[Math.floor(ROT.RNG.getUniform() * types.length)];
         return MonsterFactory.create(randomType, x, y);
     }
 
@@ -135,7 +137,7 @@ export class MonsterFactory {
      */
     static selectFromSpawnTable(spawnTable) {
         const totalWeight = spawnTable.reduce((sum, entry) => sum + entry.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = ROT.RNG.getUniform() * totalWeight;
         
         for (const entry of spawnTable) {
             random -= entry.weight;
@@ -8,8 +8,8 @@ export function findRandomFloorPosition(map, MAP_WIDTH, MAP_HEIGHT, player, avoi
     const maxAttempts = 100; // Prevent infinite loops
     
     while (!placed && attempts < maxAttempts) {
-        x = 1 + Math.floor(Math.random() * (MAP_WIDTH - 2));
-        y = 1 + Math.floor(Math.random() * (MAP_HEIGHT - 2));
+        x = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_WIDTH - 2));
+        y = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_HEIGHT - 2));
         
         // Check if position is passable and not occupied by player or other entities
         const tile = map[x][y];
@@ -63,8 +63,8 @@ export function findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, entities = [])
     });
     
     while (!placed && attempts < maxAttempts) {
-        x = 1 + Math.floor(Math.random() * (MAP_WIDTH - 2));
-        y = 1 + Math.floor(Math.random() * (MAP_HEIGHT - 2));
+        x = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_WIDTH - 2));
+        y = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_HEIGHT - 2));
         
         // Check if position is passable and not occupied by any entity
         const tile = map[x][y];
@@ -107,6 +107,40 @@ export function findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, entities = [])
     return { x, y };
 }
 
+/**
+ * Find a free tile inside a room of a dungeon level
+ * @param {Object} map - The level tile map
+ * @param {Object} room - Room from the dungeon generator ({left, top, right, bottom}, inclusive)
+ * @param {Object} player - Player entity
+ * @param {Array} entities - Array of entities to avoid
+ * @returns {{x: number, y: number}|null} - Free position, or null if the room is full
+ */
+export function findFreeTileInRoom(map, room, player, entities = []) {
+    const isFree = (x, y) => isTilePassable(map[x][y]) &&
+        !(x === player.x && y === player.y) &&
+        !entities.some(entity => entity && !entity.pickedUp && entity.x === x && entity.y === y);
+
+    const width = room.right - room.left + 1;
+    const height = room.bottom - room.top + 1;
+    for (let attempts = 0; attempts < 20; attempts++) {
+        const x = room.left + Math.floor(ROT.RNG.getUniform() * width);
+        const y = room.top + Math.floor(ROT.RNG.getUniform() * height);
+        if (isFree(x, y)) {
+            return { x, y };
+        }
+    }
+
+    // Crowded room: take the first free tile in it
+    for (let x = room.left; x <= room.right; x++) {
+        for (let y = room.top; y <= room.bottom; y++) {
+            if (isFree(x, y)) {
+                return { x, y };
+            }
+        }
+    }
+    return null;
+}
+
 /**
  * Generic entity pickup that restores the original tile
  * Used when entities are picked up to restore the floor tile underneath
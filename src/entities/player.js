@@ -1,8 +1,28 @@
 import { Actor, TurnResult } from './actor.js';
 import { Stats } from '../combat/stats.js';
 import { Faction } from '../combat/factions.js';
+import { STARTING_THROWING_DAGGERS } from './throwingDagger.js';
+import { getLevelForXp, getXpForLevel, LEVEL_UP_CHOICES } from '../systems/experience.js';
+import { EQUIPMENT, EQUIPMENT_SLOTS } from '../content/equipment.js';
+import { getCarriedArtifactBonuses } from '../systems/artifactPowers.js';
 import * as logger from '../systems/logger.js';
 
+/**
+ * Stats every run starts with
+ * @returns {Stats}
+ */
+function createStartingStats() {
+    return new Stats(10, 2, 0, 80, 10); // HP=10, Power=2, Defense=0, Accuracy=80, Evasion=10
+}
+
+/**
+ * Equipment slots with nothing in them
+ * @returns {Object} - {weapon: null, shield: null, armor: null}
+ */
+function createEmptyEquipment() {
+    return Object.fromEntries(Object.keys(EQUIPMENT_SLOTS).map(slot => [slot, null]));
+}
+
 export class Player extends Actor {
     constructor(x, y, visionRadius = 3) {
         super(x, y, '@', '#fff');
@@ -11,11 +31,133 @@ export class Player extends Actor {
         this._world = null;
         
         // Combat stats
-        this.stats = new Stats(10, 2, 0); // HP=10, Power=2, Defense=0
+        this.stats = createStartingStats();
         this.faction = Faction.PLAYER;
         
         // Vision properties (radius only - visibility state moved to Room)
         this.visionRadius = visionRadius;
+        this.startingVisionRadius = visionRadius;
+        
+        // Daggers carried for throwing (see ThrowAction)
+        this.throwingDaggers = STARTING_THROWING_DAGGERS;
+        
+        // Experience (see systems/experience.js)
+        this.xp = 0;
+        this.characterLevel = 1;
+        this.pendingLevelUps = 0; // Level-ups earned but not yet spent
+        
+        // Equipped items by slot: {id, itemId} of an inventory item, or null
+        this.equipment = createEmptyEquipment();
+    }
+
+    /**
+     * Put the player back in the state a new run starts in
+     */
+    resetForNewRun() {
+        this.statusEffects.clear(this);
+        this.stats = createStartingStats();
+        this.visionRadius = this.startingVisionRadius;
+        this.throwingDaggers = STARTING_THROWING_DAGGERS;
+        this.xp = 0;
+        this.characterLevel = 1;
+        this.pendingLevelUps = 0;
+        this.equipment = createEmptyEquipment();
+    }
+
+    /**
+     * Equip an item, replacing whatever was in its slot
+     * @param {Object} item - Inventory item with id and itemId (key in EQUIPMENT)
+     * @returns {Object|null} - {slot, replaced} where replaced is the item taken off, or null if it can't be equipped
+     */
+    equip(item) {
+        const definition = EQUIPMENT[item.itemId];
+        if (!definition) {
+            return null;
+        }
+        const replaced = this.equipment[definition.slot];
+        this.equipment[definition.slot] = { id: item.id, itemId: item.itemId };
+        return { slot: definition.slot, replaced };
+    }
+
+    /**
+     * Take off whatever is in a slot
+     * @param {string} slot - Key in EQUIPMENT_SLOTS
+     * @returns {Object|null} - The item taken off, or null if the slot was empty
+     */
+    unequip(slot) {
+        const item = this.equipment[slot] || null;
+        if (item) {
+            this.equipment[slot] = null;
+        }
+        return item;
+    }
+
+    /**
+     * Check whether an inventory item is equipped
+     * @param {string} id - Inventory item id
+     * @returns {boolean}
+     */
+    isEquipped(id) {
+        return Object.values(this.equipment).some(item => item && item.id === id);
+    }
+
+    /**
+     * Stats with the modifiers of everything equipped, the passive powers of carried artifacts
+     * and any status effects
+     * @returns {Object} - Copy of the stat values; damage still goes to this.stats
+     */
+    getEffectiveStats() {
+        const effective = { ...this.stats };
+        const modifierSets = Object.values(this.equipment).map(item => item ? EQUIPMENT[item.itemId]?.modifiers : null);
+        modifierSets.push(getCarriedArtifactBonuses());
+        for (const modifiers of modifierSets) {
+            for (const [stat, amount] of Object.entries(modifiers || {})) {
+                if (stat in effective) {
+                    effective[stat] += amount;
+                }
+            }
+        }
+        return this.statusEffects.applyStatModifiers(effective);
+    }
+
+    /**
+     * Earn experience, gaining character levels as thresholds are passed
+     * @param {number} amount - XP earned
+     * @returns {number} - Number of levels gained (each one is a pending level-up)
+     */
+    gainXp(amount) {
+        this.xp += amount;
+        const level = getLevelForXp(this.xp);
+        const gained = level - this.characterLevel;
+        if (gained > 0) {
+            this.characterLevel = level;
+            this.pendingLevelUps += gained;
+            logger.info(`Player reached level ${level} (${this.xp} XP)`);
+        }
+        return Math.max(0, gained);
+    }
+
+    /**
+     * XP still needed for the next character level
+     * @returns {number}
+     */
+    getXpToNextLevel() {
+        return getXpForLevel(this.characterLevel + 1) - this.xp;
+    }
+
+    /**
+     * Spend a pending level-up
+     * @param {string} choice - Key in LEVEL_UP_CHOICES
+     * @returns {boolean} - False if there is no level-up to spend or the choice is unknown
+     */
+    applyLevelUp(choice) {
+        const levelUp = LEVEL_UP_CHOICES[choice];
+        if (this.pendingLevelUps <= 0 || !levelUp) {
+            return false;
+        }
+        levelUp.apply(this);
+        this.pendingLevelUps--;
+        return true;
     }
 
     /**
@@ -29,17 +171,19 @@ export class Player extends Actor {
 
     /**
      * Get the current vision radius
+     * Carried artifacts that glow add to it.
      * @returns {number} - The current vision radius
      */
     getVisionRadius() {
+        const bonus = getCarriedArtifactBonuses().visionRadius || 0;
         // Check for per-room vision settings from world if available
         if (this._world && this._world.getRoomVisionRadius) {
             const roomRadius = this._world.getRoomVisionRadius();
             if (roomRadius !== null) {
-                return roomRadius;
+                return roomRadius + bonus;
             }
         }
-        return this.visionRadius;
+        return this.visionRadius + bonus;
     }
 
     /**
@@ -132,7 +276,7 @@ export class Player extends Actor {
      * @returns {number} - The player's speed
      */
     getSpeed() {
-        return 1; // Slightly higher than monsters to ensure turn priority
+        return 1 * this.statusEffects.getSpeedMultiplier(); // Slightly higher than monsters to ensure turn priority
     }
 
     /**
@@ -154,7 +298,13 @@ export class Player extends Actor {
             type: 'player',
             visionRadius: this.visionRadius,
             stats: this.stats.serialize(),
-            faction: this.faction
+            faction: this.faction,
+            throwingDaggers: this.throwingDaggers,
+            statusEffects: this.statusEffects.serialize(),
+            xp: this.xp,
+            characterLevel: this.characterLevel,
+            pendingLevelUps: this.pendingLevelUps,
+            equipment: { ...this.equipment }
             // Note: visibility is now stored in Level objects
         };
     }
@@ -175,6 +325,16 @@ export class Player extends Actor {
         if (data.faction !== undefined) {
             this.faction = data.faction;
         }
+        if (data.throwingDaggers !== undefined) {
+            this.throwingDaggers = data.throwingDaggers;
+        }
+        if (data.statusEffects !== undefined) {
+            this.statusEffects.deserialize(data.statusEffects);
+        }
+        if (data.xp !== undefined) this.xp = data.xp;
+        if (data.characterLevel !== undefined) this.characterLevel = data.characterLevel;
+        if (data.pendingLevelUps !== undefined) this.pendingLevelUps = data.pendingLevelUps;
+        if (data.equipment !== undefined) this.equipment = { ...createEmptyEquipment(), ...data.equipment };
 
     }
 
@@ -1,5 +1,8 @@
 // Portal entity and interaction logic
 
+// Glyph the portal is drawn with (nothing else on the map may use it)
+export const PORTAL_SYMBOL = '+';
+
 export function createPortal(map, x, y) {
     return {
         x: x,
@@ -8,6 +11,15 @@ export function createPortal(map, x, y) {
     };
 }
 
+// Up-stairs lead back to the previous chamber; they sit where the player arrives
+export function createUpStairs(x, y) {
+    return {
+        x: x,
+        y: y,
+        type: 'upStairs'
+    };
+}
+
 export function checkPortalInteraction(playerX, playerY, portal) {
     // Only check if player is actually at the portal position
     return playerX === portal.x && playerY === portal.y;
@@ -7,6 +7,7 @@ import { refreshInventoryDisplay } from '../ui/overlays/inventory.js';
 import { getTileContextDescription } from '../tiles/index.js';
 import * as logger from '../systems/logger.js';
 import { ensureWaitingMessage } from '../systems/systemMessages.js';
+import { getRunSeed, deriveSeed } from '../systems/rng.js';
 import {
     PROMPT_TEMPLATES,
     ARTIFACT_MATERIALS,
@@ -17,8 +18,10 @@ import {
     EXAMPLE_ARTIFACTS,
     UI_MESSAGES,
     DEBUG_ARTIFACT,
+    ARTIFACT_MECHANICS,
     getAllWeirdnessModifiers
 } from '../content/artifacts.js';
+import { chooseArtifactMechanic } from '../systems/artifactPowers.js';
 
 // LLM enable/disable is now controlled through settings
 
@@ -41,6 +44,7 @@ function buildArtifactXML(procSeed, position, proximity, environmentDetail, tile
   <proximity>${proximity}</proximity>
   <environment>${environmentDetail}</environment>
   <power_hint>${procSeed.power}</power_hint>
+  <mechanic>${procSeed.mechanicHint}</mechanic>
   <themes>${themes || ''}</themes>
   <weirdness_hint>${weirdnessHint || ''}</weirdness_hint>
 </artifact>`;
@@ -158,7 +162,8 @@ function analyzeEnvironmentalContext(x, y, map, MAP_WIDTH, MAP_HEIGHT) {
 }
 
 function buildProcgenArtifact(x, y, MAP_WIDTH, MAP_HEIGHT, levelNumber, underTile, map) {
-    const seedStr = `L${levelNumber}:${x},${y}`;
+    // Prefix with the run seed so artifacts vary between runs but replay within one
+    const seedStr = `R${getRunSeed()}:L${levelNumber}:${x},${y}`;
     const rng = rngFromSeed(seedStr);
 
     // Position + environment context (reuse existing helpers)
@@ -215,6 +220,9 @@ function buildProcgenArtifact(x, y, MAP_WIDTH, MAP_HEIGHT, levelNumber, underTil
     const environmentNoun = tileType ? tileType : "ground";
     const finishPart = finishB ? `${finishA} and ${finishB}` : finishA;
 
+    // The gameplay power follows from the traits, so the description can be asked to convey it
+    const mechanic = chooseArtifactMechanic({ power, weirdnessHint, seedStr });
+
     const sentence1 = `A ${adj} ${material} ${form}, ${finishPart}, worked with ${motif}, lies ${position}.`;
     const sentence2 = `${proximity} When handled near the ${environmentNoun}, it ${power}.`;
 
@@ -232,6 +240,8 @@ function buildProcgenArtifact(x, y, MAP_WIDTH, MAP_HEIGHT, levelNumber, underTil
         power,
         title,
         weirdnessHint,
+        mechanic,
+        mechanicHint: ARTIFACT_MECHANICS[mechanic].hint,
         fallbackText: `${sentence1} ${sentence2}`
     };
 }
@@ -329,8 +339,9 @@ function generateFallbackArtifactSlots(procSeed) {
     // Placement slot (10-18 words): location + simple positioning
     const placement = `${procSeed.title} rests ${procSeed.position || 'here'}, ${procSeed.material} gleaming faintly`;
 
-    // Effect slot (10-18 words): power hint
-    const effect = `${procSeed.power || 'Its purpose remains unclear, waiting for discovery'}`;
+    // Effect slot (10-18 words): power hint, then what the artifact actually does
+    const power = procSeed.power || 'Its purpose remains unclear, waiting for discovery';
+    const effect = procSeed.mechanicHint ? `${power}; ${procSeed.mechanicHint}` : power;
 
     return { placement, effect };
 }
@@ -363,7 +374,10 @@ export async function generateStoryDetails(x, y, MAP_WIDTH, MAP_HEIGHT, levelNum
     try {
         // Generate JSON with schema enforcement and mode for system prompt
         // Returns {title, placement, effect} slots
-        const result = await generateJson(dynamicPrompt, JsonSchemas.artifact, { mode: 'artifact' });
+        const result = await generateJson(dynamicPrompt, JsonSchemas.artifact, {
+            mode: 'artifact',
+            seed: deriveSeed('artifact', levelNumber, x, y)
+        });
 
         // Extract title and slots from JSON result
         title = result.title || procSeed.title;
@@ -398,18 +412,22 @@ export async function generateStoryDetails(x, y, MAP_WIDTH, MAP_HEIGHT, levelNum
     return { title, description };
 }
 
-export async function createStoryObject(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber = 1, existingEntities = [], world = null) {
+export async function createStoryObject(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber = 1, existingEntities = [], world = null, position = null) {
     try {
-        // Find a free position for the story object
-        const { x, y } = findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities);
+        // Find a free position for the story object, unless placement already chose one
+        const { x, y } = position || findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities);
         
         // Store the original tile for potential restoration (but don't place on map)
         const underTile = JSON.parse(JSON.stringify(map[x][y]));
         
+        // The artifact's power comes from its seeded traits, so it is known before any text is generated
+        const { mechanic } = buildProcgenArtifact(x, y, MAP_WIDTH, MAP_HEIGHT, levelNumber, underTile, map);
+        
         // Create the story object instance
         const storyObject = {
             x: x,
             y: y,
+            mechanic,
             pickedUp: false,
             title: "Mysterious Artifact", // Placeholder title
             description: "Loading...", // Placeholder description
@@ -498,6 +516,7 @@ export async function createStoryObject(map, MAP_WIDTH, MAP_HEIGHT, player, leve
             pickedUp: false,
             title: "Ancient Relic",
             description: "A mysterious object of unknown origin.",
+            mechanic: null,
             levelNumber: levelNumber,
             loading: false,
             underTile: null
@@ -535,7 +554,9 @@ export function tryPickupItem(x, y, storyObject, map, MAP_WIDTH, MAP_HEIGHT, pla
             
             // Add to inventory instead of just tracking artifacts found
             addToInventory({
-                id: `artifact_${Date.now()}`, // Unique ID
+                id: `artifact_L${storyObject.levelNumber}`, // One artifact per level, so stable across replays
+                type: 'artifact',
+                mechanic: storyObject.mechanic ?? null,
                 title: storyObject.title, // Pass the title
                 description: storyObject.description,
                 x: storyObject.x,
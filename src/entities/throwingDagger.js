@@ -0,0 +1,70 @@
+import { Events } from '../systems/eventBus.js';
+import * as logger from '../systems/logger.js';
+
+// TUNABLE: Daggers the player starts each run with
+export const STARTING_THROWING_DAGGERS = 3;
+
+// TUNABLE: How far a dagger can be thrown (tiles along the line of flight)
+export const THROWING_DAGGER_RANGE = 8;
+
+// TUNABLE: Damage a dagger adds to the thrower's power
+export const THROWING_DAGGER_DAMAGE = 1;
+
+// Thrown daggers land on the floor as static objects and can be picked up again
+
+/**
+ * Create a dagger lying on the floor where a throw ended
+ * @param {number} x - Landing x
+ * @param {number} y - Landing y
+ * @param {number} levelNumber - Level it landed on
+ * @param {number} turn - Turn it was thrown on (keeps ids stable across replays)
+ * @returns {Object} - Static object entity
+ */
+export function createDroppedDagger(x, y, levelNumber, turn) {
+    return {
+        id: `throwing_dagger_L${levelNumber}_T${turn}`,
+        type: 'throwing_dagger',
+        title: 'Throwing Dagger',
+        description: 'A short, well-balanced blade. It can be thrown again.',
+        symbol: ')',
+        color: '#B0C4DE',
+        x,
+        y,
+        pickedUp: false,
+        levelNumber
+    };
+}
+
+/**
+ * Show interaction hint when standing on thrown daggers
+ */
+export function checkThrowingDaggerInteraction(x, y, staticObjects, messageBus = null) {
+    const dagger = staticObjects.find(obj => obj.type === 'throwing_dagger' && obj.x === x && obj.y === y && !obj.pickedUp);
+    if (dagger && messageBus) {
+        messageBus.emit(Events.MESSAGE_TYPED, { text: "A throwing dagger lies here. Press 'G' to pick it up.", type: 'system' });
+    }
+    return dagger || null;
+}
+
+/**
+ * Pick up every dagger lying at the given position
+ * @returns {number} - Number of daggers picked up
+ */
+export function tryPickupThrowingDaggers(x, y, staticObjects, player, world = null) {
+    const daggers = staticObjects.filter(obj => obj.type === 'throwing_dagger' && obj.x === x && obj.y === y && !obj.pickedUp);
+    if (daggers.length === 0) {
+        return 0;
+    }
+
+    for (const dagger of daggers) {
+        dagger.pickedUp = true;
+    }
+    player.throwingDaggers += daggers.length;
+    logger.info(`Picked up ${daggers.length} throwing dagger(s), now carrying ${player.throwingDaggers}`);
+
+    if (world && world.messageBus) {
+        const what = daggers.length === 1 ? 'a throwing dagger' : `${daggers.length} throwing daggers`;
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You pick up ${what} (${player.throwingDaggers} carried).`, type: 'loot' });
+    }
+    return daggers.length;
+}
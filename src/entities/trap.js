@@ -0,0 +1,174 @@
+import { findFreeTile } from './placement.js';
+import { TRAPS, TRAP_COUNT, TRAP_SEARCH } from '../content/traps.js';
+import { NOISE } from '../systems/noise.js';
+import { Events } from '../systems/eventBus.js';
+import * as logger from '../systems/logger.js';
+
+// Traps hidden in the floor: found by searching (or waiting), or spotted in torchlight,
+// and set off by stepping on them while they are still hidden
+
+/**
+ * How many traps a level gets
+ * @param {number} levelNumber - Level number
+ * @returns {number}
+ */
+export function getTrapCount(levelNumber) {
+    return Math.min(TRAP_COUNT.max, TRAP_COUNT.base + Math.floor((levelNumber - 1) / TRAP_COUNT.perLevels));
+}
+
+// Pick a trap that can appear on this level, weighted
+function selectTrap(levelNumber) {
+    const candidates = Object.entries(TRAPS).filter(([, trap]) => levelNumber >= trap.minLevel);
+    const totalWeight = candidates.reduce((sum, [, trap]) => sum + trap.weight, 0);
+    let random = ROT.RNG.getUniform() * totalWeight;
+
+    for (const [trapId, trap] of candidates) {
+        random -= trap.weight;
+        if (random <= 0) {
+            return trapId;
+        }
+    }
+    return candidates[0][0];
+}
+
+/**
+ * Create hidden traps placed on free tiles
+ * @param {Object} map
+ * @param {number} MAP_WIDTH
+ * @param {number} MAP_HEIGHT
+ * @param {Object} player
+ * @param {Array} existingEntities - Entities to avoid when placing
+ * @param {number} count - How many to create
+ * @param {number} levelNumber - Level the traps belong to (picks the traps, keeps ids stable)
+ * @returns {Array} trap entities
+ */
+export function createTraps(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities = [], count = getTrapCount(1), levelNumber = 1) {
+    const traps = [];
+
+    for (let i = 0; i < count; i++) {
+        try {
+            const trapId = selectTrap(levelNumber);
+            const { title, symbol, color } = TRAPS[trapId];
+            const { x, y } = findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, [...existingEntities, ...traps]);
+
+            traps.push({
+                id: `trap_L${levelNumber}_${i}`,
+                type: 'trap',
+                trapId,
+                title,
+                symbol,
+                color,
+                x,
+                y,
+                hidden: true,
+                spent: false,
+                pickedUp: false, // never picked up; kept so placement and rendering treat it like other objects
+                levelNumber
+            });
+        } catch (error) {
+            logger.error(`Failed to create trap: ${error.message}`, error);
+        }
+    }
+
+    return traps;
+}
+
+// Show a trap and tell the player how it was found
+function discoverTrap(trap, how, world) {
+    trap.hidden = false;
+    logger.info(`Found ${trap.trapId} at (${trap.x}, ${trap.y}) by ${how}`);
+    if (world && world.messageBus) {
+        const text = how === 'light'
+            ? `Light glints off a ${trap.title} in the floor.`
+            : `You find a ${trap.title}!`;
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'system' });
+    }
+}
+
+/**
+ * Look for hidden traps around a position
+ * @param {World} world - World whose static objects are searched
+ * @param {number} x - Where the search is made
+ * @param {number} y - Where the search is made
+ * @param {'search'|'wait'} [thoroughness='search'] - Key in TRAP_SEARCH
+ * @returns {number} - Number of traps found
+ */
+export function searchForTraps(world, x, y, thoroughness = 'search') {
+    const { radius, chance } = TRAP_SEARCH[thoroughness];
+    let found = 0;
+    for (const trap of world.staticObjects) {
+        if (trap.type !== 'trap' || !trap.hidden ||
+            Math.max(Math.abs(trap.x - x), Math.abs(trap.y - y)) > radius) {
+            continue;
+        }
+        if (ROT.RNG.getUniform() < chance) {
+            discoverTrap(trap, 'search', world);
+            found++;
+        }
+    }
+    return found;
+}
+
+/**
+ * Reveal hidden traps the player can see that lie inside a light source's radius
+ * @param {World} world - World with the current level's light sources and visibility
+ * @returns {number} - Number of traps revealed
+ */
+export function revealLitTraps(world) {
+    const level = world.getCurrentLevelInstance();
+    if (!level) {
+        return 0;
+    }
+    const lights = level.getLightSources();
+    let revealed = 0;
+    for (const trap of world.staticObjects) {
+        if (trap.type !== 'trap' || !trap.hidden || !level.isVisible(trap.x, trap.y)) {
+            continue;
+        }
+        const lit = lights.some(light => Math.hypot(light.x - trap.x, light.y - trap.y) <= light.radius);
+        if (lit) {
+            discoverTrap(trap, 'light', world);
+            revealed++;
+        }
+    }
+    return revealed;
+}
+
+/**
+ * Set off a hidden trap the player steps on (known traps are stepped around)
+ * @param {number} x - Tile being stepped on
+ * @param {number} y - Tile being stepped on
+ * @param {World} world - World for the player, noise and messages
+ * @returns {Object|null} - The trap that went off, if any
+ */
+export function checkTrapInteraction(x, y, world) {
+    const trap = world.staticObjects.find(obj => obj.type === 'trap' && obj.x === x && obj.y === y && !obj.spent);
+    if (!trap) {
+        return null;
+    }
+    if (!trap.hidden) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You step carefully around the ${trap.title}.`, type: 'system' });
+        return null;
+    }
+
+    const definition = TRAPS[trap.trapId];
+    const player = world.player;
+    trap.hidden = false;
+    if (definition.singleUse) {
+        trap.spent = true;
+        trap.symbol = definition.spentSymbol || trap.symbol;
+    }
+    logger.info(`Triggered ${trap.trapId} at (${x}, ${y})`);
+    world.messageBus.emit(Events.MESSAGE_TYPED, { text: definition.message, type: 'combat' });
+    world.makeNoise(x, y, NOISE.TRAP, player);
+
+    if (definition.damage && player.stats.takeDamage(definition.damage)) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You are killed by a ${trap.title}!`, type: 'combat' });
+        world.messageBus.emit(Events.GAME_OVER);
+        return trap;
+    }
+    if (definition.effect) {
+        player.statusEffects.add(player, definition.effect, definition.turns, world);
+    }
+    return trap;
+}
@@ -1,13 +1,26 @@
 import { initializeGameSystems } from './systems/gameInitialization.js';
 import { initRenderer, render } from './systems/renderer.js';
+import { VIEWPORT_WIDTH, VIEWPORT_HEIGHT } from './systems/camera.js';
 import { setupInput } from './systems/input.js';
 import { Events, getEventBus } from './systems/eventBus.js';
-import { resetTurn } from './systems/gameState.js';
-import { generateLevel } from './levels/levelGeneration.js';
+import { resetGameState, setTurn, getTurn, getGameState, isIronmanRun } from './systems/gameState.js';
+import { setRunSeed, getRunSeed } from './systems/rng.js';
+import { ReplayRecorder, Replayer, validateRecording } from './systems/replay.js';
+import { QUICKSAVE_SLOT, readSaveSlot, writeSaveSlot, quarantineSaveSlot } from './systems/saveSlots.js';
+import { beginRunSaves as beginSavingRun, continueRunSaves, stopRunSaves, getRunSaveSlot, trackAutosave, endRunSavesOnDeath, getLoadRefusal } from './systems/runSaves.js';
+import { SAVE_VERSION, SAVE_INVALID, prepareSaveState } from './systems/saveFormat.js';
+import { serializeSaveState, restoreSaveState } from './systems/saveState.js';
+import { isIronmanEnabled } from './systems/settings.js';
+import { getIpc } from './systems/ipc.js';
+import { loadLevelIntoWorld } from './levels/levelLoader.js';
+import { getCurrentTarget, beginTargeting, endTargeting } from './systems/targeting.js';
+import { LevelUpAction, EquipAction, UnequipAction, QuaffAction, ReadAction, DropAction, ExamineItemAction, InvokeArtifactAction } from './systems/actions.js';
 import { initiateLevelIntroductionSequence } from './systems/levelIntroduction.js';
 import * as logger from './systems/logger.js';
 import { initializeUI } from './ui/index.js';
 import { updateHUD } from './ui/hud.js';
+import { openLevelUp } from './ui/overlays/levelUp.js';
+import { configureInventoryActions } from './ui/overlays/inventory.js';
 
 // Game state
 let map = {};
@@ -16,25 +29,32 @@ let world = null;  // Add world reference
 let storyObject = null;
 let staticObjects = [];
 let portal = null;
+let upStairs = null;
 let currentLevelNumber = 1;
 let display = null;
 let messageBus = null;
 let gameOver = false;
 
-// Constants
-export let MAP_WIDTH = 40;
-export let MAP_HEIGHT = 20;
+// Replay state: every run is recorded from its first turn so deaths can be shared and replayed
+const replayRecorder = new ReplayRecorder();
+let activeReplay = null;
 
 /**
  * Start the game (called from start screen)
+ * @param {Object} options - Start options
+ * @param {number|string} [options.seed] - Run seed to replay; a new one is generated if omitted
+ * @param {string} [options.loadSlot] - Save slot to continue instead of starting a new run
  */
-export async function startGame() {
+export async function startGame(options = {}) {
     // Check if already initialized
     if (display) {
         logger.info('Game already initialized, skipping');
         return;
     }
 
+    // Fix the run seed before anything is generated
+    setRunSeed(options.seed);
+
     // Hide start screen
     const startScreen = document.getElementById('startScreen');
     if (startScreen) {
@@ -47,17 +67,19 @@ export async function startGame() {
         gameContainer.style.display = 'inline-block';
     }
 
-    await init();
+    await init(options);
 }
 
 /**
  * Initialize the game
+ * @param {Object} options - Start options (see startGame)
  */
-async function init() {
+async function init(options = {}) {
     // Create the ROT.js display
+    // The display is a fixed viewport; the renderer scrolls it over larger maps
     display = new ROT.Display({
-        width: MAP_WIDTH,
-        height: MAP_HEIGHT,
+        width: VIEWPORT_WIDTH,
+        height: VIEWPORT_HEIGHT,
         fontSize: 24,
         fontFamily: 'Courier New, monospace'
     });
@@ -76,9 +98,7 @@ async function init() {
         map,
         playerX: 1,
         playerY: 1,
-        currentLevel: 1,
-        MAP_WIDTH,    // Pass MAP dimensions to world
-        MAP_HEIGHT
+        currentLevel: 1
     }, draw);
     
     // Store references
@@ -86,17 +106,47 @@ async function init() {
     player = gameSystemsResult.player;
     messageBus = getEventBus();
     
+    // Portal transitions load chambers through the game so they are drawn and introduced
+    world.setLevelLoader(loadLevel);
+    world.setAutosaveHandler(autosave);
+    
     // Initialize UI modules (overlay manager, HUD, overlays)
     initializeUI({ turnEngine: gameSystemsResult.turnEngine });
 
     // Set up game over event listener
     messageBus.on(Events.GAME_OVER, handleGameOver);
     
-    // Reset turn counter for new game
-    resetTurn();
+    // Level-ups are chosen in an overlay; the choice is queued as a (recorded) action
+    messageBus.on(Events.UI_LEVEL_UP_OPEN, handleLevelUp);
+    
+    // Using items from the inventory overlay goes through (recorded) actions too
+    configureInventoryActions({
+        getEquipment: () => player.equipment,
+        onEquip: (itemId) => world.turnEngine.queuePlayerAction(new EquipAction(itemId)),
+        onUnequip: (slot) => world.turnEngine.queuePlayerAction(new UnequipAction(slot)),
+        onQuaff: (itemId) => world.turnEngine.queuePlayerAction(new QuaffAction(itemId)),
+        onRead: (itemId) => world.turnEngine.queuePlayerAction(new ReadAction(itemId)),
+        onDrop: (itemId) => world.turnEngine.queuePlayerAction(new DropAction(itemId)),
+        onExamine: (itemId) => world.turnEngine.queuePlayerAction(new ExamineItemAction(itemId)),
+        onInvoke: (itemId) => world.turnEngine.queuePlayerAction(new InvokeArtifactAction(itemId)),
+        onThrow: handleThrowItem
+    });
+    
+    // Reset turn counter, inventory and progress for new game
+    resetGameState();
+    
+    // Show the run seed so the run can be shared or reproduced
+    messageBus.emit(Events.MESSAGE_TYPED, { text: `Run seed: ${getRunSeed()}`, type: 'system' });
     
-    // Generate the initial level
-    await loadLevel(1);
+    // Continue the chosen save slot, or generate the initial level of a new run
+    const loaded = options.loadSlot ? await loadGame(options.loadSlot) : false;
+    if (!loaded) {
+        await beginRunSaves();
+        await loadLevel(1);
+        
+        // Record the run from its starting state
+        beginRecording(1);
+    }
     
     // Set up keyboard input
     setupInput();
@@ -135,10 +185,10 @@ function applyResponsiveDisplaySize() {
     const gameHeight = Math.floor((gameWidth / 4) * 3);
 
     // Approx monospace aspect ratio: width ≈ 0.6 of font size
-    const fontSizeByWidth = Math.max(12, Math.floor(gameWidth / (MAP_WIDTH * 0.6)));
+    const fontSizeByWidth = Math.max(12, Math.floor(gameWidth / (VIEWPORT_WIDTH * 0.6)));
     // Allow slightly smaller font for very short heights (e.g., 600px) to keep the right rail within view
     const heightAllowance = window.innerHeight < 640 ? 0.94 : 1.0;
-    const fontSizeByHeight = Math.max(12, Math.floor((gameHeight * heightAllowance) / MAP_HEIGHT));
+    const fontSizeByHeight = Math.max(12, Math.floor((gameHeight * heightAllowance) / VIEWPORT_HEIGHT));
     let fontSize = Math.min(fontSizeByWidth, fontSizeByHeight, 30);
 
     // Snap to steps (avoid blur). Also honor devicePixelRatio.
@@ -151,7 +201,7 @@ function applyResponsiveDisplaySize() {
     try {
         const canvas = display.getContainer();
         if (canvas && canvas instanceof HTMLElement) {
-            const canvasWidth = canvas.clientWidth || (MAP_WIDTH * fontSize * 0.6);
+            const canvasWidth = canvas.clientWidth || (VIEWPORT_WIDTH * fontSize * 0.6);
             const wrapper = document.getElementById('gameContainer');
             if (wrapper) {
                 const wrapperWidth = Math.ceil(canvasWidth);
@@ -165,6 +215,38 @@ function applyResponsiveDisplaySize() {
     } catch {}
 }
 
+/**
+ * Aim an item from the inventory: targeting mode, confirmed like a dagger throw
+ * @param {string} itemId - Inventory item id
+ */
+function handleThrowItem(itemId) {
+    if (gameOver) {
+        return;
+    }
+    if (beginTargeting(world, itemId)) {
+        messageBus.emit(Events.MESSAGE_TYPED, { text: 'Throw it at which monster? Tab to cycle, Enter to throw, Esc to cancel.', type: 'system' });
+        draw();
+    } else {
+        messageBus.emit(Events.MESSAGE_TYPED, { text: 'There is nothing in sight to throw at.', type: 'system' });
+    }
+}
+
+/**
+ * Offer the level-up choice overlay
+ * During a replay the recorded LevelUpAction makes the choice instead.
+ * @param {Object} payload - { level, pending }
+ */
+function handleLevelUp({ level, pending } = {}) {
+    if (activeReplay || gameOver) {
+        return;
+    }
+    openLevelUp({
+        level,
+        pending,
+        onChoose: (choice) => world.turnEngine.queuePlayerAction(new LevelUpAction(choice))
+    });
+}
+
 /**
  * Handle game over state
  */
@@ -181,6 +263,14 @@ function handleGameOver() {
         world.turnEngine.stop();
     }
     
+    // Permadeath: the run's only save can no longer be loaded, and is erased once any in-flight autosave has landed
+    const erasing = endRunSavesOnDeath();
+    if (erasing) {
+        erasing
+            .then(() => messageBus.emit(Events.MESSAGE_TYPED, { text: 'Ironman: this run\'s save has been erased.', type: 'error' }))
+            .catch(error => logger.error('Failed to erase ironman save:', error));
+    }
+    
     // Show game over message with restart instructions
     messageBus.emit(Events.MESSAGE_TYPED, { text: 'GAME OVER! You have died!', type: 'error' });
     
@@ -202,9 +292,29 @@ export function restartGame() {
     logger.info('Restarting game');
     gameOver = false;
     
-    // Reset game state
+    // A restart is a new run with a fresh seed
+    setRunSeed();
+    resetRunState();
+    
+    // Load the first level
+    beginRunSaves().then(() => loadLevel(1)).then(() => {
+        beginRecording(1);
+        
+        // Start the turn engine
+        if (world && world.turnEngine) {
+            world.turnEngine.start();
+        }
+        messageBus.emit(Events.MESSAGE_TYPED, { text: `New game started! Run seed: ${getRunSeed()}`, type: 'system' });
+    });
+}
+
+/**
+ * Reset per-run state so a new run (or a replay) starts from a clean slate
+ * The turn engine is rebuilt so scheduler timing matches a freshly started game
+ */
+function resetRunState() {
     currentLevelNumber = 1;
-    resetTurn();
+    resetGameState();
     
     // Clear the map
     for (let x in map) {
@@ -216,20 +326,140 @@ export function restartGame() {
         world.clearAllLevels();
     }
     
-    // Reset player health and position
+    // Reset player stats, experience and position
     if (player) {
-        player.stats.hp = player.stats.maxHp;
-        player.setPosition(Math.floor(MAP_WIDTH / 2), MAP_HEIGHT - 2);
+        player.resetForNewRun();
+        player.setPosition(Math.floor(world.MAP_WIDTH / 2), world.MAP_HEIGHT - 2);
     }
     
-    // Load the first level
-    loadLevel(1).then(() => {
-        // Start the turn engine
-        if (world && world.turnEngine) {
-            world.turnEngine.start();
-        }
-        messageBus.emit(Events.MESSAGE_TYPED, { text: 'New game started!', type: 'system' });
-    });
+    // Fresh scheduler with only the player; loadLevel adds the monsters
+    if (world && world.turnEngine && player) {
+        world.turnEngine.reset();
+        world.turnEngine.addActor(player);
+    }
+}
+
+// ===== REPLAYS =====
+
+/**
+ * Start recording the current run from its present state
+ * @param {number} levelNumber - Level the recording starts on
+ */
+function beginRecording(levelNumber) {
+    replayRecorder.begin({ runSeed: getRunSeed(), levelNumber });
+    if (world && world.turnEngine) {
+        world.turnEngine.setRecorder(replayRecorder);
+    }
+}
+
+/**
+ * Stop recording (used when the run can no longer be replayed from its start)
+ */
+function endRecording() {
+    replayRecorder.stop();
+    if (world && world.turnEngine) {
+        world.turnEngine.setRecorder(null);
+    }
+}
+
+/**
+ * Get the recording of the current run so far
+ * @returns {Object|null} - Replay data, or null if the run is not being recorded
+ */
+export function getReplayRecording() {
+    return replayRecorder.getRecording();
+}
+
+/**
+ * Save the current run's recording as a JSON file (e.g. to share a death)
+ * @returns {boolean} - Whether a recording was available to download
+ */
+export function downloadReplay() {
+    const recording = getReplayRecording();
+    if (!recording) {
+        messageBus.emit(Events.MESSAGE_TYPED, { text: 'No replay is being recorded for this run.', type: 'warn' });
+        return false;
+    }
+    
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `roguellmania-replay-${recording.runSeed}-turn${recording.endTurn}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+}
+
+/**
+ * Replay a recorded run in the renderer
+ * Rebuilds the run from its seed, then feeds the recorded actions at the given speed
+ * @param {Object|string} recording - Replay data (object or JSON string)
+ * @param {Object} options
+ * @param {number} options.speed - Actions per second (0 = as fast as possible)
+ * @returns {Promise<Object|null>} - Replay summary, or null if the replay could not start
+ */
+export async function startReplay(recording, { speed = 8 } = {}) {
+    try {
+        const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        validateRecording(data);
+        
+        stopReplay();
+        endRecording();
+        gameOver = false;
+        
+        // A replay is not a run of its own; never let it overwrite a save
+        stopRunSaves();
+        
+        setRunSeed(data.runSeed);
+        resetRunState();
+        await loadLevel(data.startLevel);
+        setTurn(data.startTurn);
+        
+        messageBus.emit(Events.MESSAGE_TYPED, {
+            text: `Replaying run ${data.runSeed} (${data.actions.length} actions). Press Esc to stop.`,
+            type: 'system'
+        });
+        
+        activeReplay = new Replayer(data, { turnEngine: world.turnEngine, world, speed });
+        const summary = await activeReplay.play();
+        activeReplay = null;
+        
+        messageBus.emit(Events.MESSAGE_TYPED, { text: `Replay finished at turn ${summary.finalTurn}.`, type: 'system' });
+        return summary;
+    } catch (error) {
+        activeReplay = null;
+        logger.error('Failed to play replay:', error);
+        messageBus.emit(Events.MESSAGE_TYPED, { text: `Failed to play replay: ${error.message}`, type: 'error' });
+        return null;
+    }
+}
+
+/**
+ * Stop an in-progress replay
+ */
+export function stopReplay() {
+    if (activeReplay) {
+        activeReplay.stop();
+    }
+}
+
+/**
+ * Change the speed of an in-progress replay
+ * @param {number} actionsPerSecond - New playback speed (0 = as fast as possible)
+ */
+export function setReplaySpeed(actionsPerSecond) {
+    if (activeReplay) {
+        activeReplay.setSpeed(actionsPerSecond);
+    }
+}
+
+/**
+ * Check whether a replay is driving the game (player input is ignored)
+ * @returns {boolean}
+ */
+export function isReplayActive() {
+    return activeReplay !== null && activeReplay.isPlaying();
 }
 
 /**
@@ -255,19 +485,30 @@ export function draw() {
         player, 
         storyObject, 
         portal, 
+        upStairs,
         staticObjects,
         currentLevelNumber, 
-        MAP_WIDTH, 
-        MAP_HEIGHT,
-        world  // Pass world to renderer
+        MAP_WIDTH: world?.MAP_WIDTH,
+        MAP_HEIGHT: world?.MAP_HEIGHT,
+        world,  // Pass world to renderer
+        target: getCurrentTarget()
     });
 
     // Update HUD after render
     try {
         if (player && player.stats) {
-            updateHUD({ hp: player.stats.hp, maxHp: player.stats.maxHp, level: currentLevelNumber });
+            updateHUD({
+                hp: player.stats.hp,
+                maxHp: player.stats.maxHp,
+                level: currentLevelNumber,
+                daggers: player.throwingDaggers,
+                effects: player.statusEffects.getActive(),
+                characterLevel: player.characterLevel,
+                xpToNext: player.getXpToNextLevel(),
+                pendingLevelUps: player.pendingLevelUps
+            });
         } else {
-            updateHUD({ hp: 0, maxHp: 0, level: currentLevelNumber });
+            updateHUD({ hp: 0, maxHp: 0, level: currentLevelNumber, daggers: 0 });
         }
     } catch {}
 }
@@ -280,66 +521,35 @@ export async function loadLevel(levelNumber) {
     try {
         logger.info(`Loading level ${levelNumber}`);
         
-        // Clear any previous UI descriptions
+        // Clear any previous UI descriptions and a throw being aimed in the old chamber
         messageBus.emit(Events.UI_DESCRIPTION_CLEAR);
+        endTargeting();
         
-        // Reset player position to bottom center (as if walking in from below)
-        player.setPosition(Math.floor(MAP_WIDTH / 2), MAP_HEIGHT - 2);
-        
-        // Clear the existing map
-        for (let x in map) {
-            delete map[x];
-        }
-        // Generate the level using the renamed generateLevel function
-        const levelData = await generateLevel(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world);
+        // Generate the level and install it into the world (turn engine, torches, FOV)
+        const levelData = await loadLevelIntoWorld(world, levelNumber);
         
         // Update game state
         portal = levelData.portal;
+        upStairs = levelData.upStairs;
         storyObject = levelData.storyObject;
-        staticObjects = levelData.staticObjects || [];
-        const monsters = levelData.monsters || [];
+        staticObjects = levelData.staticObjects;
+        const monsters = levelData.monsters;
         currentLevelNumber = levelNumber;
         
-        // Add monsters to turn engine
-        if (world && world.turnEngine) {
-            // Clear any existing monsters from turn engine
-            for (const actor of world.turnEngine.getActors()) {
-                if (!actor.isPlayer()) {
-                    world.turnEngine.removeActor(actor);
-                }
-            }
-            
-            // Add new monsters to turn engine
-            for (const monster of monsters) {
-                world.turnEngine.addActor(monster);
-            }
-            logger.debug(`Added ${monsters.length} monsters to turn engine`);
-        }
-        
-        // Update the world state with the new level data
-        if (world) {
-            world.update({
-                map,
-                portal: portal,
-                storyObject: storyObject,
-                staticObjects: staticObjects,
-                monsters: monsters,
-                currentLevel: currentLevelNumber
-            });
-            logger.debug('World state updated with new level data');
-            
-            // Place torches on the newly generated level
-            world.placeTorchesOnCurrentLevel();
-            
-            // Initialize FOV for the new level AFTER placing torches
-            world.initializeFOV();
-        }
-        
         // Redraw the game after FOV is initialized
         draw();
         
-        // Initiate the level introduction sequence (waits for story object, then shows introduction)
-        initiateLevelIntroductionSequence(map, MAP_WIDTH, MAP_HEIGHT, levelNumber, monsters, staticObjects, storyObject, world);
+        if (levelData.revisited) {
+            messageBus.emit(Events.MESSAGE_TYPED, { text: `You return to chamber ${levelNumber}.`, type: 'system' });
+        } else {
+            // Initiate the level introduction sequence (waits for story object, then shows introduction)
+            initiateLevelIntroductionSequence(map, world.MAP_WIDTH, world.MAP_HEIGHT, levelNumber, monsters, staticObjects, storyObject, world);
+        }
+        
+        // Portal transitions autosave once the world has finished loading (World.beginLevelTransition)
+        if (!world.pendingTransition) {
+            await autosave();
+        }
         
         logger.info(`Level ${levelNumber} loaded successfully`);
     } catch (error) {
@@ -349,26 +559,54 @@ export async function loadLevel(levelNumber) {
 }
 
 /**
- * Save the current game state to localStorage
- * @returns {boolean} - Whether the save was successful
+ * Save the current game state to a save slot
+ * Ironman runs only ever write their own slot, whichever slot is asked for.
+ * @param {string} slotId - Slot to write (defaults to the quicksave slot)
+ * @param {string} name - Display name for the slot (defaults to the current chamber)
+ * @param {Object} options
+ * @param {boolean} options.autosave - Written automatically (quieter message, autosave slot name)
+ * @returns {Promise<boolean>} - Whether the save was successful
  */
-export function saveGame() {
+export async function saveGame(slotId = QUICKSAVE_SLOT, name = null, { autosave = false } = {}) {
+    const ironman = isIronmanRun();
+    if (ironman) {
+        if (!getRunSaveSlot()) {
+            messageBus.emit(Events.MESSAGE_TYPED, { text: 'Ironman runs cannot be saved after death.', type: 'warn' });
+            return false;
+        }
+        slotId = getRunSaveSlot();
+    }
+    
     try {
-        const gameState = {
-            map: map,
-            player: player.serialize(),
-            currentLevel: currentLevelNumber,
-            storyObject: storyObject,
-            staticObjects: staticObjects,
-            portal: portal,
-            world: world ? world.serialize() : null
+        const gameState = serializeSaveState(world);
+        
+        let defaultName = `Chamber ${currentLevelNumber}`;
+        if (ironman) {
+            defaultName = `Ironman — Chamber ${currentLevelNumber}`;
+        } else if (autosave) {
+            defaultName = `Autosave — Chamber ${currentLevelNumber}`;
+        }
+        
+        // Summary shown by the slot browsers without loading the whole save
+        const meta = {
+            name: name || defaultName,
+            ironman,
+            chamber: currentLevelNumber,
+            turn: getTurn(),
+            hp: player.stats.hp,
+            maxHp: player.stats.maxHp,
+            artifacts: getGameState().artifactsFound,
+            runSeed: getRunSeed(),
+            saveVersion: SAVE_VERSION,
+            savedAt: new Date().toISOString()
         };
         
-        localStorage.setItem('gameState', JSON.stringify(gameState));
+        await writeSaveSlot(slotId, { meta, state: gameState });
         
-        messageBus.emit(Events.MESSAGE_TYPED, { text: `Game saved! You are in chamber ${currentLevelNumber}.`, type: 'system' });
+        const text = autosave ? 'Autosaved.' : `Game saved! You are in chamber ${currentLevelNumber}.`;
+        messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'system' });
         
-        logger.info('Game state saved successfully');
+        logger.info(`Game state saved to slot ${slotId}`);
         return true;
     } catch (error) {
         logger.error('Failed to save game state:', error);
@@ -378,120 +616,135 @@ export function saveGame() {
 }
 
 /**
- * Load a saved game state
- * @returns {boolean} - Whether the load was successful
+ * Autosave the run to its slot (new runs, chamber transitions and window close)
+ * Skipped after death and while autosaving is off (replays).
+ * @returns {Promise<boolean>} - Whether a save was written
+ */
+async function autosave() {
+    if (gameOver || activeReplay || !getRunSaveSlot() || !world || !player) {
+        return false;
+    }
+    return trackAutosave(saveGame(getRunSaveSlot(), null, { autosave: true }));
+}
+
+/**
+ * Choose where a new run autosaves, fixing ironman mode from the settings
  */
-export function loadGame() {
+async function beginRunSaves() {
+    let ironman = false;
     try {
-        const savedState = localStorage.getItem('gameState');
-        if (!savedState) {
-            logger.warn('No saved game state found');
-            messageBus.emit(Events.MESSAGE_TYPED, { text: 'No saved game found!', type: 'warn' });
-            return false;
-        }
-        
-        const gameState = JSON.parse(savedState);
-        
-        // Validate required data
-        if (!gameState.player || !gameState.currentLevel) {
-            logger.error('Invalid save data format');
-            messageBus.emit(Events.MESSAGE_TYPED, { text: 'Save file is corrupted!', type: 'error' });
+        ironman = await isIronmanEnabled();
+    } catch (error) {
+        logger.warn('Could not read the ironman setting, starting a normal run:', error);
+    }
+    
+    beginSavingRun(ironman);
+    if (ironman) {
+        messageBus.emit(Events.MESSAGE_TYPED, { text: 'Ironman run: progress is saved automatically and erased when you die.', type: 'system' });
+    }
+}
+
+/**
+ * Move a save that cannot be read, migrated or validated out of the slot list
+ * Storage failures (IPC, file system) are reported but leave the slot in place.
+ * @param {string} slotId - Slot that failed to load
+ * @param {Error} error - Why it failed
+ */
+async function quarantineUnloadableSave(slotId, error) {
+    if (error.code !== SAVE_INVALID && error.code !== 'SAVE_CORRUPT') {
+        logger.error(`Failed to read save slot ${slotId}:`, error);
+        messageBus.emit(Events.MESSAGE_TYPED, { text: 'Failed to load game!', type: 'error' });
+        return;
+    }
+
+    logger.error(`Save slot ${slotId} cannot be loaded:`, error.message);
+    try {
+        await quarantineSaveSlot(slotId, error.message);
+        messageBus.emit(Events.MESSAGE_TYPED, {
+            text: `Save "${slotId}" could not be loaded and was moved to quarantine: ${error.message}`,
+            type: 'error'
+        });
+    } catch (quarantineError) {
+        logger.error(`Failed to quarantine save slot ${slotId}:`, quarantineError);
+        messageBus.emit(Events.MESSAGE_TYPED, { text: `Save "${slotId}" could not be loaded: ${error.message}`, type: 'error' });
+    }
+}
+
+/**
+ * Load a saved game state from a save slot
+ * @param {string} slotId - Slot to read (defaults to the quicksave slot)
+ * @returns {Promise<boolean>} - Whether the load was successful
+ */
+export async function loadGame(slotId = QUICKSAVE_SLOT) {
+    const refusal = getLoadRefusal(slotId);
+    if (refusal) {
+        messageBus.emit(Events.MESSAGE_TYPED, { text: refusal, type: 'warn' });
+        return false;
+    }
+    
+    try {
+        let gameState;
+        try {
+            const save = await readSaveSlot(slotId);
+            if (!save) {
+                logger.warn(`No saved game found in slot ${slotId}`);
+                messageBus.emit(Events.MESSAGE_TYPED, { text: 'No saved game found!', type: 'warn' });
+                return false;
+            }
+            const saveRefusal = getLoadRefusal(slotId, save.meta);
+            if (saveRefusal) {
+                messageBus.emit(Events.MESSAGE_TYPED, { text: saveRefusal, type: 'warn' });
+                return false;
+            }
+            // Migrate and validate everything before touching the running game
+            gameState = prepareSaveState(save.state);
+        } catch (error) {
+            await quarantineUnloadableSave(slotId, error);
             return false;
         }
         
-        // Clear the existing map
-        for (let x in map) {
-            delete map[x];
-        }
-        // Restore game state
-        for (let x in gameState.map) {
-            map[x] = { ...gameState.map[x] };
-        }
-        
-        currentLevelNumber = gameState.currentLevel;
-        
-        // Restore player position and properties
-        player.deserialize(gameState.player);
-        
         // Ensure player has world reference (critical for combat)
-        if (world) {
-            player.setWorld(world);
-            logger.debug('Player world reference restored');
-        }
+        player.setWorld(world);
         
-        // Restore world state (including level fog-of-war data)
-        if (world && gameState.world) {
-            world.deserialize(gameState.world);
-            logger.debug('World state restored from save data');
-        }
-        
-        // Restore entities from saved data
-        storyObject = gameState.storyObject || null;
-        staticObjects = gameState.staticObjects || [];
-        portal = gameState.portal || null;
+        // Restore the map, player, every visited level, monsters and the gameState module
+        const restored = restoreSaveState(world, gameState);
+        currentLevelNumber = restored.currentLevel;
+        continueRunSaves(slotId);
+        storyObject = restored.storyObject;
+        staticObjects = restored.staticObjects;
+        portal = restored.portal;
+        upStairs = restored.upStairs;
         
-        // Log entity restoration for debugging
         logger.debug('Restored entities:', {
             storyObject: storyObject ? { x: storyObject.x, y: storyObject.y, pickedUp: storyObject.pickedUp } : null,
             portal: portal ? { x: portal.x, y: portal.y } : null,
             staticObjectCount: staticObjects.length,
-            monstersCount: world.monsters ? world.monsters.length : 0,
-            lightSourcesCount: world.currentLevelInstance ? world.currentLevelInstance.getLightSources().length : 0
+            monstersCount: restored.monsters.length,
+            turn: getTurn(),
+            inventoryCount: getGameState().inventory.length
         });
         
-        // Update the world state with loaded entities
-        if (world) {
-            world.update({
-                map,
-                portal: portal,
-                storyObject: storyObject,
-                staticObjects: staticObjects,
-                monsters: world.monsters || [], // Use monsters from world's deserialization
-                currentLevel: currentLevelNumber
-            });
-            logger.debug('World state updated with loaded game data');
-            
-            // Re-add monsters to turn engine after loading
-            if (world && world.turnEngine) {
-                // Clear ALL existing non-player actors from turn engine (including any duplicates)
-                const actors = Array.from(world.turnEngine.getActors());
-                for (const actor of actors) {
-                    if (!actor.isPlayer()) {
-                        world.turnEngine.removeActor(actor);
-                    }
-                }
-                
-                // Add loaded monsters to turn engine
-                if (world.monsters && world.monsters.length > 0) {
-                    for (const monster of world.monsters) {
-                        world.turnEngine.addActor(monster);
-                    }
-                    logger.debug(`Restored ${world.monsters.length} monsters to turn engine`);
-                } else {
-                    logger.debug('No monsters to restore to turn engine');
-                }
-            }
-            
-            // Initialize visibility system for loaded level if needed
-            if (world.currentLevelInstance && !world.currentLevelInstance.visibilitySystem) {
-                world.currentLevelInstance.initializeVisibilitySystem(map, MAP_WIDTH, MAP_HEIGHT);
-                logger.debug('Initialized visibility system for loaded level');
-            }
-            
-            // Recompute FOV for loaded game
-            world.recomputeFOV();
-        }
-        
         // Clear any existing UI
         messageBus.emit(Events.UI_DESCRIPTION_CLEAR);
         
         // Redraw the game
         draw();
         
+        // A loaded game no longer matches the recording from the start of the run
+        endRecording();
+        
+        // Loading after death brings the run back; restart the stopped turn engine
+        if (gameOver) {
+            gameOver = false;
+            if (!world.turnEngine.isRunning) {
+                world.turnEngine.start();
+            }
+        }
+        
         // Show success message
         messageBus.emit(Events.MESSAGE_TYPED, { text: `Game loaded! You are in chamber ${currentLevelNumber}.`, type: 'system' });
         
-        logger.info('Game state loaded successfully');
+        logger.info(`Game state loaded from slot ${slotId}`);
         return true;
     } catch (error) {
         logger.error('Failed to load game state:', error);
@@ -501,6 +754,22 @@ export function loadGame() {
 }
 
 // Make functions available globally for debugging
+// Autosave before the window closes so quitting never loses a run (main.js waits for the reply)
+if (typeof window !== 'undefined') {
+    try {
+        const ipc = getIpc();
+        ipc.on('app-closing', async () => {
+            try {
+                await autosave();
+            } finally {
+                ipc.send('app-close-ready');
+            }
+        });
+    } catch (error) {
+        logger.warn('Autosave on close unavailable:', error);
+    }
+}
+
 if (typeof window !== 'undefined') {
     window.gameDebug = {
         saveGame,
@@ -509,7 +778,13 @@ if (typeof window !== 'undefined') {
         draw,
         restartGame,
         startGame,
+        getReplayRecording,
+        downloadReplay,
+        startReplay,
+        stopReplay,
+        setReplaySpeed,
         get currentLevel() { return currentLevelNumber; },
+        get runSeed() { return getRunSeed(); },
         get player() { return player; },
         get world() { return world; },
         get map() { return map; },
@@ -1,12 +1,19 @@
-// import { createStaticObjects } from "../entities/staticObject.js";
 import { createStoryObject } from "../entities/storyObject.js";
-import { createPortal } from "../entities/portal.js";
+import { createPortal, createUpStairs } from "../entities/portal.js";
 import { MonsterFactory } from "../entities/monsterFactory.js";
-import { findFreeTile } from "../entities/placement.js";
+import { findFreeTile, findFreeTileInRoom } from "../entities/placement.js";
+import { createDoorsInDoorways, shutDoors } from "../entities/door.js";
 import { randomFloorType, isTilePassable } from "../tiles/tileTypes.js";
 import { findNearestPassableTile } from "./pathfinding.js";
 import * as logger from '../systems/logger.js';
 import { createHealthPotions } from "../entities/healthPotion.js";
+import { createEquipment, EQUIPMENT_PER_LEVEL } from "../entities/equipment.js";
+import { createFloorItems, createItemOnFloor, ITEMS_PER_LEVEL } from "../entities/inventoryItems.js";
+import { createTraps, getTrapCount } from "../entities/trap.js";
+import { placeVault } from "./vault.js";
+import { placePrefab } from "./prefabs.js";
+import { determineLevelType } from "./generators/index.js";
+import { seedLevelStream } from "../systems/rng.js";
 
 // TUNABLE: How many health potions to spawn per level
 // Adjust to change potion frequency
@@ -40,47 +47,144 @@ export function ensurePlayerPlacement(map, MAP_WIDTH, MAP_HEIGHT, player) {
 }
 
 /**
- * Places all entities (portal, static objects, story object, monsters) in the level
+ * Find the room of a dungeon level a position lies in
+ * @param {Array} rooms - Rooms from the dungeon generator
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object|null} - Room, or null if the position is in a corridor (or there are no rooms)
+ */
+export function findRoomAt(rooms, x, y) {
+    return (rooms || []).find(room => x >= room.left && x <= room.right && y >= room.top && y <= room.bottom) || null;
+}
+
+// Rooms for the portal and story object: the portal goes in the room furthest from the
+// player's, the story object in another room again when there is one
+function chooseRooms(rooms, player) {
+    const playerRoom = findRoomAt(rooms, player.x, player.y);
+    const distance = room => Math.hypot(room.center.x - player.x, room.center.y - player.y);
+    const portalRoom = rooms
+        .filter(room => room !== playerRoom)
+        .reduce((furthest, room) => (!furthest || distance(room) > distance(furthest) ? room : furthest), null);
+    const others = rooms.filter(room => room !== playerRoom && room !== portalRoom);
+    const storyRoom = others.length > 0 ? ROT.RNG.getItem(others) : null;
+    return { portalRoom, storyRoom };
+}
+
+/**
+ * Places all entities (doors, prefab set piece, portal, up-stairs, potions and equipment, story object, monsters, locked vault) in the level
  * @param {Object} map - The level tile map
  * @param {number} MAP_WIDTH - Map width
  * @param {number} MAP_HEIGHT - Map height
  * @param {Object} player - Player entity
  * @param {number} levelNumber - Current level number
  * @param {Object} world - World instance for notifications and rendering
- * @returns {Object} - Placed entities {portal, staticObjects, storyObject, monsters}
+ * @param {Object} [layout=null] - Rooms and doorways of a dungeon level ({rooms, doors})
+ * @returns {Object} - Placed entities {portal, upStairs, staticObjects, storyObject, monsters, prefab}
+ *   (prefab: the set piece stamped in, from placePrefab, or null; its lights are for the caller to add to the Level)
  */
-export async function placeAllEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world) {
+export async function placeAllEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world, layout = null) {
     const existingEntities = [player];
+    const rooms = layout?.rooms?.length ? layout.rooms : null;
+    
+    // Chambers below the first lead back up from where the player arrives
+    const upStairs = levelNumber > 1 ? createUpStairs(player.x, player.y) : null;
     
+    // Dungeon doorways get doors, standing open until everything else is placed
+    const doors = layout?.doors ? createDoorsInDoorways(map, layout.doors, levelNumber) : [];
+    existingEntities.push(...doors);
+    
+    // A hand-drawn set piece goes in before anything else can claim its tiles;
+    // what it spawns is created below, but its spots are kept free from now on
+    seedLevelStream(levelNumber, 'prefabs');
+    const prefab = placePrefab(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, determineLevelType(levelNumber), existingEntities);
+    if (prefab) {
+        existingEntities.push(...(prefab.storyPosition ? [prefab.storyPosition] : []), ...prefab.monsters, ...prefab.items);
+    }
+    
+    // Each placement phase draws from its own seeded stream so runs replay exactly
+    seedLevelStream(levelNumber, 'entities');
+    const { portalRoom, storyRoom } = rooms ? chooseRooms(rooms, player) : {};
 
-    // Place portal at a free tile
-    const { x: portalX, y: portalY } = findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities);
+    // Place portal at a free tile (in a room away from the player, in a dungeon)
+    const { x: portalX, y: portalY } = (portalRoom && findFreeTileInRoom(map, portalRoom, player, existingEntities)) ||
+        findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities);
     const portal = createPortal(map, portalX, portalY);
     existingEntities.push(portal);
             // logger.debug(`Placed portal at (${portalX}, ${portalY})`);
     
     // Create and place health potions in the level (reuse staticObjects slot)
-    const staticObjects = createHealthPotions(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, POTIONS_PER_LEVEL);
-    existingEntities.push(...staticObjects);
-    // Set level number for all potions
-    staticObjects.forEach(p => { p.levelNumber = levelNumber; });
+    const potions = createHealthPotions(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, POTIONS_PER_LEVEL, levelNumber);
+    existingEntities.push(...potions);
+    const staticObjects = [...doors, ...potions];
             // logger.debug(`Placed ${staticObjects.length} health potions in level ${levelNumber}`);
     
-    // Create and place story object (with async description generation)
-    const storyObject = await createStoryObject(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, existingEntities, world);
+    // Create and place story object (with async description generation): on the prefab's spot if it
+    // has one, otherwise in a third room in a dungeon
+    const storyPosition = prefab?.storyPosition ||
+        (storyRoom ? findFreeTileInRoom(map, storyRoom, player, existingEntities) : null);
+    const storyObject = await createStoryObject(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, existingEntities, world, storyPosition);
     existingEntities.push(storyObject);
             // logger.debug(`Placed story object at (${storyObject.x}, ${storyObject.y})`);
     
+    // Weapons and armor from the level's loot table, on their own stream
+    seedLevelStream(levelNumber, 'loot');
+    const equipment = createEquipment(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, EQUIPMENT_PER_LEVEL, levelNumber);
+    staticObjects.push(...equipment);
+    existingEntities.push(...equipment);
+    
+    // Potions and scrolls, most of them unidentified, from the same stream
+    const items = createFloorItems(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, ITEMS_PER_LEVEL, levelNumber);
+    staticObjects.push(...items);
+    existingEntities.push(...items);
+    
+    // And whatever the prefab lays out
+    const prefabItems = (prefab?.items || []).map(({ x, y, itemId }, i) =>
+        createItemOnFloor(itemId, x, y, levelNumber, `${itemId}_L${levelNumber}_${prefab.id}_${i}`));
+    staticObjects.push(...prefabItems);
+    existingEntities.push(...prefabItems);
+    
+    // Hidden traps, more of them deeper down, on their own stream
+    seedLevelStream(levelNumber, 'traps');
+    const traps = createTraps(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, getTrapCount(levelNumber), levelNumber);
+    staticObjects.push(...traps);
+    existingEntities.push(...traps);
+    
+    // Story object creation awaits, so re-seed before placing monsters
+    seedLevelStream(levelNumber, 'monsters');
+    
     // Create and place monsters (2-3 per level)
     const monsters = createMonsters(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, levelNumber);
     existingEntities.push(...monsters);
+    
+    // The prefab's own monsters, of its chosen types or from the level's spawn table
+    for (const { x, y, type } of prefab?.monsters || []) {
+        const monsterType = type || MonsterFactory.selectFromSpawnTable(MonsterFactory.createSpawnTable(levelNumber, 1));
+        const monster = MonsterFactory.create(monsterType, x, y);
+        monsters.push(monster);
+        existingEntities.push(monster);
+    }
             // logger.debug(`Placed ${monsters.length} monsters in level ${levelNumber}`);
     
+    // A locked vault walled in last, around nothing already placed, with its key outside
+    seedLevelStream(levelNumber, 'vault');
+    const vault = placeVault(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, existingEntities, prefab ? [prefab] : []);
+    if (vault) {
+        staticObjects.push(vault.door, ...vault.loot, vault.key);
+    }
+    
+    // Only now that everything is placed do some of the dungeon's doors swing shut
+    if (doors.length > 0) {
+        seedLevelStream(levelNumber, 'doors');
+        shutDoors(doors, map);
+    }
+    
     return {
         portal,
+        upStairs,
         staticObjects,
         storyObject,
-        monsters
+        monsters,
+        prefab
     };
 }
 
@@ -97,7 +201,7 @@ export async function placeAllEntities(map, MAP_WIDTH, MAP_HEIGHT, player, level
 function createMonsters(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, levelNumber = 1) {
     const monsters = [];
     // Base 2-3 monsters + 1 for each level deeper
-    const baseCount = Math.floor(Math.random() * 2) + 2; // 2-3 base monsters
+    const baseCount = Math.floor(ROT.RNG.getUniform() * 2) + 2; // 2-3 base monsters
     const monsterCount = baseCount + (levelNumber - 1); // +1 per level
     
     // Get level-appropriate spawn table
@@ -128,14 +232,22 @@ function createMonsters(map, MAP_WIDTH, MAP_HEIGHT, player, existingEntities, le
  * @param {Object} player - Player entity
  * @param {number} levelNumber - Current level number
  * @param {Object} world - World instance for notifications and rendering
- * @returns {Object} - All placed entities {portal, staticObjects, storyObject, monsters}
+ * @param {Object} [layout=null] - Rooms and doorways of a dungeon level ({rooms, doors})
+ * @returns {Object} - All placed entities {portal, upStairs, staticObjects, storyObject, monsters, prefab}
  */
-export async function setupLevelEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world) {
-    // First ensure player is properly placed
+export async function setupLevelEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world, layout = null) {
+    // First ensure player is properly placed (in a dungeon, somewhere in one of its rooms)
+    seedLevelStream(levelNumber, 'player');
+    if (layout?.rooms?.length) {
+        const start = findFreeTileInRoom(map, ROT.RNG.getItem(layout.rooms), player, []);
+        if (start) {
+            player.setPosition(start.x, start.y);
+        }
+    }
     ensurePlayerPlacement(map, MAP_WIDTH, MAP_HEIGHT, player);
     
     // Then place all other entities
-    const entities = await placeAllEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world);
+    const entities = await placeAllEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world, layout);
     
             // logger.debug(`Level ${levelNumber} entity setup complete`);
     
@@ -152,7 +264,8 @@ export async function setupLevelEntities(map, MAP_WIDTH, MAP_HEIGHT, player, lev
  * @param {Object} player - Player entity (to avoid placing torches too close)
  */
 export function placeTorchesOnLevel(map, MAP_WIDTH, MAP_HEIGHT, level, levelNumber, player) {
-    const torchCount = Math.floor(Math.random() * 3) + 2; // 2-4 torches per level
+    seedLevelStream(levelNumber, 'torches');
+    const torchCount = Math.floor(ROT.RNG.getUniform() * 3) + 2; // 2-4 torches per level
     const minDistanceFromPlayer = 5; // Don't place torches too close to player
     
             // logger.debug(`Placing ${torchCount} torches on level ${levelNumber}`);
@@ -180,13 +293,13 @@ export function placeTorchesOnLevel(map, MAP_WIDTH, MAP_HEIGHT, level, levelNumb
         if (torchPosition) {
             // Vary torch radius and type based on level
             const torchTypes = ['torch', 'lantern', 'crystal'];
-            const torchType = torchTypes[Math.floor(Math.random() * torchTypes.length)];
+            const torchType = torchTypes[Math.floor(ROT.RNG.getUniform() * torchTypes.length)];
             
             // Different light radii for different types
             const lightRadii = {
-                'torch': 3 + Math.floor(Math.random() * 2), // 3-4 radius
-                'lantern': 4 + Math.floor(Math.random() * 2), // 4-5 radius  
-                'crystal': 5 + Math.floor(Math.random() * 2)  // 5-6 radius
+                'torch': 3 + Math.floor(ROT.RNG.getUniform() * 2), // 3-4 radius
+                'lantern': 4 + Math.floor(ROT.RNG.getUniform() * 2), // 4-5 radius  
+                'crystal': 5 + Math.floor(ROT.RNG.getUniform() * 2)  // 5-6 radius
             };
             
             const radius = lightRadii[torchType] || 4;
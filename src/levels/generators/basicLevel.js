@@ -3,11 +3,20 @@
 // Emphasizes exploration over navigation challenges
 
 import { TileTypes } from '../../tiles/tileTypes.js';
+import { seedLevelStream } from '../../systems/rng.js';
 import * as logger from '../../systems/logger.js';
 
 // Threshold for how much of the room is the dominant tile type
 const DOMINANT_TILE_THRESHOLD = -0.2;
 
+// Floors that take turns dominating basic levels, by level number
+const FLOOR_TYPES = ['grass', 'dirt', 'cobblestone', 'moss', 'sand'];
+
+// Floor tile type that most of a basic level is covered in
+export function getBasicDominantFloor(levelNumber) {
+  return FLOOR_TYPES[levelNumber % FLOOR_TYPES.length];
+}
+
 // Helper function to get compatible tile types for clustering  
 function getCompatibleTileTypes(dominantType) {
   const compatibility = {
@@ -30,10 +39,8 @@ function pickClusteredTileType(noiseValue, dominantType, compatibleTypes) {
 
 // Generate clustered tiles for a basic level with mostly one dominant type
 export function generateBasicLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber = 1) {
-  const floorTypes = ['grass', 'dirt', 'cobblestone', 'moss', 'sand'];
   // Pick a dominant tile type for this level (based on level number for consistency)
-  const dominantTypeIndex = levelNumber % floorTypes.length;
-  const dominantType = floorTypes[dominantTypeIndex];
+  const dominantType = getBasicDominantFloor(levelNumber);
   
           // logger.debug(`Basic level ${levelNumber}: dominant type = ${dominantType}`);
   
@@ -42,6 +49,8 @@ export function generateBasicLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber = 1) {
   // Generate base noise pattern
   const noiseScale = 0.15; // Controls cluster size (smaller = bigger clusters) - restored original
   const seed = levelNumber * 1000; // Consistent seed per level
+  // Simplex permutation comes from ROT.RNG, so seed it from the run seed first
+  seedLevelStream(levelNumber, 'basicLayout');
   const simplex = new ROT.Noise.Simplex();
   
   let tilesCreated = 0;
@@ -4,6 +4,7 @@
 
 import { TileTypes } from '../../tiles/tileTypes.js';
 import { arePointsConnected } from '../pathfinding.js';
+import { seedLevelStream } from '../../systems/rng.js';
 import * as logger from '../../systems/logger.js';
 
 // Helper function to check if a tile is passable (for connectivity)
@@ -84,8 +85,8 @@ function createWindingPath(tileMap, MAP_WIDTH, MAP_HEIGHT, startX, startY, endX,
 export function generateCaveLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber = 1) {
           // logger.debug(`Cave level ${levelNumber}: starting generation`);
   
-  // Set up deterministic random seed for consistent generation
-  ROT.RNG.setSeed(levelNumber * 1000);
+  // Set up deterministic random seed for consistent generation (derived from the run seed)
+  seedLevelStream(levelNumber, 'caveLayout');
   
   // Create a 2D array to store tile types
   const tileMap = {};
@@ -157,7 +158,7 @@ function applyEnvironmentalDetails(tileMap, MAP_WIDTH, MAP_HEIGHT, levelNumber)
           // logger.debug(`Cave level ${levelNumber}: applying environmental details`);
   
   // Seed for consistent environmental details per level
-  ROT.RNG.setSeed(levelNumber * 2000);
+  seedLevelStream(levelNumber, 'caveDetails');
   
   let waterTilesAdded = 0;
   let mossTilesAdded = 0;
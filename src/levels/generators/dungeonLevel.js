@@ -0,0 +1,76 @@
+// Dungeon generator using ROT.js Digger: rectangular rooms joined by corridors
+// Unlike the other generators it also reports its rooms and doorways, so placement
+// can spread the portal and story object over different rooms and hang doors
+
+import { TileTypes } from '../../tiles/tileTypes.js';
+import { seedLevelStream } from '../../systems/rng.js';
+import * as logger from '../../systems/logger.js';
+
+// Digger options: room sizes are interior sizes, dugPercentage is how much of the map is dug out
+const DIGGER_OPTIONS = {
+  roomWidth: [4, 9],
+  roomHeight: [3, 6],
+  corridorLength: [3, 8],
+  dugPercentage: 0.3
+};
+
+// Room floors: most rooms share the level's dominant floor, the rest pick another
+const ROOM_FLOORS = ['cobblestone', 'dirt', 'moss', 'sand'];
+const ODD_ROOM_CHANCE = 0.3;
+
+// Corridors are always bare earth
+const CORRIDOR_FLOOR = 'dirt';
+
+/**
+ * Generate a dungeon of rooms and corridors
+ * @param {number} MAP_WIDTH - Map width
+ * @param {number} MAP_HEIGHT - Map height
+ * @param {number} levelNumber - Level number for deterministic generation
+ * @returns {{tileMap: Object, rooms: Array<{left:number, top:number, right:number, bottom:number, center:{x:number, y:number}, doors:Array<{x:number, y:number}>}>, doors: Array<{x:number, y:number}>}}
+ *   Tile map, the rooms (inclusive interior bounds) and every doorway once
+ */
+export function generateDungeonLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber = 1) {
+  logger.debug(`Generating dungeon level ${levelNumber}`);
+  seedLevelStream(levelNumber, 'dungeonLayout');
+
+  const digger = new ROT.Map.Digger(MAP_WIDTH, MAP_HEIGHT, DIGGER_OPTIONS);
+  const tileMap = {};
+  for (let x = 0; x < MAP_WIDTH; x++) {
+    tileMap[x] = {};
+  }
+  digger.create((x, y, wall) => {
+    tileMap[x][y] = wall ? TileTypes.stone : TileTypes[CORRIDOR_FLOOR];
+  });
+
+  const dominantFloor = ROOM_FLOORS[levelNumber % ROOM_FLOORS.length];
+  const doorKeys = new Set();
+  const doors = [];
+
+  const rooms = digger.getRooms().map(room => {
+    const floor = ROT.RNG.getUniform() < ODD_ROOM_CHANCE ? ROT.RNG.getItem(ROOM_FLOORS) : dominantFloor;
+    const left = room.getLeft();
+    const top = room.getTop();
+    const right = room.getRight();
+    const bottom = room.getBottom();
+    for (let x = left; x <= right; x++) {
+      for (let y = top; y <= bottom; y++) {
+        tileMap[x][y] = TileTypes[floor];
+      }
+    }
+
+    const roomDoors = [];
+    room.getDoors((x, y) => {
+      roomDoors.push({ x, y });
+      if (!doorKeys.has(`${x},${y}`)) {
+        doorKeys.add(`${x},${y}`);
+        doors.push({ x, y });
+      }
+    });
+
+    const [centerX, centerY] = room.getCenter();
+    return { left, top, right, bottom, center: { x: centerX, y: centerY }, doors: roomDoors };
+  });
+
+  logger.debug(`Dungeon level ${levelNumber} complete: ${rooms.length} rooms, ${doors.length} doorways`);
+  return { tileMap, rooms, doors };
+}
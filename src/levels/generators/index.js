@@ -0,0 +1,169 @@
+import { generateBasicLayout, getBasicDominantFloor } from './basicLevel.js';
+import { generateCaveLayout } from './caveLevel.js';
+import { generatePillaredHallLayout } from './pillaredHallLevel.js';
+import { generateDungeonLayout } from './dungeonLevel.js';
+import * as logger from '../../systems/logger.js';
+
+/**
+ * @typedef {Object} GeneratorMetadata
+ * @property {string} name - What the chamber is called in level introductions ("pillared hall")
+ * @property {number} minLevel - First level the generator is used on
+ * @property {number} maxLevel - Last level it is used on (Infinity for no limit)
+ * @property {number} weight - Turns it gets in the rotation of chamber types (see determineLevelType)
+ * @property {{width:number, height:number}} dimensions - Map size in tiles
+ * @property {boolean} revealOnEntry - Whether the whole layout is remembered as soon as the player arrives
+ * @property {string[]} introTemplates - Fallback level introduction openings; {tileDescription} names the floor
+ * @property {function(number): (string|null)} dominantFloor - Floor tile type expected to cover most of a level, or null if it varies
+ * @property {string[]} atmosphere - Words for the chamber's mood, given to the LLM with the level introduction
+ */
+
+/**
+ * A generator returns the tile map of a level's interior, or {tileMap, rooms, doors}
+ * when it also knows its rooms and doorways (see dungeonLevel.js)
+ * @typedef {function(number, number, number): Object} GeneratorFn
+ */
+
+const DEFAULT_METADATA = {
+    minLevel: 1,
+    maxLevel: Infinity,
+    weight: 1,
+    dimensions: { width: 40, height: 20 },
+    revealOnEntry: false,
+    introTemplates: [
+        "You step into an unfamiliar chamber, {tileDescription} underfoot.",
+        "The way opens onto a chamber of {tileDescription}, silent and waiting."
+    ],
+    dominantFloor: () => null,
+    atmosphere: []
+};
+
+/**
+ * Registry of level generators, in the order they take their turns
+ */
+const GENERATOR_REGISTRY = new Map();
+
+/**
+ * Register a level generator (a generator registered again under the same id is replaced)
+ * @param {string} id - Level type id ('cave')
+ * @param {GeneratorFn} generate - (MAP_WIDTH, MAP_HEIGHT, levelNumber) => tile map or {tileMap, rooms, doors}
+ * @param {Partial<GeneratorMetadata>} [metadata={}] - Missing fields take defaults
+ */
+export function registerGenerator(id, generate, metadata = {}) {
+    GENERATOR_REGISTRY.set(id, { id, generate, metadata: { ...DEFAULT_METADATA, name: id, ...metadata } });
+}
+
+/**
+ * Get all registered level type ids, in rotation order
+ * @returns {string[]}
+ */
+export function getAvailableGenerators() {
+    return [...GENERATOR_REGISTRY.keys()];
+}
+
+/**
+ * Metadata of a level type
+ * @param {string} id - Level type id
+ * @returns {GeneratorMetadata}
+ */
+export function getGeneratorMetadata(id) {
+    const entry = GENERATOR_REGISTRY.get(id);
+    if (!entry) {
+        logger.warn(`Unknown level type: ${id}, using defaults`);
+        return { ...DEFAULT_METADATA, name: id };
+    }
+    return entry.metadata;
+}
+
+/**
+ * Determines the type of level based on the level number
+ * The generators whose level range includes the level take turns in registration order,
+ * each for as many levels as its weight, so with the built-in types levels run
+ * basic, cave, pillared hall, dungeon and round again.
+ * @param {number} levelNumber - The level number
+ * @returns {string} - Level type id
+ */
+export function determineLevelType(levelNumber) {
+    const rotation = [];
+    for (const { id, metadata } of GENERATOR_REGISTRY.values()) {
+        if (levelNumber >= metadata.minLevel && levelNumber <= metadata.maxLevel) {
+            for (let i = 0; i < metadata.weight; i++) {
+                rotation.push(id);
+            }
+        }
+    }
+    if (rotation.length === 0) {
+        logger.warn(`No level generator covers level ${levelNumber}, using the first registered`);
+        return getAvailableGenerators()[0];
+    }
+    return rotation[(levelNumber - 1) % rotation.length];
+}
+
+/**
+ * Run a level type's generator
+ * @param {string} id - Level type id
+ * @param {number} MAP_WIDTH - Map width
+ * @param {number} MAP_HEIGHT - Map height
+ * @param {number} levelNumber - Level number for deterministic generation
+ * @returns {{tileMap: Object, rooms: Array|null, doors: Array|null}} - Rooms and doors only for generators that report them
+ */
+export function generateLayout(id, MAP_WIDTH, MAP_HEIGHT, levelNumber) {
+    const entry = GENERATOR_REGISTRY.get(id);
+    if (!entry) {
+        const error = new Error(`Unknown level type: ${id}`);
+        error.code = 'UNKNOWN_LEVEL_TYPE';
+        throw error;
+    }
+    const result = entry.generate(MAP_WIDTH, MAP_HEIGHT, levelNumber);
+    if (result && result.tileMap) {
+        return { tileMap: result.tileMap, rooms: result.rooms || null, doors: result.doors || null };
+    }
+    return { tileMap: result, rooms: null, doors: null };
+}
+
+// Built-in chamber types
+
+registerGenerator('basic', generateBasicLayout, {
+    name: 'chamber',
+    dimensions: { width: 40, height: 20 },
+    revealOnEntry: true,
+    introTemplates: [
+        "You step into a well-constructed chamber, its {tileDescription} floors bearing witness to ancient craftsmanship.",
+        "The entrance reveals a spacious hall with {tileDescription} beneath your feet, speaking of forgotten builders.",
+        "Before you stretches a methodically built room, {tileDescription} tiles arranged in careful patterns."
+    ],
+    dominantFloor: getBasicDominantFloor,
+    atmosphere: ['orderly', 'built', 'quiet']
+});
+
+registerGenerator('cave', generateCaveLayout, {
+    name: 'cave',
+    dimensions: { width: 64, height: 32 },
+    introTemplates: [
+        "You emerge into a natural cavern, where {tileDescription} ground tells stories of geological ages.",
+        "The rough-hewn cave opens before you, its {tileDescription} floor shaped by time and underground waters.",
+        "You find yourself in a winding cave system, {tileDescription} surfaces carved by nature's patient hand."
+    ],
+    atmosphere: ['damp', 'winding', 'natural']
+});
+
+registerGenerator('pillaredHall', generatePillaredHallLayout, {
+    name: 'pillared hall',
+    dimensions: { width: 56, height: 28 },
+    introTemplates: [
+        "You enter a grand pillared hall, where {tileDescription} floors echo with the footsteps of history.",
+        "Ancient columns rise from {tileDescription} ground in this majestic chamber of forgotten purposes.",
+        "The pillared hall welcomes you with {tileDescription} beneath towering stone sentinels."
+    ],
+    atmosphere: ['vast', 'echoing', 'columned']
+});
+
+registerGenerator('dungeon', generateDungeonLayout, {
+    name: 'dungeon',
+    dimensions: { width: 60, height: 30 },
+    introTemplates: [
+        "You enter a warren of walled rooms, {tileDescription} underfoot and doorways leading off into the dark.",
+        "Narrow passages join chamber to chamber here, each room floored with {tileDescription}.",
+        "Someone dug these rooms and corridors with purpose; {tileDescription} lies behind every door."
+    ],
+    atmosphere: ['cramped', 'walled', 'deliberate']
+});
@@ -3,6 +3,7 @@
 // Uses pillars and varied floor types to create interesting tactical gameplay
 
 import { TileTypes, randomOpaqueTileType } from '../../tiles/tileTypes.js';
+import { getLevelSeed, seedLevelStream } from '../../systems/rng.js';
 import * as logger from '../../systems/logger.js';
 
 // Configuration for pillar placement
@@ -56,7 +57,7 @@ function isValidPillarPosition(x, y, existingPillars, MAP_WIDTH, MAP_HEIGHT) {
 function generatePillarPositions(MAP_WIDTH, MAP_HEIGHT, pattern, levelNumber) {
   const pillars = [];
   const maxPillars = Math.floor((MAP_WIDTH - 2 * BORDER_BUFFER) * (MAP_HEIGHT - 2 * BORDER_BUFFER) * PILLAR_DENSITY);
-  const seed = levelNumber * 2000; // Consistent seed per level
+  const seed = getLevelSeed(levelNumber, 'hallPillars'); // Consistent seed per level
   
           // logger.debug(`Generating pillars for ${pattern.name}, max pillars: ${maxPillars}`);
   
@@ -144,6 +145,7 @@ function generateFloorTiles(MAP_WIDTH, MAP_HEIGHT, levelNumber) {
   const tileMap = {};
   const noiseScale = 0.12; // Slightly larger clusters than basic levels
   const seed = levelNumber * 3000;
+  seedLevelStream(levelNumber, 'hallFloor');
   const simplex = new ROT.Noise.Simplex();
   
   let tilesCreated = 0;
@@ -197,7 +199,7 @@ export function generatePillaredHallLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber =
   pillars.forEach(pillar => {
     if (tileMap[pillar.x]) {
       // Randomly choose between pillar and stone for variety
-      const useStone = Math.random() > 0.7;
+      const useStone = ROT.RNG.getUniform() > 0.7;
       tileMap[pillar.x][pillar.y] = useStone ? TileTypes.stone : TileTypes.pillar;
     }
   });
@@ -3,17 +3,16 @@
  * This separates spatial memory from player entity logic
  */
 
-import { generateBasicLayout } from "./generators/basicLevel.js";
-import { generateCaveLayout } from "./generators/caveLevel.js";
-import { generatePillaredHallLayout } from "./generators/pillaredHallLevel.js";
+import { determineLevelType, generateLayout } from "./generators/index.js";
 import { VisibilitySystem } from '../systems/visibilitySystem.js';
 import { isTileTransparent } from '../tiles/tileTypes.js';
+import { Monster } from '../entities/monster.js';
 import * as logger from '../systems/logger.js';
 
 export class Level {
     constructor(levelNumber, type = null) {
         this.levelNumber = levelNumber;
-        this.type = type || this._determineLevelType(levelNumber);
+        this.type = type || determineLevelType(levelNumber);
         
         // Fog-of-war state - this is what should be serialized
         this.seenTiles = new Set();      // Tiles that have ever been seen (fog-of-war memory)
@@ -34,19 +33,19 @@ export class Level {
         // VisibilitySystem - created when map is generated
         this.visibilitySystem = null;
         
+        // Map size in tiles, chosen when the level is generated
+        this.width = null;
+        this.height = null;
+        
+        // Rooms of a dungeon level, as reported by its generator (null for open chambers)
+        this.rooms = null;
+        
+        // Map, monsters and entities kept while the player is in another chamber
+        this.storedState = null;
+        
         // logger.debug(`Created ${this.type} level ${levelNumber}`);
     }
     
-    /**
-     * Determine level type based on level number (matches existing logic)
-     * @param {number} levelNumber - The level number
-     * @returns {string} - 'basic' or 'cave'
-     */
-    _determineLevelType(levelNumber) {
-        const isEvenLevel = levelNumber % 2 === 0;
-        return isEvenLevel ? 'cave' : 'basic';
-    }
-    
     /**
      * Initialize VisibilitySystem for this level with external map data
      * Call this after the map has been generated externally
@@ -86,17 +85,11 @@ export class Level {
         
         // logger.debug(`Generating ${this.type} level ${this.levelNumber}`);
         
-        // Generate level tiles based on type
-        let levelTiles;
-        if (this.type === 'cave') {
-            levelTiles = generateCaveLayout(MAP_WIDTH, MAP_HEIGHT, this.levelNumber);
-        } else if (this.type === 'pillaredHall') {
-            levelTiles = generatePillaredHallLayout(MAP_WIDTH, MAP_HEIGHT, this.levelNumber);
-        } else {
-            levelTiles = generateBasicLayout(MAP_WIDTH, MAP_HEIGHT, this.levelNumber);
-        }
+        // Generate level tiles with the generator registered for this type
+        const { tileMap, rooms } = generateLayout(this.type, MAP_WIDTH, MAP_HEIGHT, this.levelNumber);
         
-        this.map = levelTiles;
+        this.map = tileMap;
+        this.rooms = rooms;
         this.isGenerated = true;
         
         // Create VisibilitySystem for this level
@@ -297,6 +290,19 @@ export class Level {
         // logger.debug(`Level ${this.levelNumber} fully discovered: ${this.seenTiles.size} tiles`);
     }
     
+    /**
+     * Mark every tile as seen without making it visible (the layout is known, not what is on it)
+     * @param {number} MAP_WIDTH - Map width
+     * @param {number} MAP_HEIGHT - Map height
+     */
+    revealLayout(MAP_WIDTH, MAP_HEIGHT) {
+        for (let x = 0; x < MAP_WIDTH; x++) {
+            for (let y = 0; y < MAP_HEIGHT; y++) {
+                this.seenTiles.add(`${x},${y}`);
+            }
+        }
+    }
+    
     /**
      * Get debug information about level visibility state
      * @returns {Object} - Debug information
@@ -316,6 +322,63 @@ export class Level {
         };
     }
     
+    /**
+     * Record the size of this level's map
+     * @param {number} width - Map width in tiles
+     * @param {number} height - Map height in tiles
+     */
+    setDimensions(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+    
+    /**
+     * Whether this level's map size is known (it has been generated)
+     * @returns {boolean}
+     */
+    hasDimensions() {
+        return this.width !== null && this.height !== null;
+    }
+    
+    /**
+     * Keep this chamber's state while the player is in another one
+     * The map is copied because the game reuses one map object for every chamber.
+     * Monsters are frozen: they stay out of the turn engine until the player returns.
+     * @param {Object} state - {map, monsters, storyObject, staticObjects, portal, upStairs}
+     */
+    storeState({ map, monsters = [], storyObject = null, staticObjects = [], portal = null, upStairs = null }) {
+        const mapCopy = {};
+        for (const x in map) {
+            mapCopy[x] = { ...map[x] };
+        }
+        this.storedState = {
+            map: mapCopy,
+            monsters: [...monsters],
+            storyObject,
+            staticObjects: [...staticObjects],
+            portal,
+            upStairs
+        };
+    }
+    
+    /**
+     * Whether this chamber was left earlier and can be returned to as it was
+     * @returns {boolean}
+     */
+    hasStoredState() {
+        return this.storedState !== null;
+    }
+    
+    /**
+     * Hand back the stored state when the player returns (the level holds it no longer)
+     * @returns {Object|null} - State passed to storeState
+     */
+    takeStoredState() {
+        const state = this.storedState;
+        this.storedState = null;
+        return state;
+    }
+    
     /**
      * Serialize level for save/load functionality
      * @returns {Object} - Serialized level data
@@ -324,11 +387,18 @@ export class Level {
         return {
             levelNumber: this.levelNumber,
             type: this.type,
+            width: this.width,
+            height: this.height,
+            rooms: this.rooms,
             seenTiles: Array.from(this.seenTiles),  // Convert Set to Array for JSON
             lightSources: [...this.lightSources],   // Save light sources
             // Note: visibleTiles is not serialized - it's recomputed on load
-            // Level objects could also be serialized here if needed
-            isGenerated: this.isGenerated
+            isGenerated: this.isGenerated,
+            // Chambers the player has left (the current chamber is saved from the live world)
+            storedState: this.storedState ? {
+                ...this.storedState,
+                monsters: this.storedState.monsters.map(monster => monster.serialize())
+            } : null
         };
     }
     
@@ -340,6 +410,9 @@ export class Level {
         if (data.levelNumber !== undefined) this.levelNumber = data.levelNumber;
         if (data.type !== undefined) this.type = data.type;
         if (data.isGenerated !== undefined) this.isGenerated = data.isGenerated;
+        if (data.width !== undefined) this.width = data.width;
+        if (data.height !== undefined) this.height = data.height;
+        if (data.rooms !== undefined) this.rooms = data.rooms;
         
         if (data.seenTiles) {
             this.seenTiles = new Set(data.seenTiles); // Convert Array back to Set
@@ -352,6 +425,17 @@ export class Level {
             // logger.debug(`Restored level ${this.levelNumber}: ${this.lightSources.length} light sources`);
         }
         
+        if (data.storedState) {
+            this.storedState = {
+                ...data.storedState,
+                monsters: data.storedState.monsters.map(monsterData => {
+                    const monster = new Monster(monsterData.x, monsterData.y);
+                    monster.deserialize(monsterData);
+                    return monster;
+                })
+            };
+        }
+        
         // visibleTiles will be recomputed when FOV runs
         this.visibleTiles.clear();
     }
@@ -10,27 +10,32 @@ import * as logger from '../systems/logger.js';
  * @param {Object} player - Player entity
  * @param {number} levelNumber - Level number for generation
  * @param {Object} world - World instance for notifications and rendering
- * @param {Object} levelInstance - Optional level instance to populate with light sources
- * @returns {Object} - Level entities {storyObject, portal, staticObjects}
+ * @param {Object} levelInstance - Optional level instance to populate with light sources (torches and the prefab's lights)
+ * @returns {Object} - Level entities {storyObject, portal, staticObjects}, with the dungeon rooms (null for open chambers)
  */
 export async function generateLevel(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber = 1, world = null, levelInstance = null) {
     // Generate the complete tile map using the tile generation system
-    const { map: generatedMap, levelType } = createCompleteTileMap(MAP_WIDTH, MAP_HEIGHT, levelNumber);
+    const { map: generatedMap, levelType, rooms, doors } = createCompleteTileMap(MAP_WIDTH, MAP_HEIGHT, levelNumber);
     
     // Copy the generated tiles to the provided map reference
     for (let x = 0; x < MAP_WIDTH; x++) {
         map[x] = generatedMap[x];
     }
     
-    // Set up all entities (player placement, portal, static objects, story object)
-    const entities = await setupLevelEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world);
+    // Set up all entities (player placement, portal, static objects, story object);
+    // dungeons pass their rooms and doorways along
+    const layout = rooms ? { rooms, doors } : null;
+    const entities = await setupLevelEntities(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world, layout);
     
     // Place torch light sources if level instance is provided
     if (levelInstance) {
         placeTorchesOnLevel(map, MAP_WIDTH, MAP_HEIGHT, levelInstance, levelNumber, player);
+        for (const { x, y, radius, type } of entities.prefab?.lights || []) {
+            levelInstance.addLightSource(x, y, radius, type);
+        }
     }
     
     // logger.debug(`Level ${levelNumber} (${levelType}) generation complete`);
     
-    return entities;
+    return { ...entities, rooms };
 } 
\ No newline at end of file
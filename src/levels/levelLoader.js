@@ -0,0 +1,160 @@
+import { generateLevel } from "./levelGeneration.js";
+import { getLevelDimensions } from "./tileGeneration.js";
+import { ensurePlayerPlacement } from "./entityPlacement.js";
+import { isTilePassable } from "../tiles/tileTypes.js";
+import * as logger from '../systems/logger.js';
+
+/**
+ * Generates a level, or brings back a chamber visited earlier, and installs it into the world
+ * Shared by the game (which then redraws and plays the level introduction) and
+ * headless simulations. The world's map object is cleared and refilled in place.
+ * The chamber being left is stored on its Level first so it can be returned to.
+ * @param {World} world - Initialized world (player, map and optionally turnEngine set)
+ * @param {number} levelNumber - Level number to load
+ * @returns {Promise<Object>} - Level data {portal, upStairs, storyObject, staticObjects, monsters, revisited}
+ */
+export async function loadLevelIntoWorld(world, levelNumber) {
+    const { player, map } = world;
+    const previousLevel = world.currentLevelInstance;
+
+    storeCurrentChamber(world, levelNumber);
+
+    let levelData;
+    const level = world.getOrCreateLevel(levelNumber);
+    if (level.hasStoredState()) {
+        world.setMapSize(level.width, level.height);
+        const arrivingFromBelow = previousLevel ? previousLevel.levelNumber > levelNumber : false;
+        levelData = restoreChamber(world, level.takeStoredState(), arrivingFromBelow);
+    } else {
+        // The generator decides how large this level's map is
+        const { width, height } = getLevelDimensions(levelNumber);
+        level.setDimensions(width, height);
+        world.setMapSize(width, height);
+        const { MAP_WIDTH, MAP_HEIGHT } = world;
+
+        // Reset player position to bottom center (as if walking in from below)
+        player.setPosition(Math.floor(MAP_WIDTH / 2), MAP_HEIGHT - 2);
+
+        // Clear the existing map
+        for (let x in map) {
+            delete map[x];
+        }
+        levelData = { ...await generateLevel(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, world), revisited: false };
+        level.rooms = levelData.rooms;
+    }
+
+    const staticObjects = levelData.staticObjects || [];
+    const monsters = levelData.monsters || [];
+    const upStairs = levelData.upStairs || null;
+
+    // Swap the previous level's monsters for the new ones in the turn engine
+    if (world.turnEngine) {
+        for (const actor of world.turnEngine.getActors()) {
+            if (!actor.isPlayer()) {
+                world.turnEngine.removeActor(actor);
+            }
+        }
+
+        for (const monster of monsters) {
+            world.turnEngine.addActor(monster);
+        }
+        logger.debug(`Added ${monsters.length} monsters to turn engine`);
+    }
+
+    world.update({
+        map,
+        portal: levelData.portal,
+        upStairs,
+        storyObject: levelData.storyObject,
+        staticObjects,
+        monsters,
+        currentLevel: levelNumber
+    });
+
+    // Place torches on a newly generated level (returning chambers keep theirs), and its prefab's lights
+    // alongside them, then initialize FOV with them lit
+    world.placeTorchesOnCurrentLevel();
+    for (const { x, y, radius, type } of levelData.prefab?.lights || []) {
+        level.addLightSource(x, y, radius, type);
+    }
+    world.initializeFOV();
+
+    return { ...levelData, upStairs, staticObjects, monsters };
+}
+
+/**
+ * Store the chamber the player is leaving on its Level
+ * Nothing is stored on the first load of a run, or when the world was reset.
+ */
+function storeCurrentChamber(world, nextLevelNumber) {
+    const level = world.currentLevelInstance;
+    if (!level || level.levelNumber === nextLevelNumber || world.levels.get(level.levelNumber) !== level) {
+        return;
+    }
+    if (Object.keys(world.map).length === 0) {
+        return;
+    }
+
+    level.storeState({
+        map: world.map,
+        monsters: world.monsters || [],
+        storyObject: world.storyObject,
+        staticObjects: world.staticObjects || [],
+        portal: world.portal,
+        upStairs: world.upStairs
+    });
+    logger.debug(`Stored chamber ${level.levelNumber} with ${level.storedState.monsters.length} frozen monsters`);
+}
+
+/**
+ * Put a stored chamber back into the world's map and place the player on the stairs they came through
+ * @returns {Object} - Level data as from generateLevel, with revisited: true
+ */
+function restoreChamber(world, stored, arrivingFromBelow) {
+    const { player, map, MAP_WIDTH, MAP_HEIGHT } = world;
+
+    for (let x in map) {
+        delete map[x];
+    }
+    Object.assign(map, stored.map);
+
+    // Coming up from below arrives on the portal down; coming down arrives on the up-stairs
+    const arrival = arrivingFromBelow ? stored.portal : stored.upStairs;
+    if (arrival) {
+        player.setPosition(arrival.x, arrival.y);
+    } else {
+        player.setPosition(Math.floor(MAP_WIDTH / 2), MAP_HEIGHT - 2);
+        ensurePlayerPlacement(map, MAP_WIDTH, MAP_HEIGHT, player);
+    }
+    displaceMonstersFrom(map, MAP_WIDTH, MAP_HEIGHT, player, stored.monsters);
+
+    return { ...stored, revisited: true };
+}
+
+/**
+ * Step a frozen monster off the tile the player arrives on (first free neighbour, no RNG)
+ */
+function displaceMonstersFrom(map, MAP_WIDTH, MAP_HEIGHT, player, monsters) {
+    const blocker = monsters.find(monster => monster.x === player.x && monster.y === player.y);
+    if (!blocker) {
+        return;
+    }
+
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            if (dx === 0 && dy === 0) {
+                continue;
+            }
+            const x = player.x + dx;
+            const y = player.y + dy;
+            if (x < 0 || x >= MAP_WIDTH || y < 0 || y >= MAP_HEIGHT || !map[x] || !isTilePassable(map[x][y])) {
+                continue;
+            }
+            if (monsters.some(monster => monster.x === x && monster.y === y)) {
+                continue;
+            }
+            blocker.setPosition(x, y);
+            return;
+        }
+    }
+}
@@ -86,4 +86,38 @@ export function findNearestPassableTile(map, MAP_WIDTH, MAP_HEIGHT, targetX, tar
   }
   
   return null; // No passable tile found within range
-} 
\ No newline at end of file
+}
+
+/**
+ * Find every tile that can be walked to from a position (4-way, staying off the border like findPath)
+ * @param {Object} map - The game map
+ * @param {number} MAP_WIDTH - Map width
+ * @param {number} MAP_HEIGHT - Map height
+ * @param {number} startX - Starting X coordinate
+ * @param {number} startY - Starting Y coordinate
+ * @returns {Set<string>} Reachable tiles as "x,y" keys, the start included (empty if it is impassable)
+ */
+export function findReachableTiles(map, MAP_WIDTH, MAP_HEIGHT, startX, startY) {
+  const reachable = new Set();
+  if (!isTilePassable(map[startX]?.[startY])) {
+    return reachable;
+  }
+  
+  const queue = [[startX, startY]];
+  reachable.add(`${startX},${startY}`);
+  for (let i = 0; i < queue.length; i++) {
+    const [x, y] = queue[i];
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nx = x + dx;
+      const ny = y + dy;
+      const key = `${nx},${ny}`;
+      if (nx < 1 || nx >= MAP_WIDTH - 1 || ny < 1 || ny >= MAP_HEIGHT - 1 || reachable.has(key)) continue;
+      if (isTilePassable(map[nx][ny])) {
+        reachable.add(key);
+        queue.push([nx, ny]);
+      }
+    }
+  }
+  
+  return reachable;
+}
@@ -0,0 +1,206 @@
+import { TileTypes, isTilePassable } from "../tiles/tileTypes.js";
+import { findReachableTiles } from "./pathfinding.js";
+import { PREFABS, PREFAB_CHANCE } from "../content/prefabs.js";
+import { MONSTERS } from "../content/monsters.js";
+import { ITEMS } from "../content/items.js";
+import * as logger from '../systems/logger.js';
+
+// Prefabs: hand-drawn set pieces from content/prefabs.js, stamped into a generated chamber
+// before anything else is placed on it. A spot is only kept if the stamp leaves every tile
+// the player could reach still reachable and the prefab's own floor reachable as well.
+
+// TUNABLE: Spots tried before a level is left without its prefab
+const PREFAB_ATTEMPTS = 40;
+
+// Blueprint character that leaves the chamber's own tile in place
+const KEEP_TILE = ' ';
+
+const SPAWN_KINDS = ['storyObject', 'monster', 'item'];
+
+function invalidPrefab(id, reason) {
+    const error = new Error(`Prefab ${id}: ${reason}`);
+    error.code = 'INVALID_PREFAB';
+    return error;
+}
+
+/**
+ * Check a prefab from content/prefabs.js and turn its blueprint into cells
+ * @param {string} id - Prefab id
+ * @param {Object} prefab - Prefab definition
+ * @returns {{id:string, title:string, width:number, height:number, cells:Array<{dx:number, dy:number, tile:Object, spawn?:string, monster?:string, item?:string, light?:Object}>}}
+ * @throws {Error} With code 'INVALID_PREFAB' when the blueprint or legend is malformed
+ */
+export function parsePrefab(id, prefab) {
+    const { blueprint, legend = {} } = prefab;
+    if (!Array.isArray(blueprint) || blueprint.length === 0) {
+        throw invalidPrefab(id, 'blueprint must be a non-empty array of rows');
+    }
+    const width = blueprint[0].length;
+    if (blueprint.some(row => row.length !== width)) {
+        throw invalidPrefab(id, 'blueprint rows must all be the same length');
+    }
+
+    const cells = [];
+    blueprint.forEach((row, dy) => {
+        [...row].forEach((char, dx) => {
+            if (char === KEEP_TILE) {
+                return;
+            }
+            const entry = legend[char];
+            if (!entry) {
+                throw invalidPrefab(id, `'${char}' is not in the legend`);
+            }
+            const tile = TileTypes[entry.tile];
+            if (!tile) {
+                throw invalidPrefab(id, `'${char}' uses unknown tile ${entry.tile}`);
+            }
+            if (entry.spawn !== undefined) {
+                if (!SPAWN_KINDS.includes(entry.spawn)) {
+                    throw invalidPrefab(id, `'${char}' spawns unknown ${entry.spawn}`);
+                }
+                if (!isTilePassable(tile)) {
+                    throw invalidPrefab(id, `'${char}' spawns on impassable ${entry.tile}`);
+                }
+                if (entry.spawn === 'monster' && entry.monster !== undefined && !MONSTERS[entry.monster]) {
+                    throw invalidPrefab(id, `'${char}' spawns unknown monster ${entry.monster}`);
+                }
+                if (entry.spawn === 'item' && !ITEMS[entry.item]) {
+                    throw invalidPrefab(id, `'${char}' spawns unknown item ${entry.item}`);
+                }
+            }
+            if (entry.light && !(entry.light.radius > 0)) {
+                throw invalidPrefab(id, `'${char}' has a light without a radius`);
+            }
+            cells.push({ dx, dy, tile, spawn: entry.spawn, monster: entry.monster, item: entry.item, light: entry.light });
+        });
+    });
+
+    if (cells.filter(cell => cell.spawn === 'storyObject').length > 1) {
+        throw invalidPrefab(id, 'only one story object can be spawned');
+    }
+    return { id, title: prefab.title || id, width, height: blueprint.length, cells };
+}
+
+// Parsed once on load, so a broken blueprint shows up as soon as the game starts
+const PARSED_PREFABS = Object.entries(PREFABS).map(([id, prefab]) => ({ ...prefab, ...parsePrefab(id, prefab) }));
+
+/**
+ * Prefabs that can appear on a level
+ * @param {number} levelNumber - Level number
+ * @param {string} levelType - Level type id
+ * @returns {Array} - Parsed prefabs
+ */
+export function getEligiblePrefabs(levelNumber, levelType) {
+    return PARSED_PREFABS.filter(prefab =>
+        levelNumber >= (prefab.minLevel ?? 1) &&
+        levelNumber <= (prefab.maxLevel ?? Infinity) &&
+        (!prefab.levelTypes || prefab.levelTypes.includes(levelType)));
+}
+
+// Pick a prefab, weighted
+function selectPrefab(candidates) {
+    const totalWeight = candidates.reduce((sum, prefab) => sum + (prefab.weight ?? 1), 0);
+    let random = ROT.RNG.getUniform() * totalWeight;
+
+    for (const prefab of candidates) {
+        random -= prefab.weight ?? 1;
+        if (random <= 0) {
+            return prefab;
+        }
+    }
+    return candidates[0];
+}
+
+// Stamp the prefab's tiles, keeping what was there so it can be put back
+function stampPrefab(map, prefab, left, top) {
+    return prefab.cells.map(({ dx, dy, tile }) => {
+        const x = left + dx;
+        const y = top + dy;
+        const original = { x, y, tile: map[x][y] };
+        map[x][y] = tile;
+        return original;
+    });
+}
+
+function restoreTiles(map, original) {
+    for (const { x, y, tile } of original) {
+        map[x][y] = tile;
+    }
+}
+
+// Everything reachable before must still be (unless the prefab built over it), and so must the prefab's floor
+function keepsLevelConnected(map, MAP_WIDTH, MAP_HEIGHT, player, reachableBefore, prefab, left, top) {
+    const reachable = findReachableTiles(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y);
+    for (const key of reachableBefore) {
+        const [x, y] = key.split(',').map(Number);
+        if (isTilePassable(map[x][y]) && !reachable.has(key)) {
+            return false;
+        }
+    }
+    return prefab.cells.every(({ dx, dy, tile }) =>
+        !isTilePassable(tile) || reachable.has(`${left + dx},${top + dy}`));
+}
+
+/**
+ * Stamp a prefab into the level, if the level rolls one and one fits
+ * The map is only changed when a spot is found that keeps the level connected. Nothing is
+ * created here: the caller places what the prefab spawns at the positions returned.
+ * @param {Object} map - The level tile map
+ * @param {number} MAP_WIDTH - Map width
+ * @param {number} MAP_HEIGHT - Map height
+ * @param {Object} player - Player entity
+ * @param {number} levelNumber - Current level number
+ * @param {string} levelType - Level type id
+ * @param {Array} existingEntities - Everything placed so far (kept out of the prefab)
+ * @returns {{id:string, title:string, left:number, top:number, width:number, height:number,
+ *   storyPosition:{x:number, y:number}|null, monsters:Array<{x:number, y:number, type?:string}>,
+ *   items:Array<{x:number, y:number, itemId:string}>, lights:Array<{x:number, y:number, radius:number, type:string}>}|null}
+ */
+export function placePrefab(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, levelType, existingEntities = []) {
+    const candidates = getEligiblePrefabs(levelNumber, levelType);
+    if (candidates.length === 0 || ROT.RNG.getUniform() >= PREFAB_CHANCE) {
+        return null;
+    }
+    const prefab = selectPrefab(candidates);
+    if (prefab.width > MAP_WIDTH - 2 || prefab.height > MAP_HEIGHT - 2) {
+        logger.warn(`Prefab ${prefab.id} does not fit a ${MAP_WIDTH}x${MAP_HEIGHT} map`);
+        return null;
+    }
+
+    const reachableBefore = findReachableTiles(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y);
+    const occupied = [player, ...existingEntities].filter(entity => entity && !entity.pickedUp);
+
+    for (let attempt = 0; attempt < PREFAB_ATTEMPTS; attempt++) {
+        const left = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_WIDTH - 1 - prefab.width));
+        const top = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_HEIGHT - 1 - prefab.height));
+        const covers = entity => prefab.cells.some(({ dx, dy }) => entity.x === left + dx && entity.y === top + dy);
+        if (occupied.some(covers)) {
+            continue;
+        }
+
+        const original = stampPrefab(map, prefab, left, top);
+        if (!keepsLevelConnected(map, MAP_WIDTH, MAP_HEIGHT, player, reachableBefore, prefab, left, top)) {
+            restoreTiles(map, original);
+            continue;
+        }
+
+        const at = ({ dx, dy }) => ({ x: left + dx, y: top + dy });
+        const story = prefab.cells.find(cell => cell.spawn === 'storyObject');
+        logger.info(`Placed prefab ${prefab.id} at (${left}, ${top}) on level ${levelNumber}`);
+        return {
+            id: prefab.id,
+            title: prefab.title,
+            left,
+            top,
+            width: prefab.width,
+            height: prefab.height,
+            storyPosition: story ? at(story) : null,
+            monsters: prefab.cells.filter(cell => cell.spawn === 'monster').map(cell => ({ ...at(cell), type: cell.monster })),
+            items: prefab.cells.filter(cell => cell.spawn === 'item').map(cell => ({ ...at(cell), itemId: cell.item })),
+            lights: prefab.cells.filter(cell => cell.light).map(cell => ({ ...at(cell), radius: cell.light.radius, type: cell.light.type || 'torch' }))
+        };
+    }
+
+    logger.debug(`No spot for prefab ${prefab.id} on level ${levelNumber}`);
+    return null;
+}
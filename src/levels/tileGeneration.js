@@ -1,23 +1,19 @@
 import { TileTypes, randomWallType } from "../tiles/tileTypes.js";
-import { generateBasicLayout } from "./generators/basicLevel.js";
-import { generateCaveLayout } from "./generators/caveLevel.js";
-import { generatePillaredHallLayout } from "./generators/pillaredHallLevel.js";
+import { determineLevelType, getGeneratorMetadata, generateLayout } from "./generators/index.js";
+import { seedLevelStream } from '../systems/rng.js';
 import * as logger from '../systems/logger.js';
 
+// Level types come from the generator registry (see generators/index.js)
+export { determineLevelType };
+
 /**
- * Determines the type of level based on the level number
- * @param {number} levelNumber - The current level number
- * @returns {string} - The level type ('basic', 'cave', or 'pillaredHall')
+ * Determines the map dimensions of a level
+ * @param {number} levelNumber - The level number
+ * @returns {{width: number, height: number}} - Map size in tiles
  */
-export function determineLevelType(levelNumber) {
-    // Cycle through three level types: basic -> cave -> pillaredHall
-    const typeIndex = levelNumber % 3;
-    switch (typeIndex) {
-        case 1: return 'basic';      // Levels 1, 4, 7, 10...
-        case 2: return 'cave';       // Levels 2, 5, 8, 11...
-        case 0: return 'pillaredHall'; // Levels 3, 6, 9, 12...
-        default: return 'basic';
-    }
+export function getLevelDimensions(levelNumber) {
+    const { width, height } = getGeneratorMetadata(determineLevelType(levelNumber)).dimensions;
+    return { width, height };
 }
 
 /**
@@ -25,24 +21,17 @@ export function determineLevelType(levelNumber) {
  * @param {number} MAP_WIDTH - Map width
  * @param {number} MAP_HEIGHT - Map height  
  * @param {number} levelNumber - Level number for deterministic generation
- * @returns {Object} - 2D tile map with generated interior tiles
+ * @returns {Object} - {levelTiles, levelType, rooms, doors}; rooms and doors are only
+ *   known for generators that report them (null otherwise)
  */
 export function generateLevelTiles(MAP_WIDTH, MAP_HEIGHT, levelNumber) {
     const levelType = determineLevelType(levelNumber);
     
     // logger.debug(`Generating level ${levelNumber} (${levelType})`);
     
-    // Generate level tiles based on type
-    let levelTiles;
-    if (levelType === 'cave') {
-        levelTiles = generateCaveLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber);
-    } else if (levelType === 'pillaredHall') {
-        levelTiles = generatePillaredHallLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber);
-    } else {
-        levelTiles = generateBasicLayout(MAP_WIDTH, MAP_HEIGHT, levelNumber);
-    }
+    const { tileMap: levelTiles, rooms, doors } = generateLayout(levelType, MAP_WIDTH, MAP_HEIGHT, levelNumber);
     
-    return { levelTiles, levelType };
+    return { levelTiles, levelType, rooms, doors };
 }
 
 /**
@@ -50,15 +39,18 @@ export function generateLevelTiles(MAP_WIDTH, MAP_HEIGHT, levelNumber) {
  * @param {number} MAP_WIDTH - Map width
  * @param {number} MAP_HEIGHT - Map height
  * @param {number} levelNumber - Level number for generation
- * @returns {Object} - Complete 2D tile map ready for use
+ * @returns {Object} - Complete 2D tile map ready for use, with the level type and (for dungeons) rooms and doors
  */
 export function createCompleteTileMap(MAP_WIDTH, MAP_HEIGHT, levelNumber) {
-    const { levelTiles, levelType } = generateLevelTiles(MAP_WIDTH, MAP_HEIGHT, levelNumber);
+    const { levelTiles, levelType, rooms, doors } = generateLevelTiles(MAP_WIDTH, MAP_HEIGHT, levelNumber);
     
     // logger.debug(`Generated tiles for level ${levelNumber}, applying to map...`);
     let tilesGenerated = 0;
     let tilesUndefined = 0;
     
+    // Border wall variety is seeded too, so the whole map replays from the run seed
+    seedLevelStream(levelNumber, 'walls');
+    
     // Create the complete map with borders
     const map = {};
     for (let x = 0; x < MAP_WIDTH; x++) {
@@ -80,5 +72,5 @@ export function createCompleteTileMap(MAP_WIDTH, MAP_HEIGHT, levelNumber) {
     
     // logger.debug(`Level ${levelNumber} tiles: ${tilesGenerated} generated, ${tilesUndefined} undefined (fell back to default)`);
     
-    return { map, levelType, tilesGenerated, tilesUndefined };
+    return { map, levelType, rooms, doors, tilesGenerated, tilesUndefined };
 } 
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { TileTypes } from "../tiles/tileTypes.js";
+import { arePointsConnected } from "./pathfinding.js";
+import { findFreeTile } from "../entities/placement.js";
+import { createDoor, DOOR_KEY_ITEM } from "../entities/door.js";
+import { createEquipmentItem, selectFromLootTable } from "../entities/equipment.js";
+import { createItemOnFloor } from "../entities/inventoryItems.js";
+import { getLootTable } from "../content/equipment.js";
+import { ITEM_LOOT } from "../content/items.js";
+import * as logger from '../systems/logger.js';
+
+// Locked side vaults: a small walled room behind a locked door, holding loot from
+// deeper down. The silver key for it lies somewhere the player can reach without it,
+// and the vault is only kept if everything else on the level stays reachable too.
+
+// TUNABLE: Vault size, walls included (the room inside is two smaller each way)
+export const VAULT_SIZE = 5;
+
+// TUNABLE: The vault's equipment comes from the loot table this many levels deeper
+export const VAULT_LOOT_DEPTH = 2;
+
+// TUNABLE: Spots tried before a level is left without a vault
+const VAULT_ATTEMPTS = 40;
+
+// Tries at placing the key somewhere reachable
+const KEY_ATTEMPTS = 20;
+
+const MIDDLE = Math.floor(VAULT_SIZE / 2);
+
+// Where the door goes on each side of the vault, and the step out of it
+const DOOR_SIDES = [
+    { dx: MIDDLE, dy: 0, outX: 0, outY: -1 },
+    { dx: MIDDLE, dy: VAULT_SIZE - 1, outX: 0, outY: 1 },
+    { dx: 0, dy: MIDDLE, outX: -1, outY: 0 },
+    { dx: VAULT_SIZE - 1, dy: MIDDLE, outX: 1, outY: 0 }
+];
+
+function isInside(x, y, left, top) {
+    return x >= left && x < left + VAULT_SIZE && y >= top && y < top + VAULT_SIZE;
+}
+
+function overlaps(area, left, top) {
+    return area.left < left + VAULT_SIZE && left < area.left + area.width &&
+        area.top < top + VAULT_SIZE && top < area.top + area.height;
+}
+
+// Wall in the vault, keeping what was there so it can be put back
+function carveVault(map, left, top) {
+    const original = [];
+    for (let x = left; x < left + VAULT_SIZE; x++) {
+        for (let y = top; y < top + VAULT_SIZE; y++) {
+            original.push({ x, y, tile: map[x][y] });
+            const wall = x === left || y === top || x === left + VAULT_SIZE - 1 || y === top + VAULT_SIZE - 1;
+            map[x][y] = wall ? TileTypes.stone : TileTypes.cobblestone;
+        }
+    }
+    return original;
+}
+
+function restoreTiles(map, original) {
+    for (const { x, y, tile } of original) {
+        map[x][y] = tile;
+    }
+}
+
+// Everything already on the level must still be reachable from the player with the vault shut
+function keepsLevelConnected(map, MAP_WIDTH, MAP_HEIGHT, player, targets) {
+    return targets.every(target =>
+        arePointsConnected(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y, target.x, target.y));
+}
+
+/**
+ * Carve a locked vault into the level, with loot inside and its key outside
+ * The map is only changed if a spot is found where the portal, and everything else
+ * already placed, can still be reached without the key.
+ * @param {Object} map - The level tile map
+ * @param {number} MAP_WIDTH - Map width
+ * @param {number} MAP_HEIGHT - Map height
+ * @param {Object} player - Player entity
+ * @param {number} levelNumber - Current level number (picks the loot, keeps ids stable)
+ * @param {Array} existingEntities - Everything placed so far, portal included
+ * @param {Array<{left:number, top:number, width:number, height:number}>} [keepOut=[]] - Areas the vault must not be carved into (prefabs)
+ * @returns {{door:Object, loot:Array, key:Object}|null} - Vault entities, or null if none fit
+ */
+export function placeVault(map, MAP_WIDTH, MAP_HEIGHT, player, levelNumber, existingEntities, keepOut = []) {
+    const targets = existingEntities.filter(entity =>
+        entity && entity !== player && typeof entity.x === 'number' && !entity.pickedUp &&
+        !(entity.x === player.x && entity.y === player.y));
+
+    for (let attempt = 0; attempt < VAULT_ATTEMPTS; attempt++) {
+        const left = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_WIDTH - 1 - VAULT_SIZE));
+        const top = 1 + Math.floor(ROT.RNG.getUniform() * (MAP_HEIGHT - 1 - VAULT_SIZE));
+        const side = DOOR_SIDES[Math.floor(ROT.RNG.getUniform() * DOOR_SIDES.length)];
+        const doorX = left + side.dx;
+        const doorY = top + side.dy;
+        const outsideX = doorX + side.outX;
+        const outsideY = doorY + side.outY;
+
+        const occupied = isInside(player.x, player.y, left, top) ||
+            existingEntities.some(entity => entity && !entity.pickedUp && isInside(entity.x, entity.y, left, top)) ||
+            keepOut.some(area => overlaps(area, left, top));
+        const outsideInBounds = outsideX >= 1 && outsideX < MAP_WIDTH - 1 && outsideY >= 1 && outsideY < MAP_HEIGHT - 1;
+        if (occupied || !outsideInBounds) {
+            continue;
+        }
+
+        const original = carveVault(map, left, top);
+        const door = createDoor(map, doorX, doorY, 'locked', levelNumber, 'vault');
+        if (!keepsLevelConnected(map, MAP_WIDTH, MAP_HEIGHT, player, [...targets, { x: outsideX, y: outsideY }])) {
+            restoreTiles(map, original);
+            continue;
+        }
+
+        // The key goes on a free tile reachable with the vault still locked
+        const avoid = [...existingEntities, door];
+        let key = null;
+        for (let i = 0; i < KEY_ATTEMPTS && !key; i++) {
+            const { x, y } = findFreeTile(map, MAP_WIDTH, MAP_HEIGHT, player, avoid);
+            if (!isInside(x, y, left, top) && arePointsConnected(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y, x, y)) {
+                key = createItemOnFloor(DOOR_KEY_ITEM, x, y, levelNumber, `${DOOR_KEY_ITEM}_L${levelNumber}`);
+            }
+        }
+        if (!key) {
+            restoreTiles(map, original);
+            continue;
+        }
+
+        // Deeper equipment in the middle, a potion or scroll behind it
+        const centerX = left + MIDDLE;
+        const centerY = top + MIDDLE;
+        const equipmentId = selectFromLootTable(getLootTable(levelNumber + VAULT_LOOT_DEPTH));
+        const itemId = selectFromLootTable(ITEM_LOOT);
+        const loot = [
+            createEquipmentItem(map, equipmentId, centerX, centerY, levelNumber, `${equipmentId}_L${levelNumber}_vault`),
+            createItemOnFloor(itemId, centerX - side.outX, centerY - side.outY, levelNumber, `${itemId}_L${levelNumber}_vault`)
+        ];
+
+        logger.info(`Placed a locked vault at (${left}, ${top}) on level ${levelNumber}, door at (${doorX}, ${doorY})`);
+        return { door, loot, key };
+    }
+
+    logger.warn(`No room for a locked vault on level ${levelNumber}`);
+    return null;
+}
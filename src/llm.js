@@ -6,8 +6,7 @@
  */
 
 import { appendLevelIntroductionText } from './ui/overlays/levelIntro.js';
-
-const { ipcRenderer } = window.require('electron');
+import { getIpc } from './systems/ipc.js';
 
 // Re-export schemas from shared location (used by both game and benchmarks)
 export { JsonSchemas, assembleLevelIntro, assembleArtifact } from './main/llm/schemas.js';
@@ -20,7 +19,7 @@ export { JsonSchemas, assembleLevelIntro, assembleArtifact } from './main/llm/sc
  * @returns {Promise<object>} Parsed JSON object
  */
 export async function generateJson(prompt, jsonSchema, options = {}) {
-    const result = await ipcRenderer.invoke('llm-generate', {
+    const result = await getIpc().invoke('llm-generate', {
         prompt,
         jsonSchema,
         mode: options.mode,
@@ -52,7 +51,7 @@ export async function generateJson(prompt, jsonSchema, options = {}) {
  * @deprecated Use generateJson with JsonSchemas.levelIntro for structured output
  */
 export async function generateDescription(prompt) {
-    const result = await ipcRenderer.invoke('llm-generate', {
+    const result = await getIpc().invoke('llm-generate', {
         prompt
     });
 
@@ -73,6 +72,7 @@ export async function generateDescription(prompt) {
  * @returns {Promise<object>} Parsed JSON object
  */
 export async function streamJson(prompt, { jsonSchema, onToken } = {}) {
+    const ipc = getIpc();
     return new Promise((resolve, reject) => {
         let full = '';
 
@@ -106,15 +106,15 @@ export async function streamJson(prompt, { jsonSchema, onToken } = {}) {
         };
 
         function cleanup() {
-            ipcRenderer.removeListener('llm-generate-stream-data', handler);
-            ipcRenderer.removeListener('llm-generate-stream-end', endHandler);
-            ipcRenderer.removeListener('llm-generate-stream-error', errorHandler);
+            ipc.removeListener('llm-generate-stream-data', handler);
+            ipc.removeListener('llm-generate-stream-end', endHandler);
+            ipc.removeListener('llm-generate-stream-error', errorHandler);
         }
 
-        ipcRenderer.on('llm-generate-stream-data', handler);
-        ipcRenderer.on('llm-generate-stream-end', endHandler);
-        ipcRenderer.on('llm-generate-stream-error', errorHandler);
-        ipcRenderer.send('llm-generate-stream', { prompt, jsonSchema });
+        ipc.on('llm-generate-stream-data', handler);
+        ipc.on('llm-generate-stream-end', endHandler);
+        ipc.on('llm-generate-stream-error', errorHandler);
+        ipc.send('llm-generate-stream', { prompt, jsonSchema });
     });
 }
 
@@ -123,6 +123,7 @@ export async function streamJson(prompt, { jsonSchema, onToken } = {}) {
  * @deprecated Use streamJson with JsonSchemas.levelIntro for structured output
  */
 export async function streamDescription(prompt, { onToken } = {}) {
+    const ipc = getIpc();
     return new Promise((resolve, reject) => {
         let full = '';
 
@@ -148,15 +149,15 @@ export async function streamDescription(prompt, { onToken } = {}) {
         };
 
         function cleanup() {
-            ipcRenderer.removeListener('llm-generate-stream-data', handler);
-            ipcRenderer.removeListener('llm-generate-stream-end', endHandler);
-            ipcRenderer.removeListener('llm-generate-stream-error', errorHandler);
+            ipc.removeListener('llm-generate-stream-data', handler);
+            ipc.removeListener('llm-generate-stream-end', endHandler);
+            ipc.removeListener('llm-generate-stream-error', errorHandler);
         }
 
-        ipcRenderer.on('llm-generate-stream-data', handler);
-        ipcRenderer.on('llm-generate-stream-end', endHandler);
-        ipcRenderer.on('llm-generate-stream-error', errorHandler);
-        ipcRenderer.send('llm-generate-stream', { prompt });
+        ipc.on('llm-generate-stream-data', handler);
+        ipc.on('llm-generate-stream-end', endHandler);
+        ipc.on('llm-generate-stream-error', errorHandler);
+        ipc.send('llm-generate-stream', { prompt });
     });
 }
 
@@ -181,5 +182,5 @@ function getErrorMessage(result) {
  * @returns {Promise<{success: boolean, aborted: boolean}>}
  */
 export async function abortGeneration() {
-    return await ipcRenderer.invoke('llm-abort-generation');
+    return await getIpc().invoke('llm-abort-generation');
 }
@@ -1,12 +1,18 @@
 import { app, BrowserWindow, ipcMain, Menu, shell } from 'electron';
 import path from 'path';
 import { createLlamaSystem } from './main/llm/index.js';
+import { SaveStore } from './main/saves/SaveStore.js';
 import { info, error, warn, debug } from './systems/logger.js';
 
 let mainWindow;
 let store; // Will be initialized with dynamic import
 let llmBridge; // New LLM bridge instance
 let llmInitialized = false;
+let saveStore; // File-based save slots under userData/saves
+let isQuitting = false;
+
+// How long to wait for the renderer's autosave before closing anyway
+const CLOSE_AUTOSAVE_TIMEOUT_MS = 3000;
 
 // Initialize settings store with dynamic import
 async function initializeStore() {
@@ -18,7 +24,8 @@ async function initializeStore() {
             fullscreen: false,
             windowWidth: 1200,
             windowHeight: 800,
-            windowPreset: 'Default'
+            windowPreset: 'Default',
+            ironman: false
         }
     });
 }
@@ -123,6 +130,34 @@ function createWindow() {
     mainWindow.webContents.openDevTools();
   }
 
+  // Let the renderer autosave the run before the window goes away (app quit or window close)
+  const win = mainWindow;
+  let closeRequested = false;
+  let closeAcknowledged = false;
+  win.on('close', (event) => {
+    if (closeAcknowledged) return;
+    event.preventDefault();
+    if (closeRequested) return;
+    closeRequested = true;
+
+    const finishClose = () => {
+      if (closeAcknowledged) return;
+      closeAcknowledged = true;
+      ipcMain.removeListener('app-close-ready', onReady);
+      if (isQuitting) {
+        app.quit();
+      } else if (!win.isDestroyed()) {
+        win.close();
+      }
+    };
+    const onReady = (readyEvent) => {
+      if (readyEvent.sender === win.webContents) finishClose();
+    };
+    ipcMain.on('app-close-ready', onReady);
+    setTimeout(finishClose, CLOSE_AUTOSAVE_TIMEOUT_MS);
+    win.webContents.send('app-closing');
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
@@ -372,13 +407,14 @@ ipcMain.handle('settings-set', (event, key, value) => {
 ipcMain.handle('settings-get-all', () => {
   if (!store) {
     warn('Store not initialized');
-    return { llmModel: 'phi3:mini', enableLLM: true, fullscreen: false, windowPreset: 'Default' };
+    return { llmModel: 'phi3:mini', enableLLM: true, fullscreen: false, windowPreset: 'Default', ironman: false };
   }
   return {
     llmModel: store.get('llmModel'),
     enableLLM: store.get('enableLLM'),
     fullscreen: store.get('fullscreen'),
-    windowPreset: store.get('windowPreset')
+    windowPreset: store.get('windowPreset'),
+    ironman: store.get('ironman')
   };
 });
 
@@ -391,6 +427,64 @@ ipcMain.handle('settings-clear', () => {
   return true;
 });
 
+// IPC handlers for save slots (files under userData/saves)
+function getSaveStore() {
+  if (!saveStore) {
+    saveStore = new SaveStore(path.join(app.getPath('userData'), 'saves'));
+  }
+  return saveStore;
+}
+
+ipcMain.handle('saves-list', async () => {
+  try {
+    const slots = await getSaveStore().list();
+    return { success: true, slots };
+  } catch (err) {
+    error('Failed to list save slots:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('saves-read', async (event, slotId) => {
+  try {
+    const save = await getSaveStore().read(slotId);
+    return { success: true, save };
+  } catch (err) {
+    error(`Failed to read save slot ${slotId}:`, err);
+    return { success: false, error: err.message, errorType: err.code };
+  }
+});
+
+ipcMain.handle('saves-write', async (event, slotId, save) => {
+  try {
+    const meta = await getSaveStore().write(slotId, save);
+    return { success: true, meta };
+  } catch (err) {
+    error(`Failed to write save slot ${slotId}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('saves-quarantine', async (event, slotId, reason) => {
+  try {
+    const path = await getSaveStore().quarantine(slotId, reason);
+    return { success: true, path };
+  } catch (err) {
+    error(`Failed to quarantine save slot ${slotId}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('saves-delete', async (event, slotId) => {
+  try {
+    await getSaveStore().delete(slotId);
+    return { success: true };
+  } catch (err) {
+    error(`Failed to delete save slot ${slotId}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
 // Window control: fullscreen toggle
 ipcMain.handle('window-set-fullscreen', (event, value) => {
   if (!mainWindow) return false;
@@ -570,6 +664,10 @@ app.whenReady().then(async () => {
     }
 });
 
+app.on('before-quit', () => {
+  isQuitting = true;
+});
+
 app.on('window-all-closed', async () => {
   // Shut down llama.cpp when closing
   if (llmInitialized && llmBridge) {
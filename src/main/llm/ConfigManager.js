@@ -23,6 +23,7 @@ export class ConfigManager {
     this.set('llm.temperature', {
       levelIntro: 0.75,  // Balance variety + control
       artifact: 0.65,    // Precision + brevity
+      unidentifiedItem: 0.8,  // Appearances should vary from run to run
       default: 0.7       // Fallback for other modes
     });
     this.set('llm.maxTokens', 500);
@@ -191,9 +192,27 @@ SLOT 1 - PLACEMENT (10-18 words):
 SLOT 2 - EFFECT (10-18 words):
 - Hint at power through subtle weirdness
 - Show what happens when you interact/observe
+- The <mechanic> is what the artifact really does in play; the effect must make it clear (in-world, no numbers)
 - Example: "When you lift it, your shadow bends first—late to follow, as if it hesitates."
 
-Respond with JSON: {"title": "exact artifact name", "placement": "...", "effect": "..."}`
+Respond with JSON: {"title": "exact artifact name", "placement": "...", "effect": "..."}`,
+
+      // Unidentified items use 2 slots: name (appearance), description (what the player notices)
+      unidentifiedItem: `You name and describe potions and scrolls the player has not identified yet.
+
+TONE: Science-fantasy. The item is unknown—describe only what can be seen, heard, smelled or felt.
+AVOID: what the item does, "magical", "mysterious", "ancient"
+PREFER: one odd physical detail that makes this item easy to remember
+
+NAME (2-4 words):
+- Built on the given <appearance>, ending with the <kind> ("potion" or "scroll")
+- Example: "Murky Violet Potion"
+
+DESCRIPTION (10-18 words):
+- How it looks and behaves in your hand, second person, present tense
+- Example: "The liquid climbs the glass toward your fingers, then sinks back when you stare."
+
+Respond with JSON: {"name": "...", "description": "..."}`
     };
   }
 }
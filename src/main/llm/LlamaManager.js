@@ -17,7 +17,7 @@ export class LlamaManager {
     this.session = null;
     this.isInitialized = false;
     this.grammarCache = new Map(); // Cache grammars by schema hash
-    this.currentMode = null; // Current system prompt mode: 'levelIntro' | 'artifact' | null
+    this.currentMode = null; // Current system prompt mode: 'levelIntro' | 'artifact' | 'unidentifiedItem' | null
     this.abortController = null; // For generation cancellation
   }
 
@@ -82,7 +82,7 @@ export class LlamaManager {
   /**
    * Set the generation mode, which determines the system prompt
    * Recreates the session with the new system prompt if mode changes
-   * @param {string} mode - 'levelIntro' | 'artifact' | null
+   * @param {string} mode - 'levelIntro' | 'artifact' | 'unidentifiedItem' | null
    */
   async setMode(mode) {
     if (this.currentMode === mode) {
@@ -116,7 +116,7 @@ export class LlamaManager {
   /**
    * Get temperature for the current mode
    * Supports both legacy single-temperature config and new per-mode config
-   * @param {string} mode - The generation mode ('levelIntro' | 'artifact')
+   * @param {string} mode - The generation mode ('levelIntro' | 'artifact' | 'unidentifiedItem')
    * @param {number} override - Optional override temperature
    * @returns {number} Temperature value
    */
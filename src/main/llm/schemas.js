@@ -7,6 +7,7 @@
  * SLOT-BASED GENERATION:
  * - Level intros use 3 slots (room, threat, oddity) assembled with periods
  * - Artifacts use 3 slots (title, placement, effect) assembled with period
+ * - Unidentified items use 2 slots (name, description), used as they are
  */
 
 export const JsonSchemas = {
@@ -32,6 +33,17 @@ export const JsonSchemas = {
             effect: { type: 'string' }       // 10-18 words: weirdness/power hint
         },
         required: ['title', 'placement', 'effect']
+    },
+
+    // Unidentified potion or scroll: { name: "...", description: "..." }
+    // Used as they are; the game keeps its own name if this one is unusable
+    unidentifiedItem: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },        // 2-4 words: appearance + "potion"/"scroll"
+            description: { type: 'string' }  // 10-18 words: how it looks, never what it does
+        },
+        required: ['name', 'description']
     }
 };
 
@@ -0,0 +1,120 @@
+import { join } from 'path';
+import fs from 'fs/promises';
+import { warn } from '../../systems/logger.js';
+
+// Slot ids become file names, so keep them to a safe character set
+const SLOT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * File-based save slots: one JSON file per slot, shaped { meta, state }
+ * meta is the small summary shown in slot browsers; state is the full game state.
+ */
+export class SaveStore {
+  constructor(savesDir) {
+    this.savesDir = savesDir;
+  }
+
+  static isValidSlotId(slotId) {
+    return typeof slotId === 'string' && SLOT_ID_PATTERN.test(slotId);
+  }
+
+  getSlotPath(slotId) {
+    if (!SaveStore.isValidSlotId(slotId)) {
+      throw new Error(`Invalid save slot id: ${slotId}`);
+    }
+    return join(this.savesDir, `${slotId}.json`);
+  }
+
+  /**
+   * List slot summaries, newest first
+   * Unreadable files are still listed (flagged corrupt) so they can be deleted.
+   */
+  async list() {
+    await fs.mkdir(this.savesDir, { recursive: true });
+    const files = (await fs.readdir(this.savesDir)).filter(file => file.endsWith('.json'));
+
+    const slots = [];
+    for (const file of files) {
+      const slotId = file.slice(0, -'.json'.length);
+      if (!SaveStore.isValidSlotId(slotId)) continue;
+
+      try {
+        const save = JSON.parse(await fs.readFile(join(this.savesDir, file), 'utf8'));
+        slots.push({ ...save.meta, slotId });
+      } catch (err) {
+        warn(`Unreadable save slot ${slotId}: ${err.message}`);
+        slots.push({ slotId, corrupt: true });
+      }
+    }
+
+    return slots.sort((a, b) => String(b.savedAt || '').localeCompare(String(a.savedAt || '')));
+  }
+
+  /**
+   * Read a slot
+   * @returns {Promise<Object|null>} The { meta, state } save, or null if the slot is empty
+   * @throws {Error} With code SAVE_CORRUPT if the file is not valid JSON
+   */
+  async read(slotId) {
+    let text;
+    try {
+      text = await fs.readFile(this.getSlotPath(slotId), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      const corrupt = new Error(`Save slot ${slotId} is not valid JSON: ${err.message}`);
+      corrupt.code = 'SAVE_CORRUPT';
+      throw corrupt;
+    }
+  }
+
+  /**
+   * Write a slot, replacing any previous save in it
+   * Written to a temp file first so a crash mid-write never leaves a truncated save.
+   */
+  async write(slotId, save) {
+    if (!save || typeof save.meta !== 'object' || typeof save.state !== 'object') {
+      throw new Error('Save data must have meta and state objects');
+    }
+    const slotPath = this.getSlotPath(slotId);
+    const meta = { ...save.meta, slotId };
+
+    await fs.mkdir(this.savesDir, { recursive: true });
+    const tempPath = `${slotPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ meta, state: save.state }), 'utf8');
+    await fs.rename(tempPath, slotPath);
+    return meta;
+  }
+
+  /**
+   * Move an unrecoverable slot out of the slot list into saves/quarantine
+   * The file is kept (with a note explaining why) so it can be inspected or repaired by hand.
+   * @returns {Promise<string|null>} Path of the quarantined file, or null if the slot was empty
+   */
+  async quarantine(slotId, reason = 'Unknown problem') {
+    const slotPath = this.getSlotPath(slotId);
+    const quarantineDir = join(this.savesDir, 'quarantine');
+    const quarantinedPath = join(quarantineDir, `${slotId}-${Date.now()}.json`);
+
+    await fs.mkdir(quarantineDir, { recursive: true });
+    try {
+      await fs.rename(slotPath, quarantinedPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    await fs.writeFile(`${quarantinedPath}.reason.txt`, `${new Date().toISOString()}\n${reason}\n`, 'utf8');
+    warn(`Quarantined save slot ${slotId}: ${reason}`);
+    return quarantinedPath;
+  }
+
+  async delete(slotId) {
+    await fs.rm(this.getSlotPath(slotId), { force: true });
+    return true;
+  }
+}
@@ -8,6 +8,18 @@
 
 import { Events } from './eventBus.js';
 import { resolveMelee } from '../combat/melee.js';
+import { traceProjectile, resolveRanged } from '../combat/ranged.js';
+import { getFootstepLoudness, NOISE } from './noise.js';
+import { createDroppedDagger, THROWING_DAGGER_RANGE, THROWING_DAGGER_DAMAGE } from '../entities/throwingDagger.js';
+import { getTurn, findInventoryItem, removeFromInventory } from './gameState.js';
+import { LEVEL_UP_CHOICES } from './experience.js';
+import { EQUIPMENT, EQUIPMENT_SLOTS } from '../content/equipment.js';
+import { ITEMS } from '../content/items.js';
+import { isQuaffable, quaffItem, isReadable, readItem, describeItem, createDroppedItem } from '../entities/inventoryItems.js';
+import { identifyItemKind } from './identification.js';
+import { invokeArtifact } from './artifactPowers.js';
+import { searchForTraps } from '../entities/trap.js';
+import { getDoorAt, openOrCloseAdjacentDoor } from '../entities/door.js';
 import { areFactionsHostile } from '../combat/factions.js';
 import * as logger from './logger.js';
 
@@ -24,6 +36,32 @@ export class Action {
         logger.error('Action.perform() called on base class');
         return false;
     }
+
+    /**
+     * Whether this action affects the simulation and should be recorded for replay
+     * UI and meta actions (save, load, restart) override this to return false
+     * @returns {boolean}
+     */
+    isReplayable() {
+        return true;
+    }
+
+    /**
+     * Serialize the action for replay recordings
+     * @returns {Object} - Plain data with the action type and its parameters
+     */
+    serialize() {
+        return { type: this.constructor.name };
+    }
+
+    /**
+     * Rebuild an action from serialized data (subclasses with parameters override this)
+     * @param {Object} data - Serialized action data
+     * @returns {Action}
+     */
+    static fromData(data) {
+        return new this();
+    }
 }
 
 /**
@@ -35,6 +73,14 @@ export class MoveAction extends Action {
         this.direction = direction;
     }
 
+    serialize() {
+        return { ...super.serialize(), direction: this.direction };
+    }
+
+    static fromData(data) {
+        return new MoveAction(data.direction);
+    }
+
     perform(world) {
         const player = world.player;
         const oldX = player.x;
@@ -84,12 +130,16 @@ export class MoveAction extends Action {
 
         // Core game logic: handle movement directly (no events)
         if (world.canMoveTo(newX, newY)) {
-            // Check for portal interaction
-            if (world.checkPortalInteraction(newX, newY)) {
-                const nextLevelNumber = world.getCurrentLevel() + 1;
+            // Check for portal (down) or up-stairs (back) interaction
+            const stairs = world.getStairsAt(newX, newY);
+            if (stairs) {
+                const nextLevelNumber = world.getCurrentLevel() + (stairs === 'down' ? 1 : -1);
 
-            // UI boundary: notify player of level transition
-            world.messageBus.emit(Events.MESSAGE_TYPED, { text: `Moving to level ${nextLevelNumber}...`, type: 'system' });
+                // UI boundary: notify player of level transition
+                const text = stairs === 'down'
+                    ? `Moving to level ${nextLevelNumber}...`
+                    : `Climbing back to level ${nextLevelNumber}...`;
+                world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'system' });
 
                 // Core logic: begin level transition
                 world.beginLevelTransition(nextLevelNumber);
@@ -109,6 +159,9 @@ export class MoveAction extends Action {
             // Core logic: update player position directly
             player.setPosition(newX, newY);
             
+            // Footsteps are louder on hard floors than soft ones
+            world.makeNoise(newX, newY, getFootstepLoudness(world.map[newX][newY]), player);
+            
             // Recompute FOV after player movement
             world.recomputeFOV();
             
@@ -117,8 +170,15 @@ export class MoveAction extends Action {
 
             return true; // Movement consumes a turn
         } else {
-            // UI boundary: invalid move message
-            world.messageBus.emit(Events.MESSAGE_TYPED, { text: "Can't move there!", type: 'warn' });
+            // UI boundary: invalid move message (doors say how to get through)
+            const door = getDoorAt(world.staticObjects, newX, newY);
+            let text = "Can't move there!";
+            if (door && door.state === 'locked') {
+                text = 'The door is locked.';
+            } else if (door && door.state === 'closed') {
+                text = 'The door is closed. Press O to open it.';
+            }
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'warn' });
             return false; // Invalid moves don't consume turns
         }
     }
@@ -218,10 +278,385 @@ export class PickupAction extends Action {
     }
 }
 
+/**
+ * Action for throwing a dagger, or an item from the inventory, at a target tile (chosen in targeting mode)
+ * Thrown items land where their flight ended, except those that shatter (potions).
+ */
+export class ThrowAction extends Action {
+    constructor(targetX, targetY, itemId = null) {
+        super();
+        this.targetX = targetX;
+        this.targetY = targetY;
+        this.itemId = itemId; // Inventory item id, or null for a throwing dagger
+    }
+
+    serialize() {
+        return { ...super.serialize(), targetX: this.targetX, targetY: this.targetY, itemId: this.itemId };
+    }
+
+    static fromData(data) {
+        return new ThrowAction(data.targetX, data.targetY, data.itemId ?? null);
+    }
+
+    perform(world) {
+        const player = world.player;
+        const item = this.itemId ? findInventoryItem(this.itemId) : null;
+        if (this.itemId) {
+            if (!item) {
+                world.messageBus.emit(Events.MESSAGE_TYPED, { text: "You aren't carrying that.", type: 'warn' });
+                return false;
+            }
+            if (player.isEquipped(item.id)) {
+                world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You must take off the ${item.title} first.`, type: 'warn' });
+                return false;
+            }
+        } else if (player.throwingDaggers <= 0) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'You have no daggers left to throw.', type: 'warn' });
+            return false;
+        }
+
+        const shot = traceProjectile(world, player, { x: this.targetX, y: this.targetY }, THROWING_DAGGER_RANGE);
+        if (shot.path.length === 0) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: "There's no room to throw there.", type: 'warn' });
+            return false;
+        }
+
+        const thrown = item ? removeFromInventory(item.id) : null;
+        if (!thrown) {
+            player.throwingDaggers--;
+        }
+        const projectile = thrown ? thrown.title.toLowerCase() : 'dagger';
+
+        let rest = shot.landing;
+        if (shot.target) {
+            const combatResult = resolveRanged(player, shot.target, world, {
+                distance: shot.distance,
+                bonusDamage: thrown ? 0 : THROWING_DAGGER_DAMAGE,
+                projectile
+            });
+            if (combatResult.targetDied) {
+                world.kill(shot.target);
+            }
+            if (!combatResult.hit) {
+                rest = shot.missLanding;
+            }
+        } else if (!ITEMS[thrown?.itemId]?.shatters) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: `Your ${projectile} clatters to the floor.`, type: 'combat' });
+        }
+
+        // The projectile comes to rest where its flight ended, and the clatter can be heard
+        // (though not by its target, which already knows where it came from)
+        const { x, y } = rest;
+        if (!thrown) {
+            world.dropItem(createDroppedDagger(x, y, world.getCurrentLevel(), getTurn()));
+        } else if (ITEMS[thrown.itemId]?.shatters) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: `The ${projectile} shatters.`, type: 'combat' });
+        } else {
+            world.dropItem(createDroppedItem(thrown, x, y, world.getCurrentLevel(), getTurn()));
+        }
+        world.makeNoise(x, y, NOISE.PROJECTILE, [player, shot.target].filter(Boolean));
+
+        // UI boundary: trigger redraw to update display
+        world.requestRedraw();
+        return true; // Throwing consumes a turn
+    }
+}
+
+/**
+ * Action for drinking an item from the inventory
+ */
+export class QuaffAction extends Action {
+    constructor(itemId) {
+        super();
+        this.itemId = itemId; // Inventory item id
+    }
+
+    serialize() {
+        return { ...super.serialize(), itemId: this.itemId };
+    }
+
+    static fromData(data) {
+        return new QuaffAction(data.itemId);
+    }
+
+    perform(world) {
+        const item = findInventoryItem(this.itemId);
+        if (!item || !isQuaffable(item)) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: "You can't drink that.", type: 'warn' });
+            return false;
+        }
+
+        quaffItem(removeFromInventory(item.id), world.player, world);
+        identifyItemKind(item.itemId, world);
+
+        // UI boundary: trigger redraw to update display
+        world.requestRedraw();
+        return true; // Using an item consumes a turn
+    }
+}
+
+/**
+ * Action for reading an item (a scroll) from the inventory
+ */
+export class ReadAction extends Action {
+    constructor(itemId) {
+        super();
+        this.itemId = itemId; // Inventory item id
+    }
+
+    serialize() {
+        return { ...super.serialize(), itemId: this.itemId };
+    }
+
+    static fromData(data) {
+        return new ReadAction(data.itemId);
+    }
+
+    perform(world) {
+        const item = findInventoryItem(this.itemId);
+        if (!item || !isReadable(item)) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: "You can't read that.", type: 'warn' });
+            return false;
+        }
+
+        readItem(removeFromInventory(item.id), world.player, world);
+        identifyItemKind(item.itemId, world);
+
+        // UI boundary: trigger redraw to update display
+        world.requestRedraw();
+        return true; // Using an item consumes a turn
+    }
+}
+
+/**
+ * Action for dropping one of an inventory item where the player stands
+ */
+export class DropAction extends Action {
+    constructor(itemId) {
+        super();
+        this.itemId = itemId; // Inventory item id
+    }
+
+    serialize() {
+        return { ...super.serialize(), itemId: this.itemId };
+    }
+
+    static fromData(data) {
+        return new DropAction(data.itemId);
+    }
+
+    perform(world) {
+        const player = world.player;
+        const item = findInventoryItem(this.itemId);
+        if (!item) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: "You aren't carrying that.", type: 'warn' });
+            return false;
+        }
+        if (player.isEquipped(item.id)) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You must take off the ${item.title} first.`, type: 'warn' });
+            return false;
+        }
+
+        const dropped = removeFromInventory(item.id);
+        world.dropItem(createDroppedItem(dropped, player.x, player.y, world.getCurrentLevel(), getTurn()));
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You drop the ${dropped.title}.`, type: 'system' });
+
+        // UI boundary: trigger redraw to update display
+        world.requestRedraw();
+        return true; // Dropping consumes a turn
+    }
+}
+
+/**
+ * Action for invoking the power of a carried artifact
+ */
+export class InvokeArtifactAction extends Action {
+    constructor(itemId) {
+        super();
+        this.itemId = itemId; // Inventory item id
+    }
+
+    serialize() {
+        return { ...super.serialize(), itemId: this.itemId };
+    }
+
+    static fromData(data) {
+        return new InvokeArtifactAction(data.itemId);
+    }
+
+    perform(world) {
+        const item = findInventoryItem(this.itemId);
+        if (!item) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: "You aren't carrying that.", type: 'warn' });
+            return false;
+        }
+        if (!invokeArtifact(item, world.player, world)) {
+            return false;
+        }
+
+        // UI boundary: trigger redraw to update display
+        world.requestRedraw();
+        return true; // Invoking consumes a turn
+    }
+}
+
+/**
+ * Action for examining an inventory item (describes it in the message log)
+ */
+export class ExamineItemAction extends Action {
+    constructor(itemId) {
+        super();
+        this.itemId = itemId; // Inventory item id
+    }
+
+    isReplayable() {
+        return false;
+    }
+
+    perform(world) {
+        const item = findInventoryItem(this.itemId);
+        if (item) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: describeItem(item), type: 'info' });
+        }
+        return false; // Looking doesn't consume a turn
+    }
+}
+
+/**
+ * Action for equipping an inventory item (chosen in the inventory overlay)
+ * Recorded for replays, since it changes the player's effective stats.
+ */
+export class EquipAction extends Action {
+    constructor(itemId) {
+        super();
+        this.itemId = itemId; // Inventory item id, not the EQUIPMENT key
+    }
+
+    serialize() {
+        return { ...super.serialize(), itemId: this.itemId };
+    }
+
+    static fromData(data) {
+        return new EquipAction(data.itemId);
+    }
+
+    perform(world) {
+        const player = world.player;
+        const item = findInventoryItem(this.itemId);
+        if (!item || !EQUIPMENT[item.itemId]) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: "You can't equip that.", type: 'warn' });
+            return false;
+        }
+        if (player.isEquipped(item.id)) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: `The ${item.title} is already equipped.`, type: 'system' });
+            return false;
+        }
+
+        const { slot, replaced } = player.equip(item);
+        const verb = EQUIPMENT_SLOTS[slot].verb;
+        const text = replaced
+            ? `You set aside the ${EQUIPMENT[replaced.itemId].title} and ${verb} the ${item.title}.`
+            : `You ${verb} the ${item.title}.`;
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'loot' });
+
+        world.requestRedraw();
+        return true; // Changing equipment consumes a turn
+    }
+}
+
+/**
+ * Action for taking off whatever is in an equipment slot
+ */
+export class UnequipAction extends Action {
+    constructor(slot) {
+        super();
+        this.slot = slot;
+    }
+
+    serialize() {
+        return { ...super.serialize(), slot: this.slot };
+    }
+
+    static fromData(data) {
+        return new UnequipAction(data.slot);
+    }
+
+    perform(world) {
+        const removed = world.player.unequip(this.slot);
+        if (!removed) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Nothing is equipped there.', type: 'system' });
+            return false;
+        }
+
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `You take off the ${EQUIPMENT[removed.itemId].title}.`, type: 'loot' });
+        world.requestRedraw();
+        return true; // Changing equipment consumes a turn
+    }
+}
+
+/**
+ * Action for spending a pending level-up on one of LEVEL_UP_CHOICES
+ * Recorded for replays, since it changes the player's stats.
+ */
+export class LevelUpAction extends Action {
+    constructor(choice) {
+        super();
+        this.choice = choice;
+    }
+
+    serialize() {
+        return { ...super.serialize(), choice: this.choice };
+    }
+
+    static fromData(data) {
+        return new LevelUpAction(data.choice);
+    }
+
+    perform(world) {
+        const player = world.player;
+        if (!player.applyLevelUp(this.choice)) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'You have no level-up to spend.', type: 'warn' });
+            return false;
+        }
+
+        const { label, description } = LEVEL_UP_CHOICES[this.choice];
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `${label}: ${description}.`, type: 'loot' });
+        if (player.pendingLevelUps > 0) {
+            world.messageBus.emit(Events.UI_LEVEL_UP_OPEN, { level: player.characterLevel, pending: player.pendingLevelUps });
+        }
+        world.requestRedraw();
+        return false; // Choosing doesn't consume a turn
+    }
+}
+
+/**
+ * Action for reopening the level-up choice (L)
+ */
+export class OpenLevelUpAction extends Action {
+    isReplayable() {
+        return false;
+    }
+
+    perform(world) {
+        const player = world.player;
+        if (player.pendingLevelUps > 0) {
+            world.messageBus.emit(Events.UI_LEVEL_UP_OPEN, { level: player.characterLevel, pending: player.pendingLevelUps });
+        } else {
+            const text = `Level ${player.characterLevel}: ${player.getXpToNextLevel()} XP to the next level.`;
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'system' });
+        }
+        return false; // UI actions don't consume turns
+    }
+}
+
 /**
  * Action for toggling the inventory display
  */
 export class ToggleInventoryAction extends Action {
+    isReplayable() {
+        return false;
+    }
+
     perform(world) {
         world.messageBus.emit(Events.UI_INVENTORY_TOGGLE);
         // logger.debug('Inventory display toggled');
@@ -235,57 +670,62 @@ export class ToggleInventoryAction extends Action {
 export class WaitAction extends Action {
     perform(world) {
         // logger.debug('Player waiting/passing turn');
+        // Standing still gives a chance to notice a trap right next to you
+        searchForTraps(world, world.player.x, world.player.y, 'wait');
         return true; // Consume turn
     }
 }
 
 /**
- * Action for saving the game state
+ * Action for searching the surroundings for hidden traps
  */
-export class SaveGameAction extends Action {
+export class SearchAction extends Action {
     perform(world) {
-        try {
-            // Note: saveGame() is still in game.js due to circular dependency avoidance
-            import('../game.js').then(({ saveGame }) => {
-                if (saveGame()) {
-                    world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Game saved!', type: 'system' });
-                    logger.info('Game state saved successfully');
-                } else {
-                    world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Failed to save game!', type: 'error' });
-                    logger.error('Game save failed');
-                }
-            });
-            return false; // Save doesn't consume a turn
-        } catch (error) {
-            logger.error('Failed to save game:', error);
-            world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Failed to save game!', type: 'error' });
-            return false;
+        if (searchForTraps(world, world.player.x, world.player.y, 'search') === 0) {
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'You search the floor around you but find nothing.', type: 'system' });
         }
+        // UI boundary: trigger redraw to show what was found
+        world.requestRedraw();
+        return true; // Searching consumes a turn
+    }
+}
+
+/**
+ * Action for opening (or unlocking) an adjacent door, or closing an open one
+ */
+export class OpenCloseAction extends Action {
+    perform(world) {
+        // Consumes a turn only if a door actually moved
+        return openOrCloseAdjacentDoor(world);
     }
 }
 
 /**
- * Action for loading a saved game state
+ * Action for saving the game state (opens the save slot picker)
+ */
+export class SaveGameAction extends Action {
+    isReplayable() {
+        return false;
+    }
+
+    perform(world) {
+        // UI boundary: the picker writes the chosen slot through game.js
+        world.messageBus.emit(Events.UI_SAVE_SLOTS_OPEN, { mode: 'save' });
+        return false; // Save doesn't consume a turn
+    }
+}
+
+/**
+ * Action for loading a saved game state (opens the load slot picker)
  */
 export class LoadGameAction extends Action {
+    isReplayable() {
+        return false;
+    }
+
     perform(world) {
-        try {
-            // Note: loadGame() is still in game.js due to circular dependency avoidance
-            import('../game.js').then(({ loadGame }) => {
-                if (loadGame()) {
-                    world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Game loaded!', type: 'system' });
-                    logger.info('Game state loaded successfully');
-                } else {
-                    world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Failed to load game!', type: 'error' });
-                    logger.error('Game load failed');
-                }
-            });
-            return false; // Load doesn't consume a turn
-        } catch (error) {
-            logger.error('Failed to load game:', error);
-            world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Failed to load game!', type: 'error' });
-            return false;
-        }
+        world.messageBus.emit(Events.UI_SAVE_SLOTS_OPEN, { mode: 'load' });
+        return false; // Load doesn't consume a turn
     }
 }
 
@@ -293,6 +733,10 @@ export class LoadGameAction extends Action {
  * Action for restarting the game
  */
 export class RestartGameAction extends Action {
+    isReplayable() {
+        return false;
+    }
+
     perform(world) {
         try {
             // Note: restartGame() is in game.js due to circular dependency avoidance
@@ -312,4 +756,45 @@ export class RestartGameAction extends Action {
             return false;
         }
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Registry of actions that can be rebuilt from replay recordings
+ */
+const ACTION_REGISTRY = {
+    'MoveAction': MoveAction,
+    'PickupAction': PickupAction,
+    'WaitAction': WaitAction,
+    'SearchAction': SearchAction,
+    'OpenCloseAction': OpenCloseAction,
+    'ThrowAction': ThrowAction,
+    'LevelUpAction': LevelUpAction,
+    'EquipAction': EquipAction,
+    'UnequipAction': UnequipAction,
+    'QuaffAction': QuaffAction,
+    'ReadAction': ReadAction,
+    'DropAction': DropAction,
+    'InvokeArtifactAction': InvokeArtifactAction,
+};
+
+/**
+ * Rebuild an action from its serialized form
+ * @param {Object} data - Serialized action ({ type, ...params })
+ * @returns {Action|null} - Action instance, or null for unknown types
+ */
+export function createActionFromData(data) {
+    const ActionClass = data && ACTION_REGISTRY[data.type];
+    if (!ActionClass) {
+        logger.warn(`Unknown action type in replay data: ${data?.type}`);
+        return null;
+    }
+    return ActionClass.fromData(data);
+}
+
+/**
+ * Register an action class so it can be recorded and replayed
+ * @param {class} ActionClass - Action class constructor
+ */
+export function registerAction(ActionClass) {
+    ACTION_REGISTRY[ActionClass.name] = ActionClass;
+}
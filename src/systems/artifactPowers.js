@@ -0,0 +1,136 @@
+/**
+ * Artifact powers
+ * Every artifact gets one ARTIFACT_MECHANICS entry, chosen from its procgen traits so
+ * the same artifact always has the same power, and the generated description can
+ * be asked to describe it. Passive powers work while the artifact is carried;
+ * invoked ones are used from the inventory and then need time to recharge.
+ */
+
+import { ARTIFACT_MECHANICS } from '../content/artifacts.js';
+import { areFactionsHostile } from '../combat/factions.js';
+import { getInventory, getTurn } from './gameState.js';
+import { Events } from './eventBus.js';
+import * as logger from './logger.js';
+
+// String hash (FNV-1a) for picking a mechanic when no trait matches
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Choose the mechanic that matches an artifact's traits
+ * Keywords are looked for in the power hint, then the weirdness hint; artifacts
+ * whose traits match nothing get a mechanic picked from their seed.
+ * @param {Object} traits - Procgen traits {power, weirdnessHint, seedStr}
+ * @returns {string} - Key in ARTIFACT_MECHANICS
+ */
+export function chooseArtifactMechanic({ power = '', weirdnessHint = '', seedStr = '' } = {}) {
+    const ids = Object.keys(ARTIFACT_MECHANICS);
+    for (const text of [power, weirdnessHint]) {
+        const lower = text.toLowerCase();
+        const match = ids.find(id => ARTIFACT_MECHANICS[id].keywords.some(keyword => lower.includes(keyword)));
+        if (match) {
+            return match;
+        }
+    }
+    return ids[hashString(seedStr) % ids.length];
+}
+
+/**
+ * Bonuses from the passive powers of every artifact carried
+ * @param {Array<Object>} [inventory] - Inventory items (defaults to the current inventory)
+ * @returns {Object} - Summed bonuses, e.g. {visionRadius: 1, def: 1}
+ */
+export function getCarriedArtifactBonuses(inventory = getInventory()) {
+    const bonuses = {};
+    for (const item of inventory) {
+        const passive = ARTIFACT_MECHANICS[item.mechanic]?.passive;
+        for (const [key, amount] of Object.entries(passive || {})) {
+            bonuses[key] = (bonuses[key] || 0) + amount;
+        }
+    }
+    return bonuses;
+}
+
+/**
+ * Whether an item has a power that can be invoked
+ * @param {Object} item - Inventory item
+ * @returns {boolean}
+ */
+export function isInvokable(item) {
+    return !!ARTIFACT_MECHANICS[item.mechanic]?.invoke;
+}
+
+/**
+ * Turns left before an artifact can be invoked again
+ * @param {Object} item - Inventory item
+ * @returns {number} - 0 when it is ready
+ */
+export function getRechargeTurns(item) {
+    return Math.max(0, (item.readyOnTurn || 0) - getTurn());
+}
+
+/**
+ * Put a status effect on every living hostile monster near the player
+ * @param {Player} player - Player at the centre
+ * @param {World} world - World for monsters and messages
+ * @param {string} effect - Key in STATUS_EFFECTS
+ * @param {number} turns - How long it lasts
+ * @param {number} radius - Reach in tiles (Chebyshev distance)
+ * @returns {number} - Number of monsters affected
+ */
+export function afflictNearbyFoes(player, world, effect, turns, radius) {
+    const affected = (world.monsters || []).filter(monster => monster.stats.isAlive() &&
+        areFactionsHostile(player.faction, monster.faction) &&
+        Math.max(Math.abs(monster.x - player.x), Math.abs(monster.y - player.y)) <= radius);
+    for (const monster of affected) {
+        monster.statusEffects.add(monster, effect, turns, world);
+    }
+    if (affected.length === 0) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Nothing is close enough to feel it.', type: 'system' });
+    }
+    return affected.length;
+}
+
+/**
+ * Invoke an artifact's power
+ * The item's recharge is tracked on the inventory item itself, so it is saved with it.
+ * @param {Object} item - Inventory item (live entry, not a copy)
+ * @param {Player} player - Player invoking it
+ * @param {World} world - World for monsters, the current level and messages
+ * @returns {boolean} - True if the power was used
+ */
+export function invokeArtifact(item, player, world) {
+    const mechanic = ARTIFACT_MECHANICS[item.mechanic];
+    const say = (text, type = 'loot') => world.messageBus.emit(Events.MESSAGE_TYPED, { text, type });
+    if (!mechanic?.invoke) {
+        say(`Nothing happens when you hold up the ${item.title}.`, 'system');
+        return false;
+    }
+    const recharge = getRechargeTurns(item);
+    if (recharge > 0) {
+        say(`The ${item.title} is still dormant (${recharge} more turns).`, 'system');
+        return false;
+    }
+
+    const { effect, selfEffect, turns, radius, reveal } = mechanic.invoke;
+    say(`You invoke the ${item.title} (${mechanic.label}).`);
+
+    if (effect) {
+        afflictNearbyFoes(player, world, effect, turns, radius);
+    }
+    if (selfEffect) {
+        player.statusEffects.add(player, selfEffect, turns, world);
+    }
+    if (reveal) {
+        world.getCurrentLevelInstance()?.revealLayout(world.MAP_WIDTH, world.MAP_HEIGHT);
+    }
+
+    item.readyOnTurn = getTurn() + mechanic.cooldown;
+    logger.debug(`Artifact: invoked ${item.mechanic}, ready again on turn ${item.readyOnTurn}`);
+    return true;
+}
@@ -0,0 +1,38 @@
+/**
+ * Viewport camera
+ * The display shows a fixed window onto the map. The camera keeps the player
+ * centred in it and stops at the map edges, so maps larger than the viewport
+ * scroll and smaller ones are drawn centred.
+ */
+
+// Size of the on-screen viewport in tiles (the ROT display is created with this size)
+export const VIEWPORT_WIDTH = 40;
+export const VIEWPORT_HEIGHT = 20;
+
+/**
+ * Offset along one axis: centre on the focus, clamped so the view never passes the map edge
+ */
+function axisOffset(focus, mapSize, viewSize) {
+    if (mapSize <= viewSize) {
+        // The whole map fits: centre it (a negative offset pads the left/top)
+        return Math.floor((mapSize - viewSize) / 2);
+    }
+    const centred = focus - Math.floor(viewSize / 2);
+    return Math.max(0, Math.min(centred, mapSize - viewSize));
+}
+
+/**
+ * Compute the map coordinate shown at the top-left of the viewport
+ * @param {{x: number, y: number}} focus - Position to follow (usually the player)
+ * @param {number} mapWidth - Map width in tiles
+ * @param {number} mapHeight - Map height in tiles
+ * @param {number} [viewWidth=VIEWPORT_WIDTH] - Viewport width in tiles
+ * @param {number} [viewHeight=VIEWPORT_HEIGHT] - Viewport height in tiles
+ * @returns {{x: number, y: number}} - Camera offset; screen = map - offset
+ */
+export function getCameraOffset(focus, mapWidth, mapHeight, viewWidth = VIEWPORT_WIDTH, viewHeight = VIEWPORT_HEIGHT) {
+    return {
+        x: axisOffset(focus.x, mapWidth, viewWidth),
+        y: axisOffset(focus.y, mapHeight, viewHeight)
+    };
+}
@@ -1,6 +1,7 @@
 import * as logger from './logger.js';
 import { initializeMessageLog, appendMessage } from '../ui/messageLog.js';
 import { toggleInventory } from '../ui/overlays/inventory.js';
+import { openSaveSlots } from '../ui/overlays/saveSlots.js';
 
 /**
  * Event Bus system for decoupled communication between game systems
@@ -16,6 +17,8 @@ export const Events = {
     MESSAGE: 'ui:message',
     MESSAGE_TYPED: 'ui:message:typed', // { text, type }
     UI_INVENTORY_TOGGLE: 'ui:inventory:toggle',
+    UI_SAVE_SLOTS_OPEN: 'ui:saveSlots:open', // { mode: 'save' | 'load' }
+    UI_LEVEL_UP_OPEN: 'ui:levelUp:open', // { level, pending }
     UI_DESCRIPTION: 'ui:description:show',
     UI_DESCRIPTION_CLEAR: 'ui:description:clear',
     
@@ -130,6 +133,10 @@ export function initializeEventListeners(bus) {
         toggleInventory();
     });
 
+    bus.on(Events.UI_SAVE_SLOTS_OPEN, ({ mode } = {}) => {
+        openSaveSlots(mode);
+    });
+
     bus.on(Events.UI_DESCRIPTION, (description, title) => {
         // Route description to message log with hierarchy: bold title, italic description
         const safeTitle = escapeHtml(String(title || ''));
@@ -0,0 +1,73 @@
+/**
+ * Experience and character levels - PURE SERVICE
+ * Killing monsters earns the player XP (the monster template's `xp`). Each time the
+ * total passes the next threshold the player gains a character level and one
+ * level-up to spend on a LEVEL_UP_CHOICES entry (see Player.applyLevelUp).
+ */
+
+import { MONSTERS } from '../content/monsters.js';
+
+// TUNABLE: XP needed for level 2; each further level needs this much more than the last
+export const XP_PER_LEVEL = 10;
+
+/**
+ * What a level-up can be spent on
+ * Each apply(player) makes the change; label and description are shown in the level-up overlay.
+ */
+export const LEVEL_UP_CHOICES = {
+    vitality: {
+        label: 'Vitality',
+        description: '+3 max HP',
+        apply: (player) => {
+            player.stats.maxHp += 3;
+            player.stats.heal(3);
+        }
+    },
+    power: {
+        label: 'Power',
+        description: '+1 power',
+        apply: (player) => { player.stats.pow += 1; }
+    },
+    defense: {
+        label: 'Defense',
+        description: '+1 defense',
+        apply: (player) => { player.stats.def += 1; }
+    },
+    vision: {
+        label: 'Keen Eyes',
+        description: '+1 vision radius',
+        apply: (player) => { player.setVisionRadius(player.visionRadius + 1); }
+    }
+};
+
+/**
+ * Total XP needed to reach a character level
+ * Level 2 takes 10 XP, level 3 takes 30, level 4 takes 60, ...
+ * @param {number} level - Character level (1 needs no XP)
+ * @returns {number}
+ */
+export function getXpForLevel(level) {
+    return XP_PER_LEVEL * (level - 1) * level / 2;
+}
+
+/**
+ * Character level reached with a total amount of XP
+ * @param {number} xp - Total XP earned
+ * @returns {number} - Level (at least 1)
+ */
+export function getLevelForXp(xp) {
+    let level = 1;
+    while (xp >= getXpForLevel(level + 1)) {
+        level++;
+    }
+    return level;
+}
+
+/**
+ * XP awarded for killing a monster, from its template
+ * @param {string} typeId - Monster type (key in MONSTERS)
+ * @returns {number} - XP (0 for unknown types)
+ */
+export function getMonsterXp(typeId) {
+    return MONSTERS[typeId]?.xp ?? 0;
+}
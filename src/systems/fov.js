@@ -6,7 +6,7 @@
 
 import * as logger from './logger.js';
 import { isTileTransparent } from '../tiles/tileTypes.js';
-import { determineLevelType } from '../levels/tileGeneration.js';
+import { determineLevelType } from '../levels/generators/index.js';
 
 /**
  * Core FOV Service - Map/Level-Agnostic Visibility Computation
@@ -139,6 +139,54 @@ export function createFOVInstance(isTransparent) {
     return new ROT.FOV.PreciseShadowcasting(isTransparent);
 }
 
+/**
+ * Tiles along a straight line (Bresenham), excluding the start and including the end
+ * @param {number} x0 - Start x
+ * @param {number} y0 - Start y
+ * @param {number} x1 - End x
+ * @param {number} y1 - End y
+ * @returns {Array<{x: number, y: number}>} - Tiles in order from the start
+ */
+export function getLinePoints(x0, y0, x1, y1) {
+    const points = [];
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let x = x0;
+    let y = y0;
+
+    while (x !== x1 || y !== y1) {
+        const e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            x += sx;
+        }
+        if (e2 <= dx) {
+            err += dx;
+            y += sy;
+        }
+        points.push({ x, y });
+    }
+    return points;
+}
+
+/**
+ * Trace a straight line and check that nothing along it blocks sight
+ * The endpoints themselves may be opaque: a monster standing in a doorway still sees out.
+ * @param {Function} isTransparent - (x, y) => boolean callback
+ * @param {number} x0 - Start x
+ * @param {number} y0 - Start y
+ * @param {number} x1 - End x
+ * @param {number} y1 - End y
+ * @returns {boolean} True if every tile strictly between the endpoints is transparent
+ */
+export function traceLineOfSight(isTransparent, x0, y0, x1, y1) {
+    const between = getLinePoints(x0, y0, x1, y1).slice(0, -1);
+    return between.every(({ x, y }) => isTransparent(x, y));
+}
+
 
 
 /**
@@ -1,17 +1,35 @@
 // Centralized game state management
 import * as logger from './logger.js';
+import { ITEMS } from '../content/items.js';
+
+function createInitialGameState() {
+    return {
+        artifactsFound: 0,
+        playerMoves: 0,
+        gameStartTime: Date.now(),
+        lastPlayerPosition: { x: 1, y: 1 },
+        movementHistory: [],
+        currentLevel: 1,
+        inventory: [],  // Array to hold picked up items
+        identification: {},  // Appearances of unidentified item kinds this run, by item id (see identification.js)
+        turn: 0,  // Current turn number for time-based effects
+        ironman: false  // Permadeath run: one save slot, erased on death
+    };
+}
 
 // Track game state for dynamic prompts and progression
-let gameState = {
-    artifactsFound: 0,
-    playerMoves: 0,
-    gameStartTime: Date.now(),
-    lastPlayerPosition: { x: 1, y: 1 },
-    movementHistory: [],
-    currentLevel: 1,
-    inventory: [],  // Array to hold picked up items
-    turn: 0  // Current turn number for time-based effects
-};
+let gameState = createInitialGameState();
+
+// Deep copy so saved snapshots and live state never share arrays
+function copyGameState(state) {
+    return {
+        ...state,
+        lastPlayerPosition: { ...state.lastPlayerPosition },
+        movementHistory: state.movementHistory.map(move => ({ ...move })),
+        inventory: state.inventory.map(item => ({ ...item })),
+        identification: Object.fromEntries(Object.entries(state.identification).map(([itemId, entry]) => [itemId, { ...entry }]))
+    };
+}
 
 // Updated function to track player movement for dynamic prompts
 export function trackPlayerMovement(newX, newY, oldX, oldY) {
@@ -36,16 +54,112 @@ export function incrementArtifactsFound() {
 }
 
 // Helper function to add an item to the inventory for persistent tracking
+// Stackable items (see ITEMS) join the stack already carried instead of taking a new entry
 export function addToInventory(item) {
+    const quantity = item.quantity || 1;
+    const stackable = ITEMS[item.itemId]?.stackable;
+    const stack = stackable && gameState.inventory.find(entry => entry.itemId === item.itemId);
+    if (stack) {
+        stack.quantity += quantity;
+        return stack;
+    }
+
     const inventoryItem = {
-        title: item.title,
-        description: item.description,
+        // Stacks are known by their item id; anything else must bring its own id
+        id: stackable ? item.itemId : (item.id || nextInventoryId(item.type || 'artifact', item.levelNumber || gameState.currentLevel)),
+        type: item.type || 'artifact',
+        ...getCarriedNames(item),
+        quantity,
         timestamp: Date.now(),
         levelNumber: item.levelNumber || gameState.currentLevel
     };
+    // Items with mechanics keep what identifies them: the definition of equipment and
+    // potions, the power of an artifact (and when it can next be invoked)
+    for (const key of ['itemId', 'mechanic', 'readyOnTurn']) {
+        if (item[key] !== undefined) {
+            inventoryItem[key] = item[key];
+        }
+    }
     
     gameState.inventory.push(inventoryItem);
             // logger.debug(`Added to inventory: ${item.title} from level ${inventoryItem.levelNumber}`);
+    return inventoryItem;
+}
+
+/**
+ * Name and description an item goes by: unidentified kinds are known by their appearance
+ * @param {Object} item - Inventory item or item lying on the floor
+ * @returns {{title:string, description:string}}
+ */
+export function getCarriedNames(item) {
+    const entry = gameState.identification[item.itemId];
+    if (!entry) {
+        return { title: item.title, description: item.description };
+    }
+    const names = entry.known ? ITEMS[item.itemId] : entry;
+    return { title: names.title, description: names.description };
+}
+
+// Give every carried item of a kind the names it now goes by
+function renameCarried(itemId) {
+    for (const item of gameState.inventory) {
+        if (item.itemId === itemId) {
+            Object.assign(item, getCarriedNames(item));
+        }
+    }
+}
+
+// Get the identification table, {itemId: {appearance, title, description, color, known}}
+// (the live table: change it through setIdentificationEntry and markItemKindIdentified)
+export function getIdentificationTable() {
+    return gameState.identification;
+}
+
+// Set the appearance of an item kind, renaming what is carried of it
+export function setIdentificationEntry(itemId, entry) {
+    gameState.identification[itemId] = { ...entry };
+    renameCarried(itemId);
+}
+
+// Mark an item kind as identified; returns false if it already was (or has no entry)
+export function markItemKindIdentified(itemId) {
+    const entry = gameState.identification[itemId];
+    if (!entry || entry.known) {
+        return false;
+    }
+    entry.known = true;
+    renameCarried(itemId);
+    return true;
+}
+
+// First unused id for an item that arrived without one, e.g. artifact_L2_0
+function nextInventoryId(type, levelNumber) {
+    let n = 0;
+    while (gameState.inventory.some(item => item.id === `${type}_L${levelNumber}_${n}`)) {
+        n++;
+    }
+    return `${type}_L${levelNumber}_${n}`;
+}
+
+// Find a carried item by its inventory id
+export function findInventoryItem(id) {
+    return gameState.inventory.find(item => item.id === id) || null;
+}
+
+// Take some of a carried item out of the inventory (the whole entry once its quantity runs out)
+// Returns what was taken, as an inventory item with that quantity, or null if it isn't carried
+export function removeFromInventory(id, quantity = 1) {
+    const index = gameState.inventory.findIndex(item => item.id === id);
+    if (index === -1) {
+        return null;
+    }
+    const item = gameState.inventory[index];
+    const taken = Math.min(quantity, item.quantity);
+    item.quantity -= taken;
+    if (item.quantity <= 0) {
+        gameState.inventory.splice(index, 1);
+    }
+    return { ...item, quantity: taken };
 }
 
 // Get inventory contents
@@ -94,4 +208,34 @@ export function setTurn(turnNumber) {
 export function resetTurn() {
     gameState.turn = 0;
             // logger.debug(`[GameState] Turn reset to: ${gameState.turn}`);
-} 
\ No newline at end of file
+}
+
+// Ironman is fixed when a run starts and travels with its saves
+export function isIronmanRun() {
+    return gameState.ironman;
+}
+
+export function setIronmanRun(enabled) {
+    gameState.ironman = !!enabled;
+}
+
+// Reset everything for a new run
+export function resetGameState() {
+    gameState = createInitialGameState();
+}
+
+/**
+ * Snapshot the game state for saving
+ * @returns {Object} - Copy of the full module state
+ */
+export function serializeGameState() {
+    return copyGameState(gameState);
+}
+
+/**
+ * Replace the game state with a saved snapshot
+ * @param {Object} data - Snapshot from serializeGameState()
+ */
+export function deserializeGameState(data) {
+    gameState = copyGameState({ ...createInitialGameState(), ...data });
+}
@@ -0,0 +1,195 @@
+/**
+ * Item identification
+ * Items marked `unidentified` in ITEMS are dealt an appearance when a run starts
+ * ("a murky violet potion") and go by it until one is used or identified. The table
+ * of appearances is kept in the game state, so it is saved with the run. Names and
+ * descriptions start as deterministic fallbacks from the run seed; when the LLM is
+ * enabled it rewrites them in the background.
+ */
+
+import { ITEMS, UNIDENTIFIED_APPEARANCES } from '../content/items.js';
+import { generateJson, JsonSchemas } from '../llm.js';
+import { getIdentificationTable, setIdentificationEntry, markItemKindIdentified, getInventory } from './gameState.js';
+import { deriveSeed } from './rng.js';
+import { isLLMEnabled } from './settings.js';
+import { Events } from './eventBus.js';
+import * as logger from './logger.js';
+
+// TUNABLE: Longest name the LLM may give an unidentified item before its fallback is kept
+const MAX_NAME_LENGTH = 40;
+// TUNABLE: Longest description the LLM may give one before its fallback is kept (the prompt asks for 10-18 words)
+const MAX_DESCRIPTION_LENGTH = 160;
+
+function capitalizeWords(text) {
+    return text.replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Deal out appearances for this run's unidentified items
+ * Draws from its own RNG so it can be done at any point without disturbing ROT.RNG.
+ * @returns {Object} - Identification table, {itemId: {appearance, title, description, color, known}}
+ */
+export function createIdentificationTable() {
+    const rng = ROT.RNG.clone();
+    rng.setSeed(deriveSeed('identification'));
+
+    const liquids = rng.shuffle(UNIDENTIFIED_APPEARANCES.potion);
+    const table = {};
+    for (const [itemId, definition] of Object.entries(ITEMS)) {
+        if (!definition.unidentified) {
+            continue;
+        }
+        const details = UNIDENTIFIED_APPEARANCES.details[definition.kind];
+        const detail = rng.getItem(details);
+
+        if (definition.kind === 'potion') {
+            const { liquid, color } = liquids.shift();
+            table[itemId] = {
+                appearance: liquid,
+                title: `${capitalizeWords(liquid)} Potion`,
+                description: `A stoppered vial of ${liquid} liquid. ${detail}`,
+                color,
+                known: false
+            };
+        } else {
+            // Labels are two made-up words, e.g. "ZELGO MER"
+            const word = () => Array.from({ length: 2 }, () => rng.getItem(UNIDENTIFIED_APPEARANCES.scroll)).join('');
+            let label = `${word()} ${word()}`.toUpperCase();
+            while (Object.values(table).some(entry => entry.appearance === label)) {
+                label = `${word()} ${word()}`.toUpperCase();
+            }
+            table[itemId] = {
+                appearance: label,
+                title: `Scroll Labelled "${label}"`,
+                description: `A rolled scroll, its label in letters you almost recognise. ${detail}`,
+                color: definition.color,
+                known: false
+            };
+        }
+    }
+    return table;
+}
+
+/**
+ * Make sure this run's identification table has been dealt
+ * The first time, the LLM is also asked for names and descriptions (if it is enabled).
+ */
+export function ensureIdentificationTable() {
+    if (Object.keys(getIdentificationTable()).length > 0) {
+        return;
+    }
+    for (const [itemId, entry] of Object.entries(createIdentificationTable())) {
+        setIdentificationEntry(itemId, entry);
+    }
+    describeUnidentifiedItems().catch(error => {
+        logger.error(`Failed to describe unidentified items: ${error.message}`, error);
+    });
+}
+
+/**
+ * Whether an item's kind is known
+ * @param {Object} item - Inventory item or floor item
+ * @returns {boolean} - True for anything that is never unidentified
+ */
+export function isIdentified(item) {
+    const entry = getIdentificationTable()[item.itemId];
+    return !entry || entry.known;
+}
+
+/**
+ * Color an item is drawn in on the floor (a potion keeps its color once identified)
+ * @param {Object} item - Inventory item or floor item
+ * @returns {string|null} - Color, or null if the item has no dealt appearance
+ */
+export function getAppearanceColor(item) {
+    return getIdentificationTable()[item.itemId]?.color || null;
+}
+
+/**
+ * Identify an item kind, telling the player what it was
+ * @param {string} itemId - Key in ITEMS
+ * @param {World} [world=null] - World for messages
+ * @returns {boolean} - True if it was not known before
+ */
+export function identifyItemKind(itemId, world = null) {
+    const entry = getIdentificationTable()[itemId];
+    if (!markItemKindIdentified(itemId)) {
+        return false;
+    }
+    logger.info(`Identified ${itemId} (${entry.appearance})`);
+    if (world && world.messageBus) {
+        world.messageBus.emit(Events.MESSAGE_TYPED, { text: `The ${entry.title} is a ${ITEMS[itemId].title}.`, type: 'loot' });
+    }
+    return true;
+}
+
+/**
+ * First carried item kind that is still unidentified
+ * @param {string} [exceptItemId=null] - Kind to pass over
+ * @returns {string|null} - Key in ITEMS
+ */
+export function findUnidentifiedCarried(exceptItemId = null) {
+    const item = getInventory().find(entry => entry.itemId && entry.itemId !== exceptItemId && !isIdentified(entry));
+    return item ? item.itemId : null;
+}
+
+// Context for the LLM: what the item looks like, never what it does
+function buildUnidentifiedItemXML(definition, entry) {
+    return `
+<unidentified_item>
+  <kind>${definition.kind}</kind>
+  <appearance>${entry.appearance}</appearance>
+  <fallback_name>${entry.title}</fallback_name>
+</unidentified_item>`;
+}
+
+/**
+ * Ask the LLM for names and descriptions of the unidentified items, one kind at a time
+ * Results that are missing, too long or that would give two kinds the same name keep
+ * the fallback. Text arriving after a new run has started or a save was loaded is thrown
+ * away, even if that run has the same seed.
+ */
+export async function describeUnidentifiedItems() {
+    if (!(await isLLMEnabled())) {
+        return;
+    }
+    // The live table is replaced whenever a run starts or is loaded, so it identifies this run
+    const runTable = getIdentificationTable();
+
+    for (const [itemId, entry] of Object.entries(runTable)) {
+        const definition = ITEMS[itemId];
+        if (!definition) {
+            continue;
+        }
+        let result;
+        try {
+            result = await generateJson(buildUnidentifiedItemXML(definition, entry), JsonSchemas.unidentifiedItem, {
+                mode: 'unidentifiedItem',
+                seed: deriveSeed('identification', itemId)
+            });
+        } catch (error) {
+            logger.warn(`Keeping fallback text for ${itemId}: ${error.message}`);
+            continue;
+        }
+        if (getIdentificationTable() !== runTable) {
+            return;
+        }
+
+        const current = getIdentificationTable()[itemId];
+        const name = typeof result?.name === 'string' ? result.name.trim() : '';
+        const takenNames = Object.entries(getIdentificationTable())
+            .filter(([otherId]) => otherId !== itemId)
+            .map(([, other]) => other.title.toLowerCase());
+        const nameUsable = name.length > 0 && name.length <= MAX_NAME_LENGTH &&
+            name.toLowerCase().includes(definition.kind) && !takenNames.includes(name.toLowerCase());
+        const description = typeof result?.description === 'string' ? result.description.trim().replace(/\s+/g, ' ') : '';
+        const descriptionUsable = description.length > 0 && description.length <= MAX_DESCRIPTION_LENGTH;
+
+        setIdentificationEntry(itemId, {
+            ...current,
+            title: nameUsable ? capitalizeWords(name) : current.title,
+            description: descriptionUsable ? description : current.description
+        });
+        logger.debug(`Described unidentified ${itemId} as ${getIdentificationTable()[itemId].title}`);
+    }
+}
@@ -6,23 +6,68 @@ import {
     PickupAction, 
     ToggleInventoryAction, 
     WaitAction, 
+    SearchAction,
+    OpenCloseAction,
     SaveGameAction, 
     LoadGameAction,
-    RestartGameAction 
+    RestartGameAction,
+    ThrowAction,
+    OpenLevelUpAction
 } from './actions.js';
+import { beginTargeting, cycleTarget, getCurrentTarget, getThrownItemId, isTargeting, endTargeting } from './targeting.js';
+import { Events } from './eventBus.js';
 import * as logger from './logger.js';
-import { isGameOver } from '../game.js';
+import { getWorld } from './world.js';
+import { isGameOver, isReplayActive, stopReplay } from '../game.js';
 import { isAnyOpen as isAnyOverlayOpen } from '../ui/overlayManager.js';
 
 // Flag to prevent duplicate input setup
 let inputInitialized = false;
 
+/**
+ * Handle a key while targeting a throw: Tab cycles targets, Enter/T/F throws, Escape cancels
+ * @returns {boolean} - True if the key was consumed
+ */
+function handleTargetingKey(event, turnEngine) {
+    const world = getWorld();
+    switch (event.key) {
+        case 'Tab':
+            cycleTarget(event.shiftKey ? -1 : 1);
+            break;
+        case 'Enter':
+        case 't':
+        case 'T':
+        case 'f':
+        case 'F': {
+            const target = getCurrentTarget();
+            const itemId = getThrownItemId();
+            endTargeting();
+            if (target) {
+                turnEngine.queuePlayerAction(new ThrowAction(target.x, target.y, itemId));
+            }
+            break;
+        }
+        case 'Escape': {
+            const text = getThrownItemId() ? 'You decide not to throw it.' : 'You lower your dagger.';
+            endTargeting();
+            world.messageBus.emit(Events.MESSAGE_TYPED, { text, type: 'system' });
+            break;
+        }
+        default:
+            return false;
+    }
+    event.preventDefault();
+    world.requestRedraw();
+    return true;
+}
+
 /**
  * Get the turn engine instance for input processing
  */
 function getTurnEngine() {
-    if (typeof window !== 'undefined' && window.turnEngineInstance) {
-        return window.turnEngineInstance;
+    const turnEngine = getWorld().turnEngine;
+    if (turnEngine) {
+        return turnEngine;
     }
     logger.error('Turn engine instance not available');
     return null;
@@ -54,6 +99,21 @@ export function setupInput() {
             return;
         }
         
+        // While a replay is driving the game, only Escape (stop replay) is accepted
+        if (isReplayActive()) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                stopReplay();
+            }
+            return;
+        }
+        
+        // Leave typing in text fields (e.g. naming a save slot) alone
+        const targetTag = event.target?.tagName;
+        if (targetTag === 'INPUT' || targetTag === 'TEXTAREA' || targetTag === 'SELECT') {
+            return;
+        }
+        
         // Always allow 'i' to toggle inventory, even if inventory is open
         if (event.key.toLowerCase() === 'i') {
             event.preventDefault();
@@ -68,6 +128,14 @@ export function setupInput() {
             return;
         }
         
+        // Targeting mode takes over the keyboard until a throw is made or cancelled
+        if (isTargeting()) {
+            if (!handleTargetingKey(event, turnEngine)) {
+                event.preventDefault();
+            }
+            return;
+        }
+        
         // Handle save/load commands first (with Ctrl modifier)
         if (event.ctrlKey || event.metaKey) { // metaKey for Mac Cmd key
             switch (event.key.toLowerCase()) {
@@ -92,6 +160,42 @@ export function setupInput() {
             return;
         }
         
+        // Handle throw key (T): aim at the nearest visible monster
+        if (event.key.toLowerCase() === 't' && !event.ctrlKey && !event.metaKey && !isGameOver()) {
+            event.preventDefault();
+            const world = getWorld();
+            if (world.player.throwingDaggers <= 0) {
+                world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'You have no daggers left to throw.', type: 'warn' });
+            } else if (beginTargeting(world)) {
+                world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'Throw at which monster? Tab to cycle, Enter to throw, Esc to cancel.', type: 'system' });
+                world.requestRedraw();
+            } else {
+                world.messageBus.emit(Events.MESSAGE_TYPED, { text: 'There is nothing in sight to throw at.', type: 'system' });
+            }
+            return;
+        }
+        
+        // Handle search key (F): look for hidden traps around the player
+        if (event.key.toLowerCase() === 'f' && !event.ctrlKey && !event.metaKey && !isGameOver()) {
+            event.preventDefault();
+            turnEngine.queuePlayerAction(new SearchAction());
+            return;
+        }
+        
+        // Handle door key (O): open or unlock an adjacent door, or close an open one
+        if (event.key.toLowerCase() === 'o' && !event.ctrlKey && !event.metaKey && !isGameOver()) {
+            event.preventDefault();
+            turnEngine.queuePlayerAction(new OpenCloseAction());
+            return;
+        }
+        
+        // Handle level-up key (L): spend a pending level-up, or show progress to the next one
+        if (event.key.toLowerCase() === 'l' && !event.ctrlKey && !event.metaKey && !isGameOver()) {
+            event.preventDefault();
+            turnEngine.queuePlayerAction(new OpenLevelUpAction());
+            return;
+        }
+        
         // Handle restart key (R) - only in game over state
         if (event.key.toLowerCase() === 'r') {
             event.preventDefault();
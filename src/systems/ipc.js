@@ -0,0 +1,31 @@
+/**
+ * Renderer-side IPC transport
+ *
+ * Game systems reach the main process (settings, LLM) through getIpc() instead of
+ * requiring Electron at import time, so they can also load under Node. Headless
+ * runs (tests, simulations) install a stub transport with setIpc().
+ */
+
+let transport = (typeof window !== 'undefined' && typeof window.require === 'function')
+    ? window.require('electron').ipcRenderer
+    : null;
+
+/**
+ * Get the active IPC transport
+ * @returns {Object} - Object with the ipcRenderer API (invoke, send, on, removeListener)
+ * @throws {Error} If no Electron renderer is present and no stub was installed
+ */
+export function getIpc() {
+    if (!transport) {
+        throw new Error('IPC transport not available (not running in Electron and no stub installed)');
+    }
+    return transport;
+}
+
+/**
+ * Replace the IPC transport (e.g. with a headless stub)
+ * @param {Object|null} ipc - Object implementing the ipcRenderer API, or null to clear
+ */
+export function setIpc(ipc) {
+    transport = ipc;
+}
@@ -1,10 +1,11 @@
 import { generateJson, JsonSchemas, assembleLevelIntro } from '../llm.js';
 import { isLLMEnabled } from './settings.js';
-import { determineLevelType } from '../levels/tileGeneration.js';
+import { determineLevelType, getGeneratorMetadata } from '../levels/generators/index.js';
 import { Events } from './eventBus.js';
 import { openLevelIntroduction, setLevelIntroductionText, appendLevelIntroductionText, showLevelIntroductionNudge } from '../ui/overlays/levelIntro.js';
 import { openTransientSystemOverlay, closeTransientSystemOverlay } from '../ui/overlayManager.js';
 import { ensureWaitingMessage, clearWaitingMessage } from './systemMessages.js';
+import { deriveSeed } from './rng.js';
 import * as logger from './logger.js';
 
 // Avoid spamming LLM nudges
@@ -21,29 +22,15 @@ function buildLevelIntroContext(ctx) {
         ? `An artifact called "${ctx.storyObjectDetails.title}" awaits discovery.`
         : '';
 
-    return `Chamber ${ctx.levelNumber}, a ${ctx.levelType}. Floor: ${floorDesc}. ${ctx.monsterCount} ${dominantMonsterType}${ctx.monsterCount !== 1 ? 's' : ''} lurk nearby. ${artifact}`;
+    const { name, atmosphere } = getGeneratorMetadata(ctx.levelType);
+    const mood = atmosphere.length > 0 ? ` (${atmosphere.join(', ')})` : '';
+
+    return `Chamber ${ctx.levelNumber}, a ${name}${mood}. Floor: ${floorDesc}. ${ctx.monsterCount} ${dominantMonsterType}${ctx.monsterCount !== 1 ? 's' : ''} lurk nearby. ${artifact}`;
 }
 
 // LLM enable/disable is now controlled through settings
 
-// Dynamic prompt templates for different level types
-const levelTypeTemplates = {
-    basic: [
-        "You step into a well-constructed chamber, its {tileDescription} floors bearing witness to ancient craftsmanship.",
-        "The entrance reveals a spacious hall with {tileDescription} beneath your feet, speaking of forgotten builders.",
-        "Before you stretches a methodically built room, {tileDescription} tiles arranged in careful patterns."
-    ],
-    cave: [
-        "You emerge into a natural cavern, where {tileDescription} ground tells stories of geological ages.",
-        "The rough-hewn cave opens before you, its {tileDescription} floor shaped by time and underground waters.",
-        "You find yourself in a winding cave system, {tileDescription} surfaces carved by nature's patient hand."
-    ],
-    pillaredHall: [
-        "You enter a grand pillared hall, where {tileDescription} floors echo with the footsteps of history.",
-        "Ancient columns rise from {tileDescription} ground in this majestic chamber of forgotten purposes.",
-        "The pillared hall welcomes you with {tileDescription} beneath towering stone sentinels."
-    ]
-};
+// Opening templates for each level type come from the generator registry (introTemplates)
 
 // Atmospheric descriptions based on dominant tile types
 const tileAtmospheres = {
@@ -114,13 +101,12 @@ function analyzeLevelContext(map, MAP_WIDTH, MAP_HEIGHT, levelNumber, monsters,
     }
     
     // Debug logging with expected vs actual comparison
-    const expectedTiles = ['grass', 'dirt', 'cobblestone', 'moss', 'sand'];
-    const expectedDominant = levelType === 'basic' ? expectedTiles[levelNumber % expectedTiles.length] : 'varies';
+    const expectedDominant = getGeneratorMetadata(levelType).dominantFloor(levelNumber);
     
     logger.debug('Tile analysis results:', {
         levelNumber,
         levelType,
-        expectedDominant,
+        expectedDominant: expectedDominant || 'varies',
         actualDominant: dominantTile,
         tileCounts,
         totalTiles,
@@ -128,7 +114,7 @@ function analyzeLevelContext(map, MAP_WIDTH, MAP_HEIGHT, levelNumber, monsters,
     });
     
     // ALERT if mismatch
-    if (levelType === 'basic' && dominantTile !== expectedDominant) {
+    if (expectedDominant && dominantTile !== expectedDominant) {
         logger.warn(`TILE MISMATCH: Level ${levelNumber} expected ${expectedDominant} but got ${dominantTile}`);
     }
     
@@ -224,12 +210,12 @@ function constructLevelIntroductionPrompt(context) {
  * Uses the same slot structure as LLM generation for consistency
  */
 function generateFallbackSlots(context) {
-    const { levelType, dominantTile, monsterCount, monsterTypes, storyObjectDetails } = context;
+    const { levelNumber, levelType, dominantTile, monsterCount, monsterTypes, storyObjectDetails } = context;
 
     // Room slot (8-14 words): environment + sensory detail
     const tileDesc = tileAtmospheres[dominantTile] || 'ancient stone';
-    const templates = levelTypeTemplates[levelType] || levelTypeTemplates.basic;
-    const roomTemplate = templates[Math.floor(Math.random() * templates.length)];
+    const templates = getGeneratorMetadata(levelType).introTemplates;
+    const roomTemplate = templates[deriveSeed('levelIntro', levelNumber, 'room') % templates.length];
     const room = roomTemplate.replace('{tileDescription}', tileDesc);
 
     // Threat slot (6-12 words): monster presence
@@ -254,7 +240,7 @@ function generateFallbackSlots(context) {
             `Shadows fall at angles that don't quite match the light`,
             `The silence has texture, like it's been waiting for your arrival`
         ];
-        oddity = oddities[Math.floor(Math.random() * oddities.length)];
+        oddity = oddities[deriveSeed('levelIntro', levelNumber, 'oddity') % oddities.length];
     }
 
     return { room, threat, oddity };
@@ -284,7 +270,10 @@ export async function generateLevelIntroduction(map, MAP_WIDTH, MAP_HEIGHT, leve
 
         // Generate JSON with schema enforcement and mode for system prompt
         // Returns {room, threat, oddity} slots
-        const slots = await generateJson(prompt, JsonSchemas.levelIntro, { mode: 'levelIntro' });
+        const slots = await generateJson(prompt, JsonSchemas.levelIntro, {
+            mode: 'levelIntro',
+            seed: deriveSeed('levelIntro', levelNumber)
+        });
 
         // Assemble slots into final description
         const description = assembleLevelIntro(slots);
@@ -0,0 +1,279 @@
+/**
+ * Level generator validation and statistics
+ *
+ * Generates levels of each registered chamber type headlessly (through GameSimulation,
+ * so entity placement, vaults, prefabs and doors are all included) over a range of seeds,
+ * checks that every level is playable and measures what the generators produce:
+ * unreachable floor, player-to-portal distance, open-area ratio, dead ends and pillar density.
+ *
+ * Like GameSimulation this needs the rot.js global `ROT` under Node.
+ */
+
+import { GameSimulation } from './simulation.js';
+import { getAvailableGenerators, determineLevelType } from '../levels/generators/index.js';
+import { findPath, findReachableTiles } from '../levels/pathfinding.js';
+import { TileTypes, isTilePassable } from '../tiles/tileTypes.js';
+import { DOOR_KEY_ITEM } from '../entities/door.js';
+
+// Levels searched for one that a generator is used on
+const MAX_LEVEL_SEARCHED = 100;
+
+// Measures reported for every generator, with how they are printed
+const MEASURES = [
+    { key: 'unreachableFloor', label: 'unreachable floor', percent: true },
+    { key: 'portalDistance', label: 'portal distance' },
+    { key: 'openAreaRatio', label: 'open area', percent: true },
+    { key: 'deadEnds', label: 'dead ends' },
+    { key: 'pillarDensity', label: 'pillars', percent: true }
+];
+
+// Closed doors count as floor, as the player can open them; locked ones stay shut
+// unless `unlocked` (for once the silver key has been picked up)
+function mapWithDoorsOpen(world, { unlocked = false } = {}) {
+    const map = {};
+    for (let x = 0; x < world.MAP_WIDTH; x++) {
+        map[x] = { ...world.map[x] };
+        for (let y = 0; y < world.MAP_HEIGHT; y++) {
+            if (map[x][y]?.props?.door) {
+                map[x][y] = TileTypes.door_open;
+            }
+        }
+    }
+    if (!unlocked) {
+        for (const obj of world.staticObjects) {
+            if (obj.type === 'door' && obj.state === 'locked') {
+                map[obj.x][obj.y] = TileTypes.door_closed;
+            }
+        }
+    }
+    return map;
+}
+
+function tileName(tile) {
+    return Object.keys(TileTypes).find(id => TileTypes[id] === tile) || tile?.char || 'nothing';
+}
+
+/**
+ * Find the first levels a chamber type is generated for
+ * @param {string} generatorId - Level type id
+ * @param {number} [count=1] - How many levels to find
+ * @returns {number[]} - Level numbers, lowest first (fewer than count if no more come up to MAX_LEVEL_SEARCHED)
+ * @throws {Error} With code 'GENERATOR_UNUSED' when no level up to MAX_LEVEL_SEARCHED uses it
+ */
+export function findLevelsForGenerator(generatorId, count = 1) {
+    const levels = [];
+    for (let levelNumber = 1; levelNumber <= MAX_LEVEL_SEARCHED && levels.length < count; levelNumber++) {
+        if (determineLevelType(levelNumber) === generatorId) {
+            levels.push(levelNumber);
+        }
+    }
+    if (levels.length === 0) {
+        const error = new Error(`No level up to ${MAX_LEVEL_SEARCHED} uses generator ${generatorId}`);
+        error.code = 'GENERATOR_UNUSED';
+        throw error;
+    }
+    return levels;
+}
+
+/**
+ * Find the first level a chamber type is generated for
+ * @param {string} generatorId - Level type id
+ * @returns {number} - Level number
+ * @throws {Error} With code 'GENERATOR_UNUSED' when no level up to MAX_LEVEL_SEARCHED uses it
+ */
+export function findLevelForGenerator(generatorId) {
+    return findLevelsForGenerator(generatorId, 1)[0];
+}
+
+/**
+ * Check that the level loaded into a world is playable
+ * The portal, story object and silver key must be reachable without going through a locked
+ * door; everything else may be behind one, as long as its key can be reached.
+ * @param {World} world - World with a freshly generated level
+ * @returns {string[]} - Problems found (empty when the level is valid)
+ */
+export function validateLevel(world) {
+    const { player, portal, storyObject, MAP_WIDTH, MAP_HEIGHT } = world;
+    const map = mapWithDoorsOpen(world);
+    const problems = [];
+
+    if (!isTilePassable(map[player.x]?.[player.y])) {
+        problems.push(`player spawned inside ${tileName(map[player.x]?.[player.y])} at (${player.x}, ${player.y})`);
+        return problems;
+    }
+    const reachable = findReachableTiles(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y);
+    const isReachable = ({ x, y }) => reachable.has(`${x},${y}`);
+    const isKey = obj => obj.item?.itemId === DOOR_KEY_ITEM;
+    // Once a key is in reach, so is everything behind the locked doors
+    const unlocked = world.staticObjects.some(obj => isKey(obj) && isReachable(obj))
+        ? findReachableTiles(mapWithDoorsOpen(world, { unlocked: true }), MAP_WIDTH, MAP_HEIGHT, player.x, player.y)
+        : reachable;
+    const isReachableUnlocked = ({ x, y }) => unlocked.has(`${x},${y}`);
+
+    if (!portal) {
+        problems.push('no portal');
+    } else if (!isReachable(portal)) {
+        problems.push(`portal walled off at (${portal.x}, ${portal.y})`);
+    }
+    if (storyObject && !isReachable(storyObject)) {
+        problems.push(`story object walled off at (${storyObject.x}, ${storyObject.y})`);
+    }
+    for (const monster of world.monsters) {
+        if (!isTilePassable(map[monster.x][monster.y])) {
+            problems.push(`${monster.name} spawned inside ${tileName(map[monster.x][monster.y])} at (${monster.x}, ${monster.y})`);
+        }
+    }
+    for (const obj of world.staticObjects) {
+        if (obj.type === 'door') {
+            if (obj.state === 'locked' && !world.staticObjects.some(isKey)) {
+                problems.push(`locked door at (${obj.x}, ${obj.y}) has no key`);
+            }
+        } else if (!(isKey(obj) ? isReachable(obj) : isReachableUnlocked(obj))) {
+            problems.push(`${obj.id} walled off at (${obj.x}, ${obj.y})`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Measure the level loaded into a world, with every door open (locked ones included)
+ * @param {World} world - World with a freshly generated level
+ * @returns {{unreachableFloor:number, portalDistance:number|null, openAreaRatio:number, deadEnds:number, pillarDensity:number}}
+ *   unreachableFloor: share of the floor the player cannot walk to; portalDistance: steps to the portal
+ *   (null if there is no way); openAreaRatio: share of the interior that is floor; deadEnds: reachable
+ *   floor tiles with a single way out; pillarDensity: share of the interior that is pillars
+ */
+export function measureLevel(world) {
+    const { player, portal, MAP_WIDTH, MAP_HEIGHT } = world;
+    const map = mapWithDoorsOpen(world, { unlocked: true });
+    const reachable = findReachableTiles(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y);
+    const interior = (MAP_WIDTH - 2) * (MAP_HEIGHT - 2);
+    let floor = 0;
+    let pillars = 0;
+    let deadEnds = 0;
+
+    for (let x = 1; x < MAP_WIDTH - 1; x++) {
+        for (let y = 1; y < MAP_HEIGHT - 1; y++) {
+            if (map[x][y] === TileTypes.pillar) {
+                pillars++;
+            }
+            if (!isTilePassable(map[x][y])) {
+                continue;
+            }
+            floor++;
+            const exits = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+                .filter(([dx, dy]) => reachable.has(`${x + dx},${y + dy}`)).length;
+            if (reachable.has(`${x},${y}`) && exits === 1) {
+                deadEnds++;
+            }
+        }
+    }
+
+    const path = portal ? findPath(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y, portal.x, portal.y) : [];
+    return {
+        unreachableFloor: floor > 0 ? (floor - reachable.size) / floor : 0,
+        portalDistance: path.length > 0 ? path.length : null,
+        openAreaRatio: floor / interior,
+        deadEnds,
+        pillarDensity: pillars / interior
+    };
+}
+
+function summarize(values) {
+    const present = values.filter(value => value !== null);
+    if (present.length === 0) {
+        return { mean: null, min: null, max: null };
+    }
+    return {
+        mean: present.reduce((sum, value) => sum + value, 0) / present.length,
+        min: Math.min(...present),
+        max: Math.max(...present)
+    };
+}
+
+/**
+ * Generate a chamber type over a run of seeds, validating and measuring each level
+ * Simulations are created one after another and disposed, as only one may run at a time.
+ * @param {string} generatorId - Level type id
+ * @param {Object} [options]
+ * @param {number} [options.seeds=20] - How many seeds to generate
+ * @param {number} [options.firstSeed=1] - First seed; the rest follow it
+ * @param {number} [options.levelNumber] - Level to generate (the first the generator is used on by default)
+ * @returns {Promise<{generator:string, levelNumber:number, runs:number, invalid:Array<{seed:number, problems:string[]}>,
+ *   stats:Object<string, {mean:number|null, min:number|null, max:number|null}>}>}
+ */
+export async function runGeneratorStats(generatorId, { seeds = 20, firstSeed = 1, levelNumber = findLevelForGenerator(generatorId) } = {}) {
+    const invalid = [];
+    const measures = [];
+
+    for (let seed = firstSeed; seed < firstSeed + seeds; seed++) {
+        const sim = await GameSimulation.create({ seed, levelNumber });
+        try {
+            const problems = validateLevel(sim.world);
+            if (problems.length > 0) {
+                invalid.push({ seed, problems });
+            }
+            measures.push(measureLevel(sim.world));
+        } finally {
+            sim.dispose();
+        }
+    }
+
+    const stats = {};
+    for (const { key } of MEASURES) {
+        stats[key] = summarize(measures.map(measure => measure[key]));
+    }
+    return { generator: generatorId, levelNumber, runs: seeds, invalid, stats };
+}
+
+/**
+ * Run runGeneratorStats for every registered chamber type, on each of the first levels it is used on
+ * Later levels are worth covering as well: prefabs and other content only turn up from some level on.
+ * @param {Object} [options] - As for runGeneratorStats (levelNumber is chosen per generator)
+ * @param {number} [options.levelsPerGenerator=1] - How many of each generator's levels to generate
+ * @returns {Promise<Array>} - One report per generator and level, in registration order
+ */
+export async function runAllGeneratorStats({ seeds, firstSeed, levelsPerGenerator = 1 } = {}) {
+    const reports = [];
+    for (const generatorId of getAvailableGenerators()) {
+        for (const levelNumber of findLevelsForGenerator(generatorId, levelsPerGenerator)) {
+            reports.push(await runGeneratorStats(generatorId, { seeds, firstSeed, levelNumber }));
+        }
+    }
+    return reports;
+}
+
+/**
+ * Lay reports out as a text table, one generator and level per line, followed by any invalid levels
+ * @param {Array} reports - Reports from runGeneratorStats
+ * @returns {string}
+ */
+export function formatGeneratorReport(reports) {
+    const format = (value, percent) => {
+        if (value === null) {
+            return '-';
+        }
+        return percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(1);
+    };
+    const header = ['generator', 'level', 'runs', 'invalid', ...MEASURES.map(measure => measure.label)];
+    const rows = reports.map(report => [
+        report.generator,
+        String(report.levelNumber),
+        String(report.runs),
+        String(report.invalid.length),
+        ...MEASURES.map(({ key, percent }) => {
+            const { mean, min, max } = report.stats[key];
+            return `${format(mean, percent)} (${format(min, percent)}-${format(max, percent)})`;
+        })
+    ]);
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const line = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    const lines = [line(header), ...rows.map(line)];
+    for (const report of reports) {
+        for (const { seed, problems } of report.invalid) {
+            lines.push(`${report.generator} level ${report.levelNumber} seed ${seed}: ${problems.join('; ')}`);
+        }
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,78 @@
+/**
+ * Noise system - PURE SERVICE
+ * Player actions make sounds with a loudness. A sound spreads through passable
+ * tiles, losing one point of loudness per step, and monsters standing where it is
+ * still audible hear it (see World.makeNoise and BaseBrain.onNoise).
+ */
+
+import { isTilePassable } from '../tiles/tileTypes.js';
+
+// Loudness of the sounds the player makes
+export const NOISE = {
+    FOOTSTEP_SOFT: 2,   // grass, dirt, moss
+    FOOTSTEP: 3,        // sand and anything without a hardness
+    FOOTSTEP_HARD: 5,   // cobblestone and stone
+    PICKUP: 3,
+    PROJECTILE: 4,      // a thrown dagger clattering to the floor
+    TRAP: 6,            // a trap going off
+    COMBAT: 8
+};
+
+/**
+ * Loudness of a footstep on a tile, from its soft/hard props
+ * @param {Object} tile - Tile object with props
+ * @returns {number} - Loudness
+ */
+export function getFootstepLoudness(tile) {
+    const props = tile && tile.props ? tile.props : {};
+    if (props.soft) {
+        return NOISE.FOOTSTEP_SOFT;
+    }
+    if (props.hard) {
+        return NOISE.FOOTSTEP_HARD;
+    }
+    return NOISE.FOOTSTEP;
+}
+
+/**
+ * Spread a sound outward from its origin through passable tiles (8 directions)
+ * @param {Object} map - 2D tile map [x][y]
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @param {Object} origin - {x, y} where the sound was made
+ * @param {number} loudness - Loudness at the origin
+ * @returns {Map<string, number>} - Tile key "x,y" to remaining loudness (always > 0)
+ */
+export function propagateNoise(map, width, height, origin, loudness) {
+    const heard = new Map();
+    if (loudness <= 0) {
+        return heard;
+    }
+
+    heard.set(`${origin.x},${origin.y}`, loudness);
+    let frontier = [origin];
+    for (let strength = loudness - 1; strength > 0 && frontier.length > 0; strength--) {
+        const next = [];
+        for (const { x, y } of frontier) {
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const key = `${nx},${ny}`;
+                    if (heard.has(key) || nx < 0 || nx >= width || ny < 0 || ny >= height) {
+                        continue;
+                    }
+                    const tile = map[nx] && map[nx][ny];
+                    if (!tile || !isTilePassable(tile)) {
+                        continue;
+                    }
+                    heard.set(key, strength);
+                    next.push({ x: nx, y: ny });
+                }
+            }
+        }
+        frontier = next;
+    }
+
+    return heard;
+}
@@ -5,9 +5,14 @@
  */
 
 import * as logger from './logger.js';
+import { getCameraOffset } from './camera.js';
+import { PORTAL_SYMBOL } from '../entities/portal.js';
 
 let display = null;
 
+// Camera offset of the frame being drawn (map coordinate at the top-left of the viewport)
+let camera = { x: 0, y: 0 };
+
 /**
  * Initialize the renderer with a ROT.js display
  * @param {ROT.Display} rotDisplay - The ROT.js display object
@@ -96,12 +101,30 @@ function dimColor(color, factor) {
     return color;
 }
 
+/**
+ * Draw a glyph at a map position, if the camera currently shows it
+ * @param {number} x - Map x
+ * @param {number} y - Map y
+ * @param {string} symbol - Character to draw
+ * @param {string} foregroundColor - Foreground color
+ * @param {string} [backgroundColor] - Background color
+ */
+function drawAtMapPosition(x, y, symbol, foregroundColor, backgroundColor) {
+    const { width, height } = display.getOptions();
+    const screenX = x - camera.x;
+    const screenY = y - camera.y;
+    if (screenX < 0 || screenX >= width || screenY < 0 || screenY >= height) {
+        return;
+    }
+    display.draw(screenX, screenY, symbol, foregroundColor, backgroundColor);
+}
+
 /**
  * Main render function that takes the game state and draws it
  * @param {Object} state - The current game state
  */
 export function render(state) {
-    const { map, player, storyObject, portal, staticObjects = [], currentLevelNumber, MAP_WIDTH, MAP_HEIGHT, world } = state;
+    const { map, player, storyObject, portal, upStairs, staticObjects = [], currentLevelNumber, MAP_WIDTH, MAP_HEIGHT, world, target = null } = state;
     
     if (!display) {
         logger.error('No display object available!');
@@ -119,12 +142,24 @@ export function render(state) {
     const debugInfo = currentLevel.getDebugInfo();
     // logger.debug(`[RENDER] Rendering level ${debugInfo.levelNumber}: ${debugInfo.visibleTiles} visible, ${debugInfo.seenTiles} seen`);
 
+    // Follow the player, stopping at the map edges
+    const { width: viewWidth, height: viewHeight } = display.getOptions();
+    camera = getCameraOffset(player || { x: 0, y: 0 }, MAP_WIDTH, MAP_HEIGHT, viewWidth, viewHeight);
+    
     // Clear the display
     display.clear();
     
-    // Draw the map tiles with fog-of-war
-    for (let x = 0; x < MAP_WIDTH; x++) {
-        for (let y = 0; y < MAP_HEIGHT; y++) {
+    // Draw the map tiles in view with fog-of-war
+    for (let screenX = 0; screenX < viewWidth; screenX++) {
+        for (let screenY = 0; screenY < viewHeight; screenY++) {
+            const x = screenX + camera.x;
+            const y = screenY + camera.y;
+            
+            // Beyond the edge of a map smaller than the viewport
+            if (x < 0 || x >= MAP_WIDTH || y < 0 || y >= MAP_HEIGHT) {
+                continue;
+            }
+            
             const tile = map[x] && map[x][y];
             let color = '#666'; // default fallback color
             let symbol = '?'; // default fallback symbol
@@ -136,7 +171,7 @@ export function render(state) {
             
             // Skip tiles that have never been seen
             if (!hasBeenSeen) {
-                display.draw(x, y, ' ', '#000', '#000'); // Draw black/empty
+                display.draw(screenX, screenY, ' ', '#000', '#000'); // Draw black/empty
                 continue;
             }
             
@@ -153,15 +188,15 @@ export function render(state) {
                 foregroundColor = 'rgba(128,128,128,0.4)'; // Dim foreground
             }
             
-            display.draw(x, y, symbol, foregroundColor, color);
+            display.draw(screenX, screenY, symbol, foregroundColor, color);
         }
     }
     
     // Draw static objects that haven't been picked up (only if visible)
     if (staticObjects) {
         staticObjects.forEach(obj => {
-            if (!obj.pickedUp && currentLevel.isVisible(obj.x, obj.y)) {
-                display.draw(obj.x, obj.y, obj.symbol || '*', obj.color || '#fff');
+            if (!obj.pickedUp && !obj.hidden && currentLevel.isVisible(obj.x, obj.y)) {
+                drawAtMapPosition(obj.x, obj.y, obj.symbol || '*', obj.color || '#fff');
             }
         });
     }
@@ -202,14 +237,14 @@ export function render(state) {
                     lightColor = dimColor(lightColor, 0.3);
                 }
                 
-                display.draw(light.x, light.y, lightSymbol, lightColor);
+                drawAtMapPosition(light.x, light.y, lightSymbol, lightColor);
             }
         });
     }
     
     // Draw the story object if it hasn't been picked up (only if visible)
     if (storyObject && !storyObject.pickedUp && currentLevel.isVisible(storyObject.x, storyObject.y)) {
-        display.draw(storyObject.x, storyObject.y, '&', '#ff00ff'); // bright magenta
+        drawAtMapPosition(storyObject.x, storyObject.y, '&', '#ff00ff'); // bright magenta
     }
     
     // Draw the portal (only if has been seen)
@@ -218,7 +253,16 @@ export function render(state) {
         if (!currentLevel.isVisible(portal.x, portal.y)) {
             portalColor = dimColor(portalColor, 0.3); // Dim if not currently visible
         }
-        display.draw(portal.x, portal.y, '+', portalColor);
+        drawAtMapPosition(portal.x, portal.y, PORTAL_SYMBOL, portalColor);
+    }
+    
+    // Draw the up-stairs back to the previous chamber (only if has been seen)
+    if (upStairs && currentLevel.hasSeenEver(upStairs.x, upStairs.y)) {
+        let stairsColor = '#C8A165'; // worn stone
+        if (!currentLevel.isVisible(upStairs.x, upStairs.y)) {
+            stairsColor = dimColor(stairsColor, 0.3);
+        }
+        drawAtMapPosition(upStairs.x, upStairs.y, '<', stairsColor);
     }
     
     // Draw monsters (only if visible and alive)
@@ -232,7 +276,7 @@ export function render(state) {
             if (isAlive && isVisible) {
                 // Use getColor() method to get dynamic color based on monster state
                 const monsterColor = monster.getColor ? monster.getColor() : monster.color;
-                display.draw(monster.x, monster.y, monster.symbol, monsterColor);
+                drawAtMapPosition(monster.x, monster.y, monster.symbol, monsterColor);
                 // logger.debug(`[RENDER] Drew monster at (${monster.x}, ${monster.y}) with color ${monsterColor}`);
             }
         });
@@ -243,6 +287,11 @@ export function render(state) {
         // logger.debug(`[RENDER] Monster render check failed: world=${worldExists} monsters=${monstersExists} isArray=${monstersIsArray}`);
     }
     
+    // Highlight the monster under the targeting cursor
+    if (target && currentLevel.isVisible(target.x, target.y)) {
+        drawAtMapPosition(target.x, target.y, target.symbol, '#000', '#FFD700');
+    }
+    
     // Draw the player last so they're always visible
     if (player) {
         // Check if player is alive and adjust display accordingly
@@ -263,7 +312,7 @@ export function render(state) {
             }
         }
         
-        display.draw(player.x, player.y, '@', playerColor);
+        drawAtMapPosition(player.x, player.y, '@', playerColor);
     }
     
     // HUD and level indicators are handled by DOM now
@@ -0,0 +1,221 @@
+/**
+ * Input recording and deterministic replay
+ *
+ * A recording captures the run seed, the ROT.RNG state and turn number at the
+ * moment recording began, and every replayable Action queued through
+ * TurnEngine.queuePlayerAction. Feeding the same actions into a world built
+ * from the same seed and RNG state reproduces the run exactly, including
+ * monster AI decisions and combat.
+ */
+
+import { getTurn } from './gameState.js';
+import { createActionFromData } from './actions.js';
+import * as logger from './logger.js';
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Records player actions for later replay
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.recording = null;
+    }
+
+    /**
+     * Start a new recording from the current simulation state
+     * Call after the starting level is generated and before the turn engine starts
+     * @param {Object} options
+     * @param {number} options.runSeed - Seed of the run being recorded
+     * @param {number} options.levelNumber - Level the recording starts on
+     */
+    begin({ runSeed, levelNumber = 1 }) {
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            runSeed,
+            startLevel: levelNumber,
+            startTurn: getTurn(),
+            rngState: ROT.RNG.getState(),
+            startedAt: new Date().toISOString(),
+            actions: []
+        };
+        logger.info(`Replay recording started (seed ${runSeed}, level ${levelNumber})`);
+    }
+
+    /**
+     * Check whether a recording is in progress
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Record a queued action (UI and meta actions are skipped)
+     * @param {Action} action - The action queued for the player
+     */
+    record(action) {
+        if (!this.recording || !action?.isReplayable?.()) {
+            return;
+        }
+        this.recording.actions.push({ turn: getTurn(), ...action.serialize() });
+    }
+
+    /**
+     * Get a snapshot of the recording so far
+     * @returns {Object|null} - Recording data safe to JSON.stringify
+     */
+    getRecording() {
+        if (!this.recording) {
+            return null;
+        }
+        return {
+            ...this.recording,
+            endTurn: getTurn(),
+            actions: [...this.recording.actions]
+        };
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} - The finished recording
+     */
+    stop() {
+        const recording = this.getRecording();
+        this.recording = null;
+        return recording;
+    }
+}
+
+/**
+ * Validate recording data before replaying it
+ * @param {Object} recording - Parsed recording data
+ * @throws {Error} If the recording is missing required fields or has an unsupported version
+ */
+export function validateRecording(recording) {
+    if (!recording || typeof recording !== 'object') {
+        throw new Error('Replay data is empty or not an object');
+    }
+    if (recording.version !== REPLAY_FORMAT_VERSION) {
+        throw new Error(`Unsupported replay version: ${recording.version}`);
+    }
+    if (recording.runSeed === undefined || recording.rngState === undefined) {
+        throw new Error('Replay is missing its run seed or RNG state');
+    }
+    if (!Array.isArray(recording.actions)) {
+        throw new Error('Replay has no action list');
+    }
+}
+
+/**
+ * Plays a recording back into a turn engine
+ * The caller builds the starting level from recording.runSeed first; play()
+ * then restores the RNG state, starts the engine and feeds the actions in order.
+ */
+export class Replayer {
+    /**
+     * @param {Object} recording - Recording produced by ReplayRecorder
+     * @param {Object} options
+     * @param {TurnEngine} options.turnEngine - Engine to feed actions into
+     * @param {World} options.world - World being simulated (used to await level transitions)
+     * @param {number} options.speed - Actions per second; 0 plays as fast as possible (headless)
+     * @param {Function} options.onStep - Optional callback(index, entry) after each action
+     */
+    constructor(recording, { turnEngine, world = null, speed = 0, onStep = null }) {
+        validateRecording(recording);
+        this.recording = recording;
+        this.turnEngine = turnEngine;
+        this.world = world;
+        this.speed = speed;
+        this.onStep = onStep;
+        this.stopped = false;
+        this.playing = false;
+        this.desyncs = [];
+    }
+
+    /**
+     * Change playback speed, including mid-replay
+     * @param {number} actionsPerSecond - 0 for unthrottled playback
+     */
+    setSpeed(actionsPerSecond) {
+        this.speed = Math.max(0, actionsPerSecond);
+    }
+
+    /**
+     * Stop playback after the current action
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Check whether playback is in progress
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Play the recording to the end (or until stopped)
+     * @returns {Promise<Object>} - Summary { actionsPlayed, finalTurn, desyncs, completed }
+     */
+    async play() {
+        const { actions, rngState } = this.recording;
+        this.playing = true;
+
+        // Restore RNG before the engine runs so monster turns draw the same numbers
+        ROT.RNG.setState(rngState);
+        if (!this.turnEngine.isRunning) {
+            this.turnEngine.start();
+        }
+
+        let actionsPlayed = 0;
+        try {
+            for (let i = 0; i < actions.length && !this.stopped; i++) {
+                const entry = actions[i];
+
+                // Level transitions are async; wait for the next chamber before continuing
+                await this._waitForTransition();
+
+                if (entry.turn !== undefined && entry.turn !== getTurn()) {
+                    this.desyncs.push({ index: i, expectedTurn: entry.turn, actualTurn: getTurn() });
+                    logger.warn(`Replay desync at action ${i}: expected turn ${entry.turn}, at turn ${getTurn()}`);
+                }
+
+                const action = createActionFromData(entry);
+                if (action) {
+                    this.turnEngine.queuePlayerAction(action);
+                    actionsPlayed++;
+                }
+
+                if (this.onStep) {
+                    this.onStep(i, entry);
+                }
+
+                if (this.speed > 0) {
+                    await new Promise(resolve => setTimeout(resolve, 1000 / this.speed));
+                }
+            }
+
+            await this._waitForTransition();
+        } finally {
+            this.playing = false;
+        }
+
+        const summary = {
+            actionsPlayed,
+            finalTurn: getTurn(),
+            desyncs: this.desyncs,
+            completed: !this.stopped
+        };
+        logger.info(`Replay finished: ${actionsPlayed} actions, turn ${summary.finalTurn}, ${this.desyncs.length} desyncs`);
+        return summary;
+    }
+
+    async _waitForTransition() {
+        while (this.world && this.world.pendingTransition) {
+            await this.world.pendingTransition;
+        }
+    }
+}
@@ -0,0 +1,96 @@
+// Run seed management and per-level RNG streams
+// Every random decision made while generating a chamber goes through ROT.RNG,
+// re-seeded from the run seed so the same seed always rebuilds the same run.
+import * as logger from './logger.js';
+
+const MAX_SEED = 0x7fffffff;
+
+let runSeed = null;
+
+// String hash (xmur3) - turns seed text and stream names into 32-bit integers
+function hashString(str) {
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+}
+
+/**
+ * Normalize user-provided seed input into a positive integer
+ * Numeric input is used as-is; any other text is hashed so "cellar" is a valid seed
+ * @param {number|string} input - Seed as typed on the start screen or read from a save
+ * @returns {number|null} Normalized seed, or null when the input is empty
+ */
+export function normalizeSeed(input) {
+    if (input === null || input === undefined) return null;
+    const text = String(input).trim();
+    if (text.length === 0) return null;
+    if (/^\d+$/.test(text)) {
+        return Number(text) % MAX_SEED;
+    }
+    return hashString(text) % MAX_SEED;
+}
+
+/**
+ * Create a fresh run seed for a new game
+ * @returns {number} A new run seed
+ */
+export function generateRunSeed() {
+    return 1 + Math.floor(Math.random() * (MAX_SEED - 1));
+}
+
+/**
+ * Set the seed for the current run
+ * @param {number|string|null} seed - Seed to use; a new one is generated if empty
+ * @returns {number} The seed now in effect
+ */
+export function setRunSeed(seed = null) {
+    runSeed = normalizeSeed(seed) ?? generateRunSeed();
+    logger.info(`Run seed set to ${runSeed}`);
+    return runSeed;
+}
+
+/**
+ * Get the seed for the current run, creating one if none has been set
+ * @returns {number} The current run seed
+ */
+export function getRunSeed() {
+    if (runSeed === null) {
+        setRunSeed();
+    }
+    return runSeed;
+}
+
+/**
+ * Derive a stable sub-seed from the run seed
+ * @param {...(string|number)} parts - Identifiers for the stream, e.g. ('level', 3, 'monsters')
+ * @returns {number} 32-bit seed unique to this run and stream
+ */
+export function deriveSeed(...parts) {
+    return hashString(`${getRunSeed()}:${parts.join(':')}`);
+}
+
+/**
+ * Get the seed for one RNG stream of a level
+ * @param {number} levelNumber - Level number
+ * @param {string} stream - Stream name (e.g. 'layout', 'entities', 'torches')
+ * @returns {number} Seed for that level stream
+ */
+export function getLevelSeed(levelNumber, stream = 'layout') {
+    return deriveSeed('level', levelNumber, stream);
+}
+
+/**
+ * Seed ROT.RNG for one stream of a level
+ * Each generation phase uses its own stream so that changing one phase
+ * (e.g. adding a monster) does not reshuffle the others.
+ * @param {number} levelNumber - Level number
+ * @param {string} stream - Stream name
+ */
+export function seedLevelStream(levelNumber, stream = 'layout') {
+    ROT.RNG.setSeed(getLevelSeed(levelNumber, stream));
+}
@@ -0,0 +1,116 @@
+// Where the current run autosaves, and what dying does to its save
+// An ironman run keeps a single slot that is erased when the player dies. The slot is
+// marked dead the moment the run ends, before the (asynchronous) delete, so it can
+// never be loaded back from the game-over screen. The save itself is flagged dead
+// before it is erased too, so it stays refused should erasing it fail or the app
+// close first.
+
+import { AUTOSAVE_SLOT, createSlotId, deleteSaveSlot, readSaveSlot, writeSaveSlot } from './saveSlots.js';
+import { isIronmanRun, setIronmanRun } from './gameState.js';
+import * as logger from './logger.js';
+
+// Slot this run autosaves to (null while autosaving is off, e.g. during replays or after an ironman death)
+let runSaveSlot = null;
+
+// Autosave still being written, which an ironman death waits for before erasing the slot
+let pendingAutosave = null;
+
+// Slots of ironman runs that have died (an ironman run only ever writes its own slot)
+const deadIronmanSlots = new Set();
+
+/**
+ * Start saving a new run, fixing whether it is an ironman run
+ * @param {boolean} ironman - Permadeath run with a slot of its own
+ * @returns {string} - Slot the run autosaves to
+ */
+export function beginRunSaves(ironman) {
+    setIronmanRun(ironman);
+    runSaveSlot = ironman ? createSlotId('ironman') : AUTOSAVE_SLOT;
+    return runSaveSlot;
+}
+
+/**
+ * Continue saving a run that was loaded from a slot
+ * Ironman runs go on writing the slot they came from, others the autosave slot.
+ * @param {string} slotId - Slot the run was loaded from
+ */
+export function continueRunSaves(slotId) {
+    runSaveSlot = isIronmanRun() ? slotId : AUTOSAVE_SLOT;
+}
+
+/**
+ * Stop autosaving (a replay is not a run of its own and must not overwrite a save)
+ */
+export function stopRunSaves() {
+    runSaveSlot = null;
+}
+
+/**
+ * Slot the current run autosaves to
+ * @returns {string|null}
+ */
+export function getRunSaveSlot() {
+    return runSaveSlot;
+}
+
+/**
+ * Keep track of an autosave being written, so an ironman death can wait for it
+ * @param {Promise<boolean>} save - The write in flight
+ * @returns {Promise<boolean>} - Whether the save was written
+ */
+export async function trackAutosave(save) {
+    pendingAutosave = save;
+    try {
+        return await save;
+    } finally {
+        if (pendingAutosave === save) {
+            pendingAutosave = null;
+        }
+    }
+}
+
+// Flag the save in a slot as belonging to a run that has died
+async function markSaveDead(slotId) {
+    const save = await readSaveSlot(slotId);
+    if (save) {
+        await writeSaveSlot(slotId, { ...save, meta: { ...save.meta, dead: true } });
+    }
+}
+
+/**
+ * End an ironman run's saves when the player dies
+ * The slot is refused by getLoadRefusal from this call on. Once any autosave in flight
+ * has landed, its save is flagged dead and then deleted. Runs that are not ironman keep their saves.
+ * @returns {Promise<string>|null} - Resolves with the erased slot (rejects if deleting failed), or null for other runs
+ */
+export function endRunSavesOnDeath() {
+    if (!isIronmanRun() || !runSaveSlot) {
+        return null;
+    }
+    const slotId = runSaveSlot;
+    deadIronmanSlots.add(slotId);
+    runSaveSlot = null;
+    return Promise.resolve(pendingAutosave)
+        .catch(() => {})
+        .then(() => markSaveDead(slotId).catch(error => logger.warn(`Could not flag ironman save ${slotId} as dead:`, error)))
+        .then(() => deleteSaveSlot(slotId))
+        .then(() => slotId);
+}
+
+/**
+ * Why a save slot may not be loaded right now
+ * An ironman save is refused for good once its run has died.
+ * @param {string} slotId - Slot to load
+ * @param {Object} [meta] - The slot's save meta, once read (a save flagged dead is refused after a restart too)
+ * @returns {string|null} - Message for the player, or null if the slot can be loaded
+ */
+export function getLoadRefusal(slotId, meta = null) {
+    if (deadIronmanSlots.has(slotId) || meta?.dead) {
+        return 'This ironman run has ended; its save cannot be loaded.';
+    }
+    // Reloading a live ironman run's own save would undo whatever happened since
+    if (isIronmanRun() && slotId === runSaveSlot) {
+        return 'Ironman runs cannot be reloaded.';
+    }
+    return null;
+}
@@ -0,0 +1,558 @@
+/**
+ * Save format versioning, validation and migration
+ *
+ * Every save written by saveGame() carries a saveVersion. On load the state is
+ * first upgraded through the migration chain (one function per version step) and
+ * then validated as a whole, before any of it is applied to the running game.
+ * Saves written before versioning existed are treated as version 1.
+ *
+ * When a serialize() format changes (Level, Monster, Stats, ...), bump
+ * SAVE_VERSION, add a migration from the previous version and update the validator.
+ */
+
+import * as logger from './logger.js';
+import { ARTIFACT_MECHANICS } from '../content/artifacts.js';
+
+export const SAVE_VERSION = 13;
+
+// Error code for saves that can never be loaded by this version of the game
+export const SAVE_INVALID = 'SAVE_INVALID';
+
+function saveFormatError(message) {
+    const err = new Error(message);
+    err.code = SAVE_INVALID;
+    return err;
+}
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each receives a state at that version and returns it at the next version.
+ */
+const MIGRATIONS = {
+    // v1 (unversioned saves): optional entities and per-level arrays could be missing
+    1: (state) => {
+        const world = state.world ? { ...state.world } : null;
+        if (world && world.levels && typeof world.levels === 'object') {
+            const levels = {};
+            for (const [levelNumber, level] of Object.entries(world.levels)) {
+                levels[levelNumber] = {
+                    ...level,
+                    seenTiles: level?.seenTiles || [],
+                    lightSources: level?.lightSources || []
+                };
+            }
+            world.levels = levels;
+        }
+        if (world && !Array.isArray(world.monsters)) {
+            world.monsters = [];
+        }
+
+        return {
+            ...state,
+            runSeed: state.runSeed ?? null,
+            storyObject: state.storyObject ?? null,
+            staticObjects: state.staticObjects || [],
+            portal: state.portal ?? null,
+            world,
+            saveVersion: 2
+        };
+    },
+
+    // v2: the gameState module (turn, inventory, artifacts, movement) was not saved
+    2: (state) => ({
+        ...state,
+        gameState: {
+            artifactsFound: 0,
+            playerMoves: 0,
+            gameStartTime: Date.now(),
+            lastPlayerPosition: { x: state.player?.x ?? 1, y: state.player?.y ?? 1 },
+            movementHistory: [],
+            currentLevel: state.currentLevel,
+            inventory: [],
+            turn: 0
+        },
+        saveVersion: 3
+    }),
+
+    // v3: no up-stairs, and chambers the player had left were not kept
+    3: (state) => ({
+        ...state,
+        upStairs: null,
+        saveVersion: 4
+    }),
+
+    // v4: every map was 40x20, so levels did not record their size
+    4: (state) => {
+        if (!isPlainObject(state.world) || !isPlainObject(state.world.levels)) {
+            return { ...state, saveVersion: 5 };
+        }
+        const levels = {};
+        for (const [levelNumber, level] of Object.entries(state.world.levels)) {
+            levels[levelNumber] = { ...level, width: level?.width ?? 40, height: level?.height ?? 20 };
+        }
+        return {
+            ...state,
+            world: { ...state.world, levels },
+            saveVersion: 5
+        };
+    },
+
+    // v5: the player carried no throwing daggers; give them the starting three
+    5: (state) => ({
+        ...state,
+        player: isPlainObject(state.player) ? { throwingDaggers: 3, ...state.player } : state.player,
+        saveVersion: 6
+    }),
+
+    // v6: stats had no accuracy or evasion; use the values the game shipped with in v7
+    6: (state) => ({
+        ...state,
+        player: isPlainObject(state.player)
+            ? { ...state.player, stats: addAccuracy(state.player.stats, 80, 10) }
+            : state.player,
+        world: mapSavedMonsters(state.world, monster => {
+            const { accuracy, evasion } = V7_MONSTER_ACCURACY[monster.typeId] || { accuracy: 75, evasion: 0 };
+            return { ...monster, stats: addAccuracy(monster.stats, accuracy, evasion) };
+        }),
+        saveVersion: 7
+    }),
+
+    // v7: actors had no status effects, and monsters inflicted none on hit
+    7: (state) => ({
+        ...state,
+        player: isPlainObject(state.player) ? { statusEffects: [], ...state.player } : state.player,
+        world: mapSavedMonsters(state.world, monster => ({
+            statusEffects: [],
+            onHitEffects: (V8_MONSTER_ON_HIT[monster.typeId] || []).map(onHit => ({ ...onHit })),
+            ...monster
+        })),
+        saveVersion: 8
+    }),
+
+    // v8: the player earned no experience
+    8: (state) => ({
+        ...state,
+        player: isPlainObject(state.player)
+            ? { xp: 0, characterLevel: 1, pendingLevelUps: 0, ...state.player }
+            : state.player,
+        saveVersion: 9
+    }),
+
+    // v9: the player had nothing equipped
+    9: (state) => ({
+        ...state,
+        player: isPlainObject(state.player)
+            ? { equipment: { weapon: null, shield: null, armor: null }, ...state.player }
+            : state.player,
+        saveVersion: 10
+    }),
+
+    // v10: inventory items were artifacts without ids or quantities (potions were drunk on pickup)
+    10: (state) => ({
+        ...state,
+        gameState: isPlainObject(state.gameState) && Array.isArray(state.gameState.inventory)
+            ? {
+                ...state.gameState,
+                inventory: state.gameState.inventory.map((item, i) => isPlainObject(item)
+                    ? { id: `artifact_${i}`, type: 'artifact', quantity: 1, ...item }
+                    : item)
+            }
+            : state.gameState,
+        saveVersion: 11
+    }),
+
+    // v11: artifacts had no powers
+    11: (state) => ({
+        ...state,
+        gameState: isPlainObject(state.gameState) && Array.isArray(state.gameState.inventory)
+            ? {
+                ...state.gameState,
+                inventory: state.gameState.inventory.map(item => isPlainObject(item) && item.type === 'artifact'
+                    ? { mechanic: null, ...item }
+                    : item)
+            }
+            : state.gameState,
+        saveVersion: 12
+    }),
+
+    // v12: there were no unidentified items (the table is dealt when the next chamber is made)
+    12: (state) => ({
+        ...state,
+        gameState: isPlainObject(state.gameState) ? { identification: {}, ...state.gameState } : state.gameState,
+        saveVersion: 13
+    })
+};
+
+// Accuracy and evasion per monster type when they were introduced (save format 7)
+const V7_MONSTER_ACCURACY = {
+    zombie: { accuracy: 65, evasion: 0 },
+    chaser: { accuracy: 75, evasion: 15 }
+};
+
+// On-hit effects per monster type when they were introduced (save format 8)
+const V8_MONSTER_ON_HIT = {
+    zombie: [{ effect: 'rot', chance: 0.25, turns: 8 }],
+    chaser: [{ effect: 'bleed', chance: 0.15, turns: 3 }]
+};
+
+function addAccuracy(stats, accuracy, evasion) {
+    return isPlainObject(stats) ? { accuracy, evasion, ...stats } : stats;
+}
+
+/**
+ * Apply a migration to every saved monster: the live ones and those in stored chambers
+ * @param {Object} world - Saved world
+ * @param {Function} migrateMonster - (monster) => migrated monster, only called for objects
+ * @returns {Object} - Migrated world (the input is not modified)
+ */
+function mapSavedMonsters(world, migrateMonster) {
+    if (!isPlainObject(world)) {
+        return world;
+    }
+    const migrateAll = monsters => monsters.map(monster => isPlainObject(monster) ? migrateMonster(monster) : monster);
+    const migrated = { ...world };
+    if (Array.isArray(world.monsters)) {
+        migrated.monsters = migrateAll(world.monsters);
+    }
+    if (isPlainObject(world.levels)) {
+        const levels = {};
+        for (const [levelNumber, level] of Object.entries(world.levels)) {
+            const stored = level?.storedState;
+            levels[levelNumber] = isPlainObject(stored) && Array.isArray(stored.monsters)
+                ? { ...level, storedState: { ...stored, monsters: migrateAll(stored.monsters) } }
+                : level;
+        }
+        migrated.levels = levels;
+    }
+    return migrated;
+}
+
+/**
+ * Get the format version of a save state
+ * @param {Object} state - Save state
+ * @returns {number} - Version (1 for saves written before versioning)
+ */
+export function getSaveVersion(state) {
+    return Number.isInteger(state?.saveVersion) ? state.saveVersion : 1;
+}
+
+/**
+ * Upgrade a save state to the current SAVE_VERSION
+ * @param {Object} state - Save state at any supported version
+ * @returns {Object} - Migrated state (the input is not modified)
+ * @throws {Error} With code SAVE_INVALID if the save is from a newer game version or a migration step is missing
+ */
+export function migrateSaveState(state) {
+    let version = getSaveVersion(state);
+    if (version > SAVE_VERSION) {
+        throw saveFormatError(`Save is from a newer version of the game (format ${version}, supported up to ${SAVE_VERSION})`);
+    }
+
+    let migrated = state;
+    while (version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw saveFormatError(`No migration from save format ${version}`);
+        }
+        migrated = migrate(migrated);
+        logger.info(`Migrated save from format ${version} to ${version + 1}`);
+        version++;
+    }
+    return migrated;
+}
+
+// ===== VALIDATION =====
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCoordinate(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function checkPosition(errors, path, entity) {
+    if (!isPlainObject(entity)) {
+        errors.push(`${path} must be an object`);
+        return false;
+    }
+    if (!isCoordinate(entity.x) || !isCoordinate(entity.y)) {
+        errors.push(`${path} has an invalid position (${entity.x}, ${entity.y})`);
+        return false;
+    }
+    return true;
+}
+
+function checkStats(errors, path, stats) {
+    if (!isPlainObject(stats)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    for (const key of ['maxHp', 'hp', 'pow', 'def', 'accuracy', 'evasion']) {
+        if (typeof stats[key] !== 'number' || !Number.isFinite(stats[key])) {
+            errors.push(`${path}.${key} must be a number`);
+        }
+    }
+}
+
+// Smallest map that has a floor tile inside its border walls
+function isMapSize(value) {
+    return Number.isInteger(value) && value >= 3;
+}
+
+function checkMap(errors, path, map) {
+    if (!isPlainObject(map) || Object.keys(map).length === 0) {
+        errors.push(`${path} must be a non-empty object of columns`);
+        return;
+    }
+    for (const [x, column] of Object.entries(map)) {
+        if (!isPlainObject(column)) {
+            errors.push(`${path} column ${x} must be an object`);
+            return;
+        }
+        for (const [y, tile] of Object.entries(column)) {
+            if (!isPlainObject(tile) || typeof tile.char !== 'string') {
+                // One bad tile means the map is unusable; don't list every cell
+                errors.push(`${path} tile (${x}, ${y}) is invalid`);
+                return;
+            }
+        }
+    }
+}
+
+function checkStatusEffects(errors, path, effects) {
+    if (!Array.isArray(effects)) {
+        errors.push(`${path} must be an array`);
+        return;
+    }
+    effects.forEach((effect, i) => {
+        if (!isPlainObject(effect) || typeof effect.id !== 'string' || !Number.isInteger(effect.turns) || effect.turns < 1) {
+            errors.push(`${path}[${i}] must have an id and a positive number of turns`);
+        }
+    });
+}
+
+function checkEquipment(errors, path, equipment) {
+    if (!isPlainObject(equipment)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    for (const [slot, item] of Object.entries(equipment)) {
+        if (item !== null && (!isPlainObject(item) || typeof item.id !== 'string' || typeof item.itemId !== 'string')) {
+            errors.push(`${path}.${slot} must be null or have an id and an itemId`);
+        }
+    }
+}
+
+function checkMonsters(errors, path, monsters) {
+    if (!Array.isArray(monsters)) {
+        errors.push(`${path} must be an array`);
+        return;
+    }
+    monsters.forEach((monster, i) => {
+        if (checkPosition(errors, `${path}[${i}]`, monster)) {
+            checkStats(errors, `${path}[${i}].stats`, monster.stats);
+            checkStatusEffects(errors, `${path}[${i}].statusEffects`, monster.statusEffects);
+        }
+    });
+}
+
+// Entities of one chamber: the live one at the top of the save, or one stored on its Level
+function checkChamberEntities(errors, prefix, chamber) {
+    for (const key of ['portal', 'upStairs', 'storyObject']) {
+        if (chamber[key] !== null) {
+            checkPosition(errors, `${prefix}${key}`, chamber[key]);
+        }
+    }
+    if (!Array.isArray(chamber.staticObjects)) {
+        errors.push(`${prefix}staticObjects must be an array`);
+    } else {
+        chamber.staticObjects.forEach((object, i) => checkPosition(errors, `${prefix}staticObjects[${i}]`, object));
+    }
+}
+
+function checkLevel(errors, path, level) {
+    if (!isPlainObject(level)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    for (const key of ['width', 'height']) {
+        if (!isMapSize(level[key])) {
+            errors.push(`${path}.${key} must be an integer of at least 3`);
+        }
+    }
+    if (!Array.isArray(level.seenTiles) || level.seenTiles.some(key => typeof key !== 'string')) {
+        errors.push(`${path}.seenTiles must be an array of "x,y" keys`);
+    }
+    if (!Array.isArray(level.lightSources)) {
+        errors.push(`${path}.lightSources must be an array`);
+    } else {
+        level.lightSources.forEach((light, i) => {
+            if (checkPosition(errors, `${path}.lightSources[${i}]`, light) && typeof light.radius !== 'number') {
+                errors.push(`${path}.lightSources[${i}].radius must be a number`);
+            }
+        });
+    }
+    if (level.storedState !== undefined && level.storedState !== null) {
+        const stored = level.storedState;
+        if (!isPlainObject(stored)) {
+            errors.push(`${path}.storedState must be an object or null`);
+            return;
+        }
+        checkMap(errors, `${path}.storedState.map`, stored.map);
+        checkMonsters(errors, `${path}.storedState.monsters`, stored.monsters);
+        checkChamberEntities(errors, `${path}.storedState.`, {
+            portal: stored.portal ?? null,
+            upStairs: stored.upStairs ?? null,
+            storyObject: stored.storyObject ?? null,
+            staticObjects: stored.staticObjects
+        });
+    }
+}
+
+function checkWorld(errors, world) {
+    if (world === null) {
+        return;
+    }
+    if (!isPlainObject(world)) {
+        errors.push('world must be an object or null');
+        return;
+    }
+    if (!isPlainObject(world.levels)) {
+        errors.push('world.levels must be an object');
+    } else {
+        for (const [levelNumber, level] of Object.entries(world.levels)) {
+            if (!Number.isInteger(Number(levelNumber)) || Number(levelNumber) < 1) {
+                errors.push(`world.levels has an invalid level number "${levelNumber}"`);
+            }
+            checkLevel(errors, `world.levels[${levelNumber}]`, level);
+        }
+    }
+    checkMonsters(errors, 'world.monsters', world.monsters);
+}
+
+// The player must stand inside the current chamber's map
+function checkPlayerInBounds(errors, state) {
+    const level = state.world?.levels?.[state.currentLevel];
+    if (!isPlainObject(level) || !isMapSize(level.width) || !isMapSize(level.height) || !isPlainObject(state.player)) {
+        return;
+    }
+    const { x, y } = state.player;
+    if (isCoordinate(x) && isCoordinate(y) && (x >= level.width || y >= level.height)) {
+        errors.push(`player (${x}, ${y}) is outside the ${level.width}x${level.height} map of level ${state.currentLevel}`);
+    }
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function checkGameState(errors, gameState) {
+    if (!isPlainObject(gameState)) {
+        errors.push('gameState must be an object');
+        return;
+    }
+    for (const key of ['turn', 'artifactsFound', 'playerMoves']) {
+        if (!isCount(gameState[key])) {
+            errors.push(`gameState.${key} must be a non-negative integer`);
+        }
+    }
+    if (gameState.ironman !== undefined && typeof gameState.ironman !== 'boolean') {
+        errors.push('gameState.ironman must be a boolean');
+    }
+    if (!Array.isArray(gameState.movementHistory)) {
+        errors.push('gameState.movementHistory must be an array');
+    }
+    if (!Array.isArray(gameState.inventory)) {
+        errors.push('gameState.inventory must be an array');
+    } else {
+        gameState.inventory.forEach((item, i) => {
+            if (!isPlainObject(item)) {
+                errors.push(`gameState.inventory[${i}] must be an object`);
+            } else if (typeof item.id !== 'string' || !Number.isInteger(item.quantity) || item.quantity < 1) {
+                errors.push(`gameState.inventory[${i}] must have an id and a positive quantity`);
+            } else if (item.mechanic != null && !Object.hasOwn(ARTIFACT_MECHANICS, item.mechanic)) {
+                errors.push(`gameState.inventory[${i}].mechanic "${item.mechanic}" is not a known artifact power`);
+            } else if (item.readyOnTurn !== undefined && !isCount(item.readyOnTurn)) {
+                errors.push(`gameState.inventory[${i}].readyOnTurn must be a non-negative integer`);
+            }
+        });
+    }
+    if (!isPlainObject(gameState.identification)) {
+        errors.push('gameState.identification must be an object');
+    } else {
+        for (const [itemId, entry] of Object.entries(gameState.identification)) {
+            if (!isPlainObject(entry) || typeof entry.title !== 'string' || typeof entry.description !== 'string' || typeof entry.known !== 'boolean') {
+                errors.push(`gameState.identification.${itemId} must have a title, a description and a known flag`);
+            }
+        }
+    }
+}
+
+/**
+ * Validate a complete save state at the current SAVE_VERSION
+ * @param {Object} state - Migrated save state
+ * @returns {Array<string>} - Problems found (empty if the save is valid)
+ */
+export function validateSaveState(state) {
+    const errors = [];
+    if (!isPlainObject(state)) {
+        return ['save state must be an object'];
+    }
+
+    if (state.saveVersion !== SAVE_VERSION) {
+        errors.push(`saveVersion must be ${SAVE_VERSION}`);
+    }
+    if (!Number.isInteger(state.currentLevel) || state.currentLevel < 1) {
+        errors.push('currentLevel must be a positive integer');
+    }
+    if (state.runSeed !== null && !Number.isInteger(state.runSeed)) {
+        errors.push('runSeed must be an integer or null');
+    }
+
+    checkMap(errors, 'map', state.map);
+
+    if (checkPosition(errors, 'player', state.player)) {
+        checkStats(errors, 'player.stats', state.player.stats);
+        if (!isCount(state.player.throwingDaggers)) {
+            errors.push('player.throwingDaggers must be a non-negative integer');
+        }
+        checkStatusEffects(errors, 'player.statusEffects', state.player.statusEffects);
+        for (const key of ['xp', 'pendingLevelUps']) {
+            if (!isCount(state.player[key])) {
+                errors.push(`player.${key} must be a non-negative integer`);
+            }
+        }
+        if (!Number.isInteger(state.player.characterLevel) || state.player.characterLevel < 1) {
+            errors.push('player.characterLevel must be an integer of at least 1');
+        }
+        checkEquipment(errors, 'player.equipment', state.player.equipment);
+    }
+
+    checkChamberEntities(errors, '', state);
+
+    checkWorld(errors, state.world);
+    checkPlayerInBounds(errors, state);
+    checkGameState(errors, state.gameState);
+
+    return errors;
+}
+
+/**
+ * Migrate and validate a save state so it can be applied to the game
+ * @param {Object} state - Save state as read from disk
+ * @returns {Object} - State at the current SAVE_VERSION
+ * @throws {Error} With code SAVE_INVALID if the save cannot be migrated or fails validation
+ */
+export function prepareSaveState(state) {
+    if (!isPlainObject(state)) {
+        throw saveFormatError('Save has no game state');
+    }
+    const migrated = migrateSaveState(state);
+    const errors = validateSaveState(migrated);
+    if (errors.length > 0) {
+        logger.warn(`Save failed validation: ${errors.join('; ')}`);
+        throw saveFormatError(`Save is invalid: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more problems)` : ''}`);
+    }
+    return migrated;
+}
@@ -0,0 +1,73 @@
+// Save slot storage using IPC to the main process (one file per slot under userData/saves)
+
+import { getIpc } from './ipc.js';
+
+// Slot used by gameDebug.saveGame()/loadGame() when no slot is given
+export const QUICKSAVE_SLOT = 'quicksave';
+
+// Slot written on chamber transitions and app close (ironman runs use their own slot)
+export const AUTOSAVE_SLOT = 'autosave';
+
+async function invokeSaves(channel, ...args) {
+    const result = await getIpc().invoke(channel, ...args);
+    if (!result || !result.success) {
+        const err = new Error(result?.error || `Save storage request failed: ${channel}`);
+        if (result?.errorType) err.code = result.errorType;
+        throw err;
+    }
+    return result;
+}
+
+/**
+ * List save slot summaries, newest first
+ * @returns {Promise<Array<Object>>} Slot metadata ({ slotId, name, chamber, turn, hp, maxHp, artifacts, savedAt } or { slotId, corrupt: true })
+ */
+export async function listSaveSlots() {
+    return (await invokeSaves('saves-list')).slots;
+}
+
+/**
+ * Read a save slot
+ * @param {string} slotId - Slot to read
+ * @returns {Promise<Object|null>} The { meta, state } save, or null if the slot is empty
+ * @throws {Error} With code SAVE_CORRUPT if the file could not be parsed
+ */
+export async function readSaveSlot(slotId) {
+    return (await invokeSaves('saves-read', slotId)).save;
+}
+
+/**
+ * Write a save slot, replacing its previous contents
+ * @param {string} slotId - Slot to write
+ * @param {Object} save - { meta, state }
+ * @returns {Promise<Object>} The stored metadata
+ */
+export async function writeSaveSlot(slotId, save) {
+    return (await invokeSaves('saves-write', slotId, save)).meta;
+}
+
+/**
+ * Move an unrecoverable save out of the slot list (kept under saves/quarantine)
+ * @param {string} slotId - Slot to quarantine
+ * @param {string} reason - Why the save could not be loaded
+ */
+export async function quarantineSaveSlot(slotId, reason) {
+    await invokeSaves('saves-quarantine', slotId, reason);
+}
+
+/**
+ * Delete a save slot
+ * @param {string} slotId - Slot to delete
+ */
+export async function deleteSaveSlot(slotId) {
+    await invokeSaves('saves-delete', slotId);
+}
+
+/**
+ * Create an id for a new save slot
+ * @param {string} prefix - Slot kind ('slot' for manual saves, 'ironman' for an ironman run)
+ * @returns {string}
+ */
+export function createSlotId(prefix = 'slot') {
+    return `${prefix}-${Date.now().toString(36)}`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Capture and restore the complete state of a run
+ *
+ * This is the single place that knows which modules hold run state: the world
+ * (every visited Level, with the chambers the player has left, and the current
+ * monsters), the player, the map and level entities, the gameState module
+ * (turn, inventory, artifacts, movement) and the run seed. The game and headless simulations both save through it, so
+ * a new stateful module only has to be added here (and to saveFormat.js).
+ */
+
+import { getRunSeed, setRunSeed } from './rng.js';
+import { serializeGameState, deserializeGameState } from './gameState.js';
+import { SAVE_VERSION } from './saveFormat.js';
+import * as logger from './logger.js';
+
+/**
+ * Snapshot a run for saving
+ * The snapshot is a detached copy; playing on does not change it.
+ * @param {World} world - Initialized world (player, map, entities and monsters)
+ * @returns {Object} - Save state at the current SAVE_VERSION
+ */
+export function serializeSaveState(world) {
+    return structuredClone({
+        saveVersion: SAVE_VERSION,
+        runSeed: getRunSeed(),
+        map: world.map,
+        player: world.player.serialize(),
+        currentLevel: world.currentLevel,
+        storyObject: world.storyObject || null,
+        staticObjects: world.staticObjects || [],
+        portal: world.portal || null,
+        upStairs: world.upStairs || null,
+        world: world.serialize(),
+        gameState: serializeGameState()
+    });
+}
+
+/**
+ * Install a saved run into the world
+ * The state must already be migrated and validated (see prepareSaveState).
+ * The world's map object is cleared and refilled in place, and the turn engine's
+ * monsters are replaced with the saved ones.
+ * @param {World} world - Initialized world (player, map and optionally turnEngine set)
+ * @param {Object} state - Save state at the current SAVE_VERSION
+ * @returns {Object} - Restored level entities {currentLevel, portal, upStairs, storyObject, staticObjects, monsters}
+ */
+export function restoreSaveState(world, state) {
+    const { map, player } = world;
+    const saved = structuredClone(state);
+
+    for (let x in map) {
+        delete map[x];
+    }
+    Object.assign(map, saved.map);
+
+    // Restore the run seed so chambers generated after loading match the original run
+    if (saved.runSeed !== null) {
+        setRunSeed(saved.runSeed);
+    }
+
+    player.deserialize(saved.player);
+    if (saved.world) {
+        world.deserialize(saved.world);
+    }
+    deserializeGameState(saved.gameState);
+
+    // The current chamber's map size was recorded on its level when it was generated
+    const level = world.getOrCreateLevel(saved.currentLevel);
+    if (!level.hasDimensions()) {
+        // Only saves without any world data lack it; maps were always 40x20 then
+        level.setDimensions(40, 20);
+    }
+    world.setMapSize(level.width, level.height);
+
+    const monsters = world.monsters || [];
+
+    // Swap whatever was running for the saved monsters in the turn engine
+    if (world.turnEngine) {
+        for (const actor of world.turnEngine.getActors()) {
+            if (!actor.isPlayer()) {
+                world.turnEngine.removeActor(actor);
+            }
+        }
+        for (const monster of monsters) {
+            world.turnEngine.addActor(monster);
+        }
+        logger.debug(`Restored ${monsters.length} monsters to turn engine`);
+    }
+
+    world.update({
+        map,
+        portal: saved.portal,
+        upStairs: saved.upStairs,
+        storyObject: saved.storyObject,
+        staticObjects: saved.staticObjects,
+        monsters,
+        currentLevel: saved.currentLevel
+    });
+    world.recomputeFOV();
+
+    return {
+        currentLevel: saved.currentLevel,
+        portal: saved.portal,
+        upStairs: saved.upStairs,
+        storyObject: saved.storyObject,
+        staticObjects: saved.staticObjects,
+        monsters
+    };
+}
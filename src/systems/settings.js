@@ -1,13 +1,13 @@
 // Settings management system using IPC to communicate with main process
 
-const { ipcRenderer } = window.require('electron');
+import { getIpc } from './ipc.js';
 
 /**
  * Get current LLM model setting
  * @returns {Promise<string>} The LLM model name
  */
 export async function getLLMModel() {
-    return await ipcRenderer.invoke('settings-get', 'llmModel');
+    return await getIpc().invoke('settings-get', 'llmModel');
 }
 
 /**
@@ -16,7 +16,7 @@ export async function getLLMModel() {
  * @returns {Promise<boolean>} Success status
  */
 export async function setLLMModel(model) {
-    return await ipcRenderer.invoke('settings-set', 'llmModel', model);
+    return await getIpc().invoke('settings-set', 'llmModel', model);
 }
 
 /**
@@ -24,7 +24,7 @@ export async function setLLMModel(model) {
  * @returns {Promise<boolean>} Whether LLM is enabled
  */
 export async function isLLMEnabled() {
-    return await ipcRenderer.invoke('settings-get', 'enableLLM');
+    return await getIpc().invoke('settings-get', 'enableLLM');
 }
 
 /**
@@ -33,7 +33,24 @@ export async function isLLMEnabled() {
  * @returns {Promise<boolean>} Success status
  */
 export async function setLLMEnabled(enabled) {
-    return await ipcRenderer.invoke('settings-set', 'enableLLM', enabled);
+    return await getIpc().invoke('settings-set', 'enableLLM', enabled);
+}
+
+/**
+ * Get the ironman (permadeath) setting, applied to new runs
+ * @returns {Promise<boolean>} Whether new runs are ironman runs
+ */
+export async function isIronmanEnabled() {
+    return !!(await getIpc().invoke('settings-get', 'ironman'));
+}
+
+/**
+ * Set the ironman (permadeath) setting
+ * @param {boolean} enabled Whether new runs should be ironman runs
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setIronmanEnabled(enabled) {
+    return await getIpc().invoke('settings-set', 'ironman', !!enabled);
 }
 
 /**
@@ -41,7 +58,7 @@ export async function setLLMEnabled(enabled) {
  * @returns {Promise<object>} All current settings
  */
 export async function getAllSettings() {
-    return await ipcRenderer.invoke('settings-get-all');
+    return await getIpc().invoke('settings-get-all');
 }
 
 /**
@@ -49,18 +66,18 @@ export async function getAllSettings() {
  * @returns {Promise<boolean>} Success status
  */
 export async function resetSettings() {
-    return await ipcRenderer.invoke('settings-clear');
+    return await getIpc().invoke('settings-clear');
 }
 
 /** Window controls **/
 export async function getFullscreen() {
-    return await ipcRenderer.invoke('window-get-fullscreen');
+    return await getIpc().invoke('window-get-fullscreen');
 }
 
 export async function setFullscreen(enabled) {
-    return await ipcRenderer.invoke('window-set-fullscreen', !!enabled);
+    return await getIpc().invoke('window-set-fullscreen', !!enabled);
 }
 
 export async function applyWindowPreset(presetName) {
-    return await ipcRenderer.invoke('window-apply-preset', presetName);
+    return await getIpc().invoke('window-apply-preset', presetName);
 }
@@ -0,0 +1,402 @@
+/**
+ * Headless game simulation
+ *
+ * Builds a World, Player and TurnEngine the same way the game does, but without
+ * Electron, the DOM or game.js module state, so balance and regression tests can
+ * step thousands of turns under Node. The LLM is stubbed through the IPC layer:
+ * it is disabled unless an `llm` function is supplied.
+ *
+ * Rendering modules expect the rot.js global `ROT`; under Node set
+ * `globalThis.ROT` before importing this module. Turn counters, inventory and the
+ * run seed live in module singletons, so only one simulation should run at a time.
+ */
+
+import { Player } from '../entities/player.js';
+import { areFactionsHostile } from '../combat/factions.js';
+import { TurnEngine } from './turnEngine.js';
+import { World } from './world.js';
+import { EventBus, Events } from './eventBus.js';
+import { getTurn, resetGameState } from './gameState.js';
+import { setRunSeed, getRunSeed } from './rng.js';
+import { setIpc } from './ipc.js';
+import { ReplayRecorder, Replayer } from './replay.js';
+import { serializeSaveState, restoreSaveState } from './saveState.js';
+import { prepareSaveState } from './saveFormat.js';
+import { MoveAction, WaitAction, OpenCloseAction } from './actions.js';
+import { loadLevelIntoWorld } from '../levels/levelLoader.js';
+import { findPath } from '../levels/pathfinding.js';
+import { getDoorAt } from '../entities/door.js';
+import { TileTypes } from '../tiles/tileTypes.js';
+import * as logger from './logger.js';
+
+// Keep only the most recent messages so long runs don't grow without bound
+const MAX_MESSAGES = 200;
+
+/**
+ * Create an IPC stand-in for the main process
+ * @param {Object} options
+ * @param {Object} options.settings - Settings store contents (enableLLM defaults to whether llm is set)
+ * @param {Function} options.llm - Optional async ({prompt, jsonSchema, mode, seed}) => parsed JSON
+ * @returns {Object} - Object implementing the parts of ipcRenderer the game uses (save slots are kept in memory)
+ */
+export function createHeadlessIpc({ settings = {}, llm = null } = {}) {
+    let store = { enableLLM: !!llm, ...settings };
+    const saves = new Map();
+
+    return {
+        async invoke(channel, ...args) {
+            switch (channel) {
+                case 'settings-get':
+                    return store[args[0]];
+                case 'settings-set':
+                    store[args[0]] = args[1];
+                    return true;
+                case 'settings-get-all':
+                    return { ...store };
+                case 'settings-clear':
+                    store = {};
+                    return true;
+                case 'saves-list':
+                    return { success: true, slots: [...saves].map(([slotId, save]) => ({ slotId, ...save.meta })) };
+                case 'saves-read':
+                    return { success: true, save: saves.get(args[0]) ?? null };
+                case 'saves-write':
+                    saves.set(args[0], JSON.parse(JSON.stringify(args[1])));
+                    return { success: true, meta: args[1].meta };
+                case 'saves-delete':
+                case 'saves-quarantine':
+                    saves.delete(args[0]);
+                    return { success: true };
+                case 'llm-generate':
+                    if (!llm) {
+                        return { success: false, error: 'LLM is not available in headless simulations' };
+                    }
+                    return { success: true, parsed: await llm(args[0]) };
+                default:
+                    return null;
+            }
+        },
+        send() {},
+        on() {},
+        removeListener() {}
+    };
+}
+
+/**
+ * Map a one-tile step to a MoveAction direction
+ * @param {number} dx - X delta (-1, 0 or 1)
+ * @param {number} dy - Y delta (-1, 0 or 1)
+ * @returns {string|null} - Direction name, or null for no movement
+ */
+export function directionFromDelta(dx, dy) {
+    const vertical = dy < 0 ? 'up' : dy > 0 ? 'down' : '';
+    const horizontal = dx < 0 ? 'left' : dx > 0 ? 'right' : '';
+    if (vertical && horizontal) {
+        return `${vertical}-${horizontal}`;
+    }
+    return vertical || horizontal || null;
+}
+
+// The map as the bot plans over it: closed (not locked) doors are opened on the way
+function mapWithClosedDoorsOpen(world) {
+    const closed = world.staticObjects.filter(obj => obj.type === 'door' && obj.state === 'closed');
+    if (closed.length === 0) {
+        return world.map;
+    }
+    const map = { ...world.map };
+    for (const door of closed) {
+        map[door.x] = { ...map[door.x], [door.y]: TileTypes.door_open };
+    }
+    return map;
+}
+
+/**
+ * Bot that attacks adjacent hostiles and otherwise walks to the portal, opening doors on the way
+ * Uses no randomness of its own, so its runs record and replay cleanly.
+ * @param {GameSimulation} sim - Simulation being played
+ * @returns {Action} - Next action for the player
+ */
+export function portalSeekerBot(sim) {
+    const { world, player } = sim;
+
+    const target = world.monsters.find(monster =>
+        monster.stats.isAlive() &&
+        Math.abs(monster.x - player.x) <= 1 &&
+        Math.abs(monster.y - player.y) <= 1 &&
+        areFactionsHostile(player.faction, monster.faction)
+    );
+    if (target) {
+        return new MoveAction(directionFromDelta(target.x - player.x, target.y - player.y));
+    }
+
+    if (world.portal) {
+        const path = findPath(mapWithClosedDoorsOpen(world), world.MAP_WIDTH, world.MAP_HEIGHT, player.x, player.y, world.portal.x, world.portal.y);
+        if (path.length > 0) {
+            const door = getDoorAt(world.staticObjects, path[0].x, path[0].y);
+            if (door && door.state === 'closed') {
+                return new OpenCloseAction();
+            }
+            return new MoveAction(directionFromDelta(path[0].x - player.x, path[0].y - player.y));
+        }
+    }
+
+    return new WaitAction();
+}
+
+/**
+ * A game world driven programmatically instead of by keyboard input
+ */
+export class GameSimulation {
+    /**
+     * @param {Object} options
+     * @param {number|string} options.seed - Run seed (a random one is generated if omitted)
+     * @param {Function} options.llm - Optional LLM stub, see createHeadlessIpc
+     * @param {Object} options.settings - Optional settings store contents
+     * @param {number} options.logLevel - Logger level for the run (defaults to WARN to keep long runs quiet)
+     */
+    constructor({ seed = null, llm = null, settings = {}, logLevel = logger.LEVELS.WARN } = {}) {
+        this.options = { seed };
+        this.gameOver = false;
+        this.messages = [];
+        this.recorder = null;
+
+        logger.configure({ level: logLevel });
+        setIpc(createHeadlessIpc({ settings, llm }));
+
+        this.messageBus = new EventBus();
+        this.messageBus.on(Events.MESSAGE_TYPED, payload => this._pushMessage(payload?.text));
+        this.messageBus.on(Events.MESSAGE, text => this._pushMessage(text));
+        this.messageBus.on(Events.GAME_OVER, () => this._handleGameOver());
+
+        this.player = null;
+        this.world = null;
+        this.turnEngine = null;
+    }
+
+    /**
+     * Create a simulation and load its starting level
+     * @param {Object} options - Constructor options plus levelNumber and record
+     * @returns {Promise<GameSimulation>}
+     */
+    static async create(options = {}) {
+        const sim = new GameSimulation(options);
+        await sim.setup(options);
+        return sim;
+    }
+
+    /**
+     * Create a simulation positioned at the start of a recording
+     * @param {Object} recording - Recording produced by ReplayRecorder
+     * @param {Object} options - Additional constructor options (seed and level come from the recording)
+     * @returns {Promise<GameSimulation>}
+     */
+    static async fromRecording(recording, options = {}) {
+        return GameSimulation.create({ ...options, seed: recording.runSeed, levelNumber: recording.startLevel });
+    }
+
+    /**
+     * Build the world and generate the starting level
+     * The turn engine is started lazily by the first step, so recordings can begin first.
+     * @param {Object} options
+     * @param {number} options.levelNumber - Level to start on
+     * @param {boolean} options.record - Record queued player actions for replay
+     */
+    async setup({ levelNumber = 1, record = false } = {}) {
+        if (typeof ROT === 'undefined') {
+            throw new Error('GameSimulation requires the rot.js global ROT (set globalThis.ROT under Node)');
+        }
+
+        setRunSeed(this.options.seed);
+        resetGameState();
+
+        // Each level chooses its own map size; the loader places the player
+        this.player = new Player(1, 1);
+        this.turnEngine = new TurnEngine();
+        this.turnEngine.addActor(this.player);
+
+        this.world = new World();
+        this.world.initialize({
+            player: this.player,
+            map: {},
+            messageBus: this.messageBus,
+            turnEngine: this.turnEngine,
+            drawFunction: () => {},
+            currentLevel: levelNumber
+        });
+        this.world.setLevelLoader(level => loadLevelIntoWorld(this.world, level));
+        this.turnEngine.setWorld(this.world);
+        this.player.setWorld(this.world);
+
+        await loadLevelIntoWorld(this.world, levelNumber);
+
+        if (record) {
+            this.recorder = new ReplayRecorder();
+            this.recorder.begin({ runSeed: getRunSeed(), levelNumber });
+            this.turnEngine.setRecorder(this.recorder);
+        }
+    }
+
+    /**
+     * Current global turn number (counts every consumed actor turn)
+     * @returns {number}
+     */
+    getTurn() {
+        return getTurn();
+    }
+
+    /**
+     * Check whether the run has ended with the player's death
+     * @returns {boolean}
+     */
+    isOver() {
+        return this.gameOver;
+    }
+
+    /**
+     * Queue one player action and let the world run until the player is asked again
+     * @param {Action} action - Action for the player
+     * @returns {Promise<boolean>} - True if any turn was consumed
+     */
+    async step(action) {
+        if (this.gameOver) {
+            return false;
+        }
+        if (!this.turnEngine.isRunning) {
+            this.turnEngine.start();
+        }
+
+        const before = getTurn();
+        this.turnEngine.queuePlayerAction(action);
+        await this._waitForTransition();
+        return getTurn() > before;
+    }
+
+    /**
+     * Play a fixed list of actions, stopping early if the player dies
+     * @param {Array<Action>} actions - Actions to play in order
+     * @returns {Promise<Object>} - Run summary, see getSummary
+     */
+    async runScript(actions) {
+        for (const action of actions) {
+            if (this.gameOver) {
+                break;
+            }
+            await this.step(action);
+        }
+        return this.getSummary();
+    }
+
+    /**
+     * Let a bot choose the player's actions
+     * @param {Function} bot - (sim) => Action, or null to end the run
+     * @param {Object} options
+     * @param {number} options.maxTurns - Stop after this many turns have elapsed
+     * @param {number} options.maxSteps - Stop after this many bot decisions (guards against bots stuck on rejected actions)
+     * @returns {Promise<Object>} - Run summary, see getSummary
+     */
+    async runBot(bot, { maxTurns = 1000, maxSteps = maxTurns * 2 } = {}) {
+        const startTurn = getTurn();
+
+        for (let steps = 0; steps < maxSteps && !this.gameOver; steps++) {
+            if (getTurn() - startTurn >= maxTurns) {
+                break;
+            }
+            const action = bot(this);
+            if (!action) {
+                break;
+            }
+            await this.step(action);
+        }
+        return this.getSummary();
+    }
+
+    /**
+     * Play a recording into this simulation (create it with fromRecording)
+     * @param {Object} recording - Recording produced by ReplayRecorder
+     * @param {Object} options - Replayer options (speed, onStep)
+     * @returns {Promise<Object>} - Replayer summary { actionsPlayed, finalTurn, desyncs, completed }
+     */
+    async replay(recording, options = {}) {
+        const replayer = new Replayer(recording, { ...options, turnEngine: this.turnEngine, world: this.world });
+        return replayer.play();
+    }
+
+    /**
+     * Get the recording of this run (requires setup with record: true)
+     * @returns {Object|null}
+     */
+    getRecording() {
+        return this.recorder ? this.recorder.getRecording() : null;
+    }
+
+    /**
+     * Snapshot the run exactly as saveGame() does
+     * @returns {Object} - Save state at the current SAVE_VERSION
+     */
+    serialize() {
+        return serializeSaveState(this.world);
+    }
+
+    /**
+     * Replace the run with a saved one, migrating and validating it as loadGame() does
+     * @param {Object} state - Save state (any supported version)
+     */
+    restore(state) {
+        restoreSaveState(this.world, prepareSaveState(state));
+        this.gameOver = !this.player.stats.isAlive();
+    }
+
+    /**
+     * Summarize the current state of the run
+     * @returns {Object} - { seed, turn, level, playerDied, hp, maxHp, position, monstersAlive }
+     */
+    getSummary() {
+        return {
+            seed: getRunSeed(),
+            turn: getTurn(),
+            level: this.world.getCurrentLevel(),
+            playerDied: this.gameOver,
+            hp: this.player.stats.hp,
+            maxHp: this.player.stats.maxHp,
+            position: { x: this.player.x, y: this.player.y },
+            monstersAlive: this.world.monsters.filter(monster => monster.stats.isAlive()).length
+        };
+    }
+
+    /**
+     * Stop the engine and detach from shared singletons
+     */
+    dispose() {
+        if (this.turnEngine && this.turnEngine.isRunning) {
+            this.turnEngine.stop();
+        }
+        if (this.turnEngine) {
+            this.turnEngine.setRecorder(null);
+        }
+        setIpc(null);
+    }
+
+    _pushMessage(text) {
+        if (!text) {
+            return;
+        }
+        this.messages.push(text);
+        if (this.messages.length > MAX_MESSAGES) {
+            this.messages.shift();
+        }
+    }
+
+    _handleGameOver() {
+        this.gameOver = true;
+        if (this.turnEngine.isRunning) {
+            this.turnEngine.stop();
+        }
+        logger.info(`Simulation ended: player died on level ${this.world.getCurrentLevel()} at turn ${getTurn()}`);
+    }
+
+    async _waitForTransition() {
+        while (this.world.pendingTransition) {
+            await this.world.pendingTransition;
+        }
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * Targeting mode for ranged attacks
+ * While targeting, a cursor sits on one of the hostile monsters the player can see
+ * and can be cycled between them; confirming queues a ThrowAction at it
+ * (of a dagger, or of the inventory item targeting was started for).
+ * Targeting is pure UI state: only the resulting action is recorded and replayed.
+ */
+
+import { areFactionsHostile } from '../combat/factions.js';
+import { THROWING_DAGGER_RANGE } from '../entities/throwingDagger.js';
+
+let targeting = null; // { targets: Array<Monster>, index: number, itemId: string|null } while active
+
+/**
+ * Hostile monsters the player can currently see within throwing range, nearest first
+ * @param {World} world - World instance
+ * @returns {Array<Monster>}
+ */
+export function getVisibleHostiles(world) {
+    const { player } = world;
+    const level = world.getCurrentLevelInstance();
+    if (!player || !level) {
+        return [];
+    }
+
+    const distance = monster => Math.max(Math.abs(monster.x - player.x), Math.abs(monster.y - player.y));
+    return (world.monsters || [])
+        .filter(monster => monster.stats.isAlive() &&
+            areFactionsHostile(player.faction, monster.faction) &&
+            level.isVisible(monster.x, monster.y) &&
+            distance(monster) <= THROWING_DAGGER_RANGE)
+        .sort((a, b) => distance(a) - distance(b) || a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Enter targeting mode on the nearest visible hostile
+ * @param {World} world - World instance
+ * @param {string|null} [itemId=null] - Inventory item to throw, or null for a dagger
+ * @returns {boolean} - False if there is nothing to target
+ */
+export function beginTargeting(world, itemId = null) {
+    const targets = getVisibleHostiles(world);
+    if (targets.length === 0) {
+        targeting = null;
+        return false;
+    }
+    targeting = { targets, index: 0, itemId };
+    return true;
+}
+
+/**
+ * Move the cursor to the next (or previous) visible hostile
+ * @param {number} [step=1] - 1 for the next target, -1 for the previous one
+ * @returns {Monster|null} - The new target
+ */
+export function cycleTarget(step = 1) {
+    if (!targeting) {
+        return null;
+    }
+    const count = targeting.targets.length;
+    targeting.index = (targeting.index + step + count) % count;
+    return getCurrentTarget();
+}
+
+/**
+ * The monster under the targeting cursor
+ * @returns {Monster|null}
+ */
+export function getCurrentTarget() {
+    return targeting ? targeting.targets[targeting.index] : null;
+}
+
+/**
+ * The inventory item being thrown
+ * @returns {string|null} - Inventory item id, or null when throwing a dagger (or not targeting)
+ */
+export function getThrownItemId() {
+    return targeting ? targeting.itemId : null;
+}
+
+/**
+ * Whether targeting mode is active
+ * @returns {boolean}
+ */
+export function isTargeting() {
+    return targeting !== null;
+}
+
+/**
+ * Leave targeting mode
+ */
+export function endTargeting() {
+    targeting = null;
+}
@@ -16,6 +16,7 @@ export class TurnEngine {
         this.playerActor = null;
         this.world = null; // Reference to world for passing to actors
         this.actorWrapperMap = new Map(); // Map original actors to their wrapped versions
+        this.recorder = null; // Optional ReplayRecorder capturing queued player actions
         
         // Override the engine's lock/unlock to add logging
         const originalLock = this.engine.lock.bind(this.engine);
@@ -45,11 +46,23 @@ export class TurnEngine {
                 logger.startTurn(turn);
                 
                 try {
-                    // Pass world reference to actor's act method
-                    const result = originalAct(this.world);
+                    // Status effects such as stun cost the actor its turn
+                    const effects = actor.statusEffects;
+                    let result;
+                    if (effects && !effects.canAct()) {
+                        logger.debug(`${actor.constructor.name} loses its turn to a status effect`);
+                        result = TurnResult.CONSUMED;
+                    } else {
+                        // Pass world reference to actor's act method
+                        result = originalAct(this.world);
+                    }
                     
                     // Only increment turn if the action was consumed
                     if (result === TurnResult.CONSUMED) {
+                        // Effects tick at the end of every turn the actor takes
+                        if (effects) {
+                            effects.tick(actor, this.world);
+                        }
                         incrementTurn();
                         const currentTurn = getTurn();
                         
@@ -171,6 +184,10 @@ export class TurnEngine {
             return;
         }
         
+        if (this.recorder) {
+            this.recorder.record(action);
+        }
+        
         this.playerActor.queueAction(action);
         // logger.debug(`Queued action for player: ${action.constructor.name}`);
         this.engine.unlock();
@@ -188,7 +205,9 @@ export class TurnEngine {
      * Reset the turn engine (useful for loading games)
      */
     reset() {
-        this.stop();
+        if (this.isRunning) {
+            this.stop();
+        }
         
         // Clear all actors using proper removal
         for (const actor of Array.from(this.actors)) {
@@ -249,6 +268,14 @@ export class TurnEngine {
         this.engine.unlock();
     }
     
+    /**
+     * Attach a replay recorder that captures every queued player action
+     * @param {ReplayRecorder|null} recorder - Recorder to use, or null to stop recording
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
+    }
+
     /**
      * Set the world reference for passing to actors
      * @param {World} world - The world instance
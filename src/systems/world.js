@@ -3,10 +3,17 @@
  * Now manages Level instances with per-level fog-of-war state
  */
 import { isTilePassable } from '../tiles/index.js';
-import { trackPlayerMovement } from './gameState.js';
+import { trackPlayerMovement, getTurn } from './gameState.js';
+import { traceLineOfSight } from './fov.js';
+import { propagateNoise, NOISE } from './noise.js';
+import { getMonsterXp } from './experience.js';
 import { checkForInteraction, tryPickupItem } from '../entities/storyObject.js';
 import { checkHealthPotionInteraction, tryPickupHealthPotion } from '../entities/healthPotion.js';
-import { determineLevelType } from '../levels/tileGeneration.js';
+import { checkThrowingDaggerInteraction, tryPickupThrowingDaggers } from '../entities/throwingDagger.js';
+import { checkEquipmentInteraction, tryPickupEquipment } from '../entities/equipment.js';
+import { checkDroppedItemInteraction, tryPickupDroppedItems } from '../entities/inventoryItems.js';
+import { checkTrapInteraction, revealLitTraps } from '../entities/trap.js';
+import { determineLevelType, getGeneratorMetadata } from '../levels/generators/index.js';
 import { Level } from '../levels/level.js';
 import { placeTorchesOnLevel } from '../levels/entityPlacement.js';
 import { Monster } from '../entities/monster.js'; // Import Monster synchronously
@@ -25,19 +32,32 @@ export class World {
         this.currentLevel = 1;
         this.storyObject = null;
         this.staticObjects = [];
-        this.portal = null;
+        this.portal = null;     // Down to the next chamber
+        this.upStairs = null;   // Back to the previous chamber (none on level 1)
         this.monsters = []; // Track monsters in the current level
         
         // Level management - NEW!
         this.levels = new Map(); // Map of levelNumber -> Level instance
         this.currentLevelInstance = null;
         
-        // Constants for map dimensions (should be injected eventually)
-        this.MAP_WIDTH = 40;  // TODO: Make this configurable
+        // Size of the current chamber's map (each level chooses its own, see setMapSize)
+        this.MAP_WIDTH = 40;
         this.MAP_HEIGHT = 20;
         
         // Batched rendering system
         this.needsRedraw = false;
+        
+        // Line-of-sight results for the current turn and level (see hasLOS)
+        this.losCache = null;
+        
+        // In-flight level transition (awaited by replays before the next action)
+        this.pendingTransition = null;
+        
+        // Level loading is injected to avoid a circular dependency on game.js
+        this.levelLoader = null;
+        
+        // Called after each chamber transition, before play resumes (game.js autosaves here)
+        this.autosaveHandler = null;
     }
 
     /**
@@ -54,6 +74,7 @@ export class World {
         storyObject = null,
         staticObjects = [],
         portal = null,
+        upStairs = null,
         monsters = [],
         MAP_WIDTH = 40,
         MAP_HEIGHT = 20
@@ -67,6 +88,7 @@ export class World {
         this.storyObject = storyObject;
         this.staticObjects = staticObjects;
         this.portal = portal;
+        this.upStairs = upStairs;
         this.monsters = monsters;
         this.MAP_WIDTH = MAP_WIDTH;
         this.MAP_HEIGHT = MAP_HEIGHT;
@@ -116,6 +138,16 @@ export class World {
         // logger.debug('World state updated');
     }
 
+    /**
+     * Resize the world to the map of the chamber being installed
+     * @param {number} width - Map width in tiles
+     * @param {number} height - Map height in tiles
+     */
+    setMapSize(width, height) {
+        this.MAP_WIDTH = width;
+        this.MAP_HEIGHT = height;
+    }
+
     /**
      * Get or create a Level instance for the given level number
      * @param {number} levelNumber - Level number
@@ -170,13 +202,13 @@ export class World {
         if (this.currentLevelInstance.visibilitySystem) {
             const visibilityResult = this.currentLevelInstance.updateVisibilityModern([this.player]);
             const levelType = determineLevelType(this.currentLevel);
-            const shouldFullyDiscover = (levelType === 'basic');
+            const shouldFullyDiscover = getGeneratorMetadata(levelType).revealOnEntry;
             
 
             
             // Handle level-specific fog of war policies
             if (shouldFullyDiscover) {
-                // For basic levels: discover all tiles for fog of war memory, but limit current visibility
+                // Levels revealed on entry (basic chambers): discover all tiles for fog of war memory, but limit current visibility
 
                 for (let x = 0; x < this.MAP_WIDTH; x++) {
                     for (let y = 0; y < this.MAP_HEIGHT; y++) {
@@ -215,18 +247,21 @@ export class World {
         if (this.currentLevelInstance.visibilitySystem) {
             const visibilityResult = this.currentLevelInstance.updateVisibilityModern([this.player]);
             const levelType = determineLevelType(this.currentLevel);
-            const shouldFullyDiscover = (levelType === 'basic');
+            const shouldFullyDiscover = getGeneratorMetadata(levelType).revealOnEntry;
             
 
             
             // Handle level-specific fog of war policies
             if (shouldFullyDiscover) {
-                // For basic levels: seenTiles should already be fully populated from initialization
+                // Levels revealed on entry: seenTiles should already be fully populated from initialization
                 // VisibilitySystem handles current visibility automatically
             } else {
                 // Cave/pillared levels: VisibilitySystem handles both current and seen tiles
             }
             
+            // Hidden traps lying in torchlight are seen as soon as the player can see them
+            revealLitTraps(this);
+            
             // Handle visibility changes for effects/animations
             if (visibilityResult.delta.lit.size > 0) {
                 // logger.debug(`[FOV RECOMPUTE] Player discovered ${visibilityResult.delta.lit.size} new areas`);
@@ -246,6 +281,53 @@ export class World {
         return this.currentLevel;
     }
 
+    /**
+     * Check whether one tile can be seen from another on the current level
+     * Uses the level's transparency callback; opaque tiles between the two block sight.
+     * Results are cached until the turn or the level changes, since every monster
+     * asks about the same player position.
+     * @param {number} x0 - Observer x
+     * @param {number} y0 - Observer y
+     * @param {number} x1 - Target x
+     * @param {number} y1 - Target y
+     * @returns {boolean} - True if there is a clear line of sight
+     */
+    hasLOS(x0, y0, x1, y1) {
+        const level = this.currentLevelInstance;
+        if (!level || !level.map) {
+            return false;
+        }
+
+        const turn = getTurn();
+        if (!this.losCache || this.losCache.turn !== turn || this.losCache.level !== level) {
+            this.losCache = {
+                turn,
+                level,
+                isTransparent: level._createTransparencyCallback(this.MAP_WIDTH, this.MAP_HEIGHT),
+                results: new Map()
+            };
+        }
+
+        // Sight is symmetric: always trace from the same end so both directions share a result
+        if (x1 < x0 || (x1 === x0 && y1 < y0)) {
+            [x0, y0, x1, y1] = [x1, y1, x0, y0];
+        }
+        const key = `${x0},${y0}:${x1},${y1}`;
+        let visible = this.losCache.results.get(key);
+        if (visible === undefined) {
+            visible = traceLineOfSight(this.losCache.isTransparent, x0, y0, x1, y1);
+            this.losCache.results.set(key, visible);
+        }
+        return visible;
+    }
+
+    /**
+     * Forget cached line-of-sight results (call when tiles change transparency mid-turn)
+     */
+    clearLOSCache() {
+        this.losCache = null;
+    }
+
     // ===== FOV METHODS =====
 
     /**
@@ -279,6 +361,22 @@ export class World {
         return this.portal && this.portal.x === x && this.portal.y === y;
     }
 
+    /**
+     * Get the chamber connection at given coordinates
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {'down'|'up'|null} - Portal down, up-stairs back, or nothing
+     */
+    getStairsAt(x, y) {
+        if (this.checkPortalInteraction(x, y)) {
+            return 'down';
+        }
+        if (this.upStairs && this.upStairs.x === x && this.upStairs.y === y) {
+            return 'up';
+        }
+        return null;
+    }
+
     /**
      * Track player movement (delegates to gameState)
      * @param {number} newX - New X position
@@ -303,6 +401,18 @@ export class World {
         
         // Check health potion interactions (just show message)
         checkHealthPotionInteraction(x, y, this.staticObjects, this.messageBus);
+        
+        // Check for thrown daggers lying here (just show message)
+        checkThrowingDaggerInteraction(x, y, this.staticObjects, this.messageBus);
+        
+        // Check for weapons and armor lying here (just show message)
+        checkEquipmentInteraction(x, y, this.staticObjects, this.messageBus);
+        
+        // Check for items the player dropped or threw (just show message)
+        checkDroppedItemInteraction(x, y, this.staticObjects, this.messageBus);
+        
+        // Set off a hidden trap (known ones are stepped around)
+        checkTrapInteraction(x, y, this);
     }
 
     /**
@@ -321,19 +431,73 @@ export class World {
         }
         
         // Try health potions
-        const potion = this.staticObjects.find(obj => obj.x === playerX && obj.y === playerY && !obj.pickedUp);
-        if (potion) {
-            tryPickupHealthPotion(playerX, playerY, this.staticObjects, this.map, this.MAP_WIDTH, this.MAP_HEIGHT, this.player, this);
+        if (tryPickupHealthPotion(playerX, playerY, this.staticObjects, this.map, this)) {
+            pickedUpSomething = true;
+        }
+        
+        // Try thrown daggers
+        if (tryPickupThrowingDaggers(playerX, playerY, this.staticObjects, this.player, this) > 0) {
+            pickedUpSomething = true;
+        }
+        
+        // Try weapons and armor
+        if (tryPickupEquipment(playerX, playerY, this.staticObjects, this.map, this)) {
+            pickedUpSomething = true;
+        }
+        
+        // Try items the player dropped or threw
+        if (tryPickupDroppedItems(playerX, playerY, this.staticObjects, this) > 0) {
             pickedUpSomething = true;
         }
 
         if (!pickedUpSomething) {
             this.messageBus.emit(Events.MESSAGE_TYPED, { text: "There's nothing here to pick up.", type: 'system' });
+        } else {
+            this.makeNoise(playerX, playerY, NOISE.PICKUP, this.player);
         }
 
         return pickedUpSomething;
     }
 
+    /**
+     * Leave an item lying on the floor of the current chamber (e.g. a thrown dagger)
+     * It is kept with the chamber's static objects, so it is saved and can be picked up.
+     * @param {Object} item - Static object entity with x, y and pickedUp
+     */
+    dropItem(item) {
+        this.staticObjects.push(item);
+        this.requestRedraw();
+    }
+
+    /**
+     * Make a sound that spreads through the current level
+     * Every living monster (other than the ones making it) on a tile the sound
+     * still reaches hears where it came from.
+     * @param {number} x - X coordinate of the sound
+     * @param {number} y - Y coordinate of the sound
+     * @param {number} loudness - Loudness at the source (see NOISE)
+     * @param {Actor|Actor[]} [source] - Actor, or actors, making the sound; they do not hear it
+     * @returns {number} - Number of monsters that heard it
+     */
+    makeNoise(x, y, loudness, source = null) {
+        if (!this.map || !this.monsters || this.monsters.length === 0) {
+            return 0;
+        }
+
+        const heard = propagateNoise(this.map, this.MAP_WIDTH, this.MAP_HEIGHT, { x, y }, loudness);
+        const silent = Array.isArray(source) ? source : [source];
+        let listeners = 0;
+        for (const monster of this.monsters) {
+            const strength = heard.get(`${monster.x},${monster.y}`);
+            if (silent.includes(monster) || strength === undefined) {
+                continue;
+            }
+            monster.hearNoise({ x, y, strength });
+            listeners++;
+        }
+        return listeners;
+    }
+
     /**
      * Kill an actor - remove from turn engine and level entities
      * @param {Actor} actor - The actor to kill
@@ -360,9 +524,33 @@ export class World {
             }
         }
         
+        // The player earns the XP of every monster that dies
+        if (this.player && actor !== this.player && actor.typeId) {
+            this.awardExperience(getMonsterXp(actor.typeId));
+        }
+        
         // logger.debug(`Killed ${actor.constructor.name} at (${actor.x}, ${actor.y})`);
     }
 
+    /**
+     * Give the player XP, announcing any level gained
+     * @param {number} amount - XP earned
+     * @returns {number} - Number of levels gained
+     */
+    awardExperience(amount) {
+        if (!this.player || amount <= 0) {
+            return 0;
+        }
+        const gained = this.player.gainXp(amount);
+        if (gained > 0 && this.messageBus) {
+            const level = this.player.characterLevel;
+            this.messageBus.emit(Events.MESSAGE_TYPED, { text: `You are now level ${level}! Choose how to grow (L).`, type: 'loot' });
+            // UI boundary: offer the level-up choice
+            this.messageBus.emit(Events.UI_LEVEL_UP_OPEN, { level, pending: this.player.pendingLevelUps });
+        }
+        return gained;
+    }
+
     /**
      * Request a redraw of the game display
      * Replaces the old event-based GAME_DRAW system with direct function call
@@ -403,6 +591,18 @@ export class World {
      * @param {number} nextLevel - Level number to load
      */
     async beginLevelTransition(nextLevel) {
+        const transition = this._performLevelTransition(nextLevel);
+        this.pendingTransition = transition;
+        try {
+            await transition;
+        } finally {
+            if (this.pendingTransition === transition) {
+                this.pendingTransition = null;
+            }
+        }
+    }
+
+    async _performLevelTransition(nextLevel) {
         if (this.turnEngine) {
             this.turnEngine.pause();
         }
@@ -410,21 +610,45 @@ export class World {
         await this.loadLevel(nextLevel);
         this.initializeFOV();
 
+        // Save the fresh chamber so a crash or quit resumes here
+        if (this.autosaveHandler) {
+            await this.autosaveHandler(nextLevel);
+        }
+
         if (this.turnEngine) {
             this.turnEngine.resume();
         }
     }
 
+    /**
+     * Set the function that generates and installs levels for this world
+     * The game registers its loadLevel (which also redraws and runs the level
+     * introduction); headless simulations register loadLevelIntoWorld directly.
+     * @param {Function} loader - async (levelNumber) => void
+     */
+    setLevelLoader(loader) {
+        this.levelLoader = loader;
+    }
+
+    /**
+     * Set the function called to autosave after each chamber transition
+     * @param {Function|null} handler - async (levelNumber) => void
+     */
+    setAutosaveHandler(handler) {
+        this.autosaveHandler = handler;
+    }
+
     /**
      * Load a new level
      * @param {number} levelNumber - Level number to load
+     * @returns {Promise} - Resolves when the level is loaded
      */
-    loadLevel(levelNumber) {
-        // Note: Still using dynamic import to avoid circular dependency with game.js
-        // This returns the underlying loadLevel promise for awaiting.
-        return import('../game.js').then(({ loadLevel }) => {
-            return loadLevel(levelNumber);
-        });
+    async loadLevel(levelNumber) {
+        if (!this.levelLoader) {
+            logger.error(`Cannot load level ${levelNumber}: no level loader registered`);
+            return;
+        }
+        await this.levelLoader(levelNumber);
     }
 
     // ===== SERIALIZATION =====
@@ -40,13 +40,24 @@ export const TileTypes = {
     char: '#',
     colorTint: [75, 75, 85],
     props: { hard: true, solid: true, passable: false, transparent: false }
+  },
+  // Doors swap between these two as they are opened and closed (see entities/door.js)
+  door_closed: {
+    char: '▮',
+    colorTint: [95, 70, 45],
+    props: { hard: true, wooden: true, door: true, passable: false, transparent: false }
+  },
+  door_open: {
+    char: "'",
+    colorTint: [95, 70, 45],
+    props: { hard: true, wooden: true, door: true, passable: true, transparent: true }
   }
 };
 
 // Helper function to get a random floor tile type
 export function randomFloorType() {
   const floorTypes = ['grass', 'dirt', 'cobblestone', 'moss', 'sand'];
-  return TileTypes[floorTypes[Math.floor(Math.random() * floorTypes.length)]];
+  return TileTypes[floorTypes[Math.floor(ROT.RNG.getUniform() * floorTypes.length)]];
 }
 
 
@@ -54,13 +65,13 @@ export function randomFloorType() {
 // Helper function to get a random wall tile type  
 export function randomWallType() {
   const wallTypes = ['stone'];
-  return TileTypes[wallTypes[Math.floor(Math.random() * wallTypes.length)]];
+  return TileTypes[wallTypes[Math.floor(ROT.RNG.getUniform() * wallTypes.length)]];
 }
 
 // Helper function to get a random opaque tile type
 export function randomOpaqueTileType() {
   const opaqueTypes = ['stone', 'pillar'];
-  return TileTypes[opaqueTypes[Math.floor(Math.random() * opaqueTypes.length)]];
+  return TileTypes[opaqueTypes[Math.floor(ROT.RNG.getUniform() * opaqueTypes.length)]];
 }
 
 // Helper function to check if a tile is passable
@@ -16,15 +16,30 @@ export function initializeHUD(root = document.getElementById('hud')) {
         <div class="label">Level</div>
         <div class="value" id="hud-level">1</div>
       </div>
+      <div class="hud-item">
+        <div class="label">Daggers</div>
+        <div class="value" id="hud-daggers">0</div>
+      </div>
+      <div class="hud-item">
+        <div class="label">XP</div>
+        <div class="value" id="hud-xp">Lv 1</div>
+      </div>
+      <div class="hud-item">
+        <div class="label">Effects</div>
+        <div class="value" id="hud-effects">—</div>
+      </div>
     </div>
   `;
 }
 
-export function updateHUD({ hp = 0, maxHp = 0, level = 1 } = {}) {
+export function updateHUD({ hp = 0, maxHp = 0, level = 1, daggers = 0, effects = [], characterLevel = 1, xpToNext = 0, pendingLevelUps = 0 } = {}) {
   if (!rootEl) return;
   const fill = rootEl.querySelector('.hpbar-fill');
   const text = rootEl.querySelector('.hpbar-text');
   const lvl = rootEl.querySelector('#hud-level');
+  const daggerCount = rootEl.querySelector('#hud-daggers');
+  const effectList = rootEl.querySelector('#hud-effects');
+  const xp = rootEl.querySelector('#hud-xp');
   if (fill && maxHp > 0) {
     const ratio = Math.max(0, Math.min(1, hp / maxHp));
     fill.style.width = `${Math.round(ratio * 100)}%`;
@@ -32,6 +47,18 @@ export function updateHUD({ hp = 0, maxHp = 0, level = 1 } = {}) {
   }
   if (text) text.textContent = `${hp}/${maxHp}`;
   if (lvl) lvl.textContent = String(level);
+  if (daggerCount) daggerCount.textContent = String(daggers);
+  if (xp) {
+    // e.g. "Lv 3 · 12 to next", with a marker while a level-up is waiting to be spent
+    const pending = pendingLevelUps > 0 ? ' ▲' : '';
+    xp.textContent = `Lv ${characterLevel} · ${xpToNext} to next${pending}`;
+  }
+  if (effectList) {
+    // e.g. "Rotting 5, Slowed 2"; turns left are the actor's own turns
+    effectList.textContent = effects.length > 0
+      ? effects.map(({ state, turns }) => `${state[0].toUpperCase()}${state.slice(1)} ${turns}`).join(', ')
+      : '—';
+  }
 }
 
  
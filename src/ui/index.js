@@ -3,7 +3,9 @@ import { initializeHUD } from './hud.js';
 import { initializeInventoryUI } from './overlays/inventory.js';
 import { initializeLevelIntroductionUI } from './overlays/levelIntro.js';
 import { initializeSettingsUI } from './overlays/settings.js';
+import { initializeSaveSlotsUI } from './overlays/saveSlots.js';
 import { initializeFTUE } from './overlays/ftue.js';
+import { initializeLevelUpUI } from './overlays/levelUp.js';
 
 export function initializeUI({ turnEngine } = {}) {
   // Wire input locking to overlay lifecycle
@@ -19,7 +21,9 @@ export function initializeUI({ turnEngine } = {}) {
   initializeInventoryUI();
   initializeLevelIntroductionUI();
   initializeSettingsUI();
+  initializeSaveSlotsUI();
   initializeFTUE();
+  initializeLevelUpUI();
 }
 
 
@@ -1,19 +1,53 @@
 // Inventory overlay (migrated from systems)
+// Up/Down (or J/K) select an item; the keys shown on its buttons use it.
 
 import { getInventory } from '../../systems/gameState.js';
+import { EQUIPMENT, EQUIPMENT_SLOTS, STAT_LABELS } from '../../content/equipment.js';
+import { ITEMS } from '../../content/items.js';
+import { ARTIFACT_MECHANICS } from '../../content/artifacts.js';
+import { isInvokable, getRechargeTurns } from '../../systems/artifactPowers.js';
 import { register, open as openOverlay, close as closeOverlay, isOpen as isOverlayOpen } from '../overlayManager.js';
 
 let currentContentRoot = null;
+let selectedIndex = 0;
+let handlers = {};
+let keyListenerAdded = false;
 
 export function initializeInventoryUI() {
   register('inventory', (contentRoot) => {
     currentContentRoot = contentRoot;
     updateInventoryDisplay();
   }, { title: 'Inventory', closeOnEsc: true, closeOnScrim: true });
+  if (!keyListenerAdded) {
+    document.addEventListener('keydown', onInventoryKeyDown);
+    keyListenerAdded = true;
+  }
+}
+
+/**
+ * Connect the item controls to the game
+ * Each handler queues the matching action; the overlay closes first so the input lock is released.
+ * @param {Object} options
+ * @param {Function} options.getEquipment - Returns the player's equipment by slot ({id, itemId} or null)
+ * @param {Function} options.onEquip - Called with an inventory item id
+ * @param {Function} options.onUnequip - Called with an EQUIPMENT_SLOTS key
+ * @param {Function} options.onQuaff - Called with an inventory item id
+ * @param {Function} options.onRead - Called with an inventory item id
+ * @param {Function} options.onDrop - Called with an inventory item id
+ * @param {Function} options.onThrow - Called with an inventory item id (to pick a target)
+ * @param {Function} options.onExamine - Called with an inventory item id
+ * @param {Function} options.onInvoke - Called with an inventory item id (artifacts with an invoked power)
+ */
+export function configureInventoryActions(options = {}) {
+  handlers = {};
+  for (const [name, fn] of Object.entries(options)) {
+    if (typeof fn === 'function') handlers[name] = fn;
+  }
 }
 
 export function openInventory() {
   if (isOverlayOpen('inventory')) return;
+  selectedIndex = 0;
   openOverlay('inventory');
 }
 
@@ -26,33 +60,178 @@ export function toggleInventory() {
   if (isOverlayOpen('inventory')) closeInventory(); else openInventory();
 }
 
+function getEquipment() {
+  return handlers.getEquipment ? handlers.getEquipment() : {};
+}
+
+/**
+ * What can be done with an item right now, in button order
+ * @returns {Array<{key:string,label:string,run:Function}>}
+ */
+function getItemCommands(item, equipment) {
+  const commands = [];
+  const definition = EQUIPMENT[item.itemId];
+  const equippedSlot = Object.keys(equipment).find(slot => equipment[slot]?.id === item.id);
+
+  if (ITEMS[item.itemId]?.quaff && handlers.onQuaff) {
+    commands.push({ key: 'q', label: 'Quaff', run: () => handlers.onQuaff(item.id) });
+  }
+  if (ITEMS[item.itemId]?.read && handlers.onRead) {
+    commands.push({ key: 'r', label: 'Read', run: () => handlers.onRead(item.id) });
+  }
+  if (isInvokable(item) && handlers.onInvoke) {
+    commands.push({ key: 'u', label: 'Invoke', run: () => handlers.onInvoke(item.id) });
+  }
+  if (equippedSlot && handlers.onUnequip) {
+    commands.push({ key: 'e', label: 'Take off', run: () => handlers.onUnequip(equippedSlot) });
+  } else if (definition && handlers.onEquip) {
+    commands.push({ key: 'e', label: capitalize(EQUIPMENT_SLOTS[definition.slot].verb), run: () => handlers.onEquip(item.id) });
+  }
+  if (!equippedSlot && handlers.onThrow) {
+    commands.push({ key: 't', label: 'Throw', run: () => handlers.onThrow(item.id) });
+  }
+  if (!equippedSlot && handlers.onDrop) {
+    commands.push({ key: 'd', label: 'Drop', run: () => handlers.onDrop(item.id) });
+  }
+  if (handlers.onExamine) {
+    commands.push({ key: 'x', label: 'Examine', run: () => handlers.onExamine(item.id) });
+  }
+  return commands;
+}
+
+function runCommand(command) {
+  // Close first so the input lock is released before the action is queued
+  closeInventory();
+  command.run();
+}
+
+function onInventoryKeyDown(event) {
+  if (!isOverlayOpen('inventory') || event.ctrlKey || event.metaKey || event.altKey) return;
+  const inventory = getInventory();
+  if (inventory.length === 0) return;
+
+  const key = event.key.toLowerCase();
+  if (key === 'arrowdown' || key === 'j') {
+    event.preventDefault();
+    selectedIndex = (selectedIndex + 1) % inventory.length;
+    updateInventoryDisplay();
+    return;
+  }
+  if (key === 'arrowup' || key === 'k') {
+    event.preventDefault();
+    selectedIndex = (selectedIndex - 1 + inventory.length) % inventory.length;
+    updateInventoryDisplay();
+    return;
+  }
+
+  const item = inventory[Math.min(selectedIndex, inventory.length - 1)];
+  const commands = getItemCommands(item, getEquipment());
+  const command = key === 'enter' ? commands[0] : commands.find(c => c.key === key);
+  if (command) {
+    // The overlay closes before the window sees the key, so keep it from moving the player too
+    event.preventDefault();
+    event.stopPropagation();
+    runCommand(command);
+  }
+}
+
 function updateInventoryDisplay() {
   if (!currentContentRoot) return;
   const inventory = getInventory();
+  const equipment = getEquipment();
+  selectedIndex = Math.max(0, Math.min(selectedIndex, inventory.length - 1));
   let html = `
     <div class="inv-header">
       <h2 class="inv-title">INVENTORY</h2>
-      <div class="inv-sub">Press 'I' or 'ESC' to close</div>
+      <div class="inv-sub">Up/Down to select, the keys on the buttons to use. Press 'I' or 'ESC' to close</div>
     </div>
   `;
+  html += renderEquipmentSlots(equipment);
+  const commandsByItem = inventory.map(item => getItemCommands(item, equipment));
   if (inventory.length === 0) {
     html += `<div class="inv-empty">Your inventory is empty.</div>`;
   } else {
     html += '<div class="inv-list">';
-    for (const item of inventory) {
+    inventory.forEach((item, index) => {
       const timeAgo = formatTimeAgo(item.timestamp);
+      const definition = EQUIPMENT[item.itemId];
+      const equipped = Object.values(equipment).some(slot => slot?.id === item.id);
+      const quantity = item.quantity > 1 ? ` ×${item.quantity}` : '';
+      const buttons = commandsByItem[index]
+        .map((command, i) => `<button class="btn inv-action" data-item="${index}" data-command="${i}">[${command.key}] ${command.label}</button>`)
+        .join('');
       html += `
-        <div class="inv-item">
-          <div class="inv-item-title">${item.title || 'Mysterious Artifact'}</div>
+        <div class="inv-item${index === selectedIndex ? ' selected' : ''}" data-index="${index}">
+          <div class="inv-item-title">${item.title || 'Mysterious Artifact'}${quantity}${equipped ? ' <span class="inv-equipped">(equipped)</span>' : ''}</div>
           <div class="inv-item-desc">${item.description}</div>
+          ${definition ? `<div class="inv-item-meta">${formatModifiers(definition.modifiers)}</div>` : ''}
+          ${item.mechanic ? `<div class="inv-item-meta">${formatPower(item)}</div>` : ''}
           <div class="inv-item-meta">Picked up ${timeAgo} from level ${item.levelNumber}</div>
+          ${index === selectedIndex && buttons ? `<div class="inv-actions">${buttons}</div>` : ''}
         </div>
       `;
-    }
+    });
     html += '</div>';
-    html += `<div class="inv-total">Total items: ${inventory.length}</div>`;
+    const total = inventory.reduce((sum, item) => sum + (item.quantity || 1), 0);
+    html += `<div class="inv-total">Total items: ${total}</div>`;
   }
   currentContentRoot.innerHTML = html;
+
+  currentContentRoot.querySelectorAll('.inv-item').forEach(node => {
+    node.addEventListener('click', () => {
+      const index = Number(node.dataset.index);
+      if (index !== selectedIndex) {
+        selectedIndex = index;
+        updateInventoryDisplay();
+      }
+    });
+  });
+  currentContentRoot.querySelectorAll('[data-command]').forEach(button => {
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      runCommand(commandsByItem[Number(button.dataset.item)][Number(button.dataset.command)]);
+    });
+  });
+  currentContentRoot.querySelectorAll('[data-unequip]').forEach(button => {
+    button.addEventListener('click', () => {
+      closeInventory();
+      handlers.onUnequip(button.dataset.unequip);
+    });
+  });
+}
+
+function renderEquipmentSlots(equipment) {
+  let html = '<div class="inv-slots">';
+  for (const [slot, { label }] of Object.entries(EQUIPMENT_SLOTS)) {
+    const item = equipment[slot];
+    const definition = item ? EQUIPMENT[item.itemId] : null;
+    html += `
+      <div class="inv-slot">
+        <span class="inv-slot-label">${label}</span>
+        <span class="inv-slot-item">${definition ? `${definition.title} <span class="inv-item-meta">${formatModifiers(definition.modifiers)}</span>` : '—'}</span>
+        ${definition && handlers.onUnequip ? `<button class="btn inv-action" data-unequip="${slot}">Take off</button>` : ''}
+      </div>
+    `;
+  }
+  return html + '</div>';
+}
+
+function formatModifiers(modifiers = {}) {
+  return Object.entries(modifiers)
+    .map(([stat, amount]) => `${amount > 0 ? '+' : ''}${amount} ${STAT_LABELS[stat] || stat}`)
+    .join(', ');
+}
+
+function formatPower(item) {
+  const mechanic = ARTIFACT_MECHANICS[item.mechanic];
+  if (!mechanic) return '';
+  if (!isInvokable(item)) return `${mechanic.label} (while carried)`;
+  const recharge = getRechargeTurns(item);
+  return `${mechanic.label} (invoke${recharge > 0 ? `, ready in ${recharge} turns` : ', ready'})`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
 function formatTimeAgo(timestamp) {
@@ -73,5 +252,3 @@ export function isInventoryDisplayOpen() {
 export function refreshInventoryDisplay() {
   if (isOverlayOpen('inventory')) updateInventoryDisplay();
 }
-
-
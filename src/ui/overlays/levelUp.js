@@ -0,0 +1,60 @@
+// Level-up choice overlay: spend a pending level-up on one of the growth options
+
+import { LEVEL_UP_CHOICES } from '../../systems/experience.js';
+import { register, open as openOverlay, close as closeOverlay, isOpen as isOverlayOpen } from '../overlayManager.js';
+
+let onChooseFn = null;
+
+export function initializeLevelUpUI() {
+  register('levelUp', (contentRoot, props = {}) => {
+    renderLevelUp(contentRoot, props);
+  }, { title: 'Level Up', closeOnEsc: true, closeOnScrim: false });
+}
+
+/**
+ * Offer the level-up choices
+ * @param {Object} options
+ * @param {number} options.level - Character level just reached
+ * @param {number} options.pending - Level-ups waiting to be spent
+ * @param {Function} options.onChoose - Called with the chosen LEVEL_UP_CHOICES key
+ */
+export function openLevelUp({ level = 1, pending = 1, onChoose } = {}) {
+  onChooseFn = typeof onChoose === 'function' ? onChoose : null;
+  if (isOverlayOpen('levelUp')) closeOverlay('levelUp');
+  openOverlay('levelUp', { level, pending });
+}
+
+export function isLevelUpOpen() {
+  return isOverlayOpen('levelUp');
+}
+
+function renderLevelUp(contentRoot, { level = 1, pending = 1 }) {
+  const more = pending > 1 ? ` (${pending} to spend)` : '';
+  let html = `
+    <div class="levelup-header">
+      <h2 class="levelup-title">LEVEL ${level}</h2>
+      <div class="levelup-sub">Choose how to grow${more}. Press 'L' to come back to this later.</div>
+    </div>
+    <div class="levelup-choices">
+  `;
+  for (const [id, { label, description }] of Object.entries(LEVEL_UP_CHOICES)) {
+    html += `
+      <button class="btn levelup-choice" data-choice="${id}">
+        <span class="levelup-choice-label">${label}</span>
+        <span class="levelup-choice-desc">${description}</span>
+      </button>
+    `;
+  }
+  html += '</div>';
+  contentRoot.innerHTML = html;
+
+  const first = contentRoot.querySelector('.levelup-choice');
+  if (first) first.setAttribute('data-initial-focus', '');
+  contentRoot.querySelectorAll('.levelup-choice').forEach(button => {
+    button.addEventListener('click', () => {
+      // Close first so the input lock is released before the choice is queued
+      closeOverlay('levelUp');
+      if (onChooseFn) onChooseFn(button.dataset.choice);
+    });
+  });
+}
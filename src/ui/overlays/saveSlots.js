@@ -0,0 +1,177 @@
+// Save slot picker overlay (Ctrl+S / Ctrl+L)
+
+import { listSaveSlots, deleteSaveSlot, createSlotId } from '../../systems/saveSlots.js';
+import { isIronmanRun } from '../../systems/gameState.js';
+import { register, open as openOverlay, close as closeOverlay, isOpen as isOverlayOpen } from '../overlayManager.js';
+
+let currentContentRoot = null;
+let currentMode = 'save';
+
+export function initializeSaveSlotsUI() {
+  register('saveSlots', (contentRoot) => {
+    currentContentRoot = contentRoot;
+    updateSaveSlotsDisplay();
+  }, { title: 'Save Slots', closeOnEsc: true, closeOnScrim: true });
+}
+
+/**
+ * Open the slot picker
+ * @param {'save'|'load'} mode - Whether picking a slot writes or loads it
+ */
+export function openSaveSlots(mode = 'save') {
+  currentMode = mode === 'load' ? 'load' : 'save';
+  // Ironman runs have exactly one slot, so saving needs no picker
+  if (currentMode === 'save' && isIronmanRun()) {
+    saveToSlot(null, null);
+    return;
+  }
+  if (isOverlayOpen('saveSlots')) {
+    updateSaveSlotsDisplay();
+    return;
+  }
+  openOverlay('saveSlots');
+}
+
+export function closeSaveSlots() {
+  if (!isOverlayOpen('saveSlots')) return;
+  closeOverlay('saveSlots');
+}
+
+/**
+ * One-line summary of a slot for pickers and the start screen
+ * @param {Object} meta - Slot metadata from listSaveSlots()
+ * @returns {string} - Escaped HTML-safe text
+ */
+export function formatSlotSummary(meta) {
+  if (meta.corrupt) return 'Unreadable save';
+  const parts = [
+    ...(meta.ironman ? ['Ironman'] : []),
+    ...(meta.dead ? ['Run ended'] : []),
+    `Chamber ${meta.chamber}`,
+    `Turn ${meta.turn ?? 0}`,
+    `HP ${meta.hp}/${meta.maxHp}`,
+    `Artifacts ${meta.artifacts ?? 0}`
+  ];
+  if (meta.savedAt) parts.push(new Date(meta.savedAt).toLocaleString());
+  return escapeHtml(parts.join(' • '));
+}
+
+/**
+ * Render a slot list row
+ * @param {Object} meta - Slot metadata
+ * @param {string} actionLabel - Label for the primary button (omitted for corrupt slots)
+ * @returns {string} - HTML
+ */
+export function renderSlotRow(meta, actionLabel) {
+  const name = meta.corrupt ? meta.slotId : (meta.name || meta.slotId);
+  return `
+    <div class="save-slot${meta.corrupt ? ' save-slot-corrupt' : ''}" data-slot-id="${escapeHtml(meta.slotId)}">
+      <div class="save-slot-info">
+        <div class="save-slot-name">${escapeHtml(name)}</div>
+        <div class="save-slot-meta">${formatSlotSummary(meta)}</div>
+      </div>
+      <div class="save-slot-actions">
+        ${meta.corrupt ? '' : `<button class="btn btn-small btn-primary" data-slot-action="use">${actionLabel}</button>`}
+        <button class="btn btn-small btn-danger" data-slot-action="delete">Delete</button>
+      </div>
+    </div>
+  `;
+}
+
+async function updateSaveSlotsDisplay() {
+  const root = currentContentRoot;
+  if (!root) return;
+  const isSave = currentMode === 'save';
+
+  root.innerHTML = `<div class="inv-empty">Loading saves...</div>`;
+
+  let slots = [];
+  try {
+    slots = await listSaveSlots();
+  } catch (err) {
+    root.innerHTML = `<div class="inv-empty">Could not read saves: ${escapeHtml(err.message)}</div>`;
+    return;
+  }
+
+  let html = `
+    <div class="inv-header">
+      <h2 class="inv-title">${isSave ? 'SAVE GAME' : 'LOAD GAME'}</h2>
+      <div class="inv-sub">Press 'ESC' to close</div>
+    </div>
+  `;
+  if (isSave) {
+    html += `
+      <div class="save-slot save-slot-new">
+        <input id="newSaveName" class="settings-input" type="text" placeholder="New save name" maxlength="40" autocomplete="off" spellcheck="false" data-initial-focus>
+        <button id="newSaveButton" class="btn btn-small btn-primary">Save</button>
+      </div>
+    `;
+  }
+  if (slots.length === 0) {
+    html += `<div class="inv-empty">No saved games yet.</div>`;
+  } else {
+    html += `<div class="save-slot-list">${slots.map(meta => renderSlotRow(meta, isSave ? 'Overwrite' : 'Load')).join('')}</div>`;
+  }
+  root.innerHTML = html;
+
+  root.querySelector('#newSaveButton')?.addEventListener('click', () => {
+    const name = root.querySelector('#newSaveName').value.trim();
+    saveToSlot(createSlotId(), name || null);
+  });
+  root.querySelector('#newSaveName')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      root.querySelector('#newSaveButton').click();
+    }
+  });
+
+  root.querySelectorAll('[data-slot-action]').forEach((button) => {
+    const slotId = button.closest('[data-slot-id]').dataset.slotId;
+    const meta = slots.find(slot => slot.slotId === slotId);
+    button.addEventListener('click', () => {
+      const action = button.dataset.slotAction;
+      // Overwrites and deletes need a second click so a slot is never replaced by accident
+      if ((action === 'delete' || isSave) && !button.dataset.confirming) {
+        button.dataset.confirming = 'true';
+        button.textContent = 'Confirm?';
+        return;
+      }
+      if (action === 'delete') {
+        deleteSlot(slotId);
+      } else if (isSave) {
+        saveToSlot(slotId, meta?.name || null);
+      } else {
+        loadFromSlot(slotId);
+      }
+    });
+  });
+}
+
+async function saveToSlot(slotId, name) {
+  closeSaveSlots();
+  const { saveGame } = await import('../../game.js');
+  await saveGame(slotId, name);
+}
+
+async function loadFromSlot(slotId) {
+  closeSaveSlots();
+  const { loadGame } = await import('../../game.js');
+  await loadGame(slotId);
+}
+
+async function deleteSlot(slotId) {
+  try {
+    await deleteSaveSlot(slotId);
+  } catch (err) {
+    console.error('Failed to delete save slot:', err);
+  }
+  updateSaveSlotsDisplay();
+}
+
+function escapeHtml(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,4 +1,4 @@
-import { getAllSettings, setLLMModel, setLLMEnabled, getFullscreen, setFullscreen, applyWindowPreset } from '../../systems/settings.js';
+import { getAllSettings, setLLMModel, setLLMEnabled, setIronmanEnabled, getFullscreen, setFullscreen, applyWindowPreset } from '../../systems/settings.js';
 import { register, open as openOverlay, close as closeOverlay, isOpen as isOverlayOpen } from '../overlayManager.js';
 
 let overlayRootEl = null;
@@ -82,6 +82,13 @@ async function updateSettingsDisplay(root) {
       </label>
       <div class="settings-help">When disabled, uses debug/fallback content instead</div>
     </div>
+    <div class="settings-field">
+      <label class="settings-checkbox-label">
+        <input type="checkbox" id="ironmanCheckbox" ${settings.ironman ? 'checked' : ''} />
+        Ironman (permadeath)
+      </label>
+      <div class="settings-help">New runs autosave to a single slot that is erased when you die. Applies from your next new run.</div>
+    </div>
     <div class="settings-field">
       <label class="settings-checkbox-label">
         <input type="checkbox" id="fullscreenCheckbox" ${settings.fullscreen ? 'checked' : ''} />
@@ -154,10 +161,12 @@ async function fetchModelInfo() {
 async function saveSettings(root) {
   const enableLLMCheckbox = root.querySelector('#enableLLMCheckbox');
   const fullscreenCheckbox = root.querySelector('#fullscreenCheckbox');
+  const ironmanCheckbox = root.querySelector('#ironmanCheckbox');
   if (enableLLMCheckbox == null) return;
   try {
     const newLLMEnabled = enableLLMCheckbox.checked;
     await setLLMEnabled(newLLMEnabled);
+    if (ironmanCheckbox) await setIronmanEnabled(ironmanCheckbox.checked);
     if (fullscreenCheckbox) await setFullscreen(fullscreenCheckbox.checked);
     showSettingsSaved(root);
     setTimeout(() => closeSettings(), 1000);
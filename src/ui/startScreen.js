@@ -1,4 +1,6 @@
 import { appState } from './appState.js';
+import { listSaveSlots, deleteSaveSlot } from '../systems/saveSlots.js';
+import { renderSlotRow } from './overlays/saveSlots.js';
 
 const { ipcRenderer } = window.require('electron');
 
@@ -146,7 +148,10 @@ function setupEventListeners() {
   ipcRenderer.on('model-download-error', handleDownloadError);
 
   startScreenEl.addEventListener('click', (e) => {
-    if (e.target.id === 'startGameBtn') {
+    const slotAction = e.target.dataset?.slotAction;
+    if (slotAction) {
+      handleSlotAction(e.target, slotAction);
+    } else if (e.target.id === 'startGameBtn') {
       startGame();
     } else if (e.target.id === 'retryDownloadBtn') {
       retryDownload();
@@ -156,19 +161,58 @@ function setupEventListeners() {
   });
 }
 
-function startGame() {
+function startGame(loadSlot = null) {
   // Clean up fake progress before starting game
   stopFakeProgress();
   
+  // Optional run seed; blank means a fresh random run
+  const seedInput = document.getElementById('runSeedInput');
+  const seed = seedInput ? seedInput.value.trim() : '';
+
   appState.setState(STATES.PLAYING);
 
   import('../game.js').then((module) => {
     if (module.startGame) {
-      module.startGame();
+      module.startGame({ seed: seed || null, loadSlot });
     }
   });
 }
 
+function handleSlotAction(button, action) {
+  const slotId = button.closest('[data-slot-id]')?.dataset.slotId;
+  if (!slotId) return;
+
+  if (action === 'use') {
+    startGame(slotId);
+    return;
+  }
+
+  // Deleting needs a second click
+  if (!button.dataset.confirming) {
+    button.dataset.confirming = 'true';
+    button.textContent = 'Confirm?';
+    return;
+  }
+  deleteSaveSlot(slotId)
+    .catch(err => console.error('[StartScreen] Failed to delete save slot:', err))
+    .then(() => refreshSaveBrowser());
+}
+
+async function refreshSaveBrowser() {
+  const browserEl = startScreenEl?.querySelector('#saveSlotBrowser');
+  if (!browserEl) return;
+
+  try {
+    const slots = await listSaveSlots();
+    browserEl.innerHTML = slots.length === 0
+      ? '<div class="save-browser-empty">No saved games yet.</div>'
+      : slots.map(meta => renderSlotRow(meta, 'Continue')).join('');
+  } catch (err) {
+    console.error('[StartScreen] Failed to list save slots:', err);
+    browserEl.innerHTML = '<div class="save-browser-empty">Saved games are unavailable.</div>';
+  }
+}
+
 let isDownloading = false;
 
 function retryDownload() {
@@ -266,6 +310,10 @@ function render() {
   }
 
   startScreenEl.innerHTML = content;
+
+  if (state === STATES.READY) {
+    refreshSaveBrowser();
+  }
 }
 
 function renderStart() {
@@ -408,7 +456,19 @@ function renderReady(data) {
         <button id="openFolderBtn" class="btn btn-secondary btn-small">Open folder</button>
       </div>
 
+      <div class="run-seed">
+        <label class="location-label" for="runSeedInput">Run seed (optional)</label>
+        <input id="runSeedInput" class="run-seed-input" type="text" placeholder="Random" autocomplete="off" spellcheck="false">
+      </div>
+
       <button id="startGameBtn" class="btn btn-primary btn-large">Start Game</button>
+
+      <div class="save-browser">
+        <span class="location-label">Continue a saved game</span>
+        <div id="saveSlotBrowser" class="save-slot-list">
+          <div class="save-browser-empty">Loading saves...</div>
+        </div>
+      </div>
     </div>
   `;
 }
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, EquipAction, UnequipAction, PickupAction, createActionFromData;
+let Stats, getHitChance, getDamageRange, EQUIPMENT, LOOT_TABLES, getLootTable, createEquipment;
+let getInventory;
+
+describe('Equipment', () => {
+  let sim = null;
+
+  function foe(stats) {
+    return { x: 5, y: 5, stats, isPlayer: () => false };
+  }
+
+  function dropEquipment(world, itemId, x, y) {
+    const item = {
+      id: `${itemId}_L1_0`, type: 'equipment', itemId, title: EQUIPMENT[itemId].title,
+      description: EQUIPMENT[itemId].description, x, y, pickedUp: false, levelNumber: 1,
+      underTile: world.map[x][y]
+    };
+    world.staticObjects.push(item);
+    return item;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ EquipAction, UnequipAction, PickupAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ Stats } = await import('../../src/combat/stats.js'));
+    ({ getHitChance, getDamageRange } = await import('../../src/combat/attackRoll.js'));
+    ({ EQUIPMENT, LOOT_TABLES, getLootTable } = await import('../../src/content/equipment.js'));
+    ({ createEquipment } = await import('../../src/entities/equipment.js'));
+    ({ getInventory } = await import('../../src/systems/gameState.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('adds the modifiers of everything equipped to the stats used in combat', async () => {
+    sim = await GameSimulation.create({ seed: 1601 });
+    const { player } = sim;
+    const target = foe(new Stats(10, 1, 0, 75, 15));
+    const base = { ...player.stats };
+
+    player.equip({ id: 'a', itemId: 'war_axe' });
+    player.equip({ id: 'b', itemId: 'chain_mail' });
+    expect(player.getEffectiveStats()).toMatchObject({
+      pow: base.pow + 2, def: base.def + 2, accuracy: base.accuracy - 10, evasion: base.evasion - 5
+    });
+    // The underlying stats are untouched, so damage and level-ups still apply to them
+    expect(player.stats.pow).toBe(base.pow);
+    expect(getHitChance(player, target)).toBe(base.accuracy - 10 - 15);
+    expect(getDamageRange(player)).toEqual({ min: base.pow + 1, max: base.pow + 3 });
+    expect(getHitChance(foe(new Stats(10, 1, 0, 75, 0)), player)).toBe(75 - (base.evasion - 5));
+
+    // One item per slot: a new weapon replaces the old one
+    expect(player.equip({ id: 'c', itemId: 'rusty_sword' })).toEqual({ slot: 'weapon', replaced: { id: 'a', itemId: 'war_axe' } });
+    expect(player.unequip('armor')).toEqual({ id: 'b', itemId: 'chain_mail' });
+    expect(player.getEffectiveStats()).toMatchObject({ pow: base.pow + 1, def: base.def });
+  });
+
+  it('picks equipment up into the inventory and equips it through replayable actions', async () => {
+    sim = await GameSimulation.create({ seed: 1602 });
+    const { world, player } = sim;
+    world.monsters = [];
+    const dropped = dropEquipment(world, 'short_spear', player.x, player.y);
+
+    expect(new PickupAction().perform(world)).toBe(true);
+    expect(dropped.pickedUp).toBe(true);
+    const carried = getInventory().find(item => item.id === dropped.id);
+    expect(carried).toMatchObject({ type: 'equipment', itemId: 'short_spear', title: 'Short Spear' });
+
+    expect(new EquipAction(dropped.id).perform(world)).toBe(true);
+    expect(player.equipment.weapon).toEqual({ id: dropped.id, itemId: 'short_spear' });
+    expect(sim.messages).toContain('You wield the Short Spear.');
+    expect(new EquipAction(dropped.id).perform(world)).toBe(false);
+    expect(new EquipAction('nothing').perform(world)).toBe(false);
+
+    expect(new UnequipAction('weapon').perform(world)).toBe(true);
+    expect(player.equipment.weapon).toBeNull();
+    expect(new UnequipAction('weapon').perform(world)).toBe(false);
+
+    expect(createActionFromData(new EquipAction(dropped.id).serialize())).toMatchObject({ itemId: dropped.id });
+    expect(createActionFromData(new UnequipAction('armor').serialize())).toBeInstanceOf(UnequipAction);
+  });
+
+  it('keeps equipment through save and load, and clears it for a new run', async () => {
+    sim = await GameSimulation.create({ seed: 1603 });
+    sim.player.equip({ id: 'x', itemId: 'iron_shield' });
+    const saved = sim.player.serialize();
+    expect(saved.equipment).toEqual({ weapon: null, shield: { id: 'x', itemId: 'iron_shield' }, armor: null });
+
+    sim.player.resetForNewRun();
+    expect(sim.player.equipment).toEqual({ weapon: null, shield: null, armor: null });
+    sim.player.deserialize(saved);
+    expect(sim.player.getEffectiveStats().def).toBe(sim.player.stats.def + 1);
+  });
+
+  it('spawns from a loot table that grows with depth', async () => {
+    expect(getLootTable(1).map(entry => entry.item)).toEqual(LOOT_TABLES[0].entries.map(entry => entry.item));
+    const deepItems = getLootTable(6).map(entry => entry.item);
+    expect(deepItems).toContain('knights_blade');
+    expect(getLootTable(1).map(entry => entry.item)).not.toContain('knights_blade');
+
+    sim = await GameSimulation.create({ seed: 1604 });
+    const { world, player } = sim;
+    const placed = world.staticObjects.filter(obj => obj.type === 'equipment');
+    expect(placed.length).toBeGreaterThan(0);
+    for (const item of placed) {
+      expect(EQUIPMENT[item.itemId]).toBeDefined();
+    }
+
+    ROT.RNG.setSeed(5);
+    const deep = createEquipment(world.map, world.MAP_WIDTH, world.MAP_HEIGHT, player, [], 20, 6);
+    expect(deep).toHaveLength(20);
+    for (const item of deep) {
+      expect(deepItems).toContain(item.itemId);
+      expect(item).toMatchObject({ type: 'equipment', levelNumber: 6, pickedUp: false });
+    }
+  });
+});
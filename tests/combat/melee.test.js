@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import * as ROT from 'rot-js';
+
+let Stats, resolveMelee, rollAttack, getHitChance, getDamageRange, AttackOutcome;
+
+describe('Melee combat', () => {
+  function fighter(isPlayer, stats) {
+    return { x: 5, y: 5, stats, isPlayer: () => isPlayer };
+  }
+
+  function recordingWorld() {
+    const messages = [];
+    return {
+      messages,
+      messageBus: { emit: (event, payload) => payload && messages.push(payload.text) }
+    };
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ Stats } = await import('../../src/combat/stats.js'));
+    ({ resolveMelee } = await import('../../src/combat/melee.js'));
+    ({ rollAttack, getHitChance, getDamageRange, AttackOutcome } = await import('../../src/combat/attackRoll.js'));
+  });
+
+  it('derives hit chance from accuracy and evasion within fixed bounds', () => {
+    const attacker = fighter(true, new Stats(10, 2, 0, 80, 10));
+    expect(getHitChance(attacker, fighter(false, new Stats(3, 1, 0, 75, 15)))).toBe(65);
+    expect(getHitChance(attacker, fighter(false, new Stats(3, 1, 0, 75, 15)), -20)).toBe(45);
+    expect(getHitChance(attacker, fighter(false, new Stats(3, 1, 0, 75, 90)))).toBe(5);
+    expect(getHitChance(attacker, fighter(false, new Stats(3, 1, 0, 75, -50)))).toBe(95);
+    expect(getDamageRange(attacker)).toEqual({ min: 1, max: 3 });
+    expect(getDamageRange(attacker, 3)).toEqual({ min: 4, max: 6 });
+  });
+
+  it('rolls misses, glancing blows, hits and criticals with damage to match', () => {
+    const attacker = fighter(true, new Stats(10, 6, 0, 75, 0));
+    const target = fighter(false, new Stats(100, 1, 1, 75, 0));
+    const seen = new Map();
+
+    ROT.RNG.setSeed(1301);
+    for (let i = 0; i < 400; i++) {
+      const { outcome, damage, roll } = rollAttack(attacker, target);
+      seen.set(outcome, (seen.get(outcome) || 0) + 1);
+      if (outcome === AttackOutcome.MISS) {
+        expect(roll).toBeGreaterThan(75);
+        expect(damage).toBe(0);
+      } else if (outcome === AttackOutcome.CRITICAL) {
+        expect(roll).toBeLessThanOrEqual(5);
+        expect(damage).toBeGreaterThanOrEqual(2 * 5 - 1);
+        expect(damage).toBeLessThanOrEqual(2 * 7 - 1);
+      } else if (outcome === AttackOutcome.GLANCING) {
+        expect(roll).toBeGreaterThan(65);
+        expect(damage).toBeGreaterThanOrEqual(2);
+        expect(damage).toBeLessThanOrEqual(3);
+      } else {
+        expect(damage).toBeGreaterThanOrEqual(4);
+        expect(damage).toBeLessThanOrEqual(6);
+      }
+    }
+    expect([...seen.keys()].sort()).toEqual(['critical', 'glancing', 'hit', 'miss']);
+  });
+
+  it('describes each outcome in the combat log and only damages on a hit', () => {
+    const logs = new Map();
+    ROT.RNG.setSeed(1302);
+    for (let i = 0; i < 200 && logs.size < 4; i++) {
+      const world = recordingWorld();
+      const player = fighter(true, new Stats(10, 2, 0, 80, 10));
+      const monster = fighter(false, new Stats(50, 1, 0, 75, 15));
+      monster.x = 6;
+      const result = resolveMelee(player, monster, world);
+
+      expect(world.messages).toEqual([result.message]);
+      expect(monster.stats.hp).toBe(50 - result.damage);
+      expect(result.hit).toBe(result.outcome !== AttackOutcome.MISS);
+      logs.set(result.outcome, result.message);
+    }
+
+    expect(logs.get(AttackOutcome.MISS)).toBe('You attack the monster but miss.');
+    expect(logs.get(AttackOutcome.GLANCING)).toMatch(/^You attack the monster, but the blow only glances off for \d+ damage\.$/);
+    expect(logs.get(AttackOutcome.HIT)).toMatch(/^You attack the monster for \d+ damage!$/);
+    expect(logs.get(AttackOutcome.CRITICAL)).toMatch(/^Critical hit! You attack the monster for \d+ damage!$/);
+  });
+
+  it('replays the same fight under the same seed', () => {
+    const fight = () => {
+      const player = fighter(true, new Stats(10, 2, 0, 80, 10));
+      const monster = fighter(false, new Stats(3, 1, 0, 75, 15));
+      monster.x = monster.y = 6;
+      const log = [];
+      ROT.RNG.setSeed(1303);
+      while (player.stats.isAlive() && monster.stats.isAlive()) {
+        log.push(resolveMelee(player, monster, {}).message);
+        if (monster.stats.isAlive()) {
+          log.push(resolveMelee(monster, player, {}).message);
+        }
+      }
+      return log;
+    };
+
+    const first = fight();
+    expect(fight()).toEqual(first);
+    expect(first[0]).toMatch(/^(Critical hit! )?You slash diagonally at the monster/);
+    expect(first.at(-1)).toMatch(/ (The monster dies|You die)!$/);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, ThrowAction, PickupAction, createActionFromData;
+let MonsterFactory, TileTypes, traceProjectile;
+let beginTargeting, cycleTarget, getCurrentTarget, endTargeting, getVisibleHostiles;
+
+describe('Ranged combat', () => {
+  let sim = null;
+
+  // Open moss floor with a pillar at (12, 5) and a pool of water at (6, 9)
+  async function createArena(seed) {
+    sim = await GameSimulation.create({ seed });
+    buildArena(sim.world, { wall: (x, y) => x === 12 && y === 5 });
+    sim.world.map[6][9] = TileTypes.water;
+    return sim;
+  }
+
+  function addMonster(world, x, y, hp = 20) {
+    const monster = MonsterFactory.create('chaser', x, y);
+    monster.stats.maxHp = monster.stats.hp = hp;
+    world.monsters.push(monster);
+    return monster;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ ThrowAction, PickupAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ TileTypes } = await import('../../src/tiles/tileTypes.js'));
+    ({ traceProjectile } = await import('../../src/combat/ranged.js'));
+    ({ beginTargeting, cycleTarget, getCurrentTarget, endTargeting, getVisibleHostiles } = await import('../../src/systems/targeting.js'));
+  });
+
+  afterEach(() => {
+    endTargeting();
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('flies until it meets a monster, a wall or the end of its range', async () => {
+    const { world, player } = await createArena(1201);
+    const near = addMonster(world, 8, 5);
+    addMonster(world, 10, 5);
+
+    expect(traceProjectile(world, player, { x: 10, y: 5 }, 8)).toMatchObject({ target: near, landing: { x: 8, y: 5 }, distance: 2 });
+    // A miss flies on to the next tile, or drops short when that one is taken or out of range
+    expect(traceProjectile(world, player, { x: 10, y: 5 }, 8).missLanding).toEqual({ x: 9, y: 5 });
+    expect(traceProjectile(world, player, { x: 10, y: 5 }, 2).missLanding).toEqual({ x: 7, y: 5 });
+    addMonster(world, 9, 5);
+    expect(traceProjectile(world, player, { x: 10, y: 5 }, 8).missLanding).toEqual({ x: 7, y: 5 });
+
+    world.monsters = [];
+    expect(traceProjectile(world, player, { x: 14, y: 5 }, 8)).toMatchObject({ target: null, landing: { x: 11, y: 5 }, distance: 5 });
+    expect(traceProjectile(world, player, { x: 6, y: 18 }, 3)).toMatchObject({ landing: { x: 6, y: 8 }, distance: 3 });
+
+    // It passes over water but does not come to rest in it
+    expect(traceProjectile(world, player, { x: 6, y: 9 }, 8)).toMatchObject({ landing: { x: 6, y: 8 }, distance: 4 });
+  });
+
+  it('throws a dagger that lands where it stopped and can be picked up again', async () => {
+    const { world, player } = await createArena(1202);
+    const target = addMonster(world, 9, 5);
+    const daggers = player.throwingDaggers;
+
+    expect(new ThrowAction(9, 5).perform(world)).toBe(true);
+    expect(player.throwingDaggers).toBe(daggers - 1);
+    // A miss leaves it untouched; the hardest hit is a critical (power + 1 + spread, doubled)
+    expect(target.stats.hp).toBeLessThanOrEqual(20);
+    expect(target.stats.hp).toBeGreaterThanOrEqual(20 - 2 * (player.stats.pow + 2));
+
+    // It stays under the monster it hit, or flies on past one it missed
+    const restX = target.stats.hp < 20 ? 9 : 10;
+    const dropped = world.staticObjects.find(obj => obj.type === 'throwing_dagger');
+    expect(dropped).toMatchObject({ x: restX, y: 5, pickedUp: false });
+
+    world.monsters = [];
+    player.setPosition(restX, 5);
+    expect(new PickupAction().perform(world)).toBe(true);
+    expect(player.throwingDaggers).toBe(daggers);
+    expect(dropped.pickedUp).toBe(true);
+  });
+
+  it('lets a missed dagger fly on where it can be picked up, and turns the target on the thrower', async () => {
+    const { world, player } = await createArena(1206);
+    const target = addMonster(world, 10, 5);
+    target.perceptionRadius = 0;
+    target.stats.evasion = 1000;
+    const bystander = addMonster(world, 13, 7);
+    bystander.perceptionRadius = 0;
+
+    ROT.RNG.setSeed(1206);
+    expect(new ThrowAction(10, 5).perform(world)).toBe(true);
+    expect(target.stats.hp).toBe(20);
+    expect(world.staticObjects.find(obj => obj.type === 'throwing_dagger')).toMatchObject({ x: 11, y: 5 });
+    // Only the target knows the thrower; others hear the dagger clatter down
+    expect(target.lastKnownPlayerPos).toEqual({ x: 6, y: 5 });
+    expect(bystander.lastKnownPlayerPos).toEqual({ x: 11, y: 5 });
+  });
+
+  it('rolls hits from the seeded RNG so throws replay identically', async () => {
+    const outcomes = [];
+    for (let run = 0; run < 2; run++) {
+      const { world, player } = await createArena(1203);
+      player.throwingDaggers = 10;
+      const target = addMonster(world, 13, 8, 100);
+      ROT.RNG.setSeed(77);
+      for (let i = 0; i < 10; i++) {
+        new ThrowAction(13, 8).perform(world);
+      }
+      outcomes.push(target.stats.hp);
+      sim.dispose();
+      sim = null;
+    }
+    expect(outcomes[0]).toBe(outcomes[1]);
+    expect(outcomes[0]).toBeLessThan(100);
+  });
+
+  it('refuses to throw without daggers and records throws for replay', async () => {
+    const { world, player } = await createArena(1204);
+    player.throwingDaggers = 0;
+    expect(new ThrowAction(9, 5).perform(world)).toBe(false);
+
+    const replayed = createActionFromData(new ThrowAction(9, 5).serialize());
+    expect(replayed).toBeInstanceOf(ThrowAction);
+    expect(replayed).toMatchObject({ targetX: 9, targetY: 5 });
+  });
+
+  it('cycles the targeting cursor through visible hostiles, nearest first', async () => {
+    const { world } = await createArena(1205);
+    const far = addMonster(world, 8, 7);
+    const near = addMonster(world, 7, 5);
+    const hidden = addMonster(world, 30, 15);
+    world.recomputeFOV();
+
+    expect(getVisibleHostiles(world)).toEqual([near, far]);
+    expect(getVisibleHostiles(world)).not.toContain(hidden);
+
+    expect(beginTargeting(world)).toBe(true);
+    expect(getCurrentTarget()).toBe(near);
+    expect(cycleTarget()).toBe(far);
+    expect(cycleTarget()).toBe(near);
+    expect(cycleTarget(-1)).toBe(far);
+
+    world.monsters = [hidden];
+    expect(beginTargeting(world)).toBe(false);
+    expect(getCurrentTarget()).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, MonsterFactory, Monster, TurnEngine, Actor, TurnResult, resolveMelee, getTurn;
+
+describe('Status effects', () => {
+  let sim = null;
+
+  function addMonster(world, typeId, x, y) {
+    const monster = MonsterFactory.create(typeId, x, y);
+    world.monsters.push(monster);
+    world.turnEngine.addActor(monster);
+    return monster;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ Monster } = await import('../../src/entities/monster.js'));
+    ({ TurnEngine } = await import('../../src/systems/turnEngine.js'));
+    ({ Actor, TurnResult } = await import('../../src/entities/actor.js'));
+    ({ resolveMelee } = await import('../../src/combat/melee.js'));
+    ({ getTurn } = await import('../../src/systems/gameState.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('hurts and heals each turn, and poison never takes the last hit point', async () => {
+    sim = await GameSimulation.create({ seed: 1401 });
+    const { player, world } = sim;
+    player.stats.hp = 3;
+
+    player.statusEffects.add(player, 'poison', 5, world);
+    for (let i = 0; i < 5; i++) {
+      expect(player.statusEffects.tick(player, world)).toBe(false);
+    }
+    expect(player.stats.hp).toBe(1);
+    expect(player.statusEffects.has('poison')).toBe(false);
+
+    player.statusEffects.add(player, 'regeneration', 3, world);
+    for (let i = 0; i < 3; i++) {
+      player.statusEffects.tick(player, world);
+    }
+    expect(player.stats.hp).toBe(4);
+  });
+
+  it('lets a monster bleed to death and removes it from the world', async () => {
+    sim = await GameSimulation.create({ seed: 1402 });
+    const { world } = sim;
+    const monster = addMonster(world, 'chaser', 2, 2);
+    monster.stats.hp = 2;
+
+    monster.statusEffects.add(monster, 'bleed', 5, world);
+    expect(monster.statusEffects.tick(monster, world)).toBe(false);
+    expect(monster.statusEffects.tick(monster, world)).toBe(true);
+    expect(world.monsters).not.toContain(monster);
+    expect(sim.messages.at(-1)).toBe('The monster dies while bleeding!');
+  });
+
+  it('costs stunned actors their turns and slows their speed', () => {
+    class Dummy extends Actor {
+      constructor() {
+        super();
+        this.turnsTaken = 0;
+      }
+      act() {
+        this.turnsTaken++;
+        return TurnResult.CONSUMED;
+      }
+    }
+    const actor = new Dummy();
+    const engine = new TurnEngine();
+    engine.addActor(actor);
+    const wrapped = engine.actorWrapperMap.get(actor);
+
+    actor.statusEffects.add(actor, 'stun', 2);
+    const turn = getTurn();
+    expect(wrapped.act()).toBe(TurnResult.CONSUMED);
+    expect(wrapped.act()).toBe(TurnResult.CONSUMED);
+    expect(actor.turnsTaken).toBe(0);
+    wrapped.act();
+    expect(actor.turnsTaken).toBe(1);
+    expect(getTurn()).toBe(turn + 3);
+
+    actor.statusEffects.add(actor, 'slow', 1);
+    expect(wrapped.getSpeed()).toBe(1);
+    const monster = MonsterFactory.create('chaser', 1, 1);
+    monster.statusEffects.add(monster, 'slow', 3);
+    expect(monster.getSpeed()).toBe(0.5);
+  });
+
+  it('applies stat changes for as long as the effect lasts and keeps them through a save', () => {
+    const monster = MonsterFactory.create('zombie', 1, 1);
+    Object.assign(monster.stats, { pow: 3, def: 2 });
+    const { pow, def } = monster.stats;
+    monster.statusEffects.add(monster, 'rot', 2);
+    expect(monster.getEffectiveStats()).toMatchObject({ pow: pow - 1, def: def - 1 });
+    expect(monster.stats).toMatchObject({ pow, def });
+
+    const restored = new Monster(0, 0);
+    restored.deserialize(monster.serialize());
+    expect(restored.statusEffects.getActive()).toEqual([{ id: 'rot', state: 'rotting', turns: 2 }]);
+    expect(restored.getEffectiveStats()).toMatchObject({ pow: pow - 1, def: def - 1 });
+
+    restored.statusEffects.tick(restored);
+    restored.statusEffects.tick(restored);
+    expect(restored.statusEffects.getActive()).toEqual([]);
+    expect(restored.getEffectiveStats()).toMatchObject({ pow, def });
+  });
+
+  it('never takes a stat below 0 and leaves level-up gains in place when the effect ends', async () => {
+    sim = await GameSimulation.create({ seed: 1402 });
+    const { player } = sim;
+    player.stats.def = 0;
+    player.statusEffects.add(player, 'rot', 2);
+    expect(player.getEffectiveStats().def).toBe(0);
+
+    player.stats.def += 1;
+    expect(player.getEffectiveStats().def).toBe(0);
+    player.statusEffects.remove(player, 'rot');
+    expect(player.stats.def).toBe(1);
+    expect(player.getEffectiveStats().def).toBe(1);
+  });
+
+  it('lets zombie bites inflict rot', async () => {
+    sim = await GameSimulation.create({ seed: 1403 });
+    const { world, player } = sim;
+    player.stats.maxHp = player.stats.hp = 1000;
+    const zombie = addMonster(world, 'zombie', player.x + 1, player.y);
+    expect(zombie.onHitEffects).toEqual([{ effect: 'rot', chance: 0.25, turns: 8 }]);
+
+    ROT.RNG.setSeed(1403);
+    for (let i = 0; i < 100 && !player.statusEffects.has('rot'); i++) {
+      resolveMelee(zombie, player, world);
+    }
+    expect(player.statusEffects.has('rot')).toBe(true);
+    expect(sim.messages).toContain('You are rotting!');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Open arena shared by the gameplay tests
+ */
+
+import { TileTypes } from '../../src/tiles/tileTypes.js';
+
+/**
+ * Replace a simulation's generated chamber with open floor inside a pillar border
+ * Monsters and objects are cleared and the player is put at (6, 5), so a test only
+ * has to add what it is about.
+ * @param {World} world - World of a GameSimulation
+ * @param {Object} [options]
+ * @param {Object} [options.floor=TileTypes.moss] - Tile for the open floor
+ * @param {Function} [options.wall] - (x, y) => true where the floor should be pillar instead
+ * @param {boolean} [options.unlit=false] - Take out the chamber's light sources too
+ * @param {{x:number, y:number}} [options.player] - Where the player stands
+ * @returns {World}
+ */
+export function buildArena(world, { floor = TileTypes.moss, wall = () => false, unlit = false, player = { x: 6, y: 5 } } = {}) {
+  for (let x = 0; x < world.MAP_WIDTH; x++) {
+    for (let y = 0; y < world.MAP_HEIGHT; y++) {
+      const border = x === 0 || y === 0 || x === world.MAP_WIDTH - 1 || y === world.MAP_HEIGHT - 1;
+      world.map[x][y] = border || wall(x, y) ? TileTypes.pillar : floor;
+    }
+  }
+  world.monsters = [];
+  world.staticObjects.length = 0;
+  if (unlit) {
+    world.getCurrentLevelInstance().lightSources = [];
+  }
+  world.clearLOSCache();
+  world.player.setPosition(player.x, player.y);
+  return world;
+}
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, portalSeekerBot, directionFromDelta;
+let MoveAction;
+
+describe('Travel between chambers', () => {
+  const sims = [];
+
+  async function createSim(options) {
+    const sim = await GameSimulation.create(options);
+    sims.push(sim);
+    return sim;
+  }
+
+  // Let the bot walk down until the given chamber is reached
+  async function descendTo(sim, levelNumber) {
+    for (let steps = 0; steps < 2000 && sim.world.getCurrentLevel() < levelNumber; steps++) {
+      await sim.step(portalSeekerBot(sim));
+    }
+    expect(sim.world.getCurrentLevel()).toBe(levelNumber);
+  }
+
+  // Step off the stairs the player is standing on and back onto them
+  async function retakeStairs(sim) {
+    const { player, world } = sim;
+    const start = { x: player.x, y: player.y };
+    const neighbours = [[0, -1], [1, 0], [-1, 0], [0, 1], [1, -1], [-1, -1], [1, 1], [-1, 1]];
+    const [dx, dy] = neighbours.find(([dx, dy]) => {
+      const x = start.x + dx;
+      const y = start.y + dy;
+      return world.canMoveTo(x, y) && !world.getStairsAt(x, y) && !world.monsters.some(m => m.x === x && m.y === y);
+    });
+
+    await sim.step(new MoveAction(directionFromDelta(dx, dy)));
+    expect(player).toMatchObject({ x: start.x + dx, y: start.y + dy });
+    await sim.step(new MoveAction(directionFromDelta(-dx, -dy)));
+  }
+
+  async function sturdySim(seed) {
+    const sim = await createSim({ seed });
+    sim.player.stats.maxHp = sim.player.stats.hp = 100000;
+    return sim;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation, portalSeekerBot, directionFromDelta } = await import('../../src/systems/simulation.js'));
+    ({ MoveAction } = await import('../../src/systems/actions.js'));
+  });
+
+  afterEach(() => {
+    while (sims.length > 0) {
+      sims.pop().dispose();
+    }
+  });
+
+  it('puts up-stairs where the player arrives, except in the first chamber', async () => {
+    const sim = await sturdySim(801);
+    expect(sim.world.upStairs).toBeNull();
+
+    await descendTo(sim, 2);
+    expect(sim.world.upStairs).toMatchObject({ x: sim.player.x, y: sim.player.y, type: 'upStairs' });
+    expect(sim.world.getStairsAt(sim.player.x, sim.player.y)).toBe('up');
+  });
+
+  it('returns to the previous chamber exactly as it was left, with its monsters frozen', async () => {
+    const sim = await sturdySim(802);
+    await descendTo(sim, 2);
+
+    const stored = sim.world.levels.get(1).storedState;
+    const mapBefore = JSON.stringify(stored.map);
+    const monstersBefore = stored.monsters.map(monster => ({ monster, x: monster.x, y: monster.y, hp: monster.stats.hp }));
+    const turnsAway = sim.getTurn();
+
+    await retakeStairs(sim);
+
+    expect(sim.world.getCurrentLevel()).toBe(1);
+    expect(sim.getTurn()).toBeGreaterThan(turnsAway);
+    expect(JSON.stringify(sim.world.map)).toBe(mapBefore);
+    expect(sim.player).toMatchObject({ x: stored.portal.x, y: stored.portal.y });
+    expect(sim.world.portal).toBe(stored.portal);
+    for (const { monster, x, y, hp } of monstersBefore) {
+      expect(sim.world.monsters).toContain(monster);
+      expect(monster.stats.hp).toBe(hp);
+      if (monster.x !== sim.player.x || monster.y !== sim.player.y) {
+        expect(Math.abs(monster.x - x) + Math.abs(monster.y - y)).toBeLessThanOrEqual(2);
+      }
+    }
+    expect(sim.turnEngine.getActors().size).toBe(sim.world.monsters.length + 1);
+
+    // The chamber below is kept too, and going down again arrives on its up-stairs
+    const below = sim.world.levels.get(2).storedState;
+    expect(below).not.toBeNull();
+    await retakeStairs(sim);
+
+    expect(sim.world.getCurrentLevel()).toBe(2);
+    expect(sim.player).toMatchObject({ x: below.upStairs.x, y: below.upStairs.y });
+    expect(sim.world.monsters).toEqual(below.monsters);
+  });
+
+  it('sizes the world to each chamber\'s own map', async () => {
+    const sim = await sturdySim(804);
+    expect(sim.world).toMatchObject({ MAP_WIDTH: 40, MAP_HEIGHT: 20 });
+
+    // Level 2 is a cave, larger than the viewport
+    await descendTo(sim, 2);
+    expect(sim.world).toMatchObject({ MAP_WIDTH: 64, MAP_HEIGHT: 32 });
+    expect(Object.keys(sim.world.map)).toHaveLength(64);
+    expect(Object.keys(sim.world.map[0])).toHaveLength(32);
+    expect(sim.world.levels.get(2)).toMatchObject({ width: 64, height: 32 });
+
+    await retakeStairs(sim);
+    expect(sim.world.getCurrentLevel()).toBe(1);
+    expect(sim.world).toMatchObject({ MAP_WIDTH: 40, MAP_HEIGHT: 20 });
+
+    // A save made in the small chamber loads the large one's size back with it
+    await retakeStairs(sim);
+    const saved = sim.serialize();
+    const restored = await createSim({ seed: 1 });
+    restored.restore(JSON.parse(JSON.stringify(saved)));
+    expect(restored.world).toMatchObject({ MAP_WIDTH: 64, MAP_HEIGHT: 32 });
+  });
+
+  it('saves and restores chambers the player has left', async () => {
+    const sim = await sturdySim(803);
+    await descendTo(sim, 3);
+    await retakeStairs(sim);
+    expect(sim.world.getCurrentLevel()).toBe(2);
+
+    const saved = sim.serialize();
+    expect(saved.world.levels[1].storedState).not.toBeNull();
+    expect(saved.world.levels[3].storedState.upStairs).toBeTruthy();
+
+    const restored = await createSim({ seed: 1 });
+    restored.restore(JSON.parse(JSON.stringify(saved)));
+    expect(restored.serialize()).toEqual(saved);
+
+    // Going back down after loading returns to the stored chamber rather than regenerating it
+    const stored = restored.world.levels.get(3).storedState;
+    const portal = restored.world.portal;
+    restored.player.setPosition(portal.x, portal.y);
+    await retakeStairs(restored);
+    expect(restored.world.getCurrentLevel()).toBe(3);
+    expect(JSON.stringify(restored.world.map)).toBe(JSON.stringify(stored.map));
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, TileTypes, MoveAction, OpenCloseAction, createActionFromData;
+let createDoor, placeVault, arePointsConnected, addToInventory, findInventoryItem, ITEMS, PORTAL_SYMBOL;
+
+describe('Doors and locked vaults', () => {
+  let sim = null;
+
+  // Open moss floor with a wall down x = 8, no monsters or items, the player at (7, 5)
+  async function createWalledRoom(seed) {
+    sim = await GameSimulation.create({ seed });
+    buildArena(sim.world, { wall: x => x === 8, unlit: true, player: { x: 7, y: 5 } });
+    return sim;
+  }
+
+  function addDoor(world, state) {
+    const door = createDoor(world.map, 8, 5, state, 1);
+    world.staticObjects.push(door);
+    world.recomputeFOV();
+    return door;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ TileTypes } = await import('../../src/tiles/tileTypes.js'));
+    ({ MoveAction, OpenCloseAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ createDoor } = await import('../../src/entities/door.js'));
+    ({ placeVault } = await import('../../src/levels/vault.js'));
+    ({ arePointsConnected } = await import('../../src/levels/pathfinding.js'));
+    ({ addToInventory, findInventoryItem } = await import('../../src/systems/gameState.js'));
+    ({ ITEMS } = await import('../../src/content/items.js'));
+    ({ PORTAL_SYMBOL } = await import('../../src/entities/portal.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('blocks movement and sight until opened, and shuts again', async () => {
+    const { world, player } = await createWalledRoom(2101);
+    const door = addDoor(world, 'closed');
+    const level = world.getCurrentLevelInstance();
+    expect(level.isVisible(10, 5)).toBe(false);
+
+    expect(new MoveAction('right').perform(world)).toBe(false);
+    expect(sim.messages).toContain('The door is closed. Press O to open it.');
+
+    expect(await sim.step(new OpenCloseAction())).toBe(true);
+    expect(door).toMatchObject({ state: 'open', symbol: "'" });
+    expect(level.isVisible(10, 5)).toBe(true);
+
+    expect(new MoveAction('right').perform(world)).toBe(true);
+    expect(new MoveAction('right').perform(world)).toBe(true);
+    expect(player.x).toBe(9);
+
+    expect(new OpenCloseAction().perform(world)).toBe(true);
+    expect(door.state).toBe('closed');
+    expect(sim.messages).toContain('You close the door.');
+    expect(new MoveAction('left').perform(world)).toBe(false);
+
+    player.setPosition(3, 3);
+    expect(new OpenCloseAction().perform(world)).toBe(false);
+    expect(sim.messages).toContain('There is no door next to you.');
+    expect(createActionFromData(new OpenCloseAction().serialize())).toBeInstanceOf(OpenCloseAction);
+  });
+
+  it('does not look like the portal when shut', async () => {
+    const { world } = await createWalledRoom(2107);
+    expect(TileTypes.door_closed.char).not.toBe(PORTAL_SYMBOL);
+    for (const state of ['closed', 'locked']) {
+      expect(createDoor(world.map, 8, 5, state, 1).symbol).not.toBe(PORTAL_SYMBOL);
+    }
+  });
+
+  it('opens a locked door only with a silver key, which stays in the lock', async () => {
+    const { world } = await createWalledRoom(2102);
+    const door = addDoor(world, 'locked');
+
+    expect(new MoveAction('right').perform(world)).toBe(false);
+    expect(sim.messages).toContain('The door is locked.');
+    expect(new OpenCloseAction().perform(world)).toBe(false);
+    expect(sim.messages).toContain('The door is locked. You need a silver key.');
+
+    const { title, description } = ITEMS.silver_key;
+    addToInventory({ type: 'consumable', itemId: 'silver_key', title, description, quantity: 1 });
+    expect(new OpenCloseAction().perform(world)).toBe(true);
+    expect(door.state).toBe('open');
+    expect(findInventoryItem('silver_key')).toBeNull();
+    expect(sim.messages).toContain('You unlock the door with the silver key.');
+  });
+
+  it('places a vault with better loot inside and its key reachable outside', async () => {
+    let vaults = 0;
+    for (const seed of [2103, 2104, 2105]) {
+      sim = await GameSimulation.create({ seed });
+      const { world, player } = sim;
+      const connected = (x, y) => arePointsConnected(world.map, world.MAP_WIDTH, world.MAP_HEIGHT, player.x, player.y, x, y);
+      const door = world.staticObjects.find(obj => obj.type === 'door');
+      if (door) {
+        vaults++;
+        const key = world.staticObjects.find(obj => obj.item?.itemId === 'silver_key');
+        const loot = world.staticObjects.filter(obj => obj !== door && obj.id.endsWith('_vault'));
+        expect(door.state).toBe('locked');
+        expect(connected(key.x, key.y)).toBe(true);
+        expect(loot).toHaveLength(2);
+        expect(loot.some(obj => connected(obj.x, obj.y))).toBe(false);
+      }
+      expect(connected(world.portal.x, world.portal.y)).toBe(true);
+      sim.dispose();
+      sim = null;
+    }
+    expect(vaults).toBeGreaterThan(0);
+  });
+
+  it('never walls off the portal, even in a narrow corridor', async () => {
+    const { world, player } = await createWalledRoom(2106);
+    const { map, MAP_WIDTH, MAP_HEIGHT } = world;
+    // A corridor three tiles high from one end of the chamber to the other
+    const carveCorridor = () => buildArena(world, { wall: (x, y) => y < 4 || y > 6, player: { x: 1, y: 5 } });
+    const portal = { type: 'portal', x: MAP_WIDTH - 2, y: 5 };
+    const connected = (x, y) => arePointsConnected(map, MAP_WIDTH, MAP_HEIGHT, player.x, player.y, x, y);
+
+    let placed = 0;
+    for (let seed = 1; seed <= 20; seed++) {
+      carveCorridor();
+      const before = JSON.stringify(map);
+      ROT.RNG.setSeed(seed);
+      const vault = placeVault(map, MAP_WIDTH, MAP_HEIGHT, player, 1, [player, portal]);
+      expect(connected(portal.x, portal.y)).toBe(true);
+      if (vault) {
+        placed++;
+        expect(connected(vault.key.x, vault.key.y)).toBe(true);
+      } else {
+        expect(JSON.stringify(map)).toBe(before);
+      }
+    }
+    expect(placed).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, portalSeekerBot, setRunSeed;
+let generateDungeonLayout, determineLevelType, getLevelDimensions, createCompleteTileMap;
+let findRoomAt, arePointsConnected, isTilePassable, Level;
+
+describe('Dungeon levels', () => {
+  let sim = null;
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation, portalSeekerBot } = await import('../../src/systems/simulation.js'));
+    ({ setRunSeed } = await import('../../src/systems/rng.js'));
+    ({ generateDungeonLayout } = await import('../../src/levels/generators/dungeonLevel.js'));
+    ({ determineLevelType, getLevelDimensions, createCompleteTileMap } = await import('../../src/levels/tileGeneration.js'));
+    ({ findRoomAt } = await import('../../src/levels/entityPlacement.js'));
+    ({ arePointsConnected } = await import('../../src/levels/pathfinding.js'));
+    ({ isTilePassable } = await import('../../src/tiles/tileTypes.js'));
+    ({ Level } = await import('../../src/levels/level.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('comes round every fourth chamber, and only dungeons report rooms', () => {
+    expect([1, 2, 3, 4, 5, 8].map(determineLevelType)).toEqual(['basic', 'cave', 'pillaredHall', 'dungeon', 'basic', 'dungeon']);
+    expect(getLevelDimensions(4)).toEqual({ width: 60, height: 30 });
+
+    setRunSeed(2201);
+    expect(createCompleteTileMap(40, 20, 1).rooms).toBeNull();
+    const { rooms, doors } = createCompleteTileMap(60, 30, 4);
+    expect(rooms.length).toBeGreaterThan(2);
+    expect(doors.length).toBeGreaterThan(0);
+  });
+
+  it('digs rooms joined by corridors, with a doorway wherever a corridor meets a room', () => {
+    setRunSeed(2202);
+    const { tileMap, rooms, doors } = generateDungeonLayout(60, 30, 4);
+    const [first] = rooms;
+
+    for (const room of rooms) {
+      for (let x = room.left; x <= room.right; x++) {
+        for (let y = room.top; y <= room.bottom; y++) {
+          expect(isTilePassable(tileMap[x][y])).toBe(true);
+        }
+      }
+      expect(findRoomAt(rooms, room.center.x, room.center.y)).toBe(room);
+      if (room !== first) {
+        expect(arePointsConnected(tileMap, 60, 30, first.center.x, first.center.y, room.center.x, room.center.y)).toBe(true);
+      }
+    }
+    for (const door of doors) {
+      expect(isTilePassable(tileMap[door.x][door.y])).toBe(true);
+      expect(findRoomAt(rooms, door.x, door.y)).toBeNull();
+      expect(rooms.some(room => room.doors.some(d => d.x === door.x && d.y === door.y))).toBe(true);
+    }
+    expect(new Set(doors.map(d => `${d.x},${d.y}`)).size).toBe(doors.length);
+  });
+
+  it('spreads the arrival, portal and artifact over different rooms and hangs doors', async () => {
+    sim = await GameSimulation.create({ seed: 2203 });
+    sim.player.stats.maxHp = sim.player.stats.hp = 100000;
+    for (let steps = 0; steps < 6000 && sim.world.getCurrentLevel() < 4; steps++) {
+      await sim.step(portalSeekerBot(sim));
+    }
+    expect(sim.world.getCurrentLevel()).toBe(4);
+    expect(sim.world.getOrCreateLevel(3).rooms).toBeNull();
+
+    const { world } = sim;
+    const { rooms, doors } = createCompleteTileMap(world.MAP_WIDTH, world.MAP_HEIGHT, 4);
+    // The level keeps its rooms, through a save as well
+    const level = world.getCurrentLevelInstance();
+    expect(level.rooms).toEqual(rooms);
+    const restored = new Level(4);
+    restored.deserialize(JSON.parse(JSON.stringify(level.serialize())));
+    expect(restored.rooms).toEqual(rooms);
+    const arrival = findRoomAt(rooms, world.upStairs.x, world.upStairs.y);
+    const portalRoom = findRoomAt(rooms, world.portal.x, world.portal.y);
+    const storyRoom = findRoomAt(rooms, world.storyObject.x, world.storyObject.y);
+    expect(arrival).not.toBeNull();
+    expect(portalRoom).not.toBeNull();
+    expect(storyRoom).not.toBeNull();
+    expect(new Set([arrival, portalRoom, storyRoom]).size).toBe(3);
+
+    const hung = world.staticObjects.filter(obj => obj.type === 'door' && obj.state !== 'locked');
+    expect(hung).toHaveLength(doors.length);
+    expect(hung.every(door => doors.some(d => d.x === door.x && d.y === door.y))).toBe(true);
+  });
+});
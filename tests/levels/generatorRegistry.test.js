@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import * as ROT from 'rot-js';
+
+let registerGenerator, getAvailableGenerators, getGeneratorMetadata, determineLevelType, generateLayout;
+let getLevelDimensions, Level, TileTypes;
+
+describe('Level generator registry', () => {
+  // Vitest gives each test file its own module instances, so crypts registered here
+  // stay out of the other level tests; the built-in checks run before any are added
+
+  // A bare cobblestone room
+  function flatRoom(width, height) {
+    const tileMap = {};
+    for (let x = 0; x < width; x++) {
+      tileMap[x] = {};
+      for (let y = 0; y < height; y++) {
+        tileMap[x][y] = TileTypes.cobblestone;
+      }
+    }
+    return tileMap;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({
+      registerGenerator, getAvailableGenerators, getGeneratorMetadata, determineLevelType, generateLayout
+    } = await import('../../src/levels/generators/index.js'));
+    ({ getLevelDimensions } = await import('../../src/levels/tileGeneration.js'));
+    ({ Level } = await import('../../src/levels/level.js'));
+    ({ TileTypes } = await import('../../src/tiles/tileTypes.js'));
+  });
+
+  it('rotates the built-in chamber types and describes each', () => {
+    expect(getAvailableGenerators()).toEqual(['basic', 'cave', 'pillaredHall', 'dungeon']);
+    expect([1, 2, 3, 4, 5, 6, 7, 8].map(determineLevelType))
+      .toEqual(['basic', 'cave', 'pillaredHall', 'dungeon', 'basic', 'cave', 'pillaredHall', 'dungeon']);
+
+    const hall = getGeneratorMetadata('pillaredHall');
+    expect(hall).toMatchObject({ name: 'pillared hall', dimensions: { width: 56, height: 28 }, revealOnEntry: false });
+    expect(hall.introTemplates.length).toBeGreaterThan(0);
+    expect(hall.atmosphere.length).toBeGreaterThan(0);
+    expect(getGeneratorMetadata('basic').revealOnEntry).toBe(true);
+    expect(getGeneratorMetadata('basic').dominantFloor(1)).toBe('dirt');
+    expect(hall.dominantFloor(3)).toBeNull();
+  });
+
+  it('gives a registered chamber type its levels, turns in the rotation and map size', () => {
+    registerGenerator('crypt', flatRoom, { minLevel: 5, weight: 2, dimensions: { width: 30, height: 16 } });
+
+    // Levels 1-4 are unchanged; from level 5 the rotation is six long, two turns of them crypts
+    expect([1, 2, 3, 4].map(determineLevelType)).toEqual(['basic', 'cave', 'pillaredHall', 'dungeon']);
+    expect([5, 6, 11, 12].map(determineLevelType)).toEqual(['crypt', 'crypt', 'crypt', 'crypt']);
+    expect(determineLevelType(7)).toBe('basic');
+    expect(getLevelDimensions(5)).toEqual({ width: 30, height: 16 });
+    expect(new Level(5).type).toBe('crypt');
+    expect(getGeneratorMetadata('crypt')).toMatchObject({ name: 'crypt', maxLevel: Infinity, revealOnEntry: false });
+    expect(getGeneratorMetadata('crypt').introTemplates.length).toBeGreaterThan(0);
+  });
+
+  it('wraps plain tile maps and rejects unknown chamber types', () => {
+    registerGenerator('crypt', flatRoom, { minLevel: 5 });
+    const layout = generateLayout('crypt', 6, 4, 5);
+    expect(layout.rooms).toBeNull();
+    expect(layout.doors).toBeNull();
+    expect(layout.tileMap[5][3]).toBe(TileTypes.cobblestone);
+
+    expect(() => generateLayout('oubliette', 6, 4, 1)).toThrow(expect.objectContaining({ code: 'UNKNOWN_LEVEL_TYPE' }));
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, TileTypes, getAvailableGenerators;
+let validateLevel, measureLevel, runGeneratorStats, runAllGeneratorStats, formatGeneratorReport, findLevelsForGenerator;
+let getEligiblePrefabs, PREFABS, createDoor, createItemOnFloor;
+
+describe('Level generator validation', () => {
+  let sim = null;
+
+  // A stone chamber holding only a moss corridor from (2, 5) to (12, 5), with a pillar above it
+  async function createCorridor(seed) {
+    sim = await GameSimulation.create({ seed });
+    const { world } = sim;
+    buildArena(world, { floor: TileTypes.stone, player: { x: 2, y: 5 } });
+    for (let x = 2; x <= 12; x++) {
+      world.map[x][5] = TileTypes.moss;
+    }
+    world.map[6][4] = TileTypes.pillar;
+    world.storyObject = null;
+    world.portal.x = 12;
+    world.portal.y = 5;
+    return sim;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ TileTypes } = await import('../../src/tiles/tileTypes.js'));
+    ({ getAvailableGenerators } = await import('../../src/levels/generators/index.js'));
+    ({
+      validateLevel, measureLevel, runGeneratorStats, runAllGeneratorStats, formatGeneratorReport, findLevelsForGenerator
+    } = await import('../../src/systems/levelValidation.js'));
+    ({ getEligiblePrefabs } = await import('../../src/levels/prefabs.js'));
+    ({ PREFABS } = await import('../../src/content/prefabs.js'));
+    ({ createDoor } = await import('../../src/entities/door.js'));
+    ({ createItemOnFloor } = await import('../../src/entities/inventoryItems.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('generates only playable levels with every chamber type, on each of its first levels', async () => {
+    const reports = await runAllGeneratorStats({ seeds: 5, firstSeed: 2501, levelsPerGenerator: 3 });
+    expect([...new Set(reports.map(report => report.generator))]).toEqual(getAvailableGenerators());
+
+    for (const report of reports) {
+      expect(report.invalid).toEqual([]);
+      expect(findLevelsForGenerator(report.generator, 3)).toContain(report.levelNumber);
+      expect(report.stats.portalDistance.min).toBeGreaterThan(0);
+      expect(report.stats.unreachableFloor.max).toBeLessThan(0.05);
+      expect(report.stats.openAreaRatio.min).toBeGreaterThan(0.2);
+    }
+
+    // Every prefab is stamped into the sweep: each chamber type it belongs in is generated on a level it can appear on
+    for (const [id, prefab] of Object.entries(PREFABS)) {
+      for (const levelType of prefab.levelTypes ?? getAvailableGenerators()) {
+        const covered = reports.some(report => report.generator === levelType &&
+          getEligiblePrefabs(report.levelNumber, levelType).some(eligible => eligible.id === id));
+        expect(covered, `${id} in ${levelType}`).toBe(true);
+      }
+    }
+  });
+
+  it('flags a walled-off portal and a player spawned in stone', async () => {
+    const { world, player } = await createCorridor(2502);
+    expect(validateLevel(world)).toEqual([]);
+
+    world.map[11][5] = TileTypes.stone;
+    expect(validateLevel(world)).toEqual(['portal walled off at (12, 5)']);
+
+    world.map[2][5] = TileTypes.stone;
+    expect(validateLevel(world)).toEqual([`player spawned inside stone at (${player.x}, ${player.y})`]);
+  });
+
+  it('does not count a locked door as a way to the portal or the key', async () => {
+    const { world } = await createCorridor(2505);
+    const key = createItemOnFloor('silver_key', 4, 5, 1, 'silver_key_L1');
+    world.staticObjects.push(createDoor(world.map, 8, 5, 'locked', 1, 'vault'), key);
+    expect(validateLevel(world)).toEqual(['portal walled off at (12, 5)']);
+
+    // Loot behind the door is fine while its key can be reached
+    world.portal.x = 4;
+    world.staticObjects.push(createItemOnFloor('potion_of_venom', 10, 5, 1, 'potion_of_venom_L1_vault'));
+    expect(validateLevel(world)).toEqual([]);
+
+    key.x = 11;
+    expect(validateLevel(world)).toEqual([
+      'item_silver_key_L1 walled off at (11, 5)', 'item_potion_of_venom_L1_vault walled off at (10, 5)'
+    ]);
+
+    world.staticObjects.splice(world.staticObjects.indexOf(key), 1);
+    expect(validateLevel(world)).toEqual(['locked door at (8, 5) has no key', 'item_potion_of_venom_L1_vault walled off at (10, 5)']);
+  });
+
+  it('measures floor, distance, dead ends and pillars', async () => {
+    const { world } = await createCorridor(2503);
+    const interior = (world.MAP_WIDTH - 2) * (world.MAP_HEIGHT - 2);
+
+    // A pocket of floor the corridor does not reach
+    world.map[20][10] = TileTypes.dirt;
+    const measures = measureLevel(world);
+    expect(measures.portalDistance).toBe(10);
+    expect(measures.deadEnds).toBe(2);
+    expect(measures.unreachableFloor).toBeCloseTo(1 / 12);
+    expect(measures.openAreaRatio).toBeCloseTo(12 / interior);
+    expect(measures.pillarDensity).toBeCloseTo(1 / interior);
+
+    // Closed and locked doors are counted as ways through
+    world.map[7][5] = TileTypes.door_closed;
+    expect(measureLevel(world).portalDistance).toBe(10);
+  });
+
+  it('reports each generator on a line of its own, with the levels that failed', async () => {
+    const report = await runGeneratorStats('basic', { seeds: 2, firstSeed: 2504 });
+    report.invalid.push({ seed: 7, problems: ['portal walled off at (3, 3)'] });
+
+    const lines = formatGeneratorReport([report]).split('\n');
+    expect(lines[0]).toMatch(/^generator\s+level\s+runs\s+invalid\s+unreachable floor/);
+    expect(lines[1]).toMatch(/^basic\s+1\s+2\s+1\s+0\.0%/);
+    expect(lines[2]).toBe('basic level 1 seed 7: portal walled off at (3, 3)');
+  });
+});
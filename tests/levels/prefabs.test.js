@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, TileTypes, isTilePassable, setRunSeed;
+let parsePrefab, placePrefab, placeAllEntities, loadLevelIntoWorld, findReachableTiles, PREFABS;
+
+describe('Prefab set pieces', () => {
+  let sim = null;
+
+  // Open moss chamber with a stone border
+  function openChamber(width, height) {
+    const map = {};
+    for (let x = 0; x < width; x++) {
+      map[x] = {};
+      for (let y = 0; y < height; y++) {
+        const border = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+        map[x][y] = border ? TileTypes.stone : TileTypes.moss;
+      }
+    }
+    return map;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ TileTypes, isTilePassable } = await import('../../src/tiles/tileTypes.js'));
+    ({ setRunSeed } = await import('../../src/systems/rng.js'));
+    ({ parsePrefab, placePrefab } = await import('../../src/levels/prefabs.js'));
+    ({ placeAllEntities } = await import('../../src/levels/entityPlacement.js'));
+    ({ loadLevelIntoWorld } = await import('../../src/levels/levelLoader.js'));
+    ({ findReachableTiles } = await import('../../src/levels/pathfinding.js'));
+    ({ PREFABS } = await import('../../src/content/prefabs.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('reads blueprints through their legend and rejects malformed ones', () => {
+    const shrine = parsePrefab('flooded_shrine', PREFABS.flooded_shrine);
+    expect(shrine).toMatchObject({ width: 11, height: 7, title: 'flooded shrine' });
+    expect(shrine.cells.filter(cell => cell.spawn === 'storyObject')).toHaveLength(1);
+    expect(shrine.cells.filter(cell => cell.light)).toHaveLength(1);
+    // Spaces keep the chamber's tile, so they are not cells
+    expect(parsePrefab('barrow', PREFABS.barrow).cells).toHaveLength(45 - 4);
+
+    const legend = { '.': { tile: 'dirt' }, '~': { tile: 'water' }, S: { tile: 'dirt', spawn: 'storyObject' } };
+    const broken = [
+      { blueprint: ['...', '..'], legend },
+      { blueprint: ['.x.'], legend },
+      { blueprint: ['.'], legend: { '.': { tile: 'lava' } } },
+      { blueprint: ['.~.'], legend: { ...legend, '~': { tile: 'water', spawn: 'item', item: 'health_potion' } } },
+      { blueprint: ['S.S'], legend },
+      { blueprint: ['.m.'], legend: { ...legend, m: { tile: 'dirt', spawn: 'monster', monster: 'dragon' } } },
+      { blueprint: ['.!.'], legend: { ...legend, '!': { tile: 'dirt', spawn: 'item', item: 'elixir' } } }
+    ];
+    for (const prefab of broken) {
+      expect(() => parsePrefab('broken', prefab)).toThrow(expect.objectContaining({ code: 'INVALID_PREFAB' }));
+    }
+  });
+
+  it('stamps each prefab as drawn, with its floor reachable from the player', () => {
+    const player = { x: 20, y: 25 };
+    const seen = new Set();
+    for (let seed = 1; seed <= 60 && seen.size < Object.keys(PREFABS).length; seed++) {
+      const map = openChamber(56, 28);
+      ROT.RNG.setSeed(seed);
+      const placed = placePrefab(map, 56, 28, player, 3, 'cave', []);
+      if (!placed) {
+        continue;
+      }
+      seen.add(placed.id);
+
+      const { cells } = parsePrefab(placed.id, PREFABS[placed.id]);
+      const reachable = findReachableTiles(map, 56, 28, player.x, player.y);
+      for (const { dx, dy, tile } of cells) {
+        const x = placed.left + dx;
+        const y = placed.top + dy;
+        expect(map[x][y]).toBe(tile);
+        expect(isTilePassable(tile) ? reachable.has(`${x},${y}`) : true).toBe(true);
+      }
+      for (const spawn of [placed.storyPosition, ...placed.monsters, ...placed.items].filter(Boolean)) {
+        expect(reachable.has(`${spawn.x},${spawn.y}`)).toBe(true);
+      }
+      expect(placed.lights.length).toBe(cells.filter(cell => cell.light).length);
+    }
+    expect([...seen].sort()).toEqual(Object.keys(PREFABS).sort());
+  });
+
+  it('leaves a chamber alone rather than cut it in two', () => {
+    // A corridor three tiles high, too narrow to wall off with any prefab and keep both ends joined
+    const map = openChamber(56, 28);
+    for (let x = 1; x < 55; x++) {
+      for (let y = 1; y < 27; y++) {
+        map[x][y] = y >= 12 && y <= 14 ? TileTypes.moss : TileTypes.stone;
+      }
+    }
+    const player = { x: 1, y: 13 };
+    const before = JSON.stringify(map);
+    for (let seed = 1; seed <= 20; seed++) {
+      ROT.RNG.setSeed(seed);
+      const placed = placePrefab(map, 56, 28, player, 3, 'cave', []);
+      if (placed) {
+        expect(findReachableTiles(map, 56, 28, player.x, player.y).has('54,13')).toBe(true);
+      } else {
+        expect(JSON.stringify(map)).toBe(before);
+      }
+    }
+  });
+
+  it('puts the story object, monsters and items on the spots the prefab marks', async () => {
+    sim = await GameSimulation.create({ seed: 2401 });
+    const { world, player } = sim;
+    const at = ({ x, y }) => entity => entity.x === x && entity.y === y;
+    // Level 5 is a basic chamber, where both the altar and the barrow can appear
+    const seen = new Set();
+    for (let seed = 2401; seed < 2500 && seen.size < 2; seed++) {
+      setRunSeed(seed);
+      player.setPosition(20, 25);
+      const { prefab, storyObject, monsters, staticObjects } = await placeAllEntities(openChamber(56, 28), 56, 28, player, 5, world);
+      if (!prefab) {
+        continue;
+      }
+      seen.add(prefab.id);
+
+      if (prefab.storyPosition) {
+        expect(storyObject).toMatchObject(prefab.storyPosition);
+      }
+      for (const spawn of prefab.monsters) {
+        expect(monsters.find(at(spawn)).typeId).toBe(spawn.type);
+      }
+      for (const spawn of prefab.items) {
+        expect(staticObjects.find(at(spawn)).item.itemId).toBe(spawn.itemId);
+      }
+    }
+    expect([...seen].sort()).toEqual(['barrow', 'torchlit_altar']);
+  });
+
+  it('lights the chamber with the prefab\'s light sources', async () => {
+    // Seeds are tried until level 2 (a cave) gets its shrine or altar
+    for (let seed = 2410; seed < 2440; seed++) {
+      sim = await GameSimulation.create({ seed });
+      const { world } = sim;
+      const { prefab } = await loadLevelIntoWorld(world, 2);
+      if (prefab) {
+        const lights = world.getCurrentLevelInstance().getLightSources();
+        for (const light of prefab.lights) {
+          expect(lights).toContainEqual(light);
+        }
+        return;
+      }
+      sim.dispose();
+      sim = null;
+    }
+    throw new Error('No seed placed a prefab on level 2');
+  });
+});
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Level Generator Statistics
+ *
+ * Generates every registered chamber type over a run of seeds, on each of the first
+ * few levels it is used on, and prints how each measures up (unreachable floor, portal distance, open area, dead ends, pillars),
+ * followed by any level that failed validation. Exits non-zero if one did.
+ *
+ * Usage:
+ *   npm run generator-stats
+ *   node tests/levels/runGeneratorStats.js [seeds] [firstSeed] [levelsPerGenerator]
+ */
+
+import * as ROT from 'rot-js';
+
+// The game modules expect the rot.js global
+globalThis.ROT = ROT;
+
+const { runAllGeneratorStats, formatGeneratorReport } = await import('../../src/systems/levelValidation.js');
+
+const seeds = Number(process.argv[2]) || 20;
+const firstSeed = Number(process.argv[3]) || 1;
+const levelsPerGenerator = Number(process.argv[4]) || 3;
+
+console.log(`Generating ${seeds} levels per generator and level from seed ${firstSeed}, on ${levelsPerGenerator} levels each...\n`);
+const reports = await runAllGeneratorStats({ seeds, firstSeed, levelsPerGenerator });
+console.log(formatGeneratorReport(reports));
+
+if (reports.some(report => report.invalid.length > 0)) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import * as ROT from 'rot-js';
+
+let setRunSeed, normalizeSeed, getLevelSeed, createCompleteTileMap;
+
+// Serialize a tile map into a comparable string of tile chars
+function mapSignature(map, width, height) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let row = '';
+    for (let x = 0; x < width; x++) {
+      row += map[x][y].char;
+    }
+    rows.push(row);
+  }
+  return rows.join('\n');
+}
+
+describe('Seeded level generation', () => {
+  const WIDTH = 40;
+  const HEIGHT = 20;
+
+  beforeAll(async () => {
+    // Generators use the global ROT the renderer provides
+    globalThis.ROT = ROT;
+    ({ setRunSeed, normalizeSeed, getLevelSeed } = await import('../../src/systems/rng.js'));
+    ({ createCompleteTileMap } = await import('../../src/levels/tileGeneration.js'));
+  });
+
+  it('normalizes numeric and text seeds', () => {
+    expect(normalizeSeed('12345')).toBe(12345);
+    expect(normalizeSeed(' 12345 ')).toBe(12345);
+    expect(normalizeSeed('cellar')).toBe(normalizeSeed('cellar'));
+    expect(normalizeSeed('cellar')).not.toBe(normalizeSeed('attic'));
+    expect(normalizeSeed('')).toBeNull();
+    expect(normalizeSeed(null)).toBeNull();
+  });
+
+  it('derives distinct streams per level and per run', () => {
+    setRunSeed(42);
+    const levelOne = getLevelSeed(1, 'layout');
+    expect(getLevelSeed(2, 'layout')).not.toBe(levelOne);
+    expect(getLevelSeed(1, 'monsters')).not.toBe(levelOne);
+
+    setRunSeed(43);
+    expect(getLevelSeed(1, 'layout')).not.toBe(levelOne);
+  });
+
+  // Levels 1-4 cover basic, cave, pillared hall and dungeon generators
+  [1, 2, 3, 4].forEach(levelNumber => {
+    it(`regenerates level ${levelNumber} identically from the same run seed`, () => {
+      setRunSeed(9001);
+      const first = mapSignature(createCompleteTileMap(WIDTH, HEIGHT, levelNumber).map, WIDTH, HEIGHT);
+
+      // Burn some RNG between runs to prove the level does not depend on prior state
+      for (let i = 0; i < 50; i++) ROT.RNG.getUniform();
+
+      setRunSeed(9001);
+      const second = mapSignature(createCompleteTileMap(WIDTH, HEIGHT, levelNumber).map, WIDTH, HEIGHT);
+
+      expect(second).toBe(first);
+    });
+  });
+
+  it('produces different caves for different run seeds', () => {
+    setRunSeed(1);
+    const first = mapSignature(createCompleteTileMap(WIDTH, HEIGHT, 2).map, WIDTH, HEIGHT);
+    setRunSeed(2);
+    const second = mapSignature(createCompleteTileMap(WIDTH, HEIGHT, 2).map, WIDTH, HEIGHT);
+
+    expect(second).not.toBe(first);
+  });
+});
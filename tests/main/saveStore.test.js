@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, rm, writeFile, readFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SaveStore } from '../../src/main/saves/SaveStore.js';
+
+function makeSave(chamber, savedAt) {
+  return {
+    meta: { name: `Chamber ${chamber}`, chamber, turn: chamber * 10, hp: 7, maxHp: 10, artifacts: 1, savedAt },
+    state: { currentLevel: chamber, player: { x: 1, y: 1 } }
+  };
+}
+
+describe('SaveStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'rogue-saves-'));
+    store = new SaveStore(join(dir, 'saves'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes, reads and lists slots newest first', async () => {
+    await store.write('slot-a', makeSave(2, '2025-01-01T00:00:00.000Z'));
+    await store.write('slot-b', makeSave(5, '2025-02-01T00:00:00.000Z'));
+
+    const slots = await store.list();
+    expect(slots.map(slot => slot.slotId)).toEqual(['slot-b', 'slot-a']);
+    expect(slots[0]).toMatchObject({ chamber: 5, turn: 50, hp: 7, maxHp: 10, artifacts: 1 });
+
+    const save = await store.read('slot-a');
+    expect(save.meta.slotId).toBe('slot-a');
+    expect(save.state.currentLevel).toBe(2);
+  });
+
+  it('overwrites a slot in place without leaving temp files', async () => {
+    await store.write('quicksave', makeSave(1, '2025-01-01T00:00:00.000Z'));
+    await store.write('quicksave', makeSave(3, '2025-01-02T00:00:00.000Z'));
+
+    expect((await store.read('quicksave')).meta.chamber).toBe(3);
+    expect(await readdir(join(dir, 'saves'))).toEqual(['quicksave.json']);
+  });
+
+  it('returns null for empty slots and deletes slots', async () => {
+    expect(await store.read('missing')).toBeNull();
+
+    await store.write('slot-a', makeSave(1, '2025-01-01T00:00:00.000Z'));
+    await store.delete('slot-a');
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('lists unreadable files as corrupt instead of failing', async () => {
+    await store.write('good', makeSave(1, '2025-01-01T00:00:00.000Z'));
+    await writeFile(join(dir, 'saves', 'broken.json'), '{ not json', 'utf8');
+
+    const slots = await store.list();
+    expect(slots).toContainEqual({ slotId: 'broken', corrupt: true });
+    expect(slots.find(slot => slot.slotId === 'good').chamber).toBe(1);
+  });
+
+  it('flags unparseable slots as SAVE_CORRUPT when read', async () => {
+    await mkdir(join(dir, 'saves'), { recursive: true });
+    await writeFile(join(dir, 'saves', 'broken.json'), '{ not json', 'utf8');
+
+    await expect(store.read('broken')).rejects.toMatchObject({ code: 'SAVE_CORRUPT' });
+  });
+
+  it('moves quarantined slots out of the list and records the reason', async () => {
+    await store.write('bad', makeSave(1, '2025-01-01T00:00:00.000Z'));
+
+    const quarantinedPath = await store.quarantine('bad', 'Save is invalid: map must be a non-empty object of columns');
+    expect(await store.list()).toEqual([]);
+    expect(await store.read('bad')).toBeNull();
+
+    const files = await readdir(join(dir, 'saves', 'quarantine'));
+    expect(files).toHaveLength(2);
+    expect(quarantinedPath.endsWith('.json')).toBe(true);
+    const reason = await readFile(`${quarantinedPath}.reason.txt`, 'utf8');
+    expect(reason).toContain('map must be a non-empty object');
+
+    expect(await store.quarantine('bad', 'again')).toBeNull();
+  });
+
+  it('rejects slot ids that could escape the saves directory', async () => {
+    await expect(store.write('../evil', makeSave(1, 'x'))).rejects.toThrow(/Invalid save slot id/);
+    await expect(store.read('a/b')).rejects.toThrow(/Invalid save slot id/);
+  });
+
+  it('rejects saves without meta and state', async () => {
+    await expect(store.write('slot-a', { state: {} })).rejects.toThrow(/meta and state/);
+  });
+});
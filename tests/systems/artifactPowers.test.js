@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, MonsterFactory, InvokeArtifactAction, createActionFromData;
+let chooseArtifactMechanic, getRechargeTurns, addToInventory, findInventoryItem, ARTIFACT_MECHANICS;
+
+describe('Artifact powers', () => {
+  let sim = null;
+
+  // Open moss floor with no monsters, the player at (6, 5)
+  async function createRoom(seed) {
+    sim = await GameSimulation.create({ seed });
+    buildArena(sim.world);
+    return sim;
+  }
+
+  function addArtifact(mechanic) {
+    return addToInventory({ id: 'artifact_L1', type: 'artifact', title: 'Lantern of Ash', description: 'Still warm.', mechanic });
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ InvokeArtifactAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ chooseArtifactMechanic, getRechargeTurns } = await import('../../src/systems/artifactPowers.js'));
+    ({ addToInventory, findInventoryItem } = await import('../../src/systems/gameState.js'));
+    ({ ARTIFACT_MECHANICS } = await import('../../src/content/artifacts.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('derives the power from the artifact traits', () => {
+    expect(chooseArtifactMechanic({ power: 'It drinks heat and exhales frost' })).toBe('frost');
+    expect(chooseArtifactMechanic({ power: 'Shows you a path', weirdnessHint: 'hums softly' })).toBe('glow');
+    expect(chooseArtifactMechanic({ power: 'Nothing obvious', weirdnessHint: 'Tolls like a bell' })).toBe('tremor');
+
+    // Traits that match nothing still give every artifact a power, the same one each time
+    const traits = { power: 'Nothing obvious', weirdnessHint: 'Nothing odd', seedStr: 'seed-1-2-3' };
+    expect(Object.keys(ARTIFACT_MECHANICS)).toContain(chooseArtifactMechanic(traits));
+    expect(chooseArtifactMechanic(traits)).toBe(chooseArtifactMechanic({ ...traits }));
+  });
+
+  it('applies passive powers while the artifact is carried', async () => {
+    const { player } = await createRoom(1801);
+    const before = player.getEffectiveStats();
+    const radius = player.getVisionRadius();
+
+    addToInventory({ id: 'artifact_L1', type: 'artifact', title: 'Lantern of Ash', description: 'Still warm.', mechanic: 'glow' });
+    addToInventory({ id: 'artifact_L2', type: 'artifact', title: 'Grey Ward', description: 'Heavy.', mechanic: 'ward' });
+
+    expect(player.getVisionRadius()).toBe(radius + 1);
+    expect(player.getEffectiveStats().def).toBe(before.def + 1);
+    expect(player.getEffectiveStats()).not.toHaveProperty('visionRadius');
+  });
+
+  it('slows nearby foes when invoked, then needs to recharge', async () => {
+    const { world, player } = await createRoom(1802);
+    addArtifact('frost');
+    const near = MonsterFactory.create('zombie', 8, 5);
+    const far = MonsterFactory.create('zombie', 12, 5);
+    world.monsters.push(near, far);
+
+    expect(await sim.step(new InvokeArtifactAction('artifact_L1'))).toBe(true);
+    expect(near.statusEffects.has('slow')).toBe(true);
+    expect(far.statusEffects.has('slow')).toBe(false);
+    expect(player.statusEffects.has('slow')).toBe(false);
+    expect(sim.messages).toContain('You invoke the Lantern of Ash (Frost Aura).');
+
+    const recharge = getRechargeTurns(findInventoryItem('artifact_L1'));
+    expect(recharge).toBeGreaterThan(0);
+    expect(recharge).toBeLessThanOrEqual(ARTIFACT_MECHANICS.frost.cooldown);
+    expect(new InvokeArtifactAction('artifact_L1').perform(world)).toBe(false);
+    expect(sim.messages).toContain(`The Lantern of Ash is still dormant (${recharge} more turns).`);
+  });
+
+  it('reveals the chamber layout, and does nothing for passive powers', async () => {
+    const { world } = await createRoom(1803);
+    addArtifact('cartography');
+    const level = world.getCurrentLevelInstance();
+
+    expect(new InvokeArtifactAction('artifact_L1').perform(world)).toBe(true);
+    expect(level.seenTiles.size).toBe(world.MAP_WIDTH * world.MAP_HEIGHT);
+
+    findInventoryItem('artifact_L1').mechanic = 'ward';
+    expect(new InvokeArtifactAction('artifact_L1').perform(world)).toBe(false);
+    expect(sim.messages).toContain('Nothing happens when you hold up the Lantern of Ash.');
+  });
+
+  it('records invocations for replay', () => {
+    expect(createActionFromData(new InvokeArtifactAction('artifact_L3').serialize())).toMatchObject({ itemId: 'artifact_L3' });
+  });
+});
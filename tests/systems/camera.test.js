@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { VIEWPORT_WIDTH, VIEWPORT_HEIGHT, getCameraOffset } from '../../src/systems/camera.js';
+
+describe('Viewport camera', () => {
+  it('centres on the player inside a large map', () => {
+    expect(getCameraOffset({ x: 32, y: 16 }, 64, 32)).toEqual({ x: 32 - VIEWPORT_WIDTH / 2, y: 16 - VIEWPORT_HEIGHT / 2 });
+  });
+
+  it('clamps at the map edges', () => {
+    expect(getCameraOffset({ x: 1, y: 1 }, 64, 32)).toEqual({ x: 0, y: 0 });
+    expect(getCameraOffset({ x: 62, y: 30 }, 64, 32)).toEqual({ x: 64 - VIEWPORT_WIDTH, y: 32 - VIEWPORT_HEIGHT });
+  });
+
+  it('keeps a map that fits the viewport still, centring smaller ones', () => {
+    expect(getCameraOffset({ x: 35, y: 18 }, VIEWPORT_WIDTH, VIEWPORT_HEIGHT)).toEqual({ x: 0, y: 0 });
+    expect(getCameraOffset({ x: 5, y: 5 }, 30, 14)).toEqual({ x: -5, y: -3 });
+  });
+
+  it('scrolls one axis while the other fits', () => {
+    expect(getCameraOffset({ x: 50, y: 10 }, 80, 20, 40, 20)).toEqual({ x: 30, y: 0 });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, MonsterFactory, Player, LevelUpAction, createActionFromData, Events;
+let getXpForLevel, getLevelForXp, getMonsterXp;
+
+describe('Experience and level-ups', () => {
+  let sim = null;
+
+  function killMonster(world, typeId) {
+    const monster = MonsterFactory.create(typeId, 2, 2);
+    world.monsters.push(monster);
+    world.kill(monster);
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ Player } = await import('../../src/entities/player.js'));
+    ({ LevelUpAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ Events } = await import('../../src/systems/eventBus.js'));
+    ({ getXpForLevel, getLevelForXp, getMonsterXp } = await import('../../src/systems/experience.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('raises the XP needed for each level', () => {
+    expect([1, 2, 3, 4, 5].map(getXpForLevel)).toEqual([0, 10, 30, 60, 100]);
+    expect(getLevelForXp(0)).toBe(1);
+    expect(getLevelForXp(9)).toBe(1);
+    expect(getLevelForXp(10)).toBe(2);
+    expect(getLevelForXp(65)).toBe(4);
+    expect(getMonsterXp('zombie')).toBe(4);
+    expect(getMonsterXp('unknown')).toBe(0);
+  });
+
+  it('awards the XP of each monster killed and offers a level-up choice', async () => {
+    sim = await GameSimulation.create({ seed: 1501 });
+    const { world, player } = sim;
+    const offers = [];
+    sim.messageBus.on(Events.UI_LEVEL_UP_OPEN, payload => offers.push(payload));
+
+    killMonster(world, 'zombie');
+    killMonster(world, 'chaser');
+    expect(player).toMatchObject({ xp: 7, characterLevel: 1, pendingLevelUps: 0 });
+    expect(offers).toEqual([]);
+
+    killMonster(world, 'zombie');
+    expect(player).toMatchObject({ xp: 11, characterLevel: 2, pendingLevelUps: 1 });
+    expect(player.getXpToNextLevel()).toBe(19);
+    expect(offers).toEqual([{ level: 2, pending: 1 }]);
+    expect(sim.messages).toContain('You are now level 2! Choose how to grow (L).');
+  });
+
+  it('spends level-ups on the chosen stat through a replayable action', async () => {
+    sim = await GameSimulation.create({ seed: 1502 });
+    const { world, player } = sim;
+    const { maxHp, pow } = player.stats;
+
+    expect(new LevelUpAction('power').perform(world)).toBe(false);
+    expect(player.stats.pow).toBe(pow);
+
+    player.gainXp(getXpForLevel(3));
+    expect(player.pendingLevelUps).toBe(2);
+    new LevelUpAction('power').perform(world);
+    new LevelUpAction('vitality').perform(world);
+    expect(player.stats).toMatchObject({ pow: pow + 1, maxHp: maxHp + 3 });
+    expect(player.pendingLevelUps).toBe(0);
+
+    const replayed = createActionFromData(new LevelUpAction('vision').serialize());
+    expect(replayed).toBeInstanceOf(LevelUpAction);
+    expect(replayed.choice).toBe('vision');
+  });
+
+  it('keeps experience in saves and clears it for a new run', () => {
+    const player = new Player(1, 1);
+    player.gainXp(35);
+    player.applyLevelUp('defense');
+
+    const restored = new Player(0, 0);
+    restored.deserialize(player.serialize());
+    expect(restored).toMatchObject({ xp: 35, characterLevel: 3, pendingLevelUps: 1 });
+    expect(restored.stats.def).toBe(player.stats.def);
+
+    restored.resetForNewRun();
+    expect(restored).toMatchObject({ xp: 0, characterLevel: 1, pendingLevelUps: 0 });
+    expect(restored.stats.def).toBe(new Player(0, 0).stats.def);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, MonsterFactory, QuaffAction, ReadAction, PickupAction, createActionFromData;
+let createIdentificationTable, ensureIdentificationTable, describeUnidentifiedItems, isIdentified;
+let addToInventory, findInventoryItem, getIdentificationTable, serializeGameState, deserializeGameState;
+let createFloorItems, setRunSeed, ITEMS;
+
+describe('Item identification', () => {
+  let sim = null;
+
+  // Open moss floor with no monsters or items, the player at (6, 5)
+  async function createRoom(seed, options = {}) {
+    sim = await GameSimulation.create({ seed, ...options });
+    buildArena(sim.world);
+    return sim;
+  }
+
+  function carry(itemId, quantity = 1) {
+    const { title, description } = ITEMS[itemId];
+    return addToInventory({ type: 'consumable', itemId, title, description, quantity });
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ QuaffAction, ReadAction, PickupAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ createIdentificationTable, ensureIdentificationTable, describeUnidentifiedItems, isIdentified } = await import('../../src/systems/identification.js'));
+    ({ addToInventory, findInventoryItem, getIdentificationTable, serializeGameState, deserializeGameState } = await import('../../src/systems/gameState.js'));
+    ({ createFloorItems } = await import('../../src/entities/inventoryItems.js'));
+    ({ setRunSeed } = await import('../../src/systems/rng.js'));
+    ({ ITEMS } = await import('../../src/content/items.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('deals every unidentified kind its own appearance, the same for the same seed', () => {
+    setRunSeed(1901);
+    const table = createIdentificationTable();
+    const unidentified = Object.keys(ITEMS).filter(itemId => ITEMS[itemId].unidentified);
+
+    expect(Object.keys(table).sort()).toEqual(unidentified.sort());
+    expect(new Set(Object.values(table).map(entry => entry.title)).size).toBe(unidentified.length);
+    expect(table.health_potion).toBeUndefined();
+    expect(table.potion_of_venom.title).toMatch(/ Potion$/);
+    expect(table.scroll_of_mapping.title).toMatch(/^Scroll Labelled "[A-Z]+ [A-Z]+"$/);
+    expect(Object.values(table).every(entry => entry.known === false)).toBe(true);
+
+    setRunSeed(1901);
+    expect(createIdentificationTable()).toEqual(table);
+  });
+
+  it('carries unidentified items under their appearance until one is drunk', async () => {
+    const { world, player } = await createRoom(1902);
+    ensureIdentificationTable();
+    const { title: appearance } = getIdentificationTable().potion_of_mending;
+
+    world.staticObjects.push(...createFloorItems(world.map, world.MAP_WIDTH, world.MAP_HEIGHT, player, [], 1, 1));
+    const floorItem = world.staticObjects[0];
+    floorItem.item = { ...floorItem.item, itemId: 'potion_of_mending', title: ITEMS.potion_of_mending.title };
+    player.setPosition(floorItem.x, floorItem.y);
+    expect(new PickupAction().perform(world)).toBe(true);
+    carry('potion_of_mending');
+
+    const stack = findInventoryItem('potion_of_mending');
+    expect(stack).toMatchObject({ title: appearance, quantity: 2 });
+    expect(isIdentified(stack)).toBe(false);
+
+    expect(await sim.step(new QuaffAction('potion_of_mending'))).toBe(true);
+    expect(player.statusEffects.has('regeneration')).toBe(true);
+    expect(sim.messages).toContain(`You drink the ${appearance.toLowerCase()}.`);
+    expect(sim.messages).toContain(`The ${appearance} is a Potion of Mending.`);
+    expect(findInventoryItem('potion_of_mending')).toMatchObject({ title: 'Potion of Mending', quantity: 1 });
+  });
+
+  it('reads scrolls: identify names another carried kind, thunder stuns what is near', async () => {
+    const { world } = await createRoom(1903);
+    ensureIdentificationTable();
+    carry('scroll_of_identify', 2);
+    carry('potion_of_venom');
+    const venom = getIdentificationTable().potion_of_venom.title;
+
+    expect(new ReadAction('scroll_of_identify').perform(world)).toBe(true);
+    expect(sim.messages).toContain(`The ${venom} is a Potion of Venom.`);
+    expect(isIdentified({ itemId: 'scroll_of_identify' })).toBe(true);
+    expect(findInventoryItem('potion_of_venom').title).toBe('Potion of Venom');
+
+    expect(new ReadAction('scroll_of_identify').perform(world)).toBe(true);
+    expect(sim.messages).toContain('You already know everything you carry.');
+
+    carry('scroll_of_thunder');
+    const monster = MonsterFactory.create('zombie', 8, 5);
+    world.monsters.push(monster);
+    expect(new ReadAction('scroll_of_thunder').perform(world)).toBe(true);
+    expect(monster.statusEffects.has('stun')).toBe(true);
+
+    expect(new ReadAction('potion_of_venom').perform(world)).toBe(false);
+    expect(sim.messages).toContain("You can't read that.");
+    expect(createActionFromData(new ReadAction('scroll_of_mapping').serialize())).toMatchObject({ itemId: 'scroll_of_mapping' });
+  });
+
+  it('keeps the table in the saved game state', async () => {
+    await createRoom(1904);
+    ensureIdentificationTable();
+    const saved = serializeGameState();
+    const table = JSON.parse(JSON.stringify(saved.identification));
+
+    getIdentificationTable().potion_of_clarity.known = true;
+    expect(saved.identification.potion_of_clarity.known).toBe(false);
+
+    deserializeGameState(saved);
+    expect(getIdentificationTable()).toEqual(table);
+  });
+
+  it('takes names and descriptions from the LLM, keeping fallbacks it cannot use', async () => {
+    const llm = async ({ mode, prompt }) => {
+      if (mode !== 'unidentifiedItem') {
+        return { title: 'Stub Relic', placement: 'It rests here.', effect: 'It does nothing.' };
+      }
+      if (prompt.includes('<kind>scroll</kind>')) {
+        return { name: 'A scroll far too long to fit on any inventory line at all', description: 'It rustles. '.repeat(20) };
+      }
+      return { name: `wet ${prompt.match(/<appearance>(.*)<\/appearance>/)[1]} potion`, description: '  It\n  hums. ' };
+    };
+    await createRoom(1905, { llm });
+    const fallback = createIdentificationTable();
+
+    await describeUnidentifiedItems();
+    const table = getIdentificationTable();
+    expect(table.potion_of_venom).toMatchObject({ title: `Wet ${fallback.potion_of_venom.title}`, description: 'It hums.' });
+    expect(table.scroll_of_mapping).toMatchObject({ title: fallback.scroll_of_mapping.title, description: fallback.scroll_of_mapping.description });
+  });
+
+  it('throws LLM text away once another run has taken over, even one with the same seed', async () => {
+    let snapshot = null;
+    const llm = async ({ mode }) => {
+      if (mode !== 'unidentifiedItem') {
+        return { title: 'Stub Relic', placement: 'It rests here.', effect: 'It does nothing.' };
+      }
+      deserializeGameState(snapshot);
+      return { name: 'late potion', description: 'It arrives too late.' };
+    };
+    await createRoom(1906, { llm });
+    snapshot = serializeGameState();
+
+    await describeUnidentifiedItems();
+    expect(getIdentificationTable()).toEqual(snapshot.identification);
+  });
+});
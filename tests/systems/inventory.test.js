@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, MonsterFactory, TileTypes;
+let QuaffAction, DropAction, ThrowAction, ExamineItemAction, EquipAction, PickupAction, createActionFromData;
+let addToInventory, getInventory, findInventoryItem, removeFromInventory, ITEMS;
+
+describe('Inventory items', () => {
+  let sim = null;
+
+  // Open moss floor with no monsters, the player at (6, 5)
+  async function createRoom(seed) {
+    sim = await GameSimulation.create({ seed });
+    buildArena(sim.world);
+    return sim;
+  }
+
+  function addPotions(count) {
+    const { title, description } = ITEMS.health_potion;
+    return addToInventory({ type: 'consumable', itemId: 'health_potion', title, description, quantity: count });
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ TileTypes } = await import('../../src/tiles/tileTypes.js'));
+    ({ QuaffAction, DropAction, ThrowAction, ExamineItemAction, EquipAction, PickupAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ addToInventory, getInventory, findInventoryItem, removeFromInventory } = await import('../../src/systems/gameState.js'));
+    ({ ITEMS } = await import('../../src/content/items.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('stacks potions picked up instead of drinking them', async () => {
+    const { world, player } = await createRoom(1701);
+    world.staticObjects.push(
+      { id: 'health_potion_L1_0', type: 'health_potion', title: 'Health Potion', description: 'Red.', x: 6, y: 5, pickedUp: false, levelNumber: 1, underTile: TileTypes.moss },
+      { id: 'health_potion_L1_1', type: 'health_potion', title: 'Health Potion', description: 'Red.', x: 7, y: 5, pickedUp: false, levelNumber: 1, underTile: TileTypes.moss }
+    );
+    player.stats.hp = 3;
+
+    expect(new PickupAction().perform(world)).toBe(true);
+    player.setPosition(7, 5);
+    expect(new PickupAction().perform(world)).toBe(true);
+
+    expect(player.stats.hp).toBe(3);
+    expect(getInventory().filter(item => item.itemId === 'health_potion')).toEqual([
+      expect.objectContaining({ id: 'health_potion', quantity: 2 })
+    ]);
+    expect(sim.messages).toContain('You pick up a health potion (2 carried).');
+  });
+
+  it('drinks one potion from the stack as a turn of its own', async () => {
+    const { world, player } = await createRoom(1702);
+    addPotions(2);
+    player.stats.hp = 3;
+    const turn = sim.getTurn();
+
+    expect(await sim.step(new QuaffAction('health_potion'))).toBe(true);
+    expect(sim.getTurn()).toBeGreaterThan(turn);
+    expect(player.stats.hp).toBe(Math.min(player.stats.maxHp, 3 + ITEMS.health_potion.quaff.heal));
+    expect(findInventoryItem('health_potion').quantity).toBe(1);
+
+    player.stats.hp = player.stats.maxHp;
+    expect(new QuaffAction('health_potion').perform(world)).toBe(true);
+    expect(sim.messages).toContain('You drink the health potion, but feel no different.');
+    expect(findInventoryItem('health_potion')).toBeNull();
+
+    addToInventory({ id: 'artifact_L1', type: 'artifact', title: 'Lantern of Ash', description: 'Still warm.' });
+    expect(new QuaffAction('artifact_L1').perform(world)).toBe(false);
+    expect(sim.messages).toContain("You can't drink that.");
+  });
+
+  it('drops items where the player stands and picks them up again', async () => {
+    const { world, player } = await createRoom(1703);
+    addPotions(3);
+    addToInventory({ id: 'short_spear_L1_0', type: 'equipment', itemId: 'short_spear', title: 'Short Spear', description: 'Ash.' });
+
+    expect(new DropAction('health_potion').perform(world)).toBe(true);
+    expect(findInventoryItem('health_potion').quantity).toBe(2);
+    const dropped = world.staticObjects.find(obj => obj.type === 'dropped_item');
+    expect(dropped).toMatchObject({ x: 6, y: 5, symbol: '!', item: { itemId: 'health_potion', quantity: 1 } });
+
+    new EquipAction('short_spear_L1_0').perform(world);
+    expect(new DropAction('short_spear_L1_0').perform(world)).toBe(false);
+    expect(sim.messages).toContain('You must take off the Short Spear first.');
+
+    expect(new PickupAction().perform(world)).toBe(true);
+    expect(dropped.pickedUp).toBe(true);
+    expect(findInventoryItem('health_potion').quantity).toBe(3);
+  });
+
+  it('throws items: potions shatter, anything else lands where it stopped', async () => {
+    const { world, player } = await createRoom(1704);
+    addPotions(1);
+    addToInventory({ id: 'iron_shield_L1_0', type: 'equipment', itemId: 'iron_shield', title: 'Iron Shield', description: 'Dented.' });
+    const daggers = player.throwingDaggers;
+
+    expect(new ThrowAction(9, 5, 'health_potion').perform(world)).toBe(true);
+    expect(findInventoryItem('health_potion')).toBeNull();
+    expect(sim.messages).toContain('The health potion shatters.');
+
+    const monster = MonsterFactory.create('zombie', 8, 5);
+    monster.stats.maxHp = monster.stats.hp = 50;
+    world.monsters.push(monster);
+    expect(new ThrowAction(9, 5, 'iron_shield_L1_0').perform(world)).toBe(true);
+    expect(findInventoryItem('iron_shield_L1_0')).toBeNull();
+    // Under the zombie if it hit, on the next tile if it missed
+    const restX = monster.stats.hp < 50 ? 8 : 9;
+    expect(world.staticObjects.find(obj => obj.type === 'dropped_item')).toMatchObject({ x: restX, y: 5, item: { id: 'iron_shield_L1_0' } });
+    expect(player.throwingDaggers).toBe(daggers);
+
+    expect(new ThrowAction(9, 5, 'iron_shield_L1_0').perform(world)).toBe(false);
+  });
+
+  it('records item actions for replay but not examining', async () => {
+    const { world } = await createRoom(1705);
+    addToInventory({ id: 'artifact_L1', type: 'artifact', title: 'Lantern of Ash', description: 'Still warm.' });
+
+    expect(new ExamineItemAction('artifact_L1').perform(world)).toBe(false);
+    expect(sim.messages).toContain('Lantern of Ash: Still warm.');
+    expect(new ExamineItemAction('artifact_L1').isReplayable()).toBe(false);
+
+    expect(createActionFromData(new QuaffAction('health_potion').serialize())).toBeInstanceOf(QuaffAction);
+    expect(createActionFromData(new DropAction('artifact_L1').serialize())).toMatchObject({ itemId: 'artifact_L1' });
+    expect(createActionFromData(new ThrowAction(3, 4, 'artifact_L1').serialize())).toMatchObject({ targetX: 3, targetY: 4, itemId: 'artifact_L1' });
+    // Dagger throws recorded before items could be thrown have no itemId
+    expect(createActionFromData({ type: 'ThrowAction', targetX: 3, targetY: 4 })).toMatchObject({ itemId: null });
+
+    expect(removeFromInventory('artifact_L1')).toMatchObject({ id: 'artifact_L1', quantity: 1 });
+    expect(findInventoryItem('artifact_L1')).toBeNull();
+  });
+});
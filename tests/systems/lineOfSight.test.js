@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, MonsterFactory, TileTypes, setTurn, getTurn;
+
+describe('World line of sight', () => {
+  let sim = null;
+
+  // Replace the generated chamber with open floor and a wall from (10, 2) to (10, 12)
+  function buildWalledRoom(world) {
+    buildArena(world, { floor: TileTypes.dirt, wall: (x, y) => x === 10 && y >= 2 && y <= 12 });
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ TileTypes } = await import('../../src/tiles/tileTypes.js'));
+    ({ setTurn, getTurn } = await import('../../src/systems/gameState.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('is blocked by opaque tiles between the two points, in both directions', async () => {
+    sim = await GameSimulation.create({ seed: 1001 });
+    const { world } = sim;
+    buildWalledRoom(world);
+
+    expect(world.hasLOS(5, 5, 8, 9)).toBe(true);
+    expect(world.hasLOS(7, 6, 13, 6)).toBe(false);
+    expect(world.hasLOS(13, 6, 7, 6)).toBe(false);
+    // Around the end of the wall
+    expect(world.hasLOS(7, 14, 13, 14)).toBe(true);
+    // The endpoints themselves do not block
+    expect(world.hasLOS(9, 6, 10, 6)).toBe(true);
+  });
+
+  it('caches results until the turn changes', async () => {
+    sim = await GameSimulation.create({ seed: 1002 });
+    const { world } = sim;
+    buildWalledRoom(world);
+    expect(world.hasLOS(7, 6, 13, 6)).toBe(false);
+
+    // Knock a hole in the wall: the cached answer holds for the rest of the turn
+    world.map[10][6] = TileTypes.dirt;
+    expect(world.hasLOS(7, 6, 13, 6)).toBe(false);
+
+    setTurn(getTurn() + 1);
+    expect(world.hasLOS(7, 6, 13, 6)).toBe(true);
+  });
+
+  it('keeps monsters from chasing a player they cannot see', async () => {
+    sim = await GameSimulation.create({ seed: 1003 });
+    const { world, player } = sim;
+    buildWalledRoom(world);
+    player.setPosition(12, 6);
+
+    // Within perception range but behind the wall
+    const hidden = MonsterFactory.create('chaser', 8, 6);
+    hidden.act(world);
+    expect(hidden.lastKnownPlayerPos).toBeNull();
+    expect(hidden.isChasing).toBe(false);
+
+    // Same distance with a clear view
+    const watching = MonsterFactory.create('chaser', 12, 10);
+    watching.act(world);
+    expect(watching.lastKnownPlayerPos).toEqual({ x: 12, y: 6 });
+  });
+});
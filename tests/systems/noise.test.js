@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, MoveAction, MonsterFactory, TileTypes;
+let NOISE, propagateNoise, getFootstepLoudness;
+
+// A width x height map of floor with a wall along x = wallX
+function makeMap(width, height, floor, wallX = null) {
+  const map = {};
+  for (let x = 0; x < width; x++) {
+    map[x] = {};
+    for (let y = 0; y < height; y++) {
+      map[x][y] = x === wallX ? TileTypes.pillar : floor;
+    }
+  }
+  return map;
+}
+
+describe('Noise', () => {
+  let sim = null;
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MoveAction } = await import('../../src/systems/actions.js'));
+    ({ MonsterFactory } = await import('../../src/entities/monsterFactory.js'));
+    ({ TileTypes } = await import('../../src/tiles/tileTypes.js'));
+    ({ NOISE, propagateNoise, getFootstepLoudness } = await import('../../src/systems/noise.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('makes footsteps on hard floors louder than on soft ones', () => {
+    expect(getFootstepLoudness(TileTypes.cobblestone)).toBe(NOISE.FOOTSTEP_HARD);
+    expect(getFootstepLoudness(TileTypes.moss)).toBe(NOISE.FOOTSTEP_SOFT);
+    expect(getFootstepLoudness(TileTypes.sand)).toBe(NOISE.FOOTSTEP);
+    expect(NOISE.FOOTSTEP_HARD).toBeGreaterThan(NOISE.FOOTSTEP_SOFT);
+  });
+
+  it('fades by one per step and cannot pass through walls', () => {
+    const open = propagateNoise(makeMap(20, 5, TileTypes.dirt), 20, 5, { x: 2, y: 2 }, 4);
+    expect(open.get('2,2')).toBe(4);
+    expect(open.get('3,3')).toBe(3);
+    expect(open.get('5,2')).toBe(1);
+    expect(open.has('6,2')).toBe(false);
+
+    // A full-height wall stops the sound entirely
+    const walled = propagateNoise(makeMap(20, 5, TileTypes.dirt, 4), 20, 5, { x: 2, y: 2 }, 10);
+    expect(walled.get('3,2')).toBe(9);
+    expect(walled.has('4,2')).toBe(false);
+    expect(walled.has('5,2')).toBe(false);
+  });
+
+  it('lets monsters hear the player walk on cobblestone but not on moss', async () => {
+    sim = await GameSimulation.create({ seed: 1101 });
+    const { world } = sim;
+
+    for (const [floor, heard] of [[TileTypes.moss, false], [TileTypes.cobblestone, true]]) {
+      buildArena(world, { floor, player: { x: 5, y: 10 } });
+      const listener = MonsterFactory.create('chaser', 9, 10);
+      world.monsters = [listener];
+
+      expect(new MoveAction('right').perform(world)).toBe(true);
+      expect(listener.lastKnownPlayerPos).toEqual(heard ? { x: 6, y: 10 } : null);
+    }
+  });
+
+  it('draws monsters out of sight toward a fight', async () => {
+    sim = await GameSimulation.create({ seed: 1102 });
+    const { world } = sim;
+    buildArena(world, { wall: (x, y) => x === 10 && y < 8, player: { x: 7, y: 5 } });
+
+    const victim = MonsterFactory.create('chaser', 8, 5);
+    const listener = MonsterFactory.create('chaser', 13, 5);
+    listener.perceptionRadius = 0;
+    world.monsters = [victim, listener];
+
+    expect(new MoveAction('right').perform(world)).toBe(true);
+    expect(listener.lastKnownPlayerPos).toEqual({ x: 8, y: 5 });
+    expect(listener.searchTurns).toBe(listener.maxSearchTurns);
+
+    // It heads for the gap at the end of the wall to investigate rather than wandering off
+    const before = Math.abs(listener.x - 10) + Math.abs(listener.y - 8);
+    listener.act(world);
+    expect(Math.abs(listener.x - 10) + Math.abs(listener.y - 8)).toBeLessThan(before);
+  });
+
+  it('turns a monster struck from outside its perception toward its attacker', async () => {
+    sim = await GameSimulation.create({ seed: 1103 });
+    const { world } = sim;
+    buildArena(world, { player: { x: 7, y: 5 } });
+
+    const victim = MonsterFactory.create('chaser', 8, 5);
+    victim.perceptionRadius = 0;
+    victim.stats.maxHp = victim.stats.hp = 1000;
+    world.monsters = [victim];
+
+    // Hit or miss, the blow gives the attacker away rather than the victim's own tile
+    expect(new MoveAction('right').perform(world)).toBe(true);
+    expect(victim.lastKnownPlayerPos).toEqual({ x: 7, y: 5 });
+    expect(victim.searchTurns).toBe(victim.maxSearchTurns);
+  });
+});
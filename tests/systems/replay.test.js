@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import * as ROT from 'rot-js';
+
+let TurnEngine, Player, Actor, TurnResult, MoveAction, WaitAction, SaveGameAction, createActionFromData;
+let ReplayRecorder, Replayer, validateRecording, resetTurn, getTurn;
+
+/**
+ * Monster stand-in that wanders using ROT.RNG, so any RNG drift shows up in its path
+ */
+function createWanderer(x, y, trace) {
+  const wanderer = new Actor(x, y, 'w', '#0f0');
+  wanderer.act = () => {
+    const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    const [dx, dy] = dirs[Math.floor(ROT.RNG.getUniform() * dirs.length)];
+    wanderer.x = Math.max(1, Math.min(18, wanderer.x + dx));
+    wanderer.y = Math.max(1, Math.min(8, wanderer.y + dy));
+    trace.push(`${wanderer.x},${wanderer.y}`);
+    return TurnResult.CONSUMED;
+  };
+  return wanderer;
+}
+
+/**
+ * Minimal open-room world providing what MoveAction and Player need
+ */
+function createStubWorld() {
+  const messages = [];
+  return {
+    monsters: [],
+    portal: null,
+    pendingTransition: null,
+    messageBus: { emit: (event, payload) => messages.push(payload) },
+    canMoveTo: (x, y) => x > 0 && x < 19 && y > 0 && y < 9,
+    checkPortalInteraction: () => false,
+    trackPlayerMovement: () => {},
+    checkInteractionsAt: () => {},
+    recomputeFOV: () => {},
+    requestRedraw: () => {},
+    flushRedraw: () => {}
+  };
+}
+
+/**
+ * Build a fresh engine with a player and one wanderer
+ */
+function buildSimulation(trace) {
+  resetTurn();
+  const world = createStubWorld();
+  const engine = new TurnEngine();
+  const player = new Player(5, 5);
+  player.setWorld(world);
+  world.player = player;
+  world.turnEngine = engine;
+  engine.setWorld(world);
+  engine.addActor(player);
+  engine.addActor(createWanderer(10, 4, trace));
+  return { world, engine, player };
+}
+
+describe('Replay recording and playback', () => {
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ TurnEngine } = await import('../../src/systems/turnEngine.js'));
+    ({ Player } = await import('../../src/entities/player.js'));
+    ({ Actor, TurnResult } = await import('../../src/entities/actor.js'));
+    ({ MoveAction, WaitAction, SaveGameAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ ReplayRecorder, Replayer, validateRecording } = await import('../../src/systems/replay.js'));
+    ({ resetTurn, getTurn } = await import('../../src/systems/gameState.js'));
+  });
+
+  it('round-trips actions through their serialized form', () => {
+    const move = createActionFromData(new MoveAction('up-left').serialize());
+    expect(move).toBeInstanceOf(MoveAction);
+    expect(move.direction).toBe('up-left');
+    expect(createActionFromData(new WaitAction().serialize())).toBeInstanceOf(WaitAction);
+    expect(createActionFromData({ type: 'NoSuchAction' })).toBeNull();
+  });
+
+  it('records only replayable actions queued through the turn engine', () => {
+    const { engine } = buildSimulation([]);
+    const recorder = new ReplayRecorder();
+    recorder.begin({ runSeed: 7, levelNumber: 1 });
+    engine.setRecorder(recorder);
+    engine.start();
+
+    engine.queuePlayerAction(new MoveAction('right'));
+    engine.queuePlayerAction(new SaveGameAction());
+    engine.queuePlayerAction(new WaitAction());
+
+    const recording = recorder.stop();
+    expect(recording.actions.map(a => a.type)).toEqual(['MoveAction', 'WaitAction']);
+    expect(recording.actions[0]).toMatchObject({ direction: 'right', turn: 0 });
+    expect(() => validateRecording(JSON.parse(JSON.stringify(recording)))).not.toThrow();
+  });
+
+  it('reproduces the same monster behaviour and final state on replay', async () => {
+    const directions = ['up', 'down', 'left', 'right', 'up-left', 'down-right'];
+
+    // Original run: drive the engine with pseudo-random input
+    ROT.RNG.setSeed(1234);
+    const originalTrace = [];
+    const original = buildSimulation(originalTrace);
+    const recorder = new ReplayRecorder();
+    recorder.begin({ runSeed: 1234, levelNumber: 1 });
+    original.engine.setRecorder(recorder);
+    original.engine.start();
+    for (let i = 0; i < 40; i++) {
+      const direction = directions[(i * 7) % directions.length];
+      original.engine.queuePlayerAction(i % 5 === 0 ? new WaitAction() : new MoveAction(direction));
+    }
+    const recording = JSON.parse(JSON.stringify(recorder.stop()));
+    const originalEnd = { x: original.player.x, y: original.player.y, turn: getTurn() };
+
+    // Burn RNG so the replay must restore the recorded state itself
+    ROT.RNG.setSeed(999);
+    for (let i = 0; i < 100; i++) ROT.RNG.getUniform();
+
+    const replayTrace = [];
+    const replay = buildSimulation(replayTrace);
+    const replayer = new Replayer(recording, { turnEngine: replay.engine, world: replay.world });
+    const summary = await replayer.play();
+
+    expect(summary.completed).toBe(true);
+    expect(summary.desyncs).toEqual([]);
+    expect(replayTrace).toEqual(originalTrace);
+    expect({ x: replay.player.x, y: replay.player.y, turn: getTurn() }).toEqual(originalEnd);
+  });
+
+  it('rejects recordings with an unsupported version', () => {
+    expect(() => validateRecording({ version: 99, runSeed: 1, rngState: [], actions: [] })).toThrow(/version/);
+    expect(() => validateRecording(null)).toThrow();
+  });
+});
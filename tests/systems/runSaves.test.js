@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, WaitAction, setIpc, getIpc;
+let readSaveSlot, writeSaveSlot, listSaveSlots, AUTOSAVE_SLOT;
+let beginRunSaves, getRunSaveSlot, trackAutosave, endRunSavesOnDeath, getLoadRefusal;
+
+describe('Run saves and ironman permadeath', () => {
+  let sim = null;
+
+  // Autosave the run the way the game does
+  function autosave() {
+    const save = { meta: { name: 'Autosave', ironman: getRunSaveSlot().startsWith('ironman') }, state: sim.serialize() };
+    return trackAutosave(writeSaveSlot(getRunSaveSlot(), save).then(() => true));
+  }
+
+  // Wait with 1 HP until the monsters kill the player
+  async function die() {
+    sim.player.stats.maxHp = sim.player.stats.hp = 1;
+    const summary = await sim.runBot(() => new WaitAction(), { maxTurns: 5000 });
+    expect(summary.playerDied).toBe(true);
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ WaitAction } = await import('../../src/systems/actions.js'));
+    ({ setIpc, getIpc } = await import('../../src/systems/ipc.js'));
+    ({ readSaveSlot, writeSaveSlot, listSaveSlots, AUTOSAVE_SLOT } = await import('../../src/systems/saveSlots.js'));
+    ({
+      beginRunSaves, getRunSaveSlot, trackAutosave, endRunSavesOnDeath, getLoadRefusal
+    } = await import('../../src/systems/runSaves.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('erases an ironman run\'s save when the player dies, after the autosave in flight', async () => {
+    sim = await GameSimulation.create({ seed: 104 });
+    const slotId = beginRunSaves(true);
+    expect(slotId).toMatch(/^ironman-/);
+    await autosave();
+    expect(getLoadRefusal(slotId)).toBe('Ironman runs cannot be reloaded.');
+
+    await die();
+    const writing = autosave();
+    const erasing = endRunSavesOnDeath();
+    expect(getRunSaveSlot()).toBeNull();
+    await writing;
+    expect(await erasing).toBe(slotId);
+    expect(await readSaveSlot(slotId)).toBeNull();
+  });
+
+  it('refuses to load a dead ironman run while its save is being erased, and after', async () => {
+    sim = await GameSimulation.create({ seed: 104 });
+    const slotId = beginRunSaves(true);
+    await autosave();
+    await die();
+
+    const erasing = endRunSavesOnDeath();
+    // The save is still there, but the run is over
+    expect(await readSaveSlot(slotId)).not.toBeNull();
+    expect(getLoadRefusal(slotId)).toBe('This ironman run has ended; its save cannot be loaded.');
+    await erasing;
+    expect(getLoadRefusal(slotId)).toBe('This ironman run has ended; its save cannot be loaded.');
+  });
+
+  it('keeps refusing a dead ironman run whose save could not be erased', async () => {
+    sim = await GameSimulation.create({ seed: 104 });
+    const slotId = beginRunSaves(true);
+    await autosave();
+    await die();
+
+    const ipc = getIpc();
+    setIpc({
+      ...ipc,
+      invoke: (channel, ...args) => channel === 'saves-delete'
+        ? Promise.resolve({ success: false, error: 'disk full' })
+        : ipc.invoke(channel, ...args)
+    });
+    await expect(endRunSavesOnDeath()).rejects.toThrow('disk full');
+    expect(await readSaveSlot(slotId)).not.toBeNull();
+    expect(getLoadRefusal(slotId)).toBe('This ironman run has ended; its save cannot be loaded.');
+
+    // After a restart only the save itself remembers that the run died
+    const slot = (await listSaveSlots()).find(meta => meta.slotId === slotId);
+    expect(slot.dead).toBe(true);
+    vi.resetModules();
+    const restarted = await import('../../src/systems/runSaves.js');
+    expect(restarted.getLoadRefusal(slotId)).toBeNull();
+    expect(restarted.getLoadRefusal(slotId, slot)).toBe('This ironman run has ended; its save cannot be loaded.');
+  });
+
+  it('leaves a normal run\'s autosave to be loaded after death', async () => {
+    sim = await GameSimulation.create({ seed: 104 });
+    expect(beginRunSaves(false)).toBe(AUTOSAVE_SLOT);
+    await autosave();
+    await die();
+
+    expect(endRunSavesOnDeath()).toBeNull();
+    expect(getRunSaveSlot()).toBe(AUTOSAVE_SLOT);
+    expect(await readSaveSlot(AUTOSAVE_SLOT)).not.toBeNull();
+    expect(getLoadRefusal(AUTOSAVE_SLOT)).toBeNull();
+  });
+});
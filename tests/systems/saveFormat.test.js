@@ -0,0 +1,282 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SAVE_VERSION,
+  SAVE_INVALID,
+  getSaveVersion,
+  migrateSaveState,
+  validateSaveState,
+  prepareSaveState
+} from '../../src/systems/saveFormat.js';
+
+const stats = { maxHp: 10, hp: 7, pow: 3, def: 1, accuracy: 80, evasion: 10 };
+const legacyStats = { maxHp: 10, hp: 7, pow: 3, def: 1 };
+
+function makeMap() {
+  return {
+    0: { 0: { char: '#' }, 1: { char: '.' } },
+    1: { 0: { char: '#' }, 1: { char: '.' } }
+  };
+}
+
+// A save as written before saveVersion existed
+function makeUnversionedState() {
+  return {
+    map: makeMap(),
+    player: { x: 1, y: 1, type: 'player', stats: { ...legacyStats } },
+    currentLevel: 2,
+    storyObject: { x: 0, y: 1, pickedUp: false },
+    portal: { x: 1, y: 0 },
+    world: {
+      currentLevel: 2,
+      levels: { 1: { levelNumber: 1, seenTiles: ['0,0'] }, 2: { levelNumber: 2 } }
+    }
+  };
+}
+
+function makeCurrentState() {
+  return {
+    saveVersion: SAVE_VERSION,
+    runSeed: 1234,
+    map: makeMap(),
+    player: {
+      x: 1, y: 1, type: 'player', stats: { ...stats }, throwingDaggers: 2,
+      statusEffects: [{ id: 'slow', turns: 2 }], xp: 14, characterLevel: 2, pendingLevelUps: 1,
+      equipment: { weapon: { id: 'rusty_sword_L1_0', itemId: 'rusty_sword' }, shield: null, armor: null }
+    },
+    currentLevel: 1,
+    storyObject: null,
+    staticObjects: [{ x: 0, y: 1, name: 'Pillar' }],
+    portal: { x: 1, y: 0 },
+    upStairs: null,
+    world: {
+      currentLevel: 1,
+      levels: { 1: { levelNumber: 1, width: 40, height: 20, seenTiles: ['1,1'], lightSources: [{ x: 0, y: 0, radius: 4 }] } },
+      monsters: [{ x: 0, y: 1, typeId: 'zombie', stats: { ...stats }, statusEffects: [] }]
+    },
+    gameState: {
+      artifactsFound: 1,
+      playerMoves: 12,
+      gameStartTime: 0,
+      lastPlayerPosition: { x: 1, y: 2 },
+      movementHistory: [{ dx: 0, dy: -1, timestamp: 0 }],
+      currentLevel: 1,
+      inventory: [
+        { id: 'artifact_L1', type: 'artifact', title: 'Lantern of Ash', description: 'Still warm.', quantity: 1, levelNumber: 1, mechanic: 'frost', readyOnTurn: 55 },
+        { id: 'health_potion', type: 'consumable', itemId: 'health_potion', title: 'Health Potion', description: 'Red.', quantity: 3, levelNumber: 1 },
+        { id: 'potion_of_venom', type: 'consumable', itemId: 'potion_of_venom', title: 'Murky Violet Potion', description: 'Murky.', quantity: 1, levelNumber: 1 }
+      ],
+      identification: {
+        potion_of_venom: { appearance: 'murky violet', title: 'Murky Violet Potion', description: 'Murky.', color: '#8A4FBF', known: false },
+        scroll_of_mapping: { appearance: 'ZELGO MER', title: 'Scroll Labelled "ZELGO MER"', description: 'Rolled.', color: '#F5DEB3', known: true }
+      },
+      turn: 40
+    }
+  };
+}
+
+describe('Save format', () => {
+  it('treats saves without a saveVersion as version 1', () => {
+    expect(getSaveVersion(makeUnversionedState())).toBe(1);
+    expect(getSaveVersion(makeCurrentState())).toBe(SAVE_VERSION);
+  });
+
+  it('migrates unversioned saves to the current version without modifying the input', () => {
+    const original = makeUnversionedState();
+    const migrated = migrateSaveState(original);
+
+    expect(migrated.saveVersion).toBe(SAVE_VERSION);
+    expect(migrated.runSeed).toBeNull();
+    expect(migrated.staticObjects).toEqual([]);
+    expect(migrated.world.monsters).toEqual([]);
+    expect(migrated.world.levels[1].seenTiles).toEqual(['0,0']);
+    expect(migrated.world.levels[2]).toMatchObject({ seenTiles: [], lightSources: [], width: 40, height: 20 });
+    expect(migrated.gameState).toMatchObject({ turn: 0, artifactsFound: 0, inventory: [], currentLevel: 2 });
+    expect(migrated.player.throwingDaggers).toBe(3);
+    expect(migrated.player.stats).toMatchObject({ accuracy: 80, evasion: 10 });
+    expect(migrated.player.statusEffects).toEqual([]);
+    expect(migrated.player).toMatchObject({ xp: 0, characterLevel: 1, pendingLevelUps: 0 });
+    expect(migrated.player.equipment).toEqual({ weapon: null, shield: null, armor: null });
+    expect(validateSaveState(migrated)).toEqual([]);
+
+    expect(original.saveVersion).toBeUndefined();
+    expect(original.world.levels[2].seenTiles).toBeUndefined();
+  });
+
+  it('gives stats from format 6 saves their accuracy and evasion', () => {
+    const state = makeCurrentState();
+    state.saveVersion = 6;
+    state.player.stats = { ...legacyStats };
+    delete state.player.statusEffects;
+    state.world.monsters = [{ x: 0, y: 1, typeId: 'chaser', stats: { ...legacyStats } }];
+    state.world.levels[2] = {
+      levelNumber: 2, width: 40, height: 20, seenTiles: [], lightSources: [],
+      storedState: {
+        map: makeMap(),
+        monsters: [{ x: 1, y: 1, typeId: 'zombie', stats: { ...legacyStats } }],
+        storyObject: null, staticObjects: [], portal: null, upStairs: null
+      }
+    };
+    expect(validateSaveState(state)).toContain('player.stats.accuracy must be a number');
+
+    const migrated = migrateSaveState(state);
+    expect(migrated.player.stats).toEqual({ ...legacyStats, accuracy: 80, evasion: 10 });
+    expect(migrated.world.monsters[0].stats).toMatchObject({ accuracy: 75, evasion: 15 });
+    expect(migrated.world.levels[2].storedState.monsters[0].stats).toMatchObject({ accuracy: 65, evasion: 0 });
+    expect(validateSaveState(migrated)).toEqual([]);
+  });
+
+  it('gives format 7 saves empty status effects and the on-hit effects of each monster type', () => {
+    const state = makeCurrentState();
+    state.saveVersion = 7;
+    delete state.player.statusEffects;
+    delete state.world.monsters[0].statusEffects;
+    expect(validateSaveState(state)).toEqual(expect.arrayContaining([
+      'player.statusEffects must be an array',
+      'world.monsters[0].statusEffects must be an array'
+    ]));
+
+    const migrated = migrateSaveState(state);
+    expect(migrated.player.statusEffects).toEqual([]);
+    expect(migrated.world.monsters[0]).toMatchObject({
+      statusEffects: [],
+      onHitEffects: [{ effect: 'rot', chance: 0.25, turns: 8 }]
+    });
+    expect(validateSaveState(migrated)).toEqual([]);
+
+    migrated.player.statusEffects = [{ id: 'stun', turns: 0 }];
+    expect(validateSaveState(migrated)).toEqual(['player.statusEffects[0] must have an id and a positive number of turns']);
+  });
+
+  it('gives format 9 saves empty equipment slots and checks what is equipped', () => {
+    const state = makeCurrentState();
+    state.saveVersion = 9;
+    delete state.player.equipment;
+    expect(validateSaveState(state)).toContain('player.equipment must be an object');
+
+    const migrated = migrateSaveState(state);
+    expect(migrated.player.equipment).toEqual({ weapon: null, shield: null, armor: null });
+    expect(validateSaveState(migrated)).toEqual([]);
+
+    migrated.player.equipment.armor = { id: 'chain_mail_L5_0' };
+    expect(validateSaveState(migrated)).toEqual(['player.equipment.armor must be null or have an id and an itemId']);
+  });
+
+  it('gives format 10 inventory items ids and quantities', () => {
+    const state = makeCurrentState();
+    state.saveVersion = 10;
+    state.gameState.inventory = [{ title: 'Lantern of Ash', description: 'Still warm.', levelNumber: 1 }];
+    expect(validateSaveState(state)).toContain('gameState.inventory[0] must have an id and a positive quantity');
+
+    const migrated = migrateSaveState(state);
+    expect(migrated.gameState.inventory).toEqual([
+      { id: 'artifact_0', type: 'artifact', quantity: 1, mechanic: null, title: 'Lantern of Ash', description: 'Still warm.', levelNumber: 1 }
+    ]);
+    expect(validateSaveState(migrated)).toEqual([]);
+  });
+
+  it('gives format 11 artifacts no power', () => {
+    const state = makeCurrentState();
+    state.saveVersion = 11;
+    delete state.gameState.inventory[0].mechanic;
+    delete state.gameState.inventory[0].readyOnTurn;
+
+    const migrated = migrateSaveState(state);
+    expect(migrated.gameState.inventory[0].mechanic).toBeNull();
+    expect(migrated.gameState.inventory[1]).not.toHaveProperty('mechanic');
+    expect(validateSaveState(migrated)).toEqual([]);
+
+    migrated.gameState.inventory[0].mechanic = 'levitation';
+    expect(validateSaveState(migrated)).toEqual(['gameState.inventory[0].mechanic "levitation" is not a known artifact power']);
+  });
+
+  it('gives format 12 runs an empty identification table', () => {
+    const state = makeCurrentState();
+    state.saveVersion = 12;
+    delete state.gameState.identification;
+    expect(validateSaveState(state)).toContain('gameState.identification must be an object');
+
+    const migrated = migrateSaveState(state);
+    expect(migrated.gameState.identification).toEqual({});
+    expect(validateSaveState(migrated)).toEqual([]);
+
+    migrated.gameState.identification.potion_of_venom = { title: 'Murky Violet Potion' };
+    expect(validateSaveState(migrated)).toEqual(['gameState.identification.potion_of_venom must have a title, a description and a known flag']);
+  });
+
+  it('accepts a complete current save', () => {
+    const state = makeCurrentState();
+    expect(validateSaveState(state)).toEqual([]);
+    expect(prepareSaveState(state)).toBe(state);
+  });
+
+  it('reports every invalid part of the payload', () => {
+    const state = makeCurrentState();
+    state.player.stats.hp = 'lots';
+    state.map[1][1] = null;
+    state.world.monsters[0].x = -1;
+    state.world.levels[1].lightSources[0].radius = undefined;
+    state.gameState.turn = -3;
+    state.player.characterLevel = 0;
+
+    const errors = validateSaveState(state);
+    expect(errors).toContain('player.stats.hp must be a number');
+    expect(errors).toContain('map tile (1, 1) is invalid');
+    expect(errors).toContain('world.monsters[0] has an invalid position (-1, 1)');
+    expect(errors).toContain('world.levels[1].lightSources[0].radius must be a number');
+    expect(errors).toContain('gameState.turn must be a non-negative integer');
+    expect(errors).toContain('player.characterLevel must be an integer of at least 1');
+  });
+
+  it('validates chambers stored on levels the player has left', () => {
+    const state = makeCurrentState();
+    state.world.levels[2] = {
+      levelNumber: 2,
+      width: 64,
+      height: 32,
+      seenTiles: [],
+      lightSources: [],
+      storedState: {
+        map: makeMap(),
+        monsters: [{ x: 1, y: 1, stats: { ...stats }, statusEffects: [] }],
+        storyObject: null,
+        staticObjects: [],
+        portal: { x: 1, y: 0 },
+        upStairs: { x: 0, y: 1 }
+      }
+    };
+    expect(validateSaveState(state)).toEqual([]);
+
+    state.world.levels[2].storedState.map = {};
+    state.world.levels[2].storedState.upStairs = { x: 'top' };
+    expect(validateSaveState(state)).toEqual([
+      'world.levels[2].storedState.map must be a non-empty object of columns',
+      'world.levels[2].storedState.upStairs has an invalid position (top, undefined)'
+    ]);
+  });
+
+  it('checks level map sizes and keeps the player inside the current one', () => {
+    const state = makeCurrentState();
+    state.world.levels[1].width = 0;
+    expect(validateSaveState(state)).toEqual(['world.levels[1].width must be an integer of at least 3']);
+
+    state.world.levels[1].width = 40;
+    state.player.y = 20;
+    expect(validateSaveState(state)).toEqual(['player (1, 20) is outside the 40x20 map of level 1']);
+  });
+
+  it('rejects saves that cannot be loaded with a SAVE_INVALID error', () => {
+    const broken = makeCurrentState();
+    delete broken.player;
+    expect(() => prepareSaveState(broken)).toThrow(/Save is invalid: player must be an object/);
+
+    const future = { ...makeCurrentState(), saveVersion: SAVE_VERSION + 1 };
+    expect(() => prepareSaveState(future)).toThrow(/newer version of the game/);
+
+    try {
+      prepareSaveState(null);
+      expect.unreachable();
+    } catch (err) {
+      expect(err.code).toBe(SAVE_INVALID);
+    }
+  });
+});
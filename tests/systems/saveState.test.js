@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, portalSeekerBot;
+let addToInventory, incrementArtifactsFound, getInventory, getTurn;
+
+describe('Save state round trip', () => {
+  const sims = [];
+
+  async function createSim(options) {
+    const sim = await GameSimulation.create(options);
+    sims.push(sim);
+    return sim;
+  }
+
+  // Play into a later chamber and give the run some inventory so every module has state
+  async function playedSim(seed) {
+    const sim = await createSim({ seed });
+    await sim.runBot(portalSeekerBot, { maxTurns: 150 });
+    addToInventory({ title: 'Lantern of Ash', description: 'Still warm.', levelNumber: sim.world.getCurrentLevel() });
+    incrementArtifactsFound();
+    return sim;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation, portalSeekerBot } = await import('../../src/systems/simulation.js'));
+    ({ addToInventory, incrementArtifactsFound, getInventory, getTurn } = await import('../../src/systems/gameState.js'));
+  });
+
+  afterEach(() => {
+    while (sims.length > 0) {
+      sims.pop().dispose();
+    }
+  });
+
+  it('restores a run to an identical state', async () => {
+    const sim = await playedSim(601);
+    const saved = sim.serialize();
+    expect(saved.world.levels[2]).toBeDefined();
+    expect(saved.gameState.turn).toBeGreaterThan(0);
+
+    const restored = await createSim({ seed: 999 });
+    // Saves pass through JSON on disk
+    restored.restore(JSON.parse(JSON.stringify(saved)));
+
+    expect(restored.serialize()).toEqual(saved);
+  });
+
+  it('restores the turn counter, inventory, visited levels and monsters', async () => {
+    const sim = await playedSim(602);
+    const saved = sim.serialize();
+    const inventory = getInventory();
+    const turn = getTurn();
+    const visitedLevels = [...sim.world.levels.keys()];
+
+    const restored = await createSim({ seed: 998 });
+    restored.restore(saved);
+
+    expect(getTurn()).toBe(turn);
+    expect(getInventory()).toEqual(inventory);
+    expect([...restored.world.levels.keys()]).toEqual(visitedLevels);
+    expect(restored.world.getCurrentLevel()).toBe(saved.currentLevel);
+    expect(restored.turnEngine.getActors().size).toBe(saved.world.monsters.length + 1);
+    expect(restored.player).toMatchObject({ x: saved.player.x, y: saved.player.y });
+  });
+
+  it('keeps the snapshot independent of further play', async () => {
+    const sim = await playedSim(603);
+    const saved = sim.serialize();
+    const before = JSON.stringify(saved);
+
+    await sim.runBot(portalSeekerBot, { maxTurns: 20 });
+    addToInventory({ title: 'Another trinket' });
+
+    expect(JSON.stringify(saved)).toBe(before);
+  });
+
+  it('loads saves written before the gameState module was saved', async () => {
+    const sim = await playedSim(604);
+    const legacy = sim.serialize();
+    delete legacy.gameState;
+    legacy.saveVersion = 2;
+
+    const restored = await createSim({ seed: 997 });
+    restored.restore(legacy);
+
+    expect(getTurn()).toBe(0);
+    expect(getInventory()).toEqual([]);
+    expect(restored.world.getCurrentLevel()).toBe(legacy.currentLevel);
+  });
+});
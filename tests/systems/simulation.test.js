@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+
+let GameSimulation, portalSeekerBot, directionFromDelta;
+let MoveAction, WaitAction;
+
+describe('Headless game simulation', () => {
+  let sim = null;
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation, portalSeekerBot, directionFromDelta } = await import('../../src/systems/simulation.js'));
+    ({ MoveAction, WaitAction } = await import('../../src/systems/actions.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('builds a level with the player, a portal and monsters in the turn engine', async () => {
+    sim = await GameSimulation.create({ seed: 101 });
+
+    expect(sim.world.getCurrentLevel()).toBe(1);
+    expect(sim.world.portal).toBeTruthy();
+    expect(sim.world.monsters.length).toBeGreaterThan(0);
+    expect(sim.turnEngine.getActors().size).toBe(sim.world.monsters.length + 1);
+    expect(sim.world.canMoveTo(sim.player.x, sim.player.y)).toBe(true);
+  });
+
+  it('steps scripted actions through the real turn engine', async () => {
+    sim = await GameSimulation.create({ seed: 102 });
+
+    const summary = await sim.runScript([new WaitAction(), new WaitAction(), new MoveAction('up')]);
+    expect(summary.turn).toBeGreaterThanOrEqual(2);
+    expect(summary.playerDied).toBe(false);
+  });
+
+  it('runs thousands of turns with a bot and keeps descending', async () => {
+    sim = await GameSimulation.create({ seed: 103 });
+    // Sturdy player so the run lasts long enough to cover many chambers
+    sim.player.stats.maxHp = sim.player.stats.hp = 100000;
+
+    const summary = await sim.runBot(portalSeekerBot, { maxTurns: 3000 });
+    expect(summary.playerDied).toBe(false);
+    expect(summary.turn).toBeGreaterThanOrEqual(3000);
+    expect(summary.level).toBeGreaterThan(3);
+  });
+
+  it('calls the autosave handler once each chamber transition has loaded', async () => {
+    sim = await GameSimulation.create({ seed: 105 });
+    sim.player.stats.maxHp = sim.player.stats.hp = 100000;
+
+    const autosaves = [];
+    sim.world.setAutosaveHandler(async (levelNumber) => {
+      autosaves.push({ levelNumber, loaded: sim.world.getCurrentLevel() });
+    });
+
+    const summary = await sim.runBot(portalSeekerBot, { maxTurns: 600 });
+    expect(summary.level).toBeGreaterThan(2);
+    expect(autosaves.map(save => save.levelNumber)).toEqual(
+      Array.from({ length: summary.level - 1 }, (_, i) => i + 2)
+    );
+    expect(autosaves.every(save => save.loaded === save.levelNumber)).toBe(true);
+  });
+
+  it('ends the run when the player dies', async () => {
+    sim = await GameSimulation.create({ seed: 104 });
+    sim.player.stats.maxHp = sim.player.stats.hp = 1;
+
+    const summary = await sim.runBot(() => new WaitAction(), { maxTurns: 5000 });
+    expect(summary.playerDied).toBe(true);
+    expect(sim.isOver()).toBe(true);
+    expect(await sim.step(new WaitAction())).toBe(false);
+  });
+
+  it('produces identical runs from the same seed', async () => {
+    sim = await GameSimulation.create({ seed: 105 });
+    const first = await sim.runBot(portalSeekerBot, { maxTurns: 400 });
+    sim.dispose();
+
+    sim = await GameSimulation.create({ seed: 105 });
+    const second = await sim.runBot(portalSeekerBot, { maxTurns: 400 });
+    expect(second).toEqual(first);
+  });
+
+  it('replays a recorded bot run to the same final state', async () => {
+    sim = await GameSimulation.create({ seed: 106, record: true });
+    const original = await sim.runBot(portalSeekerBot, { maxTurns: 500 });
+    const recording = JSON.parse(JSON.stringify(sim.getRecording()));
+    sim.dispose();
+
+    sim = await GameSimulation.fromRecording(recording);
+    const result = await sim.replay(recording);
+    expect(result.completed).toBe(true);
+    expect(result.desyncs).toEqual([]);
+    expect(sim.getSummary()).toEqual(original);
+  });
+
+  it('routes artifact text through a supplied LLM stub', async () => {
+    const requests = [];
+    const llm = async (request) => {
+      requests.push(request);
+      return { title: 'Stub Relic', placement: 'It rests here.', effect: 'It does nothing.' };
+    };
+    sim = await GameSimulation.create({ seed: 107, llm });
+    for (let i = 0; i < 20 && sim.world.storyObject.loading; i++) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    expect(requests.length).toBeGreaterThan(0);
+    expect(requests[0].mode).toBe('artifact');
+    expect(sim.world.storyObject.title).toBe('Stub Relic');
+  });
+
+  it('maps step deltas to move directions', () => {
+    expect(directionFromDelta(0, -1)).toBe('up');
+    expect(directionFromDelta(1, 1)).toBe('down-right');
+    expect(directionFromDelta(-1, 0)).toBe('left');
+    expect(directionFromDelta(0, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import * as ROT from 'rot-js';
+import { buildArena } from '../helpers/arena.js';
+
+let GameSimulation, MoveAction, SearchAction, WaitAction, createActionFromData;
+let getTrapCount, createTraps, revealLitTraps, TRAPS;
+
+describe('Traps', () => {
+  let sim = null;
+
+  // Open moss floor with no monsters or items, the player at (6, 5)
+  async function createRoom(seed) {
+    sim = await GameSimulation.create({ seed });
+    buildArena(sim.world, { unlit: true });
+    return sim;
+  }
+
+  function addTrap(world, trapId, x, y) {
+    const { title, symbol, color } = TRAPS[trapId];
+    const trap = { id: `trap_L1_${world.staticObjects.length}`, type: 'trap', trapId, title, symbol, color, x, y, hidden: true, spent: false, pickedUp: false, levelNumber: 1 };
+    world.staticObjects.push(trap);
+    return trap;
+  }
+
+  beforeAll(async () => {
+    globalThis.ROT = ROT;
+    ({ GameSimulation } = await import('../../src/systems/simulation.js'));
+    ({ MoveAction, SearchAction, WaitAction, createActionFromData } = await import('../../src/systems/actions.js'));
+    ({ getTrapCount, createTraps, revealLitTraps } = await import('../../src/entities/trap.js'));
+    ({ TRAPS } = await import('../../src/content/traps.js'));
+  });
+
+  afterEach(() => {
+    sim?.dispose();
+    sim = null;
+  });
+
+  it('hides more traps in deeper chambers', async () => {
+    expect([1, 2, 3, 4, 5, 9, 20].map(getTrapCount)).toEqual([1, 1, 2, 2, 3, 5, 5]);
+
+    sim = await GameSimulation.create({ seed: 2001 });
+    const traps = sim.world.staticObjects.filter(obj => obj.type === 'trap');
+    expect(traps).toHaveLength(getTrapCount(1));
+    expect(traps.every(trap => trap.hidden && TRAPS[trap.trapId].minLevel <= 1)).toBe(true);
+
+    // Collapsing floors only appear from level 3
+    const { world, player } = sim;
+    ROT.RNG.setSeed(2001);
+    const deep = createTraps(world.map, world.MAP_WIDTH, world.MAP_HEIGHT, player, [], 40, 3);
+    expect(deep.some(trap => trap.trapId === 'collapsing_floor')).toBe(true);
+    expect(new Set(deep.map(trap => `${trap.x},${trap.y}`)).size).toBe(40);
+  });
+
+  it('goes off when stepped on while hidden, and is stepped around once known', async () => {
+    const { world, player } = await createRoom(2002);
+    const trap = addTrap(world, 'pressure_plate', 7, 5);
+    const hp = player.stats.hp;
+
+    expect(await sim.step(new MoveAction('right'))).toBe(true);
+    expect(player.stats.hp).toBeLessThanOrEqual(hp - TRAPS.pressure_plate.damage);
+    expect(player.statusEffects.has('bleed')).toBe(true);
+    expect(trap.hidden).toBe(false);
+    expect(sim.messages).toContain(TRAPS.pressure_plate.message);
+
+    player.statusEffects.clear(player);
+    player.setPosition(6, 5);
+    const before = player.stats.hp;
+    expect(new MoveAction('right').perform(world)).toBe(true);
+    expect(player.stats.hp).toBe(before);
+    expect(sim.messages).toContain('You step carefully around the pressure plate.');
+  });
+
+  it('spends a collapsing floor the first time it gives way', async () => {
+    const { world, player } = await createRoom(2003);
+    const trap = addTrap(world, 'collapsing_floor', 7, 5);
+
+    expect(new MoveAction('right').perform(world)).toBe(true);
+    expect(player.statusEffects.has('stun')).toBe(true);
+    expect(trap).toMatchObject({ hidden: false, spent: true, symbol: TRAPS.collapsing_floor.spentSymbol });
+
+    player.setPosition(6, 5);
+    const hp = player.stats.hp;
+    new MoveAction('right').perform(world);
+    expect(player.stats.hp).toBe(hp);
+  });
+
+  it('finds traps by searching, waiting or torchlight', async () => {
+    const { world } = await createRoom(2004);
+    const near = addTrap(world, 'spore_vent', 7, 6);
+    const far = addTrap(world, 'spore_vent', 12, 5);
+
+    for (let i = 0; i < 30 && near.hidden; i++) {
+      new SearchAction().perform(world);
+    }
+    expect(near.hidden).toBe(false);
+    expect(far.hidden).toBe(true);
+    expect(sim.messages).toContain('You find a spore vent!');
+
+    const beside = addTrap(world, 'pressure_plate', 5, 5);
+    for (let i = 0; i < 60 && beside.hidden; i++) {
+      new WaitAction().perform(world);
+    }
+    expect(beside.hidden).toBe(false);
+
+    world.getCurrentLevelInstance().addLightSource(12, 6, 3, 'torch');
+    world.recomputeFOV();
+    expect(far.hidden).toBe(false);
+    expect(sim.messages).toContain('Light glints off a spore vent in the floor.');
+
+    // Before a level is loaded there is nothing to light a trap
+    const unlit = addTrap(world, 'spore_vent', 13, 6);
+    expect(revealLitTraps({ getCurrentLevelInstance: () => null, staticObjects: world.staticObjects })).toBe(0);
+    expect(unlit.hidden).toBe(true);
+
+    expect(createActionFromData(new SearchAction().serialize())).toBeInstanceOf(SearchAction);
+  });
+});